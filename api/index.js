@@ -1,8 +1,35 @@
+/**
+ * Serverless API (Vercel)
+ *
+ * A subset of server/index.js for the Vercel deployment: single-step uploads, import history,
+ * tracking, analytics and feedback. It seeds the reference data it reads - placeholder
+ * patterns, products, countries, ports, units, company names - but has no routes to edit it,
+ * nor to merge companies, set exchange rates or change the financial year. Those settings are
+ * edited by running server/index.js against the same database; without it the seeded defaults
+ * apply.
+ */
+
 import express from 'express';
 import cors from 'cors';
 import { createClient } from '@libsql/client';
 import XLSX from 'xlsx';
 import multer from 'multer';
+import { syntheticDeclarationId, indexSyntheticIds } from '../server/synthetic-id.js';
+import { parseShipmentDate, createDateFormatDetector } from '../server/dates.js';
+import { normalizeCurrency, convertFobStatements, missingRatesSql, seedFallbackInrRate } from '../server/fx.js';
+import { parseQuantity, seedUnitStatements, seedCountUnitStatements, convertQuantityStatement, countTotalSql } from '../server/units.js';
+import { companyKey, entityNameSql, resolveEntities, entityIdsFor, pruneEntities } from '../server/entities.js';
+import { TRACKED_GROUPS, trackedMembers, trackedGroupsCte, groupTotals } from '../server/groups.js';
+import { fuzzyEntityMatches, indexMissingAliases } from '../server/search.js';
+import { ownCompany, seedCompanyNames } from '../server/company.js';
+import { DEFAULT_PRODUCTS, productKeySql, productNameSql, assignProducts } from '../server/products.js';
+import { seedCountryStatements, countryKeySql, countryNameSql, countryGroupSql, assignCountries } from '../server/countries.js';
+import { seedPortStatements, assignPorts } from '../server/ports.js';
+import { HS_LEVELS, hsDigits, hsCodeSql, hsDescriptionSql, parseHsLevel, seedHsStatements, seedHsRuleStatements, loadHsRules, classifyHsCode, normalizeHsCodes } from '../server/hs.js';
+import { DEFAULT_PLACEHOLDER_PATTERNS, flagPlaceholders } from '../server/placeholders.js';
+import { parseDateRange } from '../server/date-range.js';
+import { GRANULARITIES, DEFAULT_FISCAL_YEAR_START, loadFiscalCalendar, periodKeySql, periodLabel } from '../server/fiscal.js';
+import { newImportId, importHistory, importDetail, settledRowsSql, settledRangeSql } from '../server/imports.js';
 
 const app = express();
 
@@ -33,6 +60,7 @@ const authToken = process.env.TURSO_AUTH_TOKEN;
 
 let db;
 let dbInitialized = false;
+let fiscalCalendar = { startMonth: DEFAULT_FISCAL_YEAR_START };
 
 // Helper functions
 const run = async (sql, params = []) => {
@@ -95,8 +123,12 @@ async function initDb() {
       hs_code TEXT,
       quantity REAL,
       unit TEXT,
+      quantity_kg REAL,
+      quantity_count REAL,
       fob_value REAL,
       fob_currency TEXT DEFAULT 'USD',
+      fob_usd REAL,
+      fob_inr REAL,
       port_of_loading TEXT,
       port_of_discharge TEXT,
       country_of_destination TEXT,
@@ -105,11 +137,165 @@ async function initDb() {
       upload_batch TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )`,
+    `CREATE TABLE IF NOT EXISTS unit_conversions (
+      unit TEXT PRIMARY KEY,
+      kg_per_unit REAL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS fx_rates (
+      currency TEXT NOT NULL,
+      month TEXT NOT NULL,
+      rate REAL NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (currency, month)
+    )`,
+    `CREATE TABLE IF NOT EXISTS entities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS entity_aliases (
+      alias TEXT PRIMARY KEY,
+      base_key TEXT NOT NULL,
+      entity_id INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'import',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS alias_trigrams (
+      trigram TEXT NOT NULL,
+      alias TEXT NOT NULL,
+      PRIMARY KEY (trigram, alias)
+    ) WITHOUT ROWID`,
+    `CREATE TABLE IF NOT EXISTS entity_merge_dismissals (
+      entity_id INTEGER NOT NULL,
+      other_entity_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (entity_id, other_entity_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS name_placeholders (
+      pattern TEXT PRIMARY KEY,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
     `CREATE TABLE IF NOT EXISTS company_info (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       company_name TEXT NOT NULL DEFAULT 'AGNA',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )`,
+    `CREATE TABLE IF NOT EXISTS company_names (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'name',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS products (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS product_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      keywords TEXT NOT NULL,
+      hs_prefix TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS countries (
+      code TEXT PRIMARY KEY,
+      name TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS country_aliases (
+      alias TEXT PRIMARY KEY,
+      code TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS country_regions (
+      region TEXT NOT NULL,
+      code TEXT NOT NULL,
+      PRIMARY KEY (region, code)
+    )`,
+    `CREATE TABLE IF NOT EXISTS ports (
+      code TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      state TEXT,
+      country_code TEXT,
+      mode TEXT NOT NULL DEFAULT 'sea'
+    )`,
+    `CREATE TABLE IF NOT EXISTS port_aliases (
+      alias TEXT PRIMARY KEY,
+      code TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS hs_codes (
+      code TEXT PRIMARY KEY,
+      level INTEGER NOT NULL,
+      description TEXT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      icon TEXT,
+      color TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS hs_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hs_prefix TEXT UNIQUE NOT NULL,
+      category TEXT,
+      product_family TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS mapping_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      vendor TEXT,
+      mapping TEXT NOT NULL,
+      header_fingerprint TEXT,
+      date_format TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS import_jobs (
+      id TEXT PRIMARY KEY,
+      file_name TEXT,
+      data_type TEXT,
+      status TEXT NOT NULL DEFAULT 'queued',
+      total_rows INTEGER DEFAULT 0,
+      processed_rows INTEGER DEFAULT 0,
+      inserted_rows INTEGER DEFAULT 0,
+      skipped_rows INTEGER DEFAULT 0,
+      no_id_rows INTEGER DEFAULT 0,
+      error_count INTEGER DEFAULT 0,
+      error_message TEXT,
+      mapping TEXT,
+      profile_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME,
+      uploaded_by TEXT,
+      rolled_back_at DATETIME,
+      sheet_results TEXT,
+      total_bytes INTEGER DEFAULT 0,
+      processed_bytes INTEGER DEFAULT 0,
+      date_format TEXT,
+      date_detection TEXT,
+      expected_month TEXT,
+      out_of_month_rows INTEGER DEFAULT 0,
+      category_conflicts INTEGER DEFAULT 0,
+      fx_missing_rows INTEGER DEFAULT 0
+    )`,
+    `CREATE TABLE IF NOT EXISTS import_rejections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id TEXT NOT NULL,
+      sheet TEXT,
+      row_number INTEGER,
+      reason TEXT NOT NULL,
+      details TEXT,
+      raw_data TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS migrations (
+      name TEXT PRIMARY KEY,
+      ran_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
     `CREATE TABLE IF NOT EXISTS feedback (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_name TEXT,
@@ -128,6 +314,209 @@ async function initDb() {
     }
   }
 
+  // The original categories, plus any already used by stored rows
+  try {
+    const result = await db.execute('SELECT COUNT(*) as count FROM categories');
+    if (!result.rows[0] || result.rows[0].count === 0) {
+      await db.execute(`INSERT INTO categories (slug, name, icon, color) VALUES ('fruits', 'Fruits', '🍎', '#f59e0b'), ('vegetables', 'Vegetables', '🥬', '#10b981')`);
+    }
+    await db.execute(`INSERT OR IGNORE INTO categories (slug, name)
+      SELECT DISTINCT data_type, UPPER(SUBSTR(data_type, 1, 1)) || SUBSTR(data_type, 2) FROM exports
+      WHERE data_type IS NOT NULL AND data_type != ''`);
+  } catch (e) {
+    console.log('Category init:', e.message);
+  }
+
+  // HS code prefixes that classify uploaded rows, and the columns they fill in
+  try {
+    const result = await db.execute('SELECT COUNT(*) as count FROM hs_rules');
+    if (!result.rows[0] || result.rows[0].count === 0) {
+      await db.batch(seedHsRuleStatements(), 'write');
+    }
+  } catch (e) {
+    console.log('HS rule init:', e.message);
+  }
+  for (const [column, type] of [['product_family', 'TEXT'], ['category_conflict', 'INTEGER DEFAULT 0']]) {
+    try {
+      await db.execute(`ALTER TABLE exports ADD COLUMN ${column} ${type}`);
+    } catch (e) {
+      // already there
+    }
+  }
+
+  // Repeat uploads are caught by these indexes; rows without a declaration ID by their synthetic ID alone
+  try {
+    await indexSyntheticIds(db);
+    await db.execute(`CREATE UNIQUE INDEX IF NOT EXISTS idx_exports_unique
+      ON exports(declaration_id, shipment_date, product_description, hs_code, quantity, fob_value)`);
+  } catch (e) {
+    console.log('Unique index init:', e.message);
+  }
+
+  // Converted quantity and FOB columns, for databases created before them
+  for (const column of ['quantity_kg', 'quantity_count', 'fob_usd', 'fob_inr']) {
+    try {
+      await db.execute(`ALTER TABLE exports ADD COLUMN ${column} REAL`);
+    } catch (e) {
+      // already there
+    }
+  }
+
+  // The fallback INR rate (see fx.js), and the INR figures it fills in
+  try {
+    if (await seedFallbackInrRate(db)) {
+      await db.batch(convertFobStatements('fob_usd IS NULL OR fob_inr IS NULL'), 'write');
+    }
+  } catch (e) {
+    console.log('FX rate init:', e.message);
+  }
+
+  // Canonical company ids, for databases created before them
+  for (const column of ['exporter_entity_id', 'consignee_entity_id']) {
+    try {
+      await db.execute(`ALTER TABLE exports ADD COLUMN ${column} INTEGER`);
+    } catch (e) {
+      // already there
+    }
+  }
+
+  // Placeholder consignees ("TO ORDER"...)
+  try {
+    const result = await db.execute('SELECT COUNT(*) as count FROM name_placeholders');
+    if (!result.rows[0] || result.rows[0].count === 0) {
+      await db.batch(DEFAULT_PLACEHOLDER_PATTERNS.map(pattern => ({
+        sql: 'INSERT OR IGNORE INTO name_placeholders (pattern) VALUES (?)',
+        args: [pattern]
+      })), 'write');
+    }
+  } catch (e) {
+    console.log('Placeholder init:', e.message);
+  }
+  try {
+    await db.execute('ALTER TABLE exports ADD COLUMN consignee_placeholder INTEGER DEFAULT 0');
+    await flagPlaceholders(db);
+  } catch (e) {
+    // already there
+  }
+
+  // Product catalogue
+  try {
+    const result = await db.execute('SELECT COUNT(*) as count FROM products');
+    if (!result.rows[0] || result.rows[0].count === 0) {
+      await db.batch(DEFAULT_PRODUCTS.flatMap(([name, ...keywords]) => [
+        { sql: 'INSERT OR IGNORE INTO products (name) VALUES (?)', args: [name] },
+        ...[name, ...keywords].map(k => ({
+          sql: 'INSERT INTO product_rules (product_id, keywords) SELECT id, ? FROM products WHERE name = ?',
+          args: [k, name]
+        }))
+      ]), 'write');
+    }
+  } catch (e) {
+    console.log('Product init:', e.message);
+  }
+  try {
+    await db.execute('ALTER TABLE exports ADD COLUMN product_id INTEGER');
+    await assignProducts(db);
+  } catch (e) {
+    // already there
+  }
+
+  // ISO countries and regions
+  try {
+    const result = await db.execute('SELECT COUNT(*) as count FROM countries');
+    if (!result.rows[0] || result.rows[0].count === 0) {
+      await db.batch(seedCountryStatements(), 'write');
+    }
+  } catch (e) {
+    console.log('Country init:', e.message);
+  }
+  try {
+    await db.execute('ALTER TABLE exports ADD COLUMN country_code TEXT');
+    await assignCountries(db);
+  } catch (e) {
+    // already there
+  }
+
+  // Port master
+  try {
+    const result = await db.execute('SELECT COUNT(*) as count FROM ports');
+    if (!result.rows[0] || result.rows[0].count === 0) {
+      await db.batch(seedPortStatements(), 'write');
+    }
+  } catch (e) {
+    console.log('Port init:', e.message);
+  }
+  try {
+    await db.execute('ALTER TABLE exports ADD COLUMN loading_port_code TEXT');
+    await db.execute('ALTER TABLE exports ADD COLUMN discharge_port_code TEXT');
+    await assignPorts(db);
+  } catch (e) {
+    // already there
+  }
+
+  // HS code descriptions; codes filed before normalisation are rewritten in place
+  try {
+    const result = await db.execute('SELECT COUNT(*) as count FROM hs_codes');
+    if (!result.rows[0] || result.rows[0].count === 0) {
+      await db.batch(seedHsStatements(), 'write');
+    }
+    await normalizeHsCodes(db);
+  } catch (e) {
+    console.log('HS init:', e.message);
+  }
+
+  // Competitor and client group members; groups from before them are a group of their own name
+  for (const [table, { members, key }] of Object.entries(TRACKED_GROUPS)) {
+    try {
+      await db.execute(`CREATE TABLE IF NOT EXISTS ${members} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ${key} INTEGER NOT NULL,
+        name TEXT UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      await db.execute(`INSERT OR IGNORE INTO ${members} (${key}, name)
+        SELECT id, name FROM ${table} g
+        WHERE active = 1 AND NOT EXISTS (SELECT 1 FROM ${members} m WHERE m.${key} = g.id)`);
+    } catch (e) {
+      console.log('Group init:', e.message);
+    }
+  }
+
+  // Search index for spellings stored before it existed
+  try {
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_alias_trigrams_alias ON alias_trigrams(alias)');
+    await indexMissingAliases(db);
+  } catch (e) {
+    console.log('Search index init:', e.message);
+  }
+
+  // Unit conversions, and the unit each count unit is counted in
+  let countUnitsKnown = false;
+  try {
+    await db.execute('ALTER TABLE unit_conversions ADD COLUMN count_unit TEXT');
+    await db.execute('ALTER TABLE unit_conversions ADD COLUMN count_per_unit REAL');
+    countUnitsKnown = true;
+  } catch (e) {
+    // already there
+  }
+  try {
+    const result = await db.execute('SELECT COUNT(*) as count FROM unit_conversions');
+    if (!result.rows[0] || result.rows[0].count === 0) {
+      await db.batch(seedUnitStatements(), 'write');
+    } else if (countUnitsKnown) {
+      await db.batch(seedCountUnitStatements(), 'write');
+    }
+  } catch (e) {
+    console.log('Unit init:', e.message);
+  }
+  // Rows stored before count units were counted the declared number of any non-weight unit
+  try {
+    await db.execute('ALTER TABLE exports ADD COLUMN count_unit TEXT');
+    await db.execute(convertQuantityStatement());
+  } catch (e) {
+    // already there
+  }
+
   // Insert default company if not exists
   try {
     const result = await db.execute('SELECT COUNT(*) as count FROM company_info');
@@ -137,9 +526,22 @@ async function initDb() {
         args: ['AGNA ORG AGROVILLA INDIA PRIVATE LIMITED']
       });
     }
+    // Registered names and sister firms
+    await seedCompanyNames(db);
   } catch (e) {
     console.log('Company init:', e.message);
   }
+  // Financial year start
+  try {
+    await db.execute(`ALTER TABLE company_info ADD COLUMN fiscal_year_start INTEGER DEFAULT ${DEFAULT_FISCAL_YEAR_START}`);
+  } catch (e) {
+    // already there
+  }
+  try {
+    fiscalCalendar = await loadFiscalCalendar(db);
+  } catch (e) {
+    console.log('Fiscal calendar init:', e.message);
+  }
 
   dbInitialized = true;
   console.log('📦 Database initialized');
@@ -212,11 +614,13 @@ app.post('/api/upload', (req, res, next) => {
     return res.status(400).json({ error: 'No file uploaded', debug: { body: req.body, contentType: req.headers['content-type'] } });
   }
 
-  const { dataType } = req.body;
-  if (!dataType || !['fruits', 'vegetables'].includes(dataType)) {
-    return res.status(400).json({ error: 'Invalid data type. Must be "fruits" or "vegetables"' });
+  const { dataType, uploadedBy } = req.body;
+  const knownCategory = await get('SELECT slug FROM categories WHERE slug = ?', [dataType || '']);
+  if (!dataType || !knownCategory) {
+    return res.status(400).json({ error: `Unknown category "${dataType || ''}"` });
   }
 
+  let uploadBatch = null;
   try {
     const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
     const sheetName = workbook.SheetNames[0];
@@ -228,8 +632,10 @@ app.post('/api/upload', (req, res, next) => {
     }
 
     const columns = Object.keys(data[0]);
-    const uploadBatch = `${Date.now()}-${dataType}`;
-    let inserted = 0, skipped = 0;
+    uploadBatch = newImportId(dataType);
+    // HS rules may move a row out of the chosen category, as on the main server
+    const hsRules = await loadHsRules(db);
+    let inserted = 0, skipped = 0, categoryConflicts = 0;
 
     // Column name variations
     const declarationIdNames = ['Declaration ID', 'DECLARATION_ID', 'Declaration No', 'SB No', 'Shipping Bill No', 'Bill No', 'Invoice No'];
@@ -246,65 +652,72 @@ app.post('/api/upload', (req, res, next) => {
     const countryNames = ['Country', 'COUNTRY', 'Destination Country', 'Country of Destination', 'Destination'];
     const dateNames = ['Shipment Date', 'SHIPMENT_DATE', 'Date', 'SB Date', 'Bill Date', 'Export Date'];
 
+    // One day/month order for the whole file, detected from its date column
+    const dateDetector = createDateFormatDetector();
+    data.forEach(row => dateDetector.add(findColumnValue(row, dateNames)));
+    const { format: dateFormat } = dateDetector.result();
+
+    // Recorded like a job on the main server, so it shows in the import history and can be
+    // rolled back; running until every row is in, which keeps it out of analytics till then
+    await run(`INSERT INTO import_jobs (id, file_name, data_type, status, total_rows, uploaded_by, date_format, started_at)
+      VALUES (?, ?, ?, 'running', ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [uploadBatch, req.file.originalname, dataType, data.length, String(uploadedBy ?? '').trim() || null, dateFormat]);
+
     for (const row of data) {
       const declarationId = findColumnValue(row, declarationIdNames);
       const exporterName = findColumnValue(row, exporterNames);
       const consigneeName = findColumnValue(row, consigneeNames);
       const productDesc = findColumnValue(row, productNames);
       const hsCode = findColumnValue(row, hsCodeNames);
-      const quantity = parseFloat(findColumnValue(row, quantityNames) || 0);
+      const quantityCell = findColumnValue(row, quantityNames);
+      const quantity = String(quantityCell ?? '').trim() === '' ? 0 : parseQuantity(quantityCell);
       const unit = findColumnValue(row, unitNames) || 'KGS';
       const fobValue = parseFloat(String(findColumnValue(row, fobNames) || 0).replace(/[^0-9.-]/g, '')) || 0;
-      const fobCurrency = findColumnValue(row, currencyNames) || 'USD';
+      const fobCurrency = normalizeCurrency(findColumnValue(row, currencyNames));
       const portLoading = findColumnValue(row, portLoadingNames);
       const portDischarge = findColumnValue(row, portDischargeNames);
       const countryDest = findColumnValue(row, countryNames);
       
       // Parse date
-      let shipmentDate = null, monthYear = null;
-      const dateValue = findColumnValue(row, dateNames);
-      if (dateValue) {
-        if (typeof dateValue === 'number') {
-          const date = XLSX.SSF.parse_date_code(dateValue);
-          if (date) {
-            shipmentDate = `${date.y}-${String(date.m).padStart(2, '0')}-${String(date.d).padStart(2, '0')}`;
-            monthYear = `${date.y}-${String(date.m).padStart(2, '0')}`;
-          }
-        } else {
-          const dateStr = String(dateValue);
-          let parsed = new Date(dateStr);
-          if (isNaN(parsed)) {
-            const parts = dateStr.split(/[-\/]/);
-            if (parts.length === 3) parsed = new Date(parts[2], parts[1] - 1, parts[0]);
-          }
-          if (!isNaN(parsed) && parsed.getFullYear() > 1900) {
-            shipmentDate = parsed.toISOString().split('T')[0];
-            monthYear = `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, '0')}`;
-          }
-        }
-      }
+      const { shipmentDate, monthYear } = parseShipmentDate(findColumnValue(row, dateNames), dateFormat);
+
+      const classified = classifyHsCode(hsCode, dataType, hsRules);
 
       let uniqueId = declarationId;
       if (!uniqueId || uniqueId === '') {
-        const composite = `${exporterName}-${consigneeName}-${productDesc}-${dateValue}-${fobValue}`;
-        if (composite !== '----0') {
-          uniqueId = `AUTO-${Buffer.from(composite).toString('base64').slice(0, 20)}-${Math.random().toString(36).slice(2, 8)}`;
-        }
+        // Content hash, so re-uploading the same file hits the unique index
+        uniqueId = syntheticDeclarationId({
+          data_type: classified.data_type,
+          exporter_name: (exporterName || '').toString().trim().toUpperCase(),
+          consignee_name: (consigneeName || '').toString().trim().toUpperCase(),
+          product_description: (productDesc || '').toString().trim(),
+          hs_code: hsDigits(hsCode),
+          quantity: quantity || 0,
+          unit: (unit || 'KGS').toString().trim(),
+          fob_value: fobValue || 0,
+          port_of_loading: (portLoading || '').toString().trim(),
+          port_of_discharge: (portDischarge || '').toString().trim(),
+          country_of_destination: (countryDest || '').toString().trim(),
+          shipment_date: shipmentDate
+        });
       }
 
-      if (uniqueId && uniqueId !== '') {
+      // A quantity that isn't a number would be stored as 0 - skip the row instead
+      if (uniqueId && uniqueId !== '' && !isNaN(quantity)) {
         try {
           await run(`INSERT INTO exports (declaration_id, exporter_name, consignee_name, product_description,
-            product_category, data_type, hs_code, quantity, unit, fob_value, fob_currency, port_of_loading,
-            port_of_discharge, country_of_destination, shipment_date, month_year, upload_batch)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            product_category, data_type, product_family, category_conflict, hs_code, quantity, unit, fob_value,
+            fob_currency, port_of_loading, port_of_discharge, country_of_destination, shipment_date, month_year, upload_batch)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [uniqueId.toString().trim(), (exporterName || '').toString().trim().toUpperCase(),
              (consigneeName || '').toString().trim().toUpperCase(), (productDesc || '').toString().trim(),
-             dataType, dataType, String(hsCode || '').trim(), quantity || 0, (unit || 'KGS').toString().trim(),
-             fobValue || 0, (fobCurrency || 'USD').toString().trim(), (portLoading || '').toString().trim(),
+             classified.product_category, classified.data_type, classified.product_family,
+             classified.category_conflict, hsDigits(hsCode), quantity || 0, (unit || 'KGS').toString().trim(),
+             fobValue || 0, fobCurrency, (portLoading || '').toString().trim(),
              (portDischarge || '').toString().trim(), (countryDest || '').toString().trim(),
              shipmentDate, monthYear, uploadBatch]);
           inserted++;
+          categoryConflicts += classified.category_conflict;
         } catch (e) {
           skipped++;
         }
@@ -313,227 +726,365 @@ app.post('/api/upload', (req, res, next) => {
       }
     }
 
-    res.json({ success: true, message: `Processed ${data.length} rows`, inserted, skipped, dataType, columnsFound: columns });
+    // Weight in kg, and FOB in USD and INR at the rates of each shipment's month
+    await db.batch([
+      convertQuantityStatement('upload_batch = ?', [uploadBatch]),
+      ...convertFobStatements('upload_batch = ?', [uploadBatch])
+    ], 'write');
+    // Link rows to their canonical companies
+    await resolveEntities(db, 'upload_batch = ?', [uploadBatch]);
+    await flagPlaceholders(db, 'upload_batch = ?', [uploadBatch]);
+    await assignProducts(db, 'upload_batch = ?', [uploadBatch]);
+    await assignCountries(db, 'upload_batch = ?', [uploadBatch]);
+    await assignPorts(db, 'upload_batch = ?', [uploadBatch]);
+
+    await run(`UPDATE import_jobs SET status = 'completed', processed_rows = ?, inserted_rows = ?, skipped_rows = ?,
+      category_conflicts = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [data.length, inserted, skipped, categoryConflicts, uploadBatch]);
+
+    res.json({
+      ...await importDetail(db, uploadBatch, await get('SELECT * FROM import_jobs WHERE id = ?', [uploadBatch])),
+      success: true, message: `Processed ${data.length} rows`, inserted, skipped, dataType, columnsFound: columns
+    });
   } catch (err) {
     console.error('Upload error:', err);
+    // A failed import keeps none of its rows, as on the main server
+    if (uploadBatch) {
+      try {
+        await db.batch([
+          { sql: 'DELETE FROM exports WHERE upload_batch = ?', args: [uploadBatch] },
+          {
+            sql: `UPDATE import_jobs SET status = 'failed', error_message = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            args: [err.message, uploadBatch]
+          }
+        ], 'write');
+      } catch (cleanupErr) {
+        console.error('Could not roll back failed upload:', cleanupErr.message);
+      }
+    }
     res.status(500).json({ error: err.message });
   }
 });
 
-// ============= COMPETITORS ROUTES =============
-app.get('/api/competitors', async (req, res) => {
-  const competitors = await all('SELECT * FROM competitors WHERE active = 1 ORDER BY name');
-  res.json(competitors);
+// ============= IMPORT ROUTES =============
+// Uploads here are imported in the request, so there are no queued jobs, previews or rejected-row reports
+
+app.get('/api/imports', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  try {
+    res.json(await importHistory(db, { limit }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.get('/api/competitors/search', async (req, res) => {
-  const { q } = req.query;
-  if (!q || q.length < 2) return res.json([]);
-  
-  const searchTerm = q.trim().toUpperCase();
-  const words = searchTerm.split(/\s+/).filter(w => w.length > 1);
-  
-  let query = `SELECT DISTINCT exporter_name as name, COUNT(*) as shipment_count, SUM(fob_value) as total_fob
-    FROM exports WHERE exporter_name IS NOT NULL AND exporter_name != ''`;
-  
-  if (words.length > 0) {
-    const conditions = words.map(() => `UPPER(exporter_name) LIKE ?`).join(' OR ');
-    query += ` AND (${conditions})`;
+app.get('/api/imports/:id', async (req, res) => {
+  try {
+    const detail = await importDetail(db, req.params.id, await get('SELECT * FROM import_jobs WHERE id = ?', [req.params.id]));
+    if (!detail) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+    res.json(detail);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  query += ` GROUP BY exporter_name ORDER BY shipment_count DESC LIMIT 20`;
-  
-  const params = words.map(w => `%${w}%`);
-  const results = await all(query, params);
-  const tracked = await all('SELECT name FROM competitors WHERE active = 1');
-  const trackedNames = new Set(tracked.map(t => t.name));
-  
-  res.json(results.map(r => ({ ...r, already_tracked: trackedNames.has(r.name) })));
 });
 
-app.post('/api/competitors', async (req, res) => {
-  const { name, names } = req.body;
-  const namesToAdd = names || [name];
-  const added = [], errors = [];
-  
-  for (const n of namesToAdd) {
+app.get('/api/imports/:id/rows', async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  try {
+    const rows = await all('SELECT * FROM exports WHERE upload_batch = ? ORDER BY id LIMIT ? OFFSET ?',
+      [req.params.id, parseInt(limit), offset]);
+    const total = await get('SELECT COUNT(*) as total FROM exports WHERE upload_batch = ?', [req.params.id]);
+    res.json({ rows, total: total?.total || 0, page: parseInt(page), limit: parseInt(limit) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Roll back an import: delete every row it inserted, as on the main server
+app.delete('/api/imports/:id', async (req, res) => {
+  try {
+    const detail = await importDetail(db, req.params.id, await get('SELECT * FROM import_jobs WHERE id = ?', [req.params.id]));
+    if (!detail) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+    if (detail.status === 'rolled_back') {
+      return res.status(409).json({ error: 'Import already rolled back' });
+    }
+    const [result] = await db.batch([
+      { sql: 'DELETE FROM exports WHERE upload_batch = ?', args: [req.params.id] },
+      { sql: 'DELETE FROM import_rejections WHERE job_id = ?', args: [req.params.id] },
+      {
+        sql: `UPDATE import_jobs SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        args: [req.params.id]
+      }
+    ], 'write');
+    await pruneEntities(db);
+    res.json({ success: true, deleted: result.rowsAffected, months: detail.months });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============= CATEGORY & MAPPING PROFILE ROUTES =============
+
+app.get('/api/categories', async (req, res) => {
+  try {
+    res.json(await all(`
+      SELECT c.*, COUNT(e.id) as row_count
+      FROM categories c
+      LEFT JOIN exports e ON e.data_type = c.slug
+      GROUP BY c.id
+      ORDER BY c.name
+    `));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/mapping-profiles', async (req, res) => {
+  try {
+    const profiles = await all('SELECT * FROM mapping_profiles ORDER BY name');
+    res.json(profiles.map(row => ({ ...row, mapping: JSON.parse(row.mapping || '{}') })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============= COMPETITORS ROUTES =============
+// Competitors and clients are groups of member names (see server/groups.js)
+const trackedEntityIds = async (table) => {
+  const tracked = await trackedMembers(db, table);
+  return entityIdsFor(db, tracked.map(t => t.name));
+};
+
+// Fuzzy matches (server/search.js) with rows in `field`, most relevant first
+const searchCompanies = async (q, field, table) => {
+  const matches = await fuzzyEntityMatches(db, companyKey(q));
+  if (matches.length === 0) return [];
+  const column = field === 'exporter_name' ? 'exporter_entity_id' : 'consignee_entity_id';
+  const stats = await all(`SELECT ${column} as entity_id, ${entityNameSql(field)} as name, COUNT(*) as shipment_count, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr
+    FROM exports WHERE ${column} IN (${matches.map(() => '?').join(',')}) GROUP BY ${column}`, matches.map(m => m.entity_id));
+  const statsOf = new Map(stats.map(s => [s.entity_id, s]));
+  const trackedIds = new Set(await trackedEntityIds(table));
+  return matches.filter(m => statsOf.has(m.entity_id))
+    .map(m => ({ ...statsOf.get(m.entity_id), matched_alias: m.alias, score: m.score, already_tracked: trackedIds.has(m.entity_id) }))
+    .sort((a, b) => b.score - a.score || b.shipment_count - a.shipment_count)
+    .slice(0, 20);
+};
+
+const listGroups = async (table) => {
+  const { members, key } = TRACKED_GROUPS[table];
+  const groups = await all(`SELECT * FROM ${table} WHERE active = 1 ORDER BY name`);
+  const memberRows = await all(`SELECT id, ${key} as group_id, name FROM ${members} ORDER BY name`);
+  return groups.map(g => ({ ...g, members: memberRows.filter(m => m.group_id === g.id).map(({ id, name }) => ({ id, name })) }));
+};
+
+// `names` each tracked on their own, or together as one group named `group`
+const addGroups = async (table, { name, names, group }) => {
+  const { members, key } = TRACKED_GROUPS[table];
+  const free = [], added = [], errors = [];
+  for (const n of names || [name]) {
     if (!n || !n.trim()) continue;
+    const owner = await get(`SELECT g.name FROM ${members} m JOIN ${table} g ON g.id = m.${key} WHERE m.name = ?`, [n.trim().toUpperCase()]);
+    if (owner) errors.push({ name: n, error: `Already tracked in ${owner.name}` });
+    else free.push(n.trim().toUpperCase());
+  }
+  if (free.length === 0) return { added, errors };
+
+  for (const groupName of group?.trim() ? [group.trim().toUpperCase()] : free) {
     try {
-      await run('INSERT INTO competitors (name) VALUES (?)', [n.trim().toUpperCase()]);
-      added.push({ name: n.trim().toUpperCase() });
+      await run(`INSERT INTO ${table} (name) VALUES (?)`, [groupName]);
+      const created = await get(`SELECT id FROM ${table} WHERE name = ?`, [groupName]);
+      const memberNames = group?.trim() ? free : [groupName];
+      for (const memberName of memberNames) {
+        await run(`INSERT INTO ${members} (${key}, name) VALUES (?, ?)`, [created.id, memberName]);
+      }
+      added.push({ id: created.id, name: groupName, members: memberNames });
     } catch (err) {
-      errors.push({ name: n, error: err.message.includes('UNIQUE') ? 'Already exists' : err.message });
+      errors.push({ name: groupName, error: err.message.includes('UNIQUE') ? 'Already exists' : err.message });
     }
   }
-  res.json({ added, errors });
+  return { added, errors };
+};
+
+app.get('/api/competitors', async (req, res) => {
+  res.json(await listGroups('competitors'));
+});
+
+app.get('/api/competitors/search', async (req, res) => {
+  const { q } = req.query;
+  if (!q || q.length < 2) return res.json([]);
+  res.json(await searchCompanies(q, 'exporter_name', 'competitors'));
+});
+
+app.post('/api/competitors', async (req, res) => {
+  res.json(await addGroups('competitors', req.body));
 });
 
 app.delete('/api/competitors/:id', async (req, res) => {
+  const { members, key } = TRACKED_GROUPS['competitors'];
   await run('UPDATE competitors SET active = 0 WHERE id = ?', [parseInt(req.params.id)]);
+  await run(`DELETE FROM ${members} WHERE ${key} = ?`, [parseInt(req.params.id)]);
   res.json({ success: true });
 });
 
 // ============= CLIENTS ROUTES =============
 app.get('/api/clients', async (req, res) => {
-  const clients = await all('SELECT * FROM clients WHERE active = 1 ORDER BY name');
-  res.json(clients);
+  res.json(await listGroups('clients'));
 });
 
 app.get('/api/clients/search', async (req, res) => {
   const { q } = req.query;
   if (!q || q.length < 2) return res.json([]);
-  
-  const searchTerm = q.trim().toUpperCase();
-  const words = searchTerm.split(/\s+/).filter(w => w.length > 1);
-  
-  let query = `SELECT DISTINCT consignee_name as name, COUNT(*) as shipment_count, SUM(fob_value) as total_fob
-    FROM exports WHERE consignee_name IS NOT NULL AND consignee_name != ''`;
-  
-  if (words.length > 0) {
-    const conditions = words.map(() => `UPPER(consignee_name) LIKE ?`).join(' OR ');
-    query += ` AND (${conditions})`;
-  }
-  query += ` GROUP BY consignee_name ORDER BY shipment_count DESC LIMIT 20`;
-  
-  const params = words.map(w => `%${w}%`);
-  const results = await all(query, params);
-  const tracked = await all('SELECT name FROM clients WHERE active = 1');
-  const trackedNames = new Set(tracked.map(t => t.name));
-  
-  res.json(results.map(r => ({ ...r, already_tracked: trackedNames.has(r.name) })));
+  res.json(await searchCompanies(q, 'consignee_name', 'clients'));
 });
 
 app.post('/api/clients', async (req, res) => {
-  const { name, names } = req.body;
-  const namesToAdd = names || [name];
-  const added = [], errors = [];
-  
-  for (const n of namesToAdd) {
-    if (!n || !n.trim()) continue;
-    try {
-      await run('INSERT INTO clients (name) VALUES (?)', [n.trim().toUpperCase()]);
-      added.push({ name: n.trim().toUpperCase() });
-    } catch (err) {
-      errors.push({ name: n, error: err.message.includes('UNIQUE') ? 'Already exists' : err.message });
-    }
-  }
-  res.json({ added, errors });
+  res.json(await addGroups('clients', req.body));
 });
 
 app.delete('/api/clients/:id', async (req, res) => {
+  const { members, key } = TRACKED_GROUPS['clients'];
   await run('UPDATE clients SET active = 0 WHERE id = ?', [parseInt(req.params.id)]);
+  await run(`DELETE FROM ${members} WHERE ${key} = ?`, [parseInt(req.params.id)]);
   res.json({ success: true });
 });
 
 // ============= COMPANY ROUTES =============
 app.get('/api/company', async (req, res) => {
   const company = await get('SELECT * FROM company_info LIMIT 1');
-  res.json(company);
+  const { names, ids } = await ownCompany(db);
+  res.json({ ...company, names, matched_companies: ids.length });
 });
 
 app.put('/api/company', async (req, res) => {
-  const { company_name } = req.body;
-  await run('UPDATE company_info SET company_name = ?', [company_name.trim().toUpperCase()]);
+  const name = req.body.company_name.trim().toUpperCase();
+  const company = await get('SELECT company_name FROM company_info LIMIT 1');
+  await run('UPDATE company_info SET company_name = ?', [name]);
+  await run('UPDATE company_names SET name = ? WHERE name = ? AND NOT EXISTS (SELECT 1 FROM company_names WHERE name = ?)',
+    [name, company?.company_name, name]);
   res.json({ success: true });
 });
 
 // ============= ANALYTICS ROUTES =============
+// from/to, month or period (see server/date-range.js); null once a 400 has been sent
+const requestDateRange = (query, res) => {
+  try { return parseDateRange(query, new Date(), fiscalCalendar); } catch (err) { res.status(err.status || 500).json({ error: err.message }); return null; }
+};
+
 app.get('/api/analytics/months', async (req, res) => {
-  const months = await all('SELECT DISTINCT month_year FROM exports WHERE month_year IS NOT NULL ORDER BY month_year DESC');
+  const months = await all(`SELECT DISTINCT month_year FROM exports WHERE month_year IS NOT NULL AND ${settledRowsSql()} ORDER BY month_year DESC`);
   res.json(months.map(m => m.month_year));
 });
 
 app.get('/api/analytics/dashboard', async (req, res) => {
-  const { month } = req.query;
-  let whereClause = '', params = [];
-  if (month) { whereClause = 'WHERE month_year = ?'; params.push(month); }
-
-  const summary = await get(`SELECT COUNT(DISTINCT declaration_id) as total_shipments, SUM(fob_value) as total_fob,
-    COUNT(DISTINCT exporter_name) as unique_exporters, COUNT(DISTINCT consignee_name) as unique_consignees,
-    COUNT(DISTINCT country_of_destination) as unique_countries, COUNT(DISTINCT product_description) as unique_products
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  const { sql: inRange, args: params } = settledRangeSql(range);
+  const whereClause = `WHERE ${inRange}`;
+
+  const summary = await get(`SELECT COUNT(DISTINCT declaration_id) as total_shipments, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr,
+    COUNT(DISTINCT exporter_entity_id) as unique_exporters, COUNT(DISTINCT CASE WHEN consignee_placeholder = 0 THEN consignee_entity_id END) as unique_consignees,
+    COUNT(DISTINCT ${countryKeySql()}) as unique_countries, COUNT(DISTINCT ${productKeySql()}) as unique_products
     FROM exports ${whereClause}`, params);
 
-  const byCategory = await all(`SELECT data_type, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_value) as total_fob
+  const byCategory = await all(`SELECT data_type, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr
     FROM exports ${whereClause} GROUP BY data_type`, params);
 
-  const topExporters = await all(`SELECT exporter_name, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_value) as total_fob
-    FROM exports ${whereClause} GROUP BY exporter_name ORDER BY total_fob DESC LIMIT 10`, params);
+  const topExporters = await all(`SELECT ${entityNameSql('exporter_name')} as exporter_name, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr
+    FROM exports ${whereClause} GROUP BY exporter_entity_id ORDER BY total_fob DESC LIMIT 10`, params);
+
+  const countryGroup = countryGroupSql(req.query.by);
+  const topCountries = await all(`SELECT ${countryGroup.name} as country_of_destination, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr
+    FROM exports ${countryGroup.join} ${whereClause} GROUP BY ${countryGroup.key} ORDER BY total_fob DESC LIMIT 10`, params);
+
+  const topProducts = await all(`SELECT product_id, ${productNameSql()} as product_name, COUNT(DISTINCT declaration_id) as shipment_count,
+    SUM(quantity_kg) as total_quantity, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr
+    FROM exports ${whereClause} GROUP BY ${productKeySql()} ORDER BY total_fob DESC LIMIT 10`, params);
 
-  const topCountries = await all(`SELECT country_of_destination, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_value) as total_fob
-    FROM exports ${whereClause} GROUP BY country_of_destination ORDER BY total_fob DESC LIMIT 10`, params);
+  // Rows in range whose FOB has no rate are left out of the totals above
+  const missingRates = await all(missingRatesSql(inRange), params);
 
-  res.json({ summary, byCategory, topExporters, topCountries });
+  res.json({ summary, byCategory, topExporters, topCountries, topProducts, missingRates });
 });
 
 app.get('/api/analytics/competitors', async (req, res) => {
-  const { month } = req.query;
-  const competitors = await all('SELECT name FROM competitors WHERE active = 1');
-  const competitorNames = competitors.map(c => c.name);
-  if (competitorNames.length === 0) return res.json({ competitors: [], comparison: [] });
-
-  const placeholders = competitorNames.map(() => '?').join(',');
-  let query = `SELECT exporter_name, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_value) as total_fob,
-    COUNT(DISTINCT product_description) as product_count, COUNT(DISTINCT country_of_destination) as country_count
-    FROM exports WHERE UPPER(exporter_name) IN (${placeholders})`;
-  const params = [...competitorNames];
-  if (month) { query += ' AND month_year = ?'; params.push(month); }
-  query += ' GROUP BY exporter_name ORDER BY total_fob DESC';
-
-  const results = await all(query, params);
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  const inRange = settledRangeSql(range);
+  const tracked = await trackedGroupsCte(db, 'competitors');
+  if (tracked.ids.length === 0) return res.json({ competitors: [], comparison: [] });
+
+  const results = await groupTotals(db, tracked, 'exporter_name', `COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr,
+    COUNT(DISTINCT ${productKeySql()}) as product_count, COUNT(DISTINCT ${countryKeySql()}) as country_count`,
+    { where: inRange.sql, args: inRange.args, nameAs: 'exporter_name' });
   res.json({ competitors: results, comparison: [] });
 });
 
 app.get('/api/analytics/clients', async (req, res) => {
-  const { month } = req.query;
-  const clients = await all('SELECT name FROM clients WHERE active = 1');
-  const clientNames = clients.map(c => c.name);
-  if (clientNames.length === 0) return res.json({ clients: [], comparison: [] });
-
-  const placeholders = clientNames.map(() => '?').join(',');
-  let query = `SELECT consignee_name, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_value) as total_fob,
-    COUNT(DISTINCT product_description) as product_count, COUNT(DISTINCT exporter_name) as supplier_count
-    FROM exports WHERE UPPER(consignee_name) IN (${placeholders})`;
-  const params = [...clientNames];
-  if (month) { query += ' AND month_year = ?'; params.push(month); }
-  query += ' GROUP BY consignee_name ORDER BY total_fob DESC';
-
-  const results = await all(query, params);
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  const inRange = settledRangeSql(range);
+  const tracked = await trackedGroupsCte(db, 'clients');
+  if (tracked.ids.length === 0) return res.json({ clients: [], comparison: [] });
+
+  const results = await groupTotals(db, tracked, 'consignee_name', `COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr,
+    COUNT(DISTINCT ${productKeySql()}) as product_count, COUNT(DISTINCT exporter_entity_id) as supplier_count`,
+    { where: inRange.sql, args: inRange.args, nameAs: 'consignee_name' });
   res.json({ clients: results, comparison: [] });
 });
 
 app.get('/api/analytics/entity-details', async (req, res) => {
-  const { entity, type, month } = req.query;
+  const { entity, type } = req.query;
   if (!entity || !type) return res.status(400).json({ error: 'Entity and type required' });
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
 
   const field = type === 'exporter' ? 'exporter_name' : 'consignee_name';
-  const params = [entity.toUpperCase()];
-  let monthFilter = '';
-  if (month) { monthFilter = ' AND month_year = ?'; params.push(month); }
+  const ids = await entityIdsFor(db, [entity]);
+  const match = `${field === 'exporter_name' ? 'exporter_entity_id' : 'consignee_entity_id'} IN (${ids.map(() => '?').join(',')})`;
+  const inRange = settledRangeSql(range);
+  const params = [...ids, ...inRange.args];
+  const dateFilter = ` AND ${inRange.sql}`;
 
-  const summary = await get(`SELECT COUNT(DISTINCT declaration_id) as total_shipments, SUM(fob_value) as total_fob,
-    SUM(quantity) as total_quantity, COUNT(DISTINCT product_description) as unique_products,
-    COUNT(DISTINCT country_of_destination) as unique_countries, MIN(shipment_date) as first_shipment, MAX(shipment_date) as last_shipment
-    FROM exports WHERE UPPER(${field}) = ?${monthFilter}`, params);
+  const summary = await get(`SELECT COUNT(DISTINCT declaration_id) as total_shipments, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr,
+    SUM(quantity_kg) as total_quantity, ${countTotalSql()}, COUNT(DISTINCT ${productKeySql()}) as unique_products,
+    COUNT(DISTINCT ${countryKeySql()}) as unique_countries, MIN(shipment_date) as first_shipment, MAX(shipment_date) as last_shipment
+    FROM exports WHERE ${match}${dateFilter}`, params);
 
-  const products = await all(`SELECT product_description, hs_code, data_type, COUNT(DISTINCT declaration_id) as shipment_count,
-    SUM(quantity) as total_quantity, SUM(fob_value) as total_fob, unit
-    FROM exports WHERE UPPER(${field}) = ?${monthFilter} GROUP BY product_description, hs_code, data_type, unit ORDER BY total_fob DESC LIMIT 50`, params);
+  const products = await all(`SELECT product_id, ${productNameSql()} as product_description, GROUP_CONCAT(DISTINCT hs_code) as hs_code, data_type,
+    COUNT(DISTINCT declaration_id) as shipment_count, SUM(quantity_kg) as total_quantity, ${countTotalSql()},
+    SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr, GROUP_CONCAT(DISTINCT unit) as unit
+    FROM exports WHERE ${match}${dateFilter} GROUP BY ${productKeySql()}, data_type ORDER BY total_fob DESC LIMIT 50`, params);
 
-  const countries = await all(`SELECT country_of_destination, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_value) as total_fob
-    FROM exports WHERE UPPER(${field}) = ?${monthFilter} GROUP BY country_of_destination ORDER BY total_fob DESC`, params);
+  const countryGroup = countryGroupSql(req.query.by);
+  const countries = await all(`SELECT ${countryGroup.name} as country_of_destination, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr
+    FROM exports ${countryGroup.join} WHERE ${match}${dateFilter} GROUP BY ${countryGroup.key} ORDER BY total_fob DESC`, params);
 
-  const monthlyTrend = await all(`SELECT month_year, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_value) as total_fob
-    FROM exports WHERE UPPER(${field}) = ? AND month_year IS NOT NULL GROUP BY month_year ORDER BY month_year`, [entity.toUpperCase()]);
+  const monthlyTrend = await all(`SELECT month_year, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr
+    FROM exports WHERE ${match} AND month_year IS NOT NULL AND ${settledRowsSql()} GROUP BY month_year ORDER BY month_year`, ids);
 
-  const recentShipments = await all(`SELECT declaration_id, shipment_date, product_description, quantity, unit, fob_value,
-    country_of_destination, consignee_name, exporter_name FROM exports WHERE UPPER(${field}) = ?${monthFilter} ORDER BY shipment_date DESC LIMIT 50`, params);
+  const recentShipments = await all(`SELECT declaration_id, shipment_date, product_description, quantity, unit, quantity_kg, fob_value, fob_currency, fob_usd, fob_inr,
+    country_of_destination, consignee_name, exporter_name FROM exports WHERE ${match}${dateFilter} ORDER BY shipment_date DESC LIMIT 50`, params);
 
   res.json({ entity, type, summary, products, countries, ports: [], monthlyTrend, suppliers: [], clients: [], recentShipments });
 });
 
+// ?granularity=week|month|quarter|fy (default month; see server/fiscal.js)
 app.get('/api/analytics/trends', async (req, res) => {
-  const trends = await all(`SELECT month_year, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_value) as total_fob
-    FROM exports WHERE month_year IS NOT NULL GROUP BY month_year ORDER BY month_year`);
-  res.json(trends);
+  const granularity = req.query.granularity || 'month';
+  if (!GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({ error: `granularity must be one of ${GRANULARITIES.join(', ')}` });
+  }
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  const inRange = settledRangeSql(range);
+  const trends = await all(`SELECT ${periodKeySql(granularity, fiscalCalendar)} as period, COUNT(DISTINCT declaration_id) as shipment_count, SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr
+    FROM exports WHERE shipment_date IS NOT NULL AND ${inRange.sql} GROUP BY period ORDER BY period`, inRange.args);
+  res.json(trends.map(t => ({ ...(granularity === 'month' && { month_year: t.period }), ...t, label: periodLabel(t.period) })));
 });
 
 // ============= FEEDBACK ROUTES =============
@@ -552,31 +1103,34 @@ app.get('/api/feedback', async (req, res) => {
 
 // ============= INTELLIGENCE ROUTES =============
 app.get('/api/intelligence/prospective-clients', async (req, res) => {
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const companyName = company?.company_name || 'AGNA';
+  const hsLevel = parseHsLevel(req.query.hsLevel);
+  if (!hsLevel) return res.status(400).json({ error: `hsLevel must be one of ${HS_LEVELS.join(', ')}` });
+  const { name: companyName, ids: companyIds } = await ownCompany(db);
+  const companyPlaceholders = companyIds.map(() => '?').join(',');
   
-  const companyProducts = await all(`SELECT DISTINCT hs_code, product_description, data_type FROM exports WHERE UPPER(exporter_name) LIKE ?`, [`%${companyName}%`]);
+  const companyProducts = await all(`SELECT DISTINCT ${hsCodeSql(hsLevel)} as hs_code, ${hsDescriptionSql(hsLevel)} as hs_description, product_description, data_type
+    FROM exports WHERE exporter_entity_id IN (${companyPlaceholders}) AND ${settledRowsSql()}`, companyIds);
   if (companyProducts.length === 0) return res.json({ message: 'No products found', prospectiveClients: [], companyProducts: [] });
 
-  const hsCodeList = companyProducts.map(p => p.hs_code).filter(h => h);
+  const hsCodeList = [...new Set(companyProducts.map(p => p.hs_code).filter(h => h))];
   if (hsCodeList.length === 0) return res.json({ message: 'No HS codes found', prospectiveClients: [], companyProducts });
 
   const placeholders = hsCodeList.map(() => '?').join(',');
-  const prospectiveClients = await all(`SELECT consignee_name, country_of_destination, COUNT(DISTINCT declaration_id) as total_shipments,
-    SUM(fob_value) as total_fob, GROUP_CONCAT(DISTINCT exporter_name) as current_suppliers
-    FROM exports WHERE hs_code IN (${placeholders}) AND UPPER(exporter_name) NOT LIKE ?
-    AND consignee_name IS NOT NULL AND consignee_name != '' GROUP BY consignee_name, country_of_destination
-    HAVING total_shipments >= 2 ORDER BY total_fob DESC LIMIT 100`, [...hsCodeList, `%${companyName}%`]);
+  const prospectiveClients = await all(`SELECT ${entityNameSql('consignee_name')} as consignee_name, ${countryNameSql()} as country_of_destination, COUNT(DISTINCT declaration_id) as total_shipments,
+    SUM(fob_usd) as total_fob, SUM(fob_inr) as total_fob_inr, GROUP_CONCAT(DISTINCT ${entityNameSql('exporter_name')}) as current_suppliers
+    FROM exports WHERE ${hsCodeSql(hsLevel)} IN (${placeholders}) AND COALESCE(exporter_entity_id, 0) NOT IN (${companyPlaceholders})
+    AND consignee_entity_id IS NOT NULL AND consignee_placeholder = 0 AND ${settledRowsSql()} GROUP BY consignee_entity_id, ${countryKeySql()}
+    HAVING total_shipments >= 2 ORDER BY total_fob DESC LIMIT 100`, [...hsCodeList, ...companyIds]);
 
-  res.json({ companyName, companyProducts, prospectiveClients });
+  res.json({ companyName, hsLevel, companyProducts, prospectiveClients });
 });
 
 app.get('/api/intelligence/cross-sell', async (req, res) => {
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const companyName = company?.company_name || 'AGNA';
+  const { name: companyName, ids: companyIds } = await ownCompany(db);
   
-  const companyClients = await all(`SELECT DISTINCT consignee_name FROM exports WHERE UPPER(exporter_name) LIKE ?
-    AND consignee_name IS NOT NULL AND consignee_name != ''`, [`%${companyName}%`]);
+  const companyClients = await all(`SELECT DISTINCT consignee_entity_id, ${entityNameSql('consignee_name')} as consignee_name FROM exports
+    WHERE exporter_entity_id IN (${companyIds.map(() => '?').join(',')})
+    AND consignee_entity_id IS NOT NULL AND consignee_placeholder = 0 AND ${settledRowsSql()}`, companyIds);
   if (companyClients.length === 0) return res.json({ message: 'No clients found', crossSellOpportunities: [], clientCount: 0 });
 
   const clientNames = companyClients.map(c => c.consignee_name);
@@ -585,7 +1139,8 @@ app.get('/api/intelligence/cross-sell', async (req, res) => {
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', database: dbInitialized ? 'connected' : 'pending' });
+  // singleStepUpload: /api/upload takes the file and imports it at once (no preview or mapping step)
+  res.json({ status: 'ok', database: dbInitialized ? 'connected' : 'pending', singleStepUpload: true });
 });
 
 // Debug endpoint - check environment variables
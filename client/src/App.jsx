@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { Fragment, useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
@@ -6,18 +6,41 @@ import {
 } from 'recharts';
 import {
   Upload, Users, Building2, TrendingUp, Package, Globe, Ship,
-  Plus, Trash2, Search, Filter, ChevronDown, RefreshCw,
+  Plus, Trash2, Search, Filter, ChevronDown, ChevronRight, RefreshCw,
   FileSpreadsheet, Calendar, DollarSign, ArrowUpRight, ArrowDownRight,
   LayoutDashboard, Target, UserCheck, Building, Settings, Menu, X,
   Download, FileDown, Lightbulb, ShoppingCart, UserPlus, FileText,
-  MessageSquare, Send, Bug, Sparkles, HelpCircle, FileSearch, FilePlus2
+  MessageSquare, Send, Bug, Sparkles, HelpCircle, FileSearch, FilePlus2, AlertTriangle, Tags
 } from 'lucide-react';
 
 // API Base URL - always use relative path (works on Vercel)
 const API_BASE = '/api';
-
-// USD to INR conversion rate (can be updated)
-const USD_TO_INR = 83.5;
+const IMPORT_JOB_KEY = 'ede.importJob';
+const UPLOADED_BY_KEY = 'ede.uploadedBy';
+const FINISHED_IMPORT_STATUSES = ['completed', 'failed', 'cancelled'];
+const DATE_FORMATS = { DMY: 'DD/MM/YYYY', MDY: 'MM/DD/YYYY', YMD: 'YYYY/MM/DD' };
+// Relative periods the header's date range offers, as the server's ?period= values
+const DATE_PERIODS = [
+  ['last-30-days', 'Last 30 days'],
+  ['last-90-days', 'Last 90 days'],
+  ['last-6-months', 'Last 6 months'],
+  ['this-month', 'This month'],
+  ['last-month', 'Last month'],
+  ['ytd', 'Year to date'],
+  ['last-year', 'Last year'],
+  ['this-quarter', 'This quarter'],
+  ['last-quarter', 'Last quarter'],
+  ['this-fy', 'This financial year'],
+  ['last-fy', 'Last financial year']
+];
+// Periods trends and comparisons group shipments by (quarters and FYs follow the fiscal calendar)
+const GRANULARITIES = [
+  ['week', 'Week'],
+  ['month', 'Month'],
+  ['quarter', 'Quarter'],
+  ['fy', 'Financial year']
+];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
 
 // Color palette
 const COLORS = {
@@ -59,10 +82,11 @@ const formatCurrency = (value) => {
   return `$${value?.toFixed(2) || 0}`;
 };
 
-// Format currency in INR
-const formatINR = (value) => {
-  if (!value) return '₹0';
-  const inrValue = value * USD_TO_INR;
+// Format an INR amount. The server converts every shipment at its own month's rate
+// (total_fob_inr, fob_inr...); null means a rate is missing.
+const formatINR = (inrValue) => {
+  if (inrValue === null || inrValue === undefined) return '—';
+  if (!inrValue) return '₹0';
   if (inrValue >= 10000000) return `₹${(inrValue / 10000000).toFixed(2)} Cr`;
   if (inrValue >= 100000) return `₹${(inrValue / 100000).toFixed(2)} L`;
   if (inrValue >= 1000) return `₹${(inrValue / 1000).toFixed(1)}K`;
@@ -70,8 +94,8 @@ const formatINR = (value) => {
 };
 
 // Format both currencies
-const formatDualCurrency = (value) => {
-  return `${formatCurrency(value)} / ${formatINR(value)}`;
+const formatDualCurrency = (usdValue, inrValue) => {
+  return `${formatCurrency(usdValue)} / ${formatINR(inrValue)}`;
 };
 
 // Format number
@@ -79,17 +103,164 @@ const formatNumber = (value) => {
   return value?.toLocaleString() || '0';
 };
 
-// Format name - handle "TO ORDER" and similar placeholder values
+// Weight in kg, plus quantities declared in units that aren't a weight (pieces, boxes...),
+// which the server keeps apart as total_count in count_unit. Counts in several units have
+// no total - count_unit then lists them.
+const formatQuantity = (kg, count, countUnit) => {
+  const weight = `${formatNumber(Math.round(kg || 0))} kg`;
+  const units = String(countUnit || '').split(',').filter(Boolean);
+  const pieces = units.length > 1 ? `counts in ${units.join(', ')}`
+    : count ? `${formatNumber(Math.round(count))} ${units[0] || 'units'}` : null;
+  if (!pieces) return weight;
+  return kg ? `${weight} + ${pieces}` : pieces;
+};
+
+// Import progress - by bytes read when known, since row totals are estimates for large files
+const importJobPercent = (job) => {
+  const share = job.total_bytes > 0 ? job.processed_bytes / job.total_bytes
+    : job.total_rows ? job.processed_rows / job.total_rows : 0;
+  return Math.min(100, Math.round(share * 100));
+};
+
+// Consignee placeholders ("TO ORDER", "SAME AS CONSIGNEE"...), matched the way the server
+// flags them: punctuation ignored, `*` for any text. Replaced by the server's patterns on load.
+const placeholderKey = (name) => String(name ?? '').toUpperCase().replace(/[^\p{L}\p{N}*]+/gu, ' ').trim();
+let placeholderRegexes = [];
+const setPlaceholderPatterns = (patterns) => {
+  placeholderRegexes = patterns.map(pattern => new RegExp(`^${placeholderKey(pattern).split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`));
+};
+setPlaceholderPatterns(['TO ORDER*', 'TO THE ORDER*', 'SAME AS CONSIGNEE*', 'NULL', 'NA', 'N A', 'NONE', 'NIL', 'NOT AVAILABLE']);
+
+// Format name - placeholder values show as "Name Not Available"
 const formatName = (name) => {
-  if (!name) return 'Name Not Available';
-  const upperName = name.toUpperCase().trim();
-  const placeholders = ['TO ORDER', 'TO THE ORDER', 'NULL', 'N/A', 'NA', 'NONE', '-', '--', 'NIL', 'NOT AVAILABLE'];
-  if (placeholders.includes(upperName) || upperName.length < 2) {
+  const key = placeholderKey(name).replace(/\*/g, '');
+  if (key.length < 2 || placeholderRegexes.some(regex => regex.test(key))) {
     return 'Name Not Available';
   }
   return name;
 };
 
+// Badges for a comma-separated list of category slugs, each in its category's color
+const CategoryBadges = ({ value, categories }) => (
+  <span className="inline-flex flex-wrap gap-1">
+    {String(value || '').split(',').filter(Boolean).map(slug => {
+      const category = categories.find(c => c.slug === slug);
+      const color = category?.color || COLORS.sky;
+      return (
+        <span key={slug} className="badge" style={{ background: `${color}33`, color, border: `1px solid ${color}4d` }}>
+          {category?.name || slug}
+        </span>
+      );
+    })}
+  </span>
+);
+
+// Currency / month combinations whose rows have no exchange rate and are left out of USD / INR totals
+const MissingRatesNote = ({ missing, onAddRates }) => missing?.length > 0 ? (
+  <div className="p-3 rounded-lg bg-amber-500/10 border border-amber-500/30 text-sm text-amber-300">
+    <p className="font-medium flex items-center gap-2 mb-1">
+      <AlertTriangle className="w-4 h-4" />
+      Rows without a rate are left out of USD / INR totals:
+    </p>
+    <p className="text-xs">
+      {missing.map(m => `${m.currency} ${m.month_year || '(undated)'}: ${formatNumber(m.row_count)} rows`).join(' · ')}
+    </p>
+    {onAddRates && (
+      <button onClick={onAddRates} className="text-xs underline mt-1 hover:text-amber-200">Add exchange rates in Settings</button>
+    )}
+  </div>
+) : null;
+
+// Month-on-month change cell of the competitor and client tables
+const TrendCell = ({ show, trend }) => show ? (
+  <td>
+    {trend !== null ? (
+      <span className={`flex items-center gap-1 ${trend >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+        {trend >= 0 ? <ArrowUpRight className="w-4 h-4" /> : <ArrowDownRight className="w-4 h-4" />}
+        {Math.abs(trend).toFixed(1)}%
+      </span>
+    ) : (
+      <span className="text-slate-500">N/A</span>
+    )}
+  </td>
+) : null;
+
+// Tracked competitor or client groups, each with the names its companies file under
+const TrackedGroups = ({ groups, selectedCount, onAddSelected, onRename, onRemoveMember, onRemoveGroup, emptyText }) => {
+  const [renaming, setRenaming] = useState(null); // { id, name }
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    onRename(renaming.id, renaming.name);
+    setRenaming(null);
+  };
+
+  if (groups.length === 0) {
+    return <p className="text-slate-500">{emptyText}</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {groups.map(group => (
+        <div key={group.id} className="bg-white/5 rounded-lg px-3 py-2">
+          <div className="flex items-center justify-between gap-3">
+            {renaming?.id === group.id ? (
+              <form onSubmit={submitRename} className="flex gap-2 flex-1">
+                <input
+                  type="text"
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  className="flex-1"
+                  autoFocus
+                />
+                <button type="button" onClick={() => setRenaming(null)} className="btn-secondary text-sm">Cancel</button>
+                <button type="submit" className="btn-primary text-sm">Save</button>
+              </form>
+            ) : (
+              <button
+                onClick={() => setRenaming({ id: group.id, name: group.name })}
+                className="text-slate-300 hover:text-white text-left"
+                title="Rename group"
+              >
+                {group.name}
+              </button>
+            )}
+            <div className="flex items-center gap-2 shrink-0">
+              {selectedCount > 0 && (
+                <button onClick={() => onAddSelected(group)} className="btn-secondary text-xs">
+                  <Plus className="w-3 h-3" />
+                  Add selected ({selectedCount})
+                </button>
+              )}
+              <button
+                onClick={() => onRemoveGroup(group.id)}
+                className="text-slate-500 hover:text-rose-400 transition-colors"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          {(group.members.length > 1 || group.members[0]?.name !== group.name) && (
+            <div className="flex flex-wrap gap-2 mt-2">
+              {group.members.map(member => (
+                <span key={member.id} className="badge badge-sky flex items-center gap-1">
+                  {member.name}
+                  {group.members.length > 1 && (
+                    <button onClick={() => onRemoveMember(group, member)} className="hover:text-rose-400" title="Remove from group">
+                      <X className="w-3 h-3" />
+                    </button>
+                  )}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
 // Stat Card Component
 const StatCard = ({ icon: Icon, label, value, subValue, trend, color = 'gold', delay = 0 }) => (
   <div 
@@ -145,9 +316,12 @@ function App() {
   const [competitors, setCompetitors] = useState([]);
   const [clients, setClients] = useState([]);
   const [companyName, setCompanyName] = useState('AGNA ORG AGROVILLA INDIA PRIVATE LIMITED');
+  const [companyInfo, setCompanyInfo] = useState({ names: [], matched_companies: 0 });
+  const [newCompanyName, setNewCompanyName] = useState({ name: '', kind: 'name' });
   const [months, setMonths] = useState([]);
-  const [selectedMonth, setSelectedMonth] = useState('');
   const [compareMonth, setCompareMonth] = useState('');
+  const [datePeriod, setDatePeriod] = useState(''); // '' (all time), a DATE_PERIODS value or 'custom'
+  const [customRange, setCustomRange] = useState({ from: '', to: '' }); // months, for 'custom'
   
   // Analytics states
   const [dashboardData, setDashboardData] = useState(null);
@@ -155,12 +329,67 @@ function App() {
   const [clientAnalytics, setClientAnalytics] = useState({ clients: [], comparison: [] });
   const [companyComparison, setCompanyComparison] = useState({ company_name: '', data: [] });
   const [trends, setTrends] = useState([]);
+  const [trendGranularity, setTrendGranularity] = useState('month');
   
   // Form states
   const [newCompetitor, setNewCompetitor] = useState('');
   const [newClient, setNewClient] = useState('');
-  const [uploadType, setUploadType] = useState('fruits');
+  const [newCompetitorGroup, setNewCompetitorGroup] = useState('');
+  const [newClientGroup, setNewClientGroup] = useState('');
+  const [expandedGroups, setExpandedGroups] = useState([]); // `${table}-${groupId}` of groups showing their companies
+  const [uploadType, setUploadType] = useState('');
   const [uploadStatus, setUploadStatus] = useState(null);
+  const [uploadFile, setUploadFile] = useState(null);
+  const [uploadPreview, setUploadPreview] = useState(null);
+  const [columnMapping, setColumnMapping] = useState({});
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [importJob, setImportJob] = useState(null);
+  // The serverless API imports a file in the upload request itself: no mapping review, queue or rejected-row report
+  const [singleStepUpload, setSingleStepUpload] = useState(false);
+  const [uploadedBy, setUploadedBy] = useState(() => localStorage.getItem(UPLOADED_BY_KEY) || '');
+  
+  // Import history
+  const [importHistory, setImportHistory] = useState([]);
+  const [importDetail, setImportDetail] = useState(null); // { import, rows, total, page }
+  const [loadingImportDetail, setLoadingImportDetail] = useState(false);
+  
+  // Column mapping profiles
+  const [mappingProfiles, setMappingProfiles] = useState([]);
+  const [importFields, setImportFields] = useState([]);
+  const [selectedProfileId, setSelectedProfileId] = useState('');
+  const [categories, setCategories] = useState([]);
+  const [newCategory, setNewCategory] = useState({ name: '', icon: '', color: COLORS.sky });
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [hsRules, setHsRules] = useState([]);
+  const [newHsRule, setNewHsRule] = useState({ hs_prefix: '', category: '', product_family: '' });
+  const [editingHsRule, setEditingHsRule] = useState(null);
+  const [applyingHsRules, setApplyingHsRules] = useState(false);
+  const [fxRates, setFxRates] = useState([]);
+  const [missingFxRates, setMissingFxRates] = useState([]);
+  const [newFxRate, setNewFxRate] = useState({ currency: 'INR', month: '', rate: '' });
+  const [importingFxRates, setImportingFxRates] = useState(false);
+  const [unitConversions, setUnitConversions] = useState([]);
+  const [unknownUnits, setUnknownUnits] = useState([]);
+  const [newUnit, setNewUnit] = useState({ unit: '', kg_per_unit: '', count_unit: '', count_per_unit: '' });
+  const [placeholders, setPlaceholders] = useState({ patterns: [], names: [] });
+  const [products, setProducts] = useState([]);
+  const [productReview, setProductReview] = useState({ descriptions: [], total_descriptions: 0, total_rows: 0 });
+  const [newProduct, setNewProduct] = useState({ name: '', keywords: '', hs_prefix: '' });
+  const [newProductRule, setNewProductRule] = useState({ productId: null, keywords: '', hs_prefix: '' });
+  const [newPlaceholder, setNewPlaceholder] = useState('');
+  const [countries, setCountries] = useState([]);
+  const [unknownCountries, setUnknownCountries] = useState([]);
+  const [countryBreakdown, setCountryBreakdown] = useState('country'); // 'country' | 'region'
+  const [ports, setPorts] = useState([]);
+  const [unknownPorts, setUnknownPorts] = useState([]);
+  const [entitySuggestions, setEntitySuggestions] = useState([]);
+  const [entityQuery, setEntityQuery] = useState('');
+  const [entityResults, setEntityResults] = useState([]);
+  const [editingEntity, setEditingEntity] = useState(null); // { id, name, alias }
+  const [dateFormatOverride, setDateFormatOverride] = useState(''); // '' = profile or detection
+  const [expectedMonth, setExpectedMonth] = useState('');
+  const [newProfile, setNewProfile] = useState({ name: '', vendor: '' });
+  const [editingProfile, setEditingProfile] = useState(null);
   
   // Search suggestions
   const [competitorSuggestions, setCompetitorSuggestions] = useState([]);
@@ -178,6 +407,7 @@ function App() {
   const [prospectiveClients, setProspectiveClients] = useState(null);
   const [crossSellData, setCrossSellData] = useState(null);
   const [loadingIntelligence, setLoadingIntelligence] = useState(false);
+  const [hsLevel, setHsLevel] = useState('8'); // HS digits products are matched on: 2, 4, 6 or 8
   
   // Feedback
   const [showFeedback, setShowFeedback] = useState(false);
@@ -189,8 +419,11 @@ function App() {
   const [customReportData, setCustomReportData] = useState(null);
   const [loadingCustomReport, setLoadingCustomReport] = useState(false);
   
-  // Monthly Comparison
+  // Period Comparison
   const [monthlyComparisonData, setMonthlyComparisonData] = useState(null);
+  const [comparisonGranularity, setComparisonGranularity] = useState('month');
+  const [comparisonPeriods, setComparisonPeriods] = useState([]); // periods with data, latest first
+  const [comparePeriods, setComparePeriods] = useState({ current: '', previous: '' }); // '' previous: a year earlier
   const [loadingMonthlyComparison, setLoadingMonthlyComparison] = useState(false);
   const [comparisonDetailView, setComparisonDetailView] = useState(null);
   
@@ -200,13 +433,58 @@ function App() {
 
   // Fetch initial data
   useEffect(() => {
+    fetchUploadMode();
     fetchCompetitors();
     fetchClients();
     fetchCompany();
     fetchMonths();
+    fetchMappingProfiles();
+    fetchCategories();
+    fetchHsRules();
+    fetchFxRates();
+    fetchUnits();
+    fetchPlaceholders();
+    fetchProducts();
+    fetchCountries();
+    fetchPorts();
+    fetchEntitySuggestions();
+    fetchImportFields();
+    fetchImportHistory();
+    resumeImportJob();
   }, []);
 
-  // Fetch analytics when month changes
+  // Poll the running import until it finishes
+  useEffect(() => {
+    if (!importJob || FINISHED_IMPORT_STATUSES.includes(importJob.status)) return;
+    const timer = setInterval(async () => {
+      try {
+        const res = await axios.get(`${API_BASE}/imports/${importJob.id}`);
+        if (FINISHED_IMPORT_STATUSES.includes(res.data.status)) {
+          finishImportJob({ ...importJob, ...res.data });
+        } else {
+          setImportJob(prev => ({ ...prev, ...res.data }));
+        }
+      } catch (err) {
+        console.error('Error polling import:', err);
+        if (err.response?.status === 404) {
+          localStorage.removeItem(IMPORT_JOB_KEY);
+          setImportJob(null);
+        }
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [importJob?.id, importJob?.status]);
+
+  // Date range the analytics and exports report on: { period } or { from, to }, none for all time
+  const dateRangeParams = datePeriod === 'custom'
+    ? { from: customRange.from, to: customRange.to }
+    : datePeriod ? { period: datePeriod } : {};
+  const dateRangeQuery = new URLSearchParams(dateRangeParams).toString();
+  const dateRangeLabel = datePeriod === 'custom'
+    ? [customRange.from || 'start', customRange.to || 'latest'].join(' to ')
+    : DATE_PERIODS.find(([value]) => value === datePeriod)?.[1] || '';
+
+  // Fetch analytics when the date range changes
   useEffect(() => {
     if (months.length > 0) {
       fetchDashboard();
@@ -215,7 +493,19 @@ function App() {
       fetchCompanyComparison();
       fetchTrends();
     }
-  }, [selectedMonth, compareMonth, months]);
+  }, [dateRangeQuery, compareMonth, months]);
+
+  useEffect(() => {
+    if (months.length > 0) fetchDashboard();
+  }, [countryBreakdown]);
+
+  useEffect(() => {
+    if (months.length > 0) fetchTrends();
+  }, [trendGranularity]);
+
+  useEffect(() => {
+    if (months.length > 0) fetchComparisonPeriods();
+  }, [comparisonGranularity, months]);
 
   const fetchCompetitors = async () => {
     try {
@@ -239,20 +529,100 @@ function App() {
     try {
       const res = await axios.get(`${API_BASE}/company`);
       setCompanyName(res.data?.company_name || 'AGNA');
+      setCompanyInfo(res.data || { names: [], matched_companies: 0 });
     } catch (err) {
       console.error('Error fetching company:', err);
     }
   };
 
+  const fetchUploadMode = async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/health`);
+      setSingleStepUpload(res.data?.singleStepUpload === true);
+    } catch (err) {
+      console.error('Error fetching upload mode:', err);
+    }
+  };
+
+  const fetchMappingProfiles = async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/mapping-profiles`);
+      setMappingProfiles(res.data);
+    } catch (err) {
+      console.error('Error fetching mapping profiles:', err);
+    }
+  };
+
+  const fetchCategories = async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/categories`);
+      setCategories(res.data);
+      // Keep the upload category valid if it was deleted (or on first load)
+      setUploadType(prev => res.data.some(c => c.slug === prev) ? prev : res.data[0]?.slug || '');
+    } catch (err) {
+      console.error('Error fetching categories:', err);
+    }
+  };
+
+  const fetchHsRules = async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/hs-rules`);
+      setHsRules(res.data);
+    } catch (err) {
+      console.error('Error fetching HS rules:', err);
+    }
+  };
+
+  const fetchFxRates = async () => {
+    try {
+      const [rates, missing] = await Promise.all([
+        axios.get(`${API_BASE}/fx-rates`),
+        axios.get(`${API_BASE}/fx-rates/missing`)
+      ]);
+      setFxRates(rates.data);
+      setMissingFxRates(missing.data);
+    } catch (err) {
+      console.error('Error fetching FX rates:', err);
+    }
+  };
+
+  const fetchUnits = async () => {
+    try {
+      const [conversions, unknown] = await Promise.all([
+        axios.get(`${API_BASE}/units`),
+        axios.get(`${API_BASE}/units/unknown`)
+      ]);
+      setUnitConversions(conversions.data);
+      setUnknownUnits(unknown.data);
+    } catch (err) {
+      console.error('Error fetching units:', err);
+    }
+  };
+
+  const fetchImportFields = async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/upload/fields`);
+      setImportFields(res.data);
+    } catch (err) {
+      console.error('Error fetching import fields:', err);
+    }
+  };
+
+  const fetchImportHistory = async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/imports`);
+      setImportHistory(res.data);
+    } catch (err) {
+      console.error('Error fetching import history:', err);
+    }
+  };
+
   const fetchMonths = async () => {
     try {
       const res = await axios.get(`${API_BASE}/analytics/months`);
       setMonths(res.data);
-      if (res.data.length > 0) {
-        setSelectedMonth(res.data[0]);
-        if (res.data.length > 1) {
-          setCompareMonth(res.data[1]);
-        }
+      if (res.data.length > 1) {
+        setCompareMonth(res.data[1]);
       }
     } catch (err) {
       console.error('Error fetching months:', err);
@@ -262,7 +632,7 @@ function App() {
   const fetchDashboard = async () => {
     try {
       const res = await axios.get(`${API_BASE}/analytics/dashboard`, {
-        params: { month: selectedMonth }
+        params: { ...dateRangeParams, by: countryBreakdown }
       });
       setDashboardData(res.data);
     } catch (err) {
@@ -273,7 +643,7 @@ function App() {
   const fetchCompetitorAnalytics = async () => {
     try {
       const res = await axios.get(`${API_BASE}/analytics/competitors`, {
-        params: { month: selectedMonth, compareMonth }
+        params: { ...dateRangeParams, compareMonth }
       });
       setCompetitorAnalytics(res.data);
     } catch (err) {
@@ -284,7 +654,7 @@ function App() {
   const fetchClientAnalytics = async () => {
     try {
       const res = await axios.get(`${API_BASE}/analytics/clients`, {
-        params: { month: selectedMonth, compareMonth }
+        params: { ...dateRangeParams, compareMonth }
       });
       setClientAnalytics(res.data);
     } catch (err) {
@@ -295,7 +665,7 @@ function App() {
   const fetchCompanyComparison = async () => {
     try {
       const res = await axios.get(`${API_BASE}/analytics/company-comparison`, {
-        params: { month: selectedMonth }
+        params: dateRangeParams
       });
       setCompanyComparison(res.data);
     } catch (err) {
@@ -305,13 +675,19 @@ function App() {
 
   const fetchTrends = async () => {
     try {
-      const res = await axios.get(`${API_BASE}/analytics/trends`);
+      const res = await axios.get(`${API_BASE}/analytics/trends`, {
+        params: { ...dateRangeParams, granularity: trendGranularity }
+      });
       setTrends(res.data);
     } catch (err) {
       console.error('Error fetching trends:', err);
     }
   };
 
+  const exportTrendsToExcel = () => {
+    window.open(`${API_BASE}/export/trends?granularity=${trendGranularity}&${dateRangeQuery}`, '_blank');
+  };
+
   // Search competitors in data
   const searchCompetitors = async (query) => {
     if (query.length < 2) {
@@ -361,6 +737,11 @@ function App() {
     return () => clearTimeout(timer);
   }, [newClient]);
 
+  useEffect(() => {
+    const timer = setTimeout(() => searchEntities(entityQuery), 300);
+    return () => clearTimeout(timer);
+  }, [entityQuery]);
+
   const toggleCompetitorSelection = (name) => {
     setSelectedCompetitors(prev => 
       prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]
@@ -379,9 +760,10 @@ function App() {
     if (namesToAdd.length === 0) return;
     
     try {
-      const res = await axios.post(`${API_BASE}/competitors`, { names: namesToAdd });
+      const res = await axios.post(`${API_BASE}/competitors`, { names: namesToAdd, group: newCompetitorGroup });
       if (res.data.added.length > 0) {
         setNewCompetitor('');
+        setNewCompetitorGroup('');
         setSelectedCompetitors([]);
         setCompetitorSuggestions([]);
         fetchCompetitors();
@@ -414,9 +796,10 @@ function App() {
     if (namesToAdd.length === 0) return;
     
     try {
-      const res = await axios.post(`${API_BASE}/clients`, { names: namesToAdd });
+      const res = await axios.post(`${API_BASE}/clients`, { names: namesToAdd, group: newClientGroup });
       if (res.data.added.length > 0) {
         setNewClient('');
+        setNewClientGroup('');
         setSelectedClients([]);
         setClientSuggestions([]);
         fetchClients();
@@ -441,9 +824,82 @@ function App() {
     }
   };
 
+  // Competitor and client groups: `table` is 'competitors' or 'clients'
+  const refreshGroups = (table) => {
+    if (table === 'competitors') {
+      fetchCompetitors();
+      fetchCompetitorAnalytics();
+      fetchCompanyComparison();
+    } else {
+      fetchClients();
+      fetchClientAnalytics();
+    }
+  };
+
+  const handleAddToGroup = async (table, group) => {
+    const names = table === 'competitors' ? selectedCompetitors : selectedClients;
+    try {
+      const res = await axios.post(`${API_BASE}/${table}/${group.id}/members`, { names });
+      if (table === 'competitors') {
+        setSelectedCompetitors([]);
+      } else {
+        setSelectedClients([]);
+      }
+      refreshGroups(table);
+      if (res.data.errors.length > 0) {
+        alert(`Some names couldn't be added: ${res.data.errors.map(e => `${e.name} (${e.error})`).join(', ')}`);
+      }
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error adding to group');
+    }
+  };
+
+  const handleRenameGroup = async (table, id, name) => {
+    try {
+      await axios.put(`${API_BASE}/${table}/${id}`, { name });
+      refreshGroups(table);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error renaming group');
+    }
+  };
+
+  const handleRemoveGroupMember = async (table, group, member) => {
+    if (!confirm(`Remove ${member.name} from ${group.name}?`)) return;
+    try {
+      await axios.delete(`${API_BASE}/${table}/${group.id}/members/${member.id}`);
+      refreshGroups(table);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error removing from group');
+    }
+  };
+
+  const toggleGroup = (key) => {
+    setExpandedGroups(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+
+  // Quarters and financial years are counted from this month
+  const handleUpdateFiscalYearStart = async (startMonth) => {
+    try {
+      await axios.put(`${API_BASE}/fiscal-calendar`, { start_month: startMonth });
+      setCompanyInfo({ ...companyInfo, fiscal_year_start: startMonth });
+      fetchTrends();
+      fetchComparisonPeriods();
+      // A fiscal date range now covers other dates
+      if (/quarter|fy/.test(datePeriod)) {
+        fetchDashboard();
+        fetchCompetitorAnalytics();
+        fetchClientAnalytics();
+        fetchCompanyComparison();
+      }
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error updating financial year');
+    }
+  };
+
   const handleUpdateCompany = async () => {
     try {
       await axios.put(`${API_BASE}/company`, { company_name: companyName });
+      fetchCompany();
       fetchCompanyComparison();
       alert('Company name updated!');
     } catch (err) {
@@ -451,306 +907,1028 @@ function App() {
     }
   };
 
-  const handleFileUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  // Other registered names and sister firms count as your company everywhere
+  const handleAddCompanyName = async (e) => {
+    e.preventDefault();
+    if (!newCompanyName.name.trim()) return;
+    try {
+      await axios.post(`${API_BASE}/company/names`, newCompanyName);
+      setNewCompanyName({ ...newCompanyName, name: '' });
+      fetchCompany();
+      fetchCompanyComparison();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error adding company name');
+    }
+  };
 
-    setLoading(true);
-    setUploadStatus(null);
+  const handleDeleteCompanyName = async (entry) => {
+    if (!confirm(`Stop counting ${entry.name} as your company?`)) return;
+    try {
+      await axios.delete(`${API_BASE}/company/names/${entry.id}`);
+      fetchCompany();
+      fetchCompanyComparison();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error removing company name');
+    }
+  };
 
+  // Upload step 1: dry-run the file and show the detected column mapping
+  // Sheets ticked in the current preview (the server defaults to every sheet with rows)
+  const selectedSheetNames = () => uploadPreview ? uploadPreview.sheets.filter(s => s.selected).map(s => s.name) : null;
+
+  // A new file is uploaded once; later previews of it (file = null) refer to it by uploadId
+  const fetchUploadPreview = async (file, mapping, profileId = selectedProfileId, sheets = selectedSheetNames(), dateFormat = dateFormatOverride) => {
+    setPreviewLoading(true);
     const formData = new FormData();
-    formData.append('file', file);
+    if (file) {
+      formData.append('file', file);
+    } else {
+      formData.append('uploadId', uploadPreview.uploadId);
+    }
     formData.append('dataType', uploadType);
+    if (profileId) formData.append('profileId', profileId);
+    if (mapping) formData.append('mapping', JSON.stringify(mapping));
+    if (sheets) formData.append('sheets', JSON.stringify(sheets));
+    if (dateFormat) formData.append('dateFormat', dateFormat);
 
     try {
-      const res = await axios.post(`${API_BASE}/upload`, formData, {
+      const res = await axios.post(`${API_BASE}/upload/preview`, formData, {
         headers: { 'Content-Type': 'multipart/form-data' }
       });
-      setUploadStatus({
-        success: res.data.inserted > 0,
-        message: res.data.inserted > 0 
-          ? `Successfully imported ${res.data.inserted} records (${res.data.skipped} skipped)`
-          : `No records imported. ${res.data.skipped} rows processed but couldn't match required columns.`,
-        columnsFound: res.data.columnsFound
-      });
-      fetchMonths();
-      fetchDashboard();
-      fetchCompetitorAnalytics();
-      fetchClientAnalytics();
-      fetchCompanyComparison();
-      fetchTrends();
+      setUploadPreview(res.data);
+      setColumnMapping(res.data.mapping);
     } catch (err) {
+      setUploadPreview(null);
       setUploadStatus({
         success: false,
-        message: err.response?.data?.error || 'Upload failed'
+        message: err.response?.data?.error || 'Could not read file'
       });
     } finally {
-      setLoading(false);
-      e.target.value = '';
+      setPreviewLoading(false);
     }
   };
 
-  const refreshData = () => {
-    setLoading(true);
-    Promise.all([
-      fetchDashboard(),
-      fetchCompetitorAnalytics(),
-      fetchClientAnalytics(),
-      fetchCompanyComparison(),
-      fetchTrends()
-    ]).finally(() => setLoading(false));
+  const handleFileSelect = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setUploadStatus(null);
+    if (singleStepUpload) {
+      uploadFileDirectly(file);
+      return;
+    }
+    setUploadFile(file);
+    setDateFormatOverride('');
+    setExpectedMonth('');
+    discardUploadPreview();
+    fetchUploadPreview(file, null, selectedProfileId, null, '');
   };
 
-  // Export functions
-  const handleExport = (type) => {
-    const month = selectedMonth || '';
-    const url = `${API_BASE}/export/${type}?month=${month}`;
-    window.open(url, '_blank');
+  const handleDateFormatSelect = (format) => {
+    setDateFormatOverride(format);
+    fetchUploadPreview(null, columnMapping, selectedProfileId, selectedSheetNames(), format);
   };
 
-  // Fetch detailed entity analysis
-  const fetchEntityDetails = async (entity, type) => {
-    setLoadingDetails(true);
+  const handleSheetToggle = (name) => {
+    const current = selectedSheetNames();
+    const next = current.includes(name) ? current.filter(n => n !== name) : [...current, name];
+    if (next.length === 0) return;
+    // Column sets can differ between sheets, so let the mapping be worked out again
+    fetchUploadPreview(null, null, selectedProfileId, next);
+  };
+
+  const handleMappingChange = (field, column) => {
+    const next = { ...columnMapping };
+    if (column) {
+      next[field] = column;
+    } else {
+      delete next[field];
+    }
+    setColumnMapping(next);
+    fetchUploadPreview(null, next);
+  };
+
+  const handleProfileSelect = (profileId) => {
+    setSelectedProfileId(profileId);
+    if (uploadPreview) fetchUploadPreview(null, null, profileId);
+  };
+
+  // Save the mapping under review as a new profile, or overwrite the profile it came from.
+  // The date format is saved too, unless it was only assumed because the dates were ambiguous.
+  const handleSaveProfile = async (profileId) => {
+    const dateFormat = uploadPreview.dateFormat.source === 'default' ? null : uploadPreview.dateFormat.format;
     try {
-      const res = await axios.get(`${API_BASE}/analytics/entity-details`, {
-        params: { entity, type, month: selectedMonth }
-      });
-      setDetailView({ entity, type, data: res.data });
+      if (profileId) {
+        await axios.put(`${API_BASE}/mapping-profiles/${profileId}`, {
+          mapping: columnMapping,
+          columns: uploadPreview.columns,
+          date_format: dateFormat
+        });
+      } else {
+        if (!newProfile.name.trim()) return;
+        const res = await axios.post(`${API_BASE}/mapping-profiles`, {
+          ...newProfile,
+          mapping: columnMapping,
+          columns: uploadPreview.columns,
+          date_format: dateFormat
+        });
+        setSelectedProfileId(String(res.data.id));
+        setNewProfile({ name: '', vendor: '' });
+      }
+      fetchMappingProfiles();
+      alert('Mapping profile saved!');
     } catch (err) {
-      console.error('Error fetching details:', err);
-      alert('Error loading details');
-    } finally {
-      setLoadingDetails(false);
+      alert(err.response?.data?.error || 'Error saving mapping profile');
     }
   };
 
-  const closeDetailView = () => setDetailView(null);
+  const handleUpdateProfile = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.put(`${API_BASE}/mapping-profiles/${editingProfile.id}`, editingProfile);
+      setEditingProfile(null);
+      fetchMappingProfiles();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error updating mapping profile');
+    }
+  };
 
-  // Submit feedback
-  const submitFeedback = async (e) => {
+  const handleDeleteProfile = async (id) => {
+    if (!confirm('Delete this mapping profile?')) return;
+    try {
+      await axios.delete(`${API_BASE}/mapping-profiles/${id}`);
+      if (selectedProfileId === String(id)) setSelectedProfileId('');
+      fetchMappingProfiles();
+    } catch (err) {
+      alert('Error deleting mapping profile');
+    }
+  };
+  const handleAddCategory = async (e) => {
     e.preventDefault();
-    if (!feedbackData.message.trim()) return;
-    
-    setFeedbackSubmitting(true);
+    if (!newCategory.name.trim()) return;
     try {
-      await axios.post(`${API_BASE}/feedback`, {
-        ...feedbackData,
-        page: activeTab
-      });
-      alert('Thank you for your feedback!');
-      setFeedbackData({ user_name: '', feedback_type: 'suggestion', message: '' });
-      setShowFeedback(false);
+      await axios.post(`${API_BASE}/categories`, newCategory);
+      setNewCategory({ name: '', icon: '', color: COLORS.sky });
+      fetchCategories();
     } catch (err) {
-      alert('Error submitting feedback. Please try again.');
-    } finally {
-      setFeedbackSubmitting(false);
+      alert(err.response?.data?.error || 'Error adding category');
     }
   };
 
-  // Fetch intelligence data
-  const fetchProspectiveClients = async () => {
-    setLoadingIntelligence(true);
+  const handleUpdateCategory = async (e) => {
+    e.preventDefault();
     try {
-      const res = await axios.get(`${API_BASE}/intelligence/prospective-clients`);
-      setProspectiveClients(res.data);
+      await axios.put(`${API_BASE}/categories/${editingCategory.slug}`, editingCategory);
+      setEditingCategory(null);
+      fetchCategories();
+      fetchDashboard();
     } catch (err) {
-      console.error('Error fetching prospective clients:', err);
-    } finally {
-      setLoadingIntelligence(false);
+      alert(err.response?.data?.error || 'Error updating category');
     }
   };
 
-  const fetchCrossSellData = async () => {
-    setLoadingIntelligence(true);
+  const handleDeleteCategory = async (category) => {
+    if (!confirm(`Delete the category "${category.name}"?`)) return;
     try {
-      const res = await axios.get(`${API_BASE}/intelligence/cross-sell`);
-      setCrossSellData(res.data);
+      await axios.delete(`${API_BASE}/categories/${category.slug}`);
+      fetchCategories();
     } catch (err) {
-      console.error('Error fetching cross-sell data:', err);
-    } finally {
-      setLoadingIntelligence(false);
+      alert(err.response?.data?.error || 'Error deleting category');
     }
   };
 
-  // Export entity details to Excel
-  const exportEntityToExcel = () => {
-    if (!detailView?.data) return;
-    const { entity, type } = detailView;
-    const month = selectedMonth || '';
-    const url = `${API_BASE}/export/entity-details?entity=${encodeURIComponent(entity)}&type=${type}&month=${month}`;
-    window.open(url, '_blank');
+  const handleAddHsRule = async (e) => {
+    e.preventDefault();
+    if (!newHsRule.hs_prefix.trim()) return;
+    try {
+      await axios.post(`${API_BASE}/hs-rules`, newHsRule);
+      setNewHsRule({ hs_prefix: '', category: '', product_family: '' });
+      fetchHsRules();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error adding HS rule');
+    }
   };
 
-  // Generate PDF from detail view (text format)
-  const generatePDF = () => {
-    if (!detailView?.data) return;
-    
-    const { entity, type, data } = detailView;
-    const content = `
-EXPORT DATA EXPLORER - ${type === 'exporter' ? 'COMPETITOR' : 'CLIENT'} ANALYSIS REPORT
-${'='.repeat(70)}
+  const handleUpdateHsRule = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.put(`${API_BASE}/hs-rules/${editingHsRule.id}`, editingHsRule);
+      setEditingHsRule(null);
+      fetchHsRules();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error updating HS rule');
+    }
+  };
 
-Entity: ${entity}
-Type: ${type === 'exporter' ? 'Competitor (Exporter)' : 'Client (Consignee)'}
-Report Date: ${new Date().toLocaleDateString()}
-${selectedMonth ? `Period: ${selectedMonth}` : 'Period: All Time'}
+  const handleDeleteHsRule = async (rule) => {
+    if (!confirm(`Delete the rule for HS ${rule.hs_prefix}?`)) return;
+    try {
+      await axios.delete(`${API_BASE}/hs-rules/${rule.id}`);
+      fetchHsRules();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error deleting HS rule');
+    }
+  };
 
-SUMMARY
-${'-'.repeat(40)}
-Total Shipments: ${data.summary?.total_shipments || 0}
-Total FOB Value: $${(data.summary?.total_fob || 0).toLocaleString()} (₹${((data.summary?.total_fob || 0) * USD_TO_INR).toLocaleString()})
-Total Quantity: ${Math.round(data.summary?.total_quantity || 0).toLocaleString()} KG
-Unique Products: ${data.summary?.unique_products || 0}
-Unique Countries: ${data.summary?.unique_countries || 0}
-First Shipment: ${data.summary?.first_shipment || 'N/A'}
-Last Shipment: ${data.summary?.last_shipment || 'N/A'}
+  // Re-classify rows that are already stored with the current rules
+  const handleApplyHsRules = async () => {
+    if (!confirm('Re-classify all stored rows with the current HS rules? Categories of existing rows may change.')) return;
+    setApplyingHsRules(true);
+    try {
+      const res = await axios.post(`${API_BASE}/hs-rules/apply`);
+      alert(`Checked ${formatNumber(res.data.scanned)} rows: ${formatNumber(res.data.updated)} updated, ${formatNumber(res.data.conflicts)} differ from their upload's category.`);
+      fetchCategories();
+      fetchImportHistory();
+      fetchDashboard();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error applying HS rules');
+    } finally {
+      setApplyingHsRules(false);
+    }
+  };
 
-TOP PRODUCTS
-${'-'.repeat(40)}
-${data.products?.slice(0, 20).map((p, i) => 
-  `${i+1}. ${p.product_description}
-     HS Code: ${p.hs_code} | Qty: ${Math.round(p.total_quantity)} ${p.unit} | FOB: $${p.total_fob.toLocaleString()}`
-).join('\n') || 'No products'}
+  // Rates change the USD and INR value of stored rows, so every view is reloaded after them
+  const refreshAfterFxChange = () => {
+    fetchFxRates();
+    fetchDashboard();
+    fetchCompetitorAnalytics();
+    fetchClientAnalytics();
+    fetchCompanyComparison();
+    fetchTrends();
+  };
 
-DESTINATION COUNTRIES
-${'-'.repeat(40)}
-${data.countries?.slice(0, 15).map((c, i) => 
-  `${i+1}. ${c.country_of_destination}: ${c.shipment_count} shipments, $${c.total_fob.toLocaleString()}`
-).join('\n') || 'No country data'}
+  const handleSaveFxRate = async (e) => {
+    e.preventDefault();
+    const { currency, month, rate } = newFxRate;
+    if (!currency.trim() || !month || !rate) return;
+    try {
+      await axios.put(`${API_BASE}/fx-rates/${encodeURIComponent(currency.trim())}/${month}`, { rate });
+      setNewFxRate({ ...newFxRate, month: '', rate: '' });
+      refreshAfterFxChange();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error saving FX rate');
+    }
+  };
 
-${type === 'exporter' ? 'TOP CLIENTS' : 'TOP SUPPLIERS'}
-${'-'.repeat(40)}
-${(type === 'exporter' ? data.clients : data.suppliers)?.slice(0, 15).map((item, i) => 
-  `${i+1}. ${type === 'exporter' ? item.consignee_name : item.exporter_name}: $${item.total_fob.toLocaleString()}`
-).join('\n') || 'No data'}
+  const handleDeleteFxRate = async (rate) => {
+    if (!confirm(`Delete the ${rate.currency} rate for ${rate.month}?`)) return;
+    try {
+      await axios.delete(`${API_BASE}/fx-rates/${rate.currency}/${rate.month}`);
+      refreshAfterFxChange();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error deleting FX rate');
+    }
+  };
 
-RECENT SHIPMENTS
-${'-'.repeat(40)}
-${data.recentShipments?.slice(0, 20).map((s, i) => 
-  `${s.shipment_date || 'N/A'} | ${s.declaration_id} | ${s.product_description?.substring(0, 40)} | $${s.fob_value?.toLocaleString() || 0}`
-).join('\n') || 'No shipments'}
+  const handleImportFxRates = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
 
-${'='.repeat(70)}
-Generated by Export Data Explorer
-    `.trim();
+    setImportingFxRates(true);
+    const formData = new FormData();
+    formData.append('file', file);
+    try {
+      const res = await axios.post(`${API_BASE}/fx-rates/import`, formData);
+      const skipped = res.data.errors.length > 0
+        ? `\n\n${res.data.errors.length} rows skipped:\n${res.data.errors.slice(0, 10).map(r => `Row ${r.row}: ${r.error}`).join('\n')}`
+        : '';
+      alert(`Imported ${res.data.imported} rates for ${res.data.currencies.join(', ')}.${skipped}`);
+      refreshAfterFxChange();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error importing FX rates');
+    } finally {
+      setImportingFxRates(false);
+    }
+  };
 
-    // Create and download PDF-like text file
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${entity.replace(/[^a-zA-Z0-9]/g, '_')}_report_${new Date().toISOString().split('T')[0]}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  // kg_per_unit '' saves a count unit (pieces, boxes...) that isn't converted to kg; it is
+  // counted in count_unit (default: itself), count_per_unit (default 1) at a time
+  const handleSaveUnit = async ({ unit, kg_per_unit, count_unit, count_per_unit }) => {
+    if (!unit.trim()) return;
+    try {
+      await axios.put(`${API_BASE}/units/${encodeURIComponent(unit.trim())}`, { kg_per_unit, count_unit, count_per_unit });
+      setNewUnit({ unit: '', kg_per_unit: '', count_unit: '', count_per_unit: '' });
+      fetchUnits();
+      fetchDashboard();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error saving unit');
+    }
   };
-  
-  // Fetch custom report data
-  const fetchCustomReport = async () => {
-    const { countries, exporters, consignees } = customReportFilters;
-    if (!countries.trim() && !exporters.trim() && !consignees.trim()) {
-      alert('Please enter at least one country, exporter, or consignee name');
-      return;
+
+  const handleDeleteUnit = async (unit) => {
+    if (!confirm(`Delete the conversion for ${unit.unit}? Its quantities will be neither weighed nor counted.`)) return;
+    try {
+      await axios.delete(`${API_BASE}/units/${encodeURIComponent(unit.unit)}`);
+      fetchUnits();
+      fetchDashboard();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error deleting unit');
     }
-    
-    setLoadingCustomReport(true);
+  };
+
+  const fetchPlaceholders = async () => {
     try {
-      const params = new URLSearchParams();
-      if (countries.trim()) params.append('countries', countries);
-      if (exporters.trim()) params.append('exporters', exporters);
-      if (consignees.trim()) params.append('consignees', consignees);
-      if (selectedMonth) params.append('month', selectedMonth);
-      
-      const res = await axios.get(`${API_BASE}/custom-report?${params.toString()}`);
-      setCustomReportData(res.data);
+      const res = await axios.get(`${API_BASE}/placeholders`);
+      setPlaceholderPatterns(res.data.patterns);
+      setPlaceholders(res.data);
     } catch (err) {
-      console.error('Error fetching custom report:', err);
-      alert(err.response?.data?.error || 'Error generating report');
-    } finally {
-      setLoadingCustomReport(false);
+      console.error('Error fetching placeholder names:', err);
     }
   };
-  
-  // Export custom report to Excel
-  const exportCustomReportToExcel = () => {
-    const { countries, exporters, consignees } = customReportFilters;
-    const params = new URLSearchParams();
-    if (countries.trim()) params.append('countries', countries);
-    if (exporters.trim()) params.append('exporters', exporters);
-    if (consignees.trim()) params.append('consignees', consignees);
-    if (selectedMonth) params.append('month', selectedMonth);
-    
-    const url = `${API_BASE}/export/custom-report?${params.toString()}`;
-    window.open(url, '_blank');
+
+  // Rows are re-flagged on the server, so client counts and rankings change with the patterns
+  const handleAddPlaceholder = async (e) => {
+    e.preventDefault();
+    if (!newPlaceholder.trim()) return;
+    try {
+      await axios.post(`${API_BASE}/placeholders`, { pattern: newPlaceholder });
+      setNewPlaceholder('');
+      fetchPlaceholders();
+      fetchDashboard();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error adding placeholder pattern');
+    }
   };
-  
-  // Export prospective clients to Excel
-  const exportProspectiveClientsToExcel = () => {
-    window.open(`${API_BASE}/export/prospective-clients`, '_blank');
+
+  const handleDeletePlaceholder = async (pattern) => {
+    try {
+      await axios.delete(`${API_BASE}/placeholders/${encodeURIComponent(pattern)}`);
+      fetchPlaceholders();
+      fetchDashboard();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error deleting placeholder pattern');
+    }
   };
-  
-  // Export cross-sell to Excel
-  const exportCrossSellToExcel = () => {
-    window.open(`${API_BASE}/export/cross-sell`, '_blank');
+
+  // Product catalogue: keyword rules map descriptions to canonical products; the rest wait for review
+  const fetchProducts = async () => {
+    try {
+      const [catalogue, review] = await Promise.all([
+        axios.get(`${API_BASE}/products`),
+        axios.get(`${API_BASE}/products/review`)
+      ]);
+      setProducts(catalogue.data);
+      setProductReview(review.data);
+    } catch (err) {
+      console.error('Error fetching products:', err);
+    }
   };
-  
-  // Fetch monthly comparison data
-  const fetchMonthlyComparison = async () => {
-    if (!selectedMonth || !compareMonth) {
-      alert('Please select both current and comparison months');
+
+  const handleAddProduct = async (e) => {
+    e.preventDefault();
+    if (!newProduct.name.trim()) return;
+    try {
+      await axios.post(`${API_BASE}/products`, newProduct);
+      setNewProduct({ name: '', keywords: '', hs_prefix: '' });
+      fetchProducts();
+      fetchDashboard();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error adding product');
+    }
+  };
+
+  const handleDeleteProduct = async (product) => {
+    if (!confirm(`Delete ${product.name}? Its ${formatNumber(product.row_count)} rows go back to review unless another product matches them.`)) return;
+    try {
+      await axios.delete(`${API_BASE}/products/${product.id}`);
+      fetchProducts();
+      fetchDashboard();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error deleting product');
+    }
+  };
+
+  const handleAddProductRule = async (productId, rule) => {
+    if (!productId || !rule.keywords.trim()) return;
+    try {
+      await axios.post(`${API_BASE}/products/${productId}/rules`, rule);
+      setNewProductRule({ productId: null, keywords: '', hs_prefix: '' });
+      fetchProducts();
+      fetchDashboard();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error adding keyword rule');
+    }
+  };
+
+  const handleDeleteProductRule = async (product, rule) => {
+    try {
+      await axios.delete(`${API_BASE}/products/${product.id}/rules/${rule.id}`);
+      fetchProducts();
+      fetchDashboard();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error deleting keyword rule');
+    }
+  };
+
+  // Countries: every spelling of a destination resolves to an ISO country; regions group countries
+  const fetchCountries = async () => {
+    try {
+      const [list, unknown] = await Promise.all([
+        axios.get(`${API_BASE}/countries`),
+        axios.get(`${API_BASE}/countries/unknown`)
+      ]);
+      setCountries(list.data);
+      setUnknownCountries(unknown.data);
+    } catch (err) {
+      console.error('Error fetching countries:', err);
+    }
+  };
+
+  const handleAddCountryAlias = async (code, alias) => {
+    if (!code || !alias) return;
+    try {
+      await axios.post(`${API_BASE}/countries/${code}/aliases`, { alias });
+      fetchCountries();
+      fetchDashboard();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error adding country alias');
+    }
+  };
+
+  const handleDeleteCountryAlias = async (country, alias) => {
+    if (!confirm(`Stop reading ${alias} as ${country.name}?`)) return;
+    try {
+      await axios.delete(`${API_BASE}/countries/${country.code}/aliases/${encodeURIComponent(alias)}`);
+      fetchCountries();
+      fetchDashboard();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error deleting country alias');
+    }
+  };
+
+  // Ports: ICEGATE codes and spellings of a port resolve to one port with its state and mode
+  const fetchPorts = async () => {
+    try {
+      const [list, unknown] = await Promise.all([
+        axios.get(`${API_BASE}/ports`),
+        axios.get(`${API_BASE}/ports/unknown`)
+      ]);
+      setPorts(list.data);
+      setUnknownPorts(unknown.data);
+    } catch (err) {
+      console.error('Error fetching ports:', err);
+    }
+  };
+
+  const handleAddPortAlias = async (code, alias) => {
+    if (!code || !alias) return;
+    try {
+      await axios.post(`${API_BASE}/ports/${code}/aliases`, { alias });
+      fetchPorts();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error adding port alias');
+    }
+  };
+
+  const handleDeletePortAlias = async (port, alias) => {
+    if (!confirm(`Stop reading ${alias} as ${port.name}?`)) return;
+    try {
+      await axios.delete(`${API_BASE}/ports/${port.code}/aliases/${encodeURIComponent(alias)}`);
+      fetchPorts();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error deleting port alias');
+    }
+  };
+
+  // Companies: every spelling of a company resolves to one entity, and analytics group by it
+  const fetchEntitySuggestions = async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/entities/suggestions`);
+      setEntitySuggestions(res.data);
+    } catch (err) {
+      console.error('Error fetching merge suggestions:', err);
+    }
+  };
+
+  const searchEntities = async (query) => {
+    if (query.trim().length < 2) {
+      setEntityResults([]);
       return;
     }
-    setLoadingMonthlyComparison(true);
     try {
-      const res = await axios.get(`${API_BASE}/monthly-comparison`, {
-        params: { currentMonth: selectedMonth, previousMonth: compareMonth }
-      });
-      setMonthlyComparisonData(res.data);
+      const res = await axios.get(`${API_BASE}/entities`, { params: { q: query } });
+      setEntityResults(res.data);
     } catch (err) {
-      console.error('Error fetching monthly comparison:', err);
-      alert('Error loading comparison data');
-    } finally {
-      setLoadingMonthlyComparison(false);
+      console.error('Error searching companies:', err);
     }
   };
-  
-  // Export monthly comparison to Excel
-  const exportMonthlyComparisonToExcel = () => {
-    if (!selectedMonth || !compareMonth) return;
-    window.open(`${API_BASE}/export/monthly-comparison?currentMonth=${selectedMonth}&previousMonth=${compareMonth}`, '_blank');
+
+  const refreshAfterEntityChange = () => {
+    fetchEntitySuggestions();
+    searchEntities(entityQuery);
+    fetchDashboard();
+    fetchCompetitorAnalytics();
+    fetchClientAnalytics();
+    fetchCompanyComparison();
   };
-  
-  // Fetch benchmarking data
-  const fetchBenchmarkData = async () => {
-    setLoadingBenchmark(true);
+
+  const handleMergeEntities = async (source, target) => {
+    if (!confirm(`Merge ${source.name} into ${target.name}? Its ${formatNumber(source.exporter_rows + source.consignee_rows)} rows will be analysed as ${target.name}.`)) return;
     try {
-      const res = await axios.get(`${API_BASE}/benchmarking`, {
-        params: { month: selectedMonth }
+      await axios.post(`${API_BASE}/entities/${source.id}/merge`, { into: target.id });
+      refreshAfterEntityChange();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error merging companies');
+    }
+  };
+
+  const handleDismissSuggestion = async (suggestion) => {
+    try {
+      await axios.post(`${API_BASE}/entities/suggestions/dismiss`, {
+        entityId: suggestion.entities[0].id,
+        otherEntityId: suggestion.entities[1].id
       });
-      setBenchmarkData(res.data);
+      fetchEntitySuggestions();
     } catch (err) {
-      console.error('Error fetching benchmark data:', err);
-      alert('Error loading benchmark data');
-    } finally {
-      setLoadingBenchmark(false);
+      alert(err.response?.data?.error || 'Error dismissing suggestion');
     }
   };
-  
-  // Export benchmarking to Excel
-  const exportBenchmarkToExcel = () => {
-    window.open(`${API_BASE}/export/benchmarking?month=${selectedMonth || ''}`, '_blank');
+
+  const handleUpdateEntity = async (e) => {
+    e.preventDefault();
+    const entity = entityResults.find(r => r.id === editingEntity.id);
+    try {
+      if (editingEntity.name.trim() && editingEntity.name.trim().toUpperCase() !== entity.name) {
+        await axios.put(`${API_BASE}/entities/${entity.id}`, { name: editingEntity.name });
+      }
+      if (editingEntity.alias.trim()) {
+        await axios.post(`${API_BASE}/entities/${entity.id}/aliases`, { alias: editingEntity.alias });
+      }
+      setEditingEntity(null);
+      refreshAfterEntityChange();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error updating company');
+    }
   };
 
-  // Calculate comparison percentages
-  const calculateTrend = (current, previous) => {
-    if (!previous || previous === 0) return null;
-    return ((current - previous) / previous) * 100;
+  const handleSplitAlias = async (entity, alias) => {
+    if (!confirm(`Split "${alias}" off ${entity.name}? Rows filed under it become a company of their own.`)) return;
+    try {
+      await axios.delete(`${API_BASE}/entities/${entity.id}/aliases/${encodeURIComponent(alias)}`);
+      refreshAfterEntityChange();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Error splitting company');
+    }
   };
 
-  return (
-    <div className="min-h-screen flex">
-      {/* Sidebar */}
+  // Let the server drop the staged copy of a file that won't be imported
+  const discardUploadPreview = () => {
+    if (uploadPreview?.uploadId) axios.delete(`${API_BASE}/upload/${uploadPreview.uploadId}`).catch(() => {});
+  };
+
+  const cancelUploadPreview = () => {
+    discardUploadPreview();
+    setUploadFile(null);
+    setUploadPreview(null);
+    setColumnMapping({});
+  };
+
+  // Upload step 2: commit the file with the confirmed mapping
+  const handleConfirmImport = async () => {
+    if (!uploadPreview) return;
+
+    setLoading(true);
+    setUploadStatus(null);
+
+    const formData = new FormData();
+    formData.append('uploadId', uploadPreview.uploadId);
+    formData.append('dataType', uploadType);
+    formData.append('mapping', JSON.stringify(columnMapping));
+    if (selectedProfileId) formData.append('profileId', selectedProfileId);
+    if (uploadedBy.trim()) formData.append('uploadedBy', uploadedBy.trim());
+    formData.append('sheets', JSON.stringify(selectedSheetNames()));
+    if (dateFormatOverride) formData.append('dateFormat', dateFormatOverride);
+    if (expectedMonth) formData.append('expectedMonth', expectedMonth);
+
+    try {
+      const res = await axios.post(`${API_BASE}/upload`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      localStorage.setItem(IMPORT_JOB_KEY, res.data.id);
+      setImportJob(res.data);
+      fetchImportHistory();
+      // The job owns the staged file now
+      setUploadFile(null);
+      setUploadPreview(null);
+      setColumnMapping({});
+    } catch (err) {
+      setUploadStatus({
+        success: false,
+        message: err.response?.data?.error || 'Upload failed'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Single-step upload: the response is the finished import
+  const uploadFileDirectly = async (file) => {
+    setLoading(true);
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dataType', uploadType);
+    if (uploadedBy.trim()) formData.append('uploadedBy', uploadedBy.trim());
+
+    try {
+      const res = await axios.post(`${API_BASE}/upload`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      finishImportJob(res.data);
+    } catch (err) {
+      setUploadStatus({
+        success: false,
+        message: err.response?.data?.error || 'Upload failed'
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Pick up an import that was still running when the page was reloaded
+  const resumeImportJob = async () => {
+    const jobId = localStorage.getItem(IMPORT_JOB_KEY);
+    if (!jobId) return;
+    try {
+      const res = await axios.get(`${API_BASE}/imports/${jobId}`);
+      if (FINISHED_IMPORT_STATUSES.includes(res.data.status)) {
+        finishImportJob(res.data);
+      } else {
+        setImportJob(res.data);
+      }
+    } catch (err) {
+      localStorage.removeItem(IMPORT_JOB_KEY);
+    }
+  };
+
+  const finishImportJob = (job) => {
+    localStorage.removeItem(IMPORT_JOB_KEY);
+    setImportJob(null);
+    fetchImportHistory();
+
+    if (job.status === 'cancelled') {
+      setUploadStatus({ success: false, message: `Import of ${job.file_name} was cancelled. No records were kept.` });
+      return;
+    }
+    if (job.status === 'failed') {
+      setUploadStatus({ success: false, message: `Import of ${job.file_name} failed: ${job.error_message || 'unknown error'}` });
+      return;
+    }
+
+    setUploadStatus({
+      success: job.inserted_rows > 0,
+      message: job.inserted_rows > 0
+        ? `Successfully imported ${job.inserted_rows} records (${job.skipped_rows} skipped)`
+        : `No records imported. ${job.skipped_rows} rows processed but couldn't match required columns.`,
+      columnsFound: job.columnsFound,
+      sheetResults: job.sheet_results?.length > 1 ? job.sheet_results : null,
+      rejectedJobId: job.skipped_rows > 0 && !singleStepUpload ? job.id : null,
+      dateNote: job.date_detection?.ambiguous
+        ? `Dates were ambiguous and read as ${DATE_FORMATS[job.date_format]} - check the imported months`
+        : null,
+      outOfMonth: job.out_of_month_rows > 0 ? job : null,
+      categoryConflicts: job.category_conflicts > 0 ? job : null,
+      fxNote: job.fx_missing_rows > 0
+        ? `${formatNumber(job.fx_missing_rows)} rows have no exchange rate for their currency and month - add it under Settings`
+        : null
+    });
+    if (job.fx_missing_rows > 0) fetchFxRates();
+    fetchMonths();
+    fetchDashboard();
+    fetchCompetitorAnalytics();
+    fetchClientAnalytics();
+    fetchCompanyComparison();
+    fetchTrends();
+  };
+
+  const handleCancelImport = async () => {
+    if (!importJob) return;
+    try {
+      await axios.post(`${API_BASE}/imports/${importJob.id}/cancel`);
+      setImportJob(prev => ({ ...prev, cancelling: true }));
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to cancel import');
+    }
+  };
+
+  const downloadRejections = (jobId) => {
+    window.open(`${API_BASE}/imports/${jobId}/rejections/export`, '_blank');
+  };
+
+  const handleUploadedByChange = (value) => {
+    setUploadedBy(value);
+    localStorage.setItem(UPLOADED_BY_KEY, value);
+  };
+
+  // filter: 'outOfMonth' for rows dated outside the import's expected month,
+  // 'categoryConflict' for rows an HS rule put in another category than the chosen one
+  const fetchImportDetail = async (item, page = 1, filter = null) => {
+    setLoadingImportDetail(true);
+    try {
+      const params = { page, limit: 50, ...(filter && { [filter]: true }) };
+      const res = await axios.get(`${API_BASE}/imports/${item.id}/rows`, { params });
+      setImportDetail({ import: item, rows: res.data.rows, total: res.data.total, page, filter });
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to load import rows');
+    } finally {
+      setLoadingImportDetail(false);
+    }
+  };
+
+  const handleRollbackImport = async (item) => {
+    if (!confirm(`Roll back ${item.file_name || item.id}? This deletes all ${formatNumber(item.row_count)} rows it imported.`)) return;
+    try {
+      await axios.delete(`${API_BASE}/imports/${item.id}`);
+      if (importDetail?.import.id === item.id) setImportDetail(null);
+      fetchImportHistory();
+      // Rolled-back months may no longer exist - reload them (this also resets the selection)
+      // and refresh the views that were built from them
+      fetchMonths();
+      fetchDashboard();
+      fetchCompetitorAnalytics();
+      fetchClientAnalytics();
+      fetchCompanyComparison();
+      fetchTrends();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to roll back import');
+    }
+  };
+
+  const refreshData = () => {
+    setLoading(true);
+    Promise.all([
+      fetchDashboard(),
+      fetchCompetitorAnalytics(),
+      fetchClientAnalytics(),
+      fetchCompanyComparison(),
+      fetchTrends()
+    ]).finally(() => setLoading(false));
+  };
+
+  // Export functions
+  const handleExport = (type) => {
+    const url = `${API_BASE}/export/${type}?${dateRangeQuery}`;
+    window.open(url, '_blank');
+  };
+
+  // Fetch detailed entity analysis
+  const fetchEntityDetails = async (entity, type) => {
+    setLoadingDetails(true);
+    try {
+      const res = await axios.get(`${API_BASE}/analytics/entity-details`, {
+        params: { entity, type, ...dateRangeParams }
+      });
+      setDetailView({ entity, type, data: res.data });
+    } catch (err) {
+      console.error('Error fetching details:', err);
+      alert('Error loading details');
+    } finally {
+      setLoadingDetails(false);
+    }
+  };
+
+  const closeDetailView = () => setDetailView(null);
+
+  // Submit feedback
+  const submitFeedback = async (e) => {
+    e.preventDefault();
+    if (!feedbackData.message.trim()) return;
+    
+    setFeedbackSubmitting(true);
+    try {
+      await axios.post(`${API_BASE}/feedback`, {
+        ...feedbackData,
+        page: activeTab
+      });
+      alert('Thank you for your feedback!');
+      setFeedbackData({ user_name: '', feedback_type: 'suggestion', message: '' });
+      setShowFeedback(false);
+    } catch (err) {
+      alert('Error submitting feedback. Please try again.');
+    } finally {
+      setFeedbackSubmitting(false);
+    }
+  };
+
+  // Fetch intelligence data
+  const fetchProspectiveClients = async () => {
+    setLoadingIntelligence(true);
+    try {
+      const res = await axios.get(`${API_BASE}/intelligence/prospective-clients`, { params: { hsLevel, ...dateRangeParams } });
+      setProspectiveClients(res.data);
+    } catch (err) {
+      console.error('Error fetching prospective clients:', err);
+    } finally {
+      setLoadingIntelligence(false);
+    }
+  };
+
+  const fetchCrossSellData = async () => {
+    setLoadingIntelligence(true);
+    try {
+      const res = await axios.get(`${API_BASE}/intelligence/cross-sell`, { params: { hsLevel, ...dateRangeParams } });
+      setCrossSellData(res.data);
+    } catch (err) {
+      console.error('Error fetching cross-sell data:', err);
+    } finally {
+      setLoadingIntelligence(false);
+    }
+  };
+
+  // Export entity details to Excel
+  const exportEntityToExcel = () => {
+    if (!detailView?.data) return;
+    const { entity, type } = detailView;
+    const url = `${API_BASE}/export/entity-details?entity=${encodeURIComponent(entity)}&type=${type}&${dateRangeQuery}`;
+    window.open(url, '_blank');
+  };
+
+  // Generate PDF from detail view (text format)
+  const generatePDF = () => {
+    if (!detailView?.data) return;
+    
+    const { entity, type, data } = detailView;
+    const content = `
+EXPORT DATA EXPLORER - ${type === 'exporter' ? 'COMPETITOR' : 'CLIENT'} ANALYSIS REPORT
+${'='.repeat(70)}
+
+Entity: ${entity}
+Type: ${type === 'exporter' ? 'Competitor (Exporter)' : 'Client (Consignee)'}
+Report Date: ${new Date().toLocaleDateString()}
+Period: ${dateRangeLabel || 'All Time'}
+
+SUMMARY
+${'-'.repeat(40)}
+Total Shipments: ${data.summary?.total_shipments || 0}
+Total FOB Value: $${(data.summary?.total_fob || 0).toLocaleString()} (₹${(data.summary?.total_fob_inr || 0).toLocaleString()})
+Total Quantity: ${formatQuantity(data.summary?.total_quantity, data.summary?.total_count, data.summary?.count_unit)}
+Unique Products: ${data.summary?.unique_products || 0}
+Unique Countries: ${data.summary?.unique_countries || 0}
+First Shipment: ${data.summary?.first_shipment || 'N/A'}
+Last Shipment: ${data.summary?.last_shipment || 'N/A'}
+
+TOP PRODUCTS
+${'-'.repeat(40)}
+${data.products?.slice(0, 20).map((p, i) => 
+  `${i+1}. ${p.product_description}
+     HS Code: ${p.hs_code} | Qty: ${formatQuantity(p.total_quantity, p.total_count, p.count_unit)} | FOB: $${p.total_fob.toLocaleString()}`
+).join('\n') || 'No products'}
+
+DESTINATION COUNTRIES
+${'-'.repeat(40)}
+${data.countries?.slice(0, 15).map((c, i) => 
+  `${i+1}. ${c.country_of_destination}: ${c.shipment_count} shipments, $${c.total_fob.toLocaleString()}`
+).join('\n') || 'No country data'}
+
+${type === 'exporter' ? 'TOP CLIENTS' : 'TOP SUPPLIERS'}
+${'-'.repeat(40)}
+${(type === 'exporter' ? data.clients : data.suppliers)?.slice(0, 15).map((item, i) => 
+  `${i+1}. ${type === 'exporter' ? item.consignee_name : item.exporter_name}: $${item.total_fob.toLocaleString()}`
+).join('\n') || 'No data'}
+
+RECENT SHIPMENTS
+${'-'.repeat(40)}
+${data.recentShipments?.slice(0, 20).map((s, i) => 
+  `${s.shipment_date || 'N/A'} | ${s.declaration_id} | ${s.product_description?.substring(0, 40)} | $${s.fob_usd?.toLocaleString() || 0}`
+).join('\n') || 'No shipments'}
+
+${'='.repeat(70)}
+Generated by Export Data Explorer
+    `.trim();
+
+    // Create and download PDF-like text file
+    const blob = new Blob([content], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${entity.replace(/[^a-zA-Z0-9]/g, '_')}_report_${new Date().toISOString().split('T')[0]}.txt`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+  
+  // Fetch custom report data
+  const fetchCustomReport = async () => {
+    const { countries, exporters, consignees } = customReportFilters;
+    if (!countries.trim() && !exporters.trim() && !consignees.trim()) {
+      alert('Please enter at least one country, exporter, or consignee name');
+      return;
+    }
+    
+    setLoadingCustomReport(true);
+    try {
+      const params = new URLSearchParams();
+      if (countries.trim()) params.append('countries', countries);
+      if (exporters.trim()) params.append('exporters', exporters);
+      if (consignees.trim()) params.append('consignees', consignees);
+      Object.entries(dateRangeParams).forEach(([key, value]) => params.append(key, value));
+      
+      const res = await axios.get(`${API_BASE}/custom-report?${params.toString()}`);
+      setCustomReportData(res.data);
+    } catch (err) {
+      console.error('Error fetching custom report:', err);
+      alert(err.response?.data?.error || 'Error generating report');
+    } finally {
+      setLoadingCustomReport(false);
+    }
+  };
+  
+  // Export custom report to Excel
+  const exportCustomReportToExcel = () => {
+    const { countries, exporters, consignees } = customReportFilters;
+    const params = new URLSearchParams();
+    if (countries.trim()) params.append('countries', countries);
+    if (exporters.trim()) params.append('exporters', exporters);
+    if (consignees.trim()) params.append('consignees', consignees);
+    Object.entries(dateRangeParams).forEach(([key, value]) => params.append(key, value));
+    
+    const url = `${API_BASE}/export/custom-report?${params.toString()}`;
+    window.open(url, '_blank');
+  };
+  
+  // Export prospective clients to Excel
+  const exportProspectiveClientsToExcel = () => {
+    window.open(`${API_BASE}/export/prospective-clients?hsLevel=${hsLevel}&${dateRangeQuery}`, '_blank');
+  };
+  
+  // Export cross-sell to Excel
+  const exportCrossSellToExcel = () => {
+    window.open(`${API_BASE}/export/cross-sell?hsLevel=${hsLevel}&${dateRangeQuery}`, '_blank');
+  };
+  
+  // Periods of the comparison granularity that have data, the latest selected
+  const fetchComparisonPeriods = async () => {
+    try {
+      const res = await axios.get(`${API_BASE}/analytics/periods`, { params: { granularity: comparisonGranularity } });
+      setComparisonPeriods(res.data);
+      setComparePeriods({ current: res.data[0]?.id || '', previous: '' });
+    } catch (err) {
+      console.error('Error fetching periods:', err);
+    }
+  };
+
+  // Fetch period comparison data; compare: 'year' (same period a year earlier) or 'previous'
+  // (the period before) instead of the selected previous period
+  const fetchMonthlyComparison = async (compare) => {
+    if (!comparePeriods.current) {
+      alert('Please select a period to compare');
+      return;
+    }
+    setLoadingMonthlyComparison(true);
+    try {
+      const res = await axios.get(`${API_BASE}/monthly-comparison`, {
+        params: compare || !comparePeriods.previous
+          ? { current: comparePeriods.current, compare }
+          : { current: comparePeriods.current, previous: comparePeriods.previous }
+      });
+      setMonthlyComparisonData(res.data);
+    } catch (err) {
+      console.error('Error fetching monthly comparison:', err);
+      alert('Error loading comparison data');
+    } finally {
+      setLoadingMonthlyComparison(false);
+    }
+  };
+  
+  // Export the periods last compared to Excel
+  const exportMonthlyComparisonToExcel = () => {
+    if (!monthlyComparisonData) return;
+    const { current, previous } = monthlyComparisonData;
+    window.open(`${API_BASE}/export/monthly-comparison?${new URLSearchParams({ current: current.id, previous: previous.id })}`, '_blank');
+  };
+  
+  // Fetch benchmarking data
+  const fetchBenchmarkData = async () => {
+    setLoadingBenchmark(true);
+    try {
+      const res = await axios.get(`${API_BASE}/benchmarking`, {
+        params: dateRangeParams
+      });
+      setBenchmarkData(res.data);
+    } catch (err) {
+      console.error('Error fetching benchmark data:', err);
+      alert('Error loading benchmark data');
+    } finally {
+      setLoadingBenchmark(false);
+    }
+  };
+  
+  // Export benchmarking to Excel
+  const exportBenchmarkToExcel = () => {
+    window.open(`${API_BASE}/export/benchmarking?${dateRangeQuery}`, '_blank');
+  };
+
+  // Calculate comparison percentages
+  const calculateTrend = (current, previous) => {
+    if (!previous || previous === 0) return null;
+    return ((current - previous) / previous) * 100;
+  };
+
+  return (
+    <div className="min-h-screen flex">
+      {/* Sidebar */}
       <aside className={`${sidebarOpen ? 'w-64' : 'w-20'} bg-navy-950/50 border-r border-white/5 flex flex-col transition-all duration-300`}>
         {/* Logo */}
         <div className="p-6 border-b border-white/5">
@@ -815,7 +1993,7 @@ Generated by Export Data Explorer
           />
           <NavItem
             icon={TrendingUp}
-            label={sidebarOpen ? "Monthly Compare" : ""}
+            label={sidebarOpen ? "Period Compare" : ""}
             active={activeTab === 'monthly-comparison'}
             onClick={() => setActiveTab('monthly-comparison')}
           />
@@ -859,33 +2037,59 @@ Generated by Export Data Explorer
               </h2>
               <p className="text-sm text-slate-400">
                 {activeTab === 'dashboard' && 'Overview of export data and key metrics'}
-                {activeTab === 'upload' && 'Import Excel files for fruits and vegetables'}
+                {activeTab === 'upload' && 'Import Excel or CSV files for any product category'}
                 {activeTab === 'competitors' && 'Track and analyze competitor shipments'}
                 {activeTab === 'clients' && 'Monitor client purchases and trends'}
                 {activeTab === 'company' && 'Compare your performance with competitors'}
                 {activeTab === 'trends' && 'Historical trends and patterns'}
                 {activeTab === 'intelligence' && 'Find new business opportunities'}
-                {activeTab === 'monthly-comparison' && 'Compare current month with previous month'}
+                {activeTab === 'monthly-comparison' && 'Compare weeks, months, quarters or financial years'}
                 {activeTab === 'benchmarking' && 'Benchmark AGNA against competitors and client vendors'}
                 {activeTab === 'custom-reports' && 'Generate custom reports by country or company'}
                 {activeTab === 'settings' && 'Configure your company and preferences'}
               </p>
             </div>
             <div className="flex items-center gap-4">
-              {/* Month Selector */}
-              {months.length > 0 && activeTab !== 'upload' && activeTab !== 'settings' && (
+              {/* Date Range Selector */}
+              {months.length > 0 && !['upload', 'settings', 'monthly-comparison'].includes(activeTab) && (
                 <div className="flex items-center gap-2">
                   <Calendar className="w-4 h-4 text-slate-400" />
                   <select
-                    value={selectedMonth}
-                    onChange={(e) => setSelectedMonth(e.target.value)}
+                    value={datePeriod}
+                    onChange={(e) => setDatePeriod(e.target.value)}
                     className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm"
                   >
                     <option value="">All Time</option>
-                    {months.map(m => (
-                      <option key={m} value={m}>{m}</option>
+                    {DATE_PERIODS.map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
                     ))}
+                    <option value="custom">Custom range…</option>
                   </select>
+                  {datePeriod === 'custom' && (
+                    <>
+                      <select
+                        value={customRange.from}
+                        onChange={(e) => setCustomRange({ ...customRange, from: e.target.value })}
+                        className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm"
+                      >
+                        <option value="">From start</option>
+                        {months.filter(m => !customRange.to || m <= customRange.to).map(m => (
+                          <option key={m} value={m}>{m}</option>
+                        ))}
+                      </select>
+                      <span className="text-slate-500 text-sm">to</span>
+                      <select
+                        value={customRange.to}
+                        onChange={(e) => setCustomRange({ ...customRange, to: e.target.value })}
+                        className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm"
+                      >
+                        <option value="">Latest</option>
+                        {months.filter(m => !customRange.from || m >= customRange.from).map(m => (
+                          <option key={m} value={m}>{m}</option>
+                        ))}
+                      </select>
+                    </>
+                  )}
                   {(activeTab === 'competitors' || activeTab === 'clients') && (
                     <>
                       <span className="text-slate-500 text-sm">vs</span>
@@ -895,7 +2099,7 @@ Generated by Export Data Explorer
                         className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm"
                       >
                         <option value="">No Comparison</option>
-                        {months.filter(m => m !== selectedMonth).map(m => (
+                        {months.map(m => (
                           <option key={m} value={m}>{m}</option>
                         ))}
                       </select>
@@ -925,6 +2129,8 @@ Generated by Export Data Explorer
                   </button>
                 </div>
               )}
+              {/* Rows in range the FOB totals below (and the summary report) leave out */}
+              <MissingRatesNote missing={dashboardData?.missingRates} onAddRates={() => setActiveTab('settings')} />
               {/* Stats Grid */}
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
                 <StatCard
@@ -968,7 +2174,7 @@ Generated by Export Data Explorer
                         <Pie
                           data={dashboardData.byCategory}
                           dataKey="total_fob"
-                          nameKey="data_type"
+                          nameKey="category_name"
                           cx="50%"
                           cy="50%"
                           innerRadius={60}
@@ -976,7 +2182,7 @@ Generated by Export Data Explorer
                           paddingAngle={5}
                         >
                           {dashboardData.byCategory.map((entry, index) => (
-                            <Cell key={index} fill={CHART_COLORS[index % CHART_COLORS.length]} />
+                            <Cell key={index} fill={entry.color || CHART_COLORS[index % CHART_COLORS.length]} />
                           ))}
                         </Pie>
                         <Tooltip content={<CustomTooltip />} />
@@ -1013,7 +2219,24 @@ Generated by Export Data Explorer
 
               {/* Top Countries */}
               <div className="glass-card rounded-xl p-6 animate-slide-up delay-400">
-                <h3 className="text-lg font-semibold text-white mb-4">Top Destination Countries</h3>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold text-white">
+                    Top Destination {countryBreakdown === 'region' ? 'Regions' : 'Countries'}
+                  </h3>
+                  <div className="flex gap-1">
+                    {[['country', 'Countries'], ['region', 'Regions']].map(([value, label]) => (
+                      <button
+                        key={value}
+                        onClick={() => setCountryBreakdown(value)}
+                        className={`px-3 py-1 rounded-lg text-xs ${
+                          countryBreakdown === value ? 'bg-emerald-500/20 text-emerald-300' : 'bg-white/5 text-slate-400'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
                 {dashboardData?.topCountries?.length > 0 ? (
                   <ResponsiveContainer width="100%" height={300}>
                     <BarChart data={dashboardData.topCountries.slice(0, 10)}>
@@ -1030,68 +2253,150 @@ Generated by Export Data Explorer
                   </div>
                 )}
               </div>
+
+              {/* Top Products, by catalogue product */}
+              <div className="glass-card rounded-xl p-6 animate-slide-up delay-500">
+                <h3 className="text-lg font-semibold text-white mb-4">Top Products</h3>
+                {dashboardData?.topProducts?.length > 0 ? (
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={dashboardData.topProducts}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
+                      <XAxis dataKey="product_name" tick={{ fontSize: 11 }} angle={-45} textAnchor="end" height={80} />
+                      <YAxis tickFormatter={formatCurrency} />
+                      <Tooltip content={<CustomTooltip />} />
+                      <Bar dataKey="total_fob" fill={COLORS.violet} radius={[4, 4, 0, 0]} name="FOB Value" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                ) : (
+                  <div className="h-64 flex items-center justify-center text-slate-500">
+                    No data available
+                  </div>
+                )}
+              </div>
             </div>
           )}
 
           {/* Upload Tab */}
           {activeTab === 'upload' && (
-            <div className="max-w-2xl mx-auto space-y-6 animate-fade-in">
+            <div className={`${uploadPreview || importDetail ? 'max-w-5xl' : 'max-w-2xl'} mx-auto space-y-6 animate-fade-in`}>
               <div className="glass-card rounded-xl p-8">
                 <div className="text-center mb-6">
                   <div className="w-16 h-16 rounded-full bg-amber-500/20 flex items-center justify-center mx-auto mb-4">
                     <FileSpreadsheet className="w-8 h-8 text-amber-400" />
                   </div>
                   <h3 className="text-xl font-semibold text-white">Import Export Data</h3>
-                  <p className="text-slate-400 mt-2">Upload Excel files containing fruits or vegetables export data</p>
+                  <p className="text-slate-400 mt-2">Upload Excel or CSV files of export data, choosing the product category first</p>
                 </div>
 
-                {/* Data Type Selection */}
-                <div className="flex justify-center gap-4 mb-6">
-                  <button
-                    onClick={() => setUploadType('fruits')}
-                    className={`px-6 py-3 rounded-lg font-medium transition-all ${
-                      uploadType === 'fruits'
-                        ? 'bg-amber-500 text-navy-950'
-                        : 'bg-white/5 text-slate-300 hover:bg-white/10'
-                    }`}
-                  >
-                    🍎 Fruits
-                  </button>
-                  <button
-                    onClick={() => setUploadType('vegetables')}
-                    className={`px-6 py-3 rounded-lg font-medium transition-all ${
-                      uploadType === 'vegetables'
-                        ? 'bg-emerald-500 text-navy-950'
-                        : 'bg-white/5 text-slate-300 hover:bg-white/10'
-                    }`}
+                {/* Category Selection */}
+                <div className="flex flex-wrap justify-center gap-4 mb-6">
+                  {categories.map(category => (
+                    <button
+                      key={category.slug}
+                      onClick={() => setUploadType(category.slug)}
+                      className={`px-6 py-3 rounded-lg font-medium transition-all ${
+                        uploadType === category.slug
+                          ? 'text-navy-950'
+                          : 'bg-white/5 text-slate-300 hover:bg-white/10'
+                      }`}
+                      style={uploadType === category.slug ? { background: category.color || COLORS.gold } : undefined}
+                    >
+                      {category.icon ? `${category.icon} ` : ''}{category.name}
+                    </button>
+                  ))}
+                </div>
+
+                {/* Mapping Profile */}
+                {!singleStepUpload && <div className="flex items-center justify-center gap-3 mb-6">
+                  <label className="text-sm text-slate-400">Mapping profile</label>
+                  <select
+                    value={selectedProfileId}
+                    onChange={(e) => handleProfileSelect(e.target.value)}
+                    className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm"
+                    disabled={loading || previewLoading}
                   >
-                    🥬 Vegetables
-                  </button>
+                    <option value="">Auto (match by file headers)</option>
+                    {mappingProfiles.map(p => (
+                      <option key={p.id} value={String(p.id)}>
+                        {p.name}{p.vendor ? ` — ${p.vendor}` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>}
+
+                <div className="flex items-center justify-center gap-3 mb-6">
+                  <label className="text-sm text-slate-400">Uploaded by</label>
+                  <input
+                    type="text"
+                    value={uploadedBy}
+                    onChange={(e) => handleUploadedByChange(e.target.value)}
+                    placeholder="Your name"
+                    className="w-48"
+                  />
                 </div>
 
                 {/* Upload Zone */}
                 <label className="drop-zone block cursor-pointer">
                   <input
                     type="file"
-                    accept=".xlsx,.xls"
-                    onChange={handleFileUpload}
+                    accept=".xlsx,.xls,.csv,.tsv,.txt,.zip"
+                    onChange={handleFileSelect}
                     className="hidden"
-                    disabled={loading}
+                    disabled={loading || previewLoading}
                   />
-                  {loading ? (
+                  {loading || previewLoading ? (
                     <div className="flex flex-col items-center">
                       <div className="spinner mb-4"></div>
-                      <p className="text-slate-300">Processing file...</p>
+                      <p className="text-slate-300">{loading ? 'Processing file...' : 'Uploading and reading file...'}</p>
                     </div>
+                  ) : uploadFile ? (
+                    <>
+                      <FileSpreadsheet className="w-12 h-12 text-amber-400 mx-auto mb-4" />
+                      <p className="text-white font-medium">{uploadFile.name}</p>
+                      <p className="text-slate-500 text-sm mt-2">Review the column mapping below, or click to choose another file</p>
+                    </>
                   ) : (
                     <>
                       <Upload className="w-12 h-12 text-slate-400 mx-auto mb-4" />
-                      <p className="text-white font-medium">Drop Excel file here or click to browse</p>
-                      <p className="text-slate-500 text-sm mt-2">Supports .xlsx and .xls files</p>
+                      <p className="text-white font-medium">Drop Excel or CSV file here or click to browse</p>
+                      <p className="text-slate-500 text-sm mt-2">
+                        {singleStepUpload
+                          ? 'Supports .xlsx, .xls and .csv files up to 10MB - the first sheet is imported straight away'
+                          : 'Supports .xlsx, .xls, .csv and .tsv files of any size, or a .zip of several - every sheet of a workbook is read'}
+                      </p>
                     </>
                   )}
                 </label>
 
+                {/* Import Progress */}
+                {importJob && (
+                  <div className="mt-4 p-4 rounded-lg bg-white/5 border border-white/10">
+                    <div className="flex items-center justify-between mb-2">
+                      <p className="text-sm text-white font-medium">
+                        {importJob.status === 'queued' ? 'Waiting for another import to finish' : `Importing ${importJob.file_name}`}
+                      </p>
+                      <button
+                        onClick={handleCancelImport}
+                        className="btn-secondary text-xs py-1 px-3"
+                        disabled={importJob.cancelling}
+                      >
+                        {importJob.cancelling ? 'Cancelling...' : 'Cancel'}
+                      </button>
+                    </div>
+                    <div className="w-full h-2 bg-white/10 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-amber-500 transition-all"
+                        style={{ width: `${importJobPercent(importJob)}%` }}
+                      />
+                    </div>
+                    <p className="text-xs text-slate-400 mt-2">
+                      {formatNumber(importJob.processed_rows)} of {importJob.status === 'completed' ? '' : '≈'}{formatNumber(importJob.total_rows)} rows ·{' '}
+                      {formatNumber(importJob.inserted_rows)} inserted · {formatNumber(importJob.skipped_rows)} skipped
+                      {importJob.error_count > 0 && ` · ${formatNumber(importJob.error_count)} errors`}
+                    </p>
+                  </div>
+                )}
+
                 {/* Upload Status */}
                 {uploadStatus && (
                   <div className={`mt-4 p-4 rounded-lg ${
@@ -1100,6 +2405,48 @@ Generated by Export Data Explorer
                       : 'bg-rose-500/20 border border-rose-500/30 text-rose-300'
                   }`}>
                     <p className="font-medium">{uploadStatus.message}</p>
+                    {uploadStatus.sheetResults && (
+                      <ul className="mt-2 text-sm space-y-1">
+                        {uploadStatus.sheetResults.map(sheet => (
+                          <li key={sheet.name}>
+                            {sheet.name}: {formatNumber(sheet.inserted_rows)} imported, {formatNumber(sheet.skipped_rows)} skipped
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {uploadStatus.dateNote && (
+                      <p className="mt-2 text-sm text-amber-300">{uploadStatus.dateNote}</p>
+                    )}
+                    {uploadStatus.fxNote && (
+                      <p className="mt-2 text-sm text-amber-300">{uploadStatus.fxNote}</p>
+                    )}
+                    {uploadStatus.outOfMonth && (
+                      <button
+                        onClick={() => fetchImportDetail(uploadStatus.outOfMonth, 1, 'outOfMonth')}
+                        className="mt-2 text-sm text-amber-300 underline hover:text-white flex items-center gap-1"
+                      >
+                        <AlertTriangle className="w-4 h-4" />
+                        {formatNumber(uploadStatus.outOfMonth.out_of_month_rows)} rows are dated outside {uploadStatus.outOfMonth.expected_month}
+                      </button>
+                    )}
+                    {uploadStatus.categoryConflicts && (
+                      <button
+                        onClick={() => fetchImportDetail(uploadStatus.categoryConflicts, 1, 'categoryConflict')}
+                        className="mt-2 text-sm text-amber-300 underline hover:text-white flex items-center gap-1"
+                      >
+                        <Tags className="w-4 h-4" />
+                        {formatNumber(uploadStatus.categoryConflicts.category_conflicts)} rows were classified into another category by their HS code
+                      </button>
+                    )}
+                    {uploadStatus.rejectedJobId && (
+                      <button
+                        onClick={() => downloadRejections(uploadStatus.rejectedJobId)}
+                        className="mt-2 text-sm underline hover:text-white flex items-center gap-1"
+                      >
+                        <Download className="w-4 h-4" />
+                        Download skipped rows with reasons
+                      </button>
+                    )}
                     {uploadStatus.columnsFound && uploadStatus.columnsFound.length > 0 && (
                       <div className="mt-3 pt-3 border-t border-white/10">
                         <p className="text-xs text-slate-400 mb-2">Columns found in your file:</p>
@@ -1133,6 +2480,407 @@ Generated by Export Data Explorer
                   </div>
                 </div>
               </div>
+
+              {/* Column Mapping Review */}
+              {uploadPreview && (
+                <div className="glass-card rounded-xl p-6 space-y-6">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <h3 className="text-lg font-semibold text-white">Review Column Mapping</h3>
+                      <p className="text-sm text-slate-400">
+                        {uploadPreview.estimated && '≈'}{formatNumber(uploadPreview.totalRows)} rows
+                        {uploadPreview.format === 'excel' || uploadPreview.format === 'zip'
+                          ? ` in ${uploadPreview.sheets.filter(s => s.selected).length} of ${uploadPreview.sheets.length} sheet(s)`
+                          : ` · ${uploadPreview.delimiter === '\t' ? 'tab' : `"${uploadPreview.delimiter}"`} separated · ${uploadPreview.encoding}`}
+                        . Nothing is saved until you import.
+                      </p>
+                      {uploadPreview.profile ? (
+                        <p className="text-xs text-emerald-400 mt-1">
+                          Using profile "{uploadPreview.profile.name}"
+                          {uploadPreview.profile.match === 'fingerprint' && ' (matched by file headers)'}
+                          {uploadPreview.profile.match === 'columns' && ' (matched by mapped columns)'}
+                        </p>
+                      ) : (
+                        <p className="text-xs text-amber-400 mt-1">No saved profile matches this layout — columns were guessed from their names</p>
+                      )}
+                    </div>
+                    <div className="flex gap-3">
+                      <button onClick={cancelUploadPreview} className="btn-secondary" disabled={loading}>
+                        Cancel
+                      </button>
+                      <button onClick={handleConfirmImport} className="btn-primary" disabled={loading || previewLoading}>
+                        <Upload className="w-4 h-4" />
+                        Import {uploadPreview.estimated && '≈'}{formatNumber(uploadPreview.totalRows)} Rows
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="flex flex-wrap items-start gap-6">
+                    <div>
+                      <h4 className="text-sm font-semibold text-white mb-2">Date format</h4>
+                      <select
+                        value={dateFormatOverride}
+                        onChange={(e) => handleDateFormatSelect(e.target.value)}
+                        disabled={previewLoading}
+                      >
+                        <option value="">
+                          {uploadPreview.dateFormat.source === 'profile' ? 'From profile' : 'Detect'}: {uploadPreview.dateFormat.label}
+                        </option>
+                        {Object.entries(DATE_FORMATS).map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                      {!dateFormatOverride && uploadPreview.dateFormat.ambiguous && (
+                        <p className="text-xs text-amber-400 mt-1 flex items-center gap-1">
+                          <AlertTriangle className="w-3 h-3" />
+                          No date {uploadPreview.dateFormat.partial ? 'in the first rows ' : ''}tells day and month apart - please confirm the format
+                        </p>
+                      )}
+                      {uploadPreview.dateFormat.conflicting && (
+                        <p className="text-xs text-rose-400 mt-1 flex items-center gap-1">
+                          <AlertTriangle className="w-3 h-3" />
+                          Some dates are only valid in the other day/month order - they will be rejected
+                        </p>
+                      )}
+                      {uploadPreview.dateFormat.partial && uploadPreview.dateFormat.source !== 'request' && uploadPreview.dateFormat.source !== 'profile' && (
+                        <p className="text-xs text-slate-500 mt-1">Detected from the first rows; the import checks the whole date column</p>
+                      )}
+                    </div>
+                    <div>
+                      <h4 className="text-sm font-semibold text-white mb-2">Expected month</h4>
+                      <input type="month" value={expectedMonth} onChange={(e) => setExpectedMonth(e.target.value)} />
+                      <p className="text-xs text-slate-500 mt-1">Rows dated outside it are reported. Leave empty to use the month most rows fall in.</p>
+                    </div>
+                  </div>
+
+                  {uploadPreview.sheets.length > 1 && (
+                    <div>
+                      <h4 className="text-sm font-semibold text-white mb-3">Sheets to import</h4>
+                      <div className="flex flex-wrap gap-2">
+                        {uploadPreview.sheets.map(sheet => (
+                          <label
+                            key={sheet.name}
+                            className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm cursor-pointer ${
+                              sheet.selected ? 'bg-amber-500/20 text-amber-300' : 'bg-white/5 text-slate-400'
+                            } ${sheet.totalRows === 0 ? 'opacity-50 cursor-not-allowed' : ''}`}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={sheet.selected}
+                              onChange={() => handleSheetToggle(sheet.name)}
+                              disabled={previewLoading || sheet.totalRows === 0}
+                            />
+                            {sheet.name}
+                            <span className="text-xs text-slate-500">{sheet.estimated && '≈'}{formatNumber(sheet.totalRows)} rows</span>
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Field</th>
+                          <th>Column in File</th>
+                          <th>Confidence</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {uploadPreview.fields.map(field => {
+                          const detected = uploadPreview.detected[field.key];
+                          const column = columnMapping[field.key] || '';
+                          const isManual = column !== (detected?.column || '');
+                          return (
+                            <tr key={field.key}>
+                              <td className="font-medium text-white">{field.label}</td>
+                              <td>
+                                <select
+                                  value={column}
+                                  onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                                  className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm w-full"
+                                  disabled={previewLoading}
+                                >
+                                  <option value="">— Not mapped —</option>
+                                  {uploadPreview.columns.map(col => (
+                                    <option key={col} value={col}>{col}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td>
+                                {isManual ? (
+                                  <span className="badge badge-sky">Manual</span>
+                                ) : detected ? (
+                                  <span className={`badge ${
+                                    detected.confidence >= 0.85 ? 'badge-emerald' : detected.confidence >= 0.6 ? 'badge-gold' : 'badge-rose'
+                                  }`}>
+                                    {Math.round(detected.confidence * 100)}% · {detected.method}
+                                  </span>
+                                ) : (
+                                  <span className="text-slate-500 text-xs">Not detected</span>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {/* Save mapping as profile */}
+                  <div className="flex flex-wrap items-center gap-3 p-4 bg-white/5 rounded-lg">
+                    <span className="text-sm text-slate-400">Save this mapping:</span>
+                    <input
+                      type="text"
+                      value={newProfile.name}
+                      onChange={(e) => setNewProfile({ ...newProfile, name: e.target.value })}
+                      placeholder="Profile name"
+                      className="flex-1 min-w-[10rem]"
+                    />
+                    <input
+                      type="text"
+                      value={newProfile.vendor}
+                      onChange={(e) => setNewProfile({ ...newProfile, vendor: e.target.value })}
+                      placeholder="Vendor (optional)"
+                      className="flex-1 min-w-[10rem]"
+                    />
+                    <button onClick={() => handleSaveProfile(null)} className="btn-secondary text-sm" disabled={!newProfile.name.trim()}>
+                      <Plus className="w-4 h-4" />
+                      Save as Profile
+                    </button>
+                    {uploadPreview.profile && (
+                      <button onClick={() => handleSaveProfile(uploadPreview.profile.id)} className="btn-secondary text-sm">
+                        Update "{uploadPreview.profile.name}"
+                      </button>
+                    )}
+                  </div>
+
+                  <div>
+                    <h4 className="text-sm font-semibold text-white mb-3">
+                      Preview (first {uploadPreview.rows.length} rows as they will be stored)
+                    </h4>
+                    <div className="overflow-x-auto">
+                      <table className="data-table">
+                        <thead>
+                          <tr>
+                            {uploadPreview.sheets.length > 1 && <th>Sheet</th>}
+                            <th>Category</th>
+                            {uploadPreview.fields.map(field => (
+                              <th key={field.key} className="whitespace-nowrap">{field.label}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {uploadPreview.rows.map((row, i) => (
+                            <tr key={i}>
+                              {uploadPreview.sheets.length > 1 && <td className="whitespace-nowrap">{row.source_sheet}</td>}
+                              <td className="whitespace-nowrap">
+                                <CategoryBadges value={row.data_type || uploadType} categories={categories} />
+                                {row.product_family && <span className="ml-1 text-xs text-slate-500">{row.product_family}</span>}
+                                {row.data_type && uploadType && row.data_type !== uploadType && (
+                                  <span title="HS code puts this row in another category">
+                                    <AlertTriangle className="inline w-3 h-3 ml-1 text-amber-400" />
+                                  </span>
+                                )}
+                              </td>
+                              {uploadPreview.fields.map(field => (
+                                <td key={field.key} className={`whitespace-nowrap ${columnMapping[field.key] ? '' : 'text-slate-600'}`}>
+                                  {row[field.key] === null || row[field.key] === '' ? '—' : String(row[field.key])}
+                                </td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Import History */}
+              <div className="glass-card rounded-xl p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold text-white">Import History</h3>
+                  <button onClick={fetchImportHistory} className="btn-secondary text-sm">
+                    <RefreshCw className="w-4 h-4" />
+                    Refresh
+                  </button>
+                </div>
+                {importHistory.length === 0 ? (
+                  <p className="text-sm text-slate-400">No imports yet.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>File</th>
+                          <th>Category</th>
+                          <th>Rows</th>
+                          <th>Period</th>
+                          <th>Uploaded</th>
+                          <th>Status</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {importHistory.map(item => (
+                          <tr key={item.id}>
+                            <td className="font-medium text-white">{item.file_name || <span className="text-slate-500">{item.id}</span>}</td>
+                            <td className="capitalize">{categories.find(c => c.slug === item.data_type)?.name || item.data_type || '—'}</td>
+                            <td className="whitespace-nowrap">
+                              {formatNumber(item.row_count)}
+                              {item.total_rows > item.row_count && (
+                                <span className="text-slate-500"> / {formatNumber(item.total_rows)}</span>
+                              )}
+                            </td>
+                            <td className="whitespace-nowrap text-xs">
+                              {item.first_date ? `${item.first_date} → ${item.last_date}` : '—'}
+                            </td>
+                            <td className="text-xs">
+                              {item.created_at ? new Date(item.created_at).toLocaleString() : '—'}
+                              {item.uploaded_by && <div className="text-slate-500">by {item.uploaded_by}</div>}
+                            </td>
+                            <td>
+                              <span className={`badge ${
+                                item.status === 'completed' ? 'badge-emerald'
+                                  : item.status === 'failed' ? 'badge-rose'
+                                  : item.status === 'queued' || item.status === 'running' ? 'badge-sky'
+                                  : 'badge-gold'
+                              }`}>
+                                {item.status.replace('_', ' ')}
+                              </span>
+                            </td>
+                            <td className="whitespace-nowrap text-right">
+                              {item.out_of_month_rows > 0 && (
+                                <button
+                                  onClick={() => fetchImportDetail(item, 1, 'outOfMonth')}
+                                  className="p-2 text-amber-400 hover:text-amber-300 transition-colors"
+                                  title={`${item.out_of_month_rows} rows dated outside ${item.expected_month}`}
+                                >
+                                  <AlertTriangle className="w-4 h-4" />
+                                </button>
+                              )}
+                              {item.category_conflicts > 0 && (
+                                <button
+                                  onClick={() => fetchImportDetail(item, 1, 'categoryConflict')}
+                                  className="p-2 text-amber-400 hover:text-amber-300 transition-colors"
+                                  title={`${item.category_conflicts} rows classified into another category by HS code`}
+                                >
+                                  <Tags className="w-4 h-4" />
+                                </button>
+                              )}
+                              {item.file_name && item.skipped_rows > 0 && !singleStepUpload && (
+                                <button
+                                  onClick={() => downloadRejections(item.id)}
+                                  className="p-2 text-slate-400 hover:text-amber-400 transition-colors"
+                                  title={`Download ${item.skipped_rows} rejected rows`}
+                                >
+                                  <Download className="w-4 h-4" />
+                                </button>
+                              )}
+                              {item.row_count > 0 && (
+                                <button
+                                  onClick={() => fetchImportDetail(item)}
+                                  className="p-2 text-slate-400 hover:text-amber-400 transition-colors"
+                                  title="View rows"
+                                >
+                                  <FileSearch className="w-4 h-4" />
+                                </button>
+                              )}
+                              {item.row_count > 0 && item.status !== 'queued' && item.status !== 'running' && (
+                                <button
+                                  onClick={() => handleRollbackImport(item)}
+                                  className="p-2 text-slate-400 hover:text-rose-400 transition-colors"
+                                  title="Roll back this import"
+                                >
+                                  <Trash2 className="w-4 h-4" />
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+
+              {/* Import Detail */}
+              {importDetail && (
+                <div className="glass-card rounded-xl p-6">
+                  <div className="flex items-center justify-between mb-4">
+                    <div>
+                      <h3 className="text-lg font-semibold text-white">{importDetail.import.file_name || importDetail.import.id}</h3>
+                      <p className="text-sm text-slate-400">
+                        {formatNumber(importDetail.total)} rows
+                        {importDetail.filter === 'outOfMonth' && ` dated outside ${importDetail.import.expected_month}`}
+                        {importDetail.filter === 'categoryConflict' && ` classified outside ${importDetail.import.data_type} by HS code`}
+                        {' '}· page {importDetail.page} of {Math.max(Math.ceil(importDetail.total / 50), 1)}
+                      </p>
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => fetchImportDetail(importDetail.import, importDetail.page - 1, importDetail.filter)}
+                        className="btn-secondary text-sm"
+                        disabled={loadingImportDetail || importDetail.page <= 1}
+                      >
+                        Previous
+                      </button>
+                      <button
+                        onClick={() => fetchImportDetail(importDetail.import, importDetail.page + 1, importDetail.filter)}
+                        className="btn-secondary text-sm"
+                        disabled={loadingImportDetail || importDetail.page * 50 >= importDetail.total}
+                      >
+                        Next
+                      </button>
+                      <button onClick={() => setImportDetail(null)} className="p-2 text-slate-400 hover:text-white">
+                        <X className="w-5 h-5" />
+                      </button>
+                    </div>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Declaration ID</th>
+                          <th>Date</th>
+                          <th>Exporter</th>
+                          <th>Consignee</th>
+                          <th>Product</th>
+                          <th>Category</th>
+                          <th>Quantity</th>
+                          <th>FOB Value</th>
+                          <th>Destination</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {importDetail.rows.map(row => (
+                          <tr key={row.id}>
+                            <td className="whitespace-nowrap">{row.declaration_id}</td>
+                            <td className="whitespace-nowrap">{row.shipment_date || '—'}</td>
+                            <td>{formatName(row.exporter_name)}</td>
+                            <td>{formatName(row.consignee_name)}</td>
+                            <td className="max-w-xs truncate">{row.product_description}</td>
+                            <td className="whitespace-nowrap">
+                              <CategoryBadges value={row.data_type} categories={categories} />
+                              {row.product_family && <div className="text-xs text-slate-500">{row.product_family}</div>}
+                            </td>
+                            <td className="whitespace-nowrap">{formatNumber(row.quantity)} {row.unit}</td>
+                            <td className="whitespace-nowrap">
+                              {row.fob_usd === null ? '—' : formatCurrency(row.fob_usd)}
+                              {row.fob_currency !== 'USD' && (
+                                <div className="text-xs text-slate-500">{formatNumber(row.fob_value)} {row.fob_currency}</div>
+                              )}
+                            </td>
+                            <td>{row.country_of_destination}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
             </div>
           )}
 
@@ -1143,7 +2891,7 @@ Generated by Export Data Explorer
               <div className="glass-card rounded-xl p-6">
                 <h3 className="text-lg font-semibold text-white mb-4">Track New Competitor</h3>
                 <p className="text-sm text-slate-400 mb-4">
-                  Type part of the company name to search. Select one or more matching companies from your data.
+                  Type the company name to search - partial names and typos are fine, best matches come first. Select one or more matching companies from your data.
                 </p>
                 <form onSubmit={handleAddCompetitor} className="space-y-4">
                   <div className="flex gap-3">
@@ -1166,6 +2914,15 @@ Generated by Export Data Explorer
                       Add {selectedCompetitors.length > 0 ? `(${selectedCompetitors.length})` : 'Competitor'}
                     </button>
                   </div>
+                  {selectedCompetitors.length > 1 && (
+                    <input
+                      type="text"
+                      value={newCompetitorGroup}
+                      onChange={(e) => setNewCompetitorGroup(e.target.value)}
+                      placeholder="Group name (optional) - track the selected companies as one competitor"
+                      className="w-full"
+                    />
+                  )}
                   
                   {/* Search Results */}
                   {competitorSuggestions.length > 0 && (
@@ -1230,22 +2987,15 @@ Generated by Export Data Explorer
               {/* Competitor List */}
               <div className="glass-card rounded-xl p-6">
                 <h3 className="text-lg font-semibold text-white mb-4">Tracked Competitors ({competitors.length})</h3>
-                <div className="flex flex-wrap gap-2">
-                  {competitors.map(c => (
-                    <div key={c.id} className="flex items-center gap-2 bg-white/5 rounded-lg px-3 py-2">
-                      <span className="text-slate-300">{c.name}</span>
-                      <button
-                        onClick={() => handleDeleteCompetitor(c.id)}
-                        className="text-slate-500 hover:text-rose-400 transition-colors"
-                      >
-                        <X className="w-4 h-4" />
-                      </button>
-                    </div>
-                  ))}
-                  {competitors.length === 0 && (
-                    <p className="text-slate-500">No competitors being tracked. Search and add some above!</p>
-                  )}
-                </div>
+                <TrackedGroups
+                  groups={competitors}
+                  selectedCount={selectedCompetitors.length}
+                  onAddSelected={(group) => handleAddToGroup('competitors', group)}
+                  onRename={(id, name) => handleRenameGroup('competitors', id, name)}
+                  onRemoveMember={(group, member) => handleRemoveGroupMember('competitors', group, member)}
+                  onRemoveGroup={handleDeleteCompetitor}
+                  emptyText="No competitors being tracked. Search and add some above!"
+                />
               </div>
 
               {/* Competitor Analytics */}
@@ -1273,44 +3023,60 @@ Generated by Export Data Explorer
                         </tr>
                       </thead>
                       <tbody>
-                        {competitorAnalytics.competitors.map((comp, i) => {
+                        {competitorAnalytics.competitors.map((comp) => {
                           const prevData = competitorAnalytics.comparison.find(
-                            c => c.exporter_name === comp.exporter_name
+                            c => c.group_id === comp.group_id
                           );
                           const trend = prevData ? calculateTrend(comp.total_fob, prevData.total_fob) : null;
+                          // A group of one company opens its details; larger groups list their companies
+                          const isGroup = comp.members.length > 1;
+                          const expanded = expandedGroups.includes(`competitors-${comp.group_id}`);
                           
                           return (
-                            <tr 
-                              key={i} 
-                              onClick={() => fetchEntityDetails(comp.exporter_name, 'exporter')}
-                              className="cursor-pointer hover:bg-amber-500/10 transition-colors"
-                            >
-                              <td className="font-medium text-white">
-                                {comp.exporter_name}
-                                <span className="ml-2 text-xs text-slate-500">Click for details</span>
-                              </td>
-                              <td>{formatNumber(comp.shipment_count)}</td>
-                              <td className="text-amber-400 font-mono">{formatCurrency(comp.total_fob)}</td>
-                              <td>{comp.product_count}</td>
-                              <td>{comp.country_count}</td>
-                              <td>
-                                <span className={`badge ${comp.categories?.includes('fruits') ? 'badge-gold' : 'badge-emerald'}`}>
-                                  {comp.categories}
-                                </span>
-                              </td>
-                              {compareMonth && (
+                            <Fragment key={comp.group_id}>
+                              <tr 
+                                onClick={() => isGroup
+                                  ? toggleGroup(`competitors-${comp.group_id}`)
+                                  : fetchEntityDetails(comp.members[0].exporter_name, 'exporter')}
+                                className="cursor-pointer hover:bg-amber-500/10 transition-colors"
+                              >
+                                <td className="font-medium text-white">
+                                  {isGroup && (expanded ? <ChevronDown className="w-4 h-4 inline mr-1" /> : <ChevronRight className="w-4 h-4 inline mr-1" />)}
+                                  {comp.exporter_name}
+                                  <span className="ml-2 text-xs text-slate-500">
+                                    {isGroup ? `${comp.members.length} companies` : 'Click for details'}
+                                  </span>
+                                </td>
+                                <td>{formatNumber(comp.shipment_count)}</td>
+                                <td className="text-amber-400 font-mono">{formatCurrency(comp.total_fob)}</td>
+                                <td>{comp.product_count}</td>
+                                <td>{comp.country_count}</td>
                                 <td>
-                                  {trend !== null ? (
-                                    <span className={`flex items-center gap-1 ${trend >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                                      {trend >= 0 ? <ArrowUpRight className="w-4 h-4" /> : <ArrowDownRight className="w-4 h-4" />}
-                                      {Math.abs(trend).toFixed(1)}%
-                                    </span>
-                                  ) : (
-                                    <span className="text-slate-500">N/A</span>
-                                  )}
+                                  <CategoryBadges value={comp.categories} categories={categories} />
                                 </td>
-                              )}
-                            </tr>
+                                <TrendCell show={!!compareMonth} trend={trend} />
+                              </tr>
+                              {isGroup && expanded && comp.members.map(member => {
+                                const prevMember = prevData?.members.find(m => m.entity_id === member.entity_id);
+                                return (
+                                  <tr
+                                    key={member.entity_id}
+                                    onClick={() => fetchEntityDetails(member.exporter_name, 'exporter')}
+                                    className="cursor-pointer bg-white/5 hover:bg-amber-500/10 transition-colors text-sm"
+                                  >
+                                    <td className="pl-10 text-slate-300">{member.exporter_name}</td>
+                                    <td>{formatNumber(member.shipment_count)}</td>
+                                    <td className="text-amber-400 font-mono">{formatCurrency(member.total_fob)}</td>
+                                    <td>{member.product_count}</td>
+                                    <td>{member.country_count}</td>
+                                    <td>
+                                      <CategoryBadges value={member.categories} categories={categories} />
+                                    </td>
+                                    <TrendCell show={!!compareMonth} trend={prevMember ? calculateTrend(member.total_fob, prevMember.total_fob) : null} />
+                                  </tr>
+                                );
+                              })}
+                            </Fragment>
                           );
                         })}
                       </tbody>
@@ -1344,7 +3110,7 @@ Generated by Export Data Explorer
               <div className="glass-card rounded-xl p-6">
                 <h3 className="text-lg font-semibold text-white mb-4">Track New Client</h3>
                 <p className="text-sm text-slate-400 mb-4">
-                  Type part of the client/consignee name to search. Select one or more matching companies from your data.
+                  Type the client/consignee name to search - partial names and typos are fine, best matches come first. Select one or more matching companies from your data.
                 </p>
                 <form onSubmit={handleAddClient} className="space-y-4">
                   <div className="flex gap-3">
@@ -1367,6 +3133,15 @@ Generated by Export Data Explorer
                       Add {selectedClients.length > 0 ? `(${selectedClients.length})` : 'Client'}
                     </button>
                   </div>
+                  {selectedClients.length > 1 && (
+                    <input
+                      type="text"
+                      value={newClientGroup}
+                      onChange={(e) => setNewClientGroup(e.target.value)}
+                      placeholder="Group name (optional) - track the selected companies as one client"
+                      className="w-full"
+                    />
+                  )}
                   
                   {/* Search Results */}
                   {clientSuggestions.length > 0 && (
@@ -1432,22 +3207,15 @@ Generated by Export Data Explorer
               {/* Client List */}
               <div className="glass-card rounded-xl p-6">
                 <h3 className="text-lg font-semibold text-white mb-4">Tracked Clients ({clients.length})</h3>
-                <div className="flex flex-wrap gap-2">
-                  {clients.map(c => (
-                    <div key={c.id} className="flex items-center gap-2 bg-white/5 rounded-lg px-3 py-2">
-                      <span className="text-slate-300">{c.name}</span>
-                      <button
-                        onClick={() => handleDeleteClient(c.id)}
-                        className="text-slate-500 hover:text-rose-400 transition-colors"
-                      >
-                        <X className="w-4 h-4" />
-                      </button>
-                    </div>
-                  ))}
-                  {clients.length === 0 && (
-                    <p className="text-slate-500">No clients being tracked. Search and add some above!</p>
-                  )}
-                </div>
+                <TrackedGroups
+                  groups={clients}
+                  selectedCount={selectedClients.length}
+                  onAddSelected={(group) => handleAddToGroup('clients', group)}
+                  onRename={(id, name) => handleRenameGroup('clients', id, name)}
+                  onRemoveMember={(group, member) => handleRemoveGroupMember('clients', group, member)}
+                  onRemoveGroup={handleDeleteClient}
+                  emptyText="No clients being tracked. Search and add some above!"
+                />
               </div>
 
               {/* Client Analytics */}
@@ -1475,44 +3243,59 @@ Generated by Export Data Explorer
                         </tr>
                       </thead>
                       <tbody>
-                        {clientAnalytics.clients.map((client, i) => {
+                        {clientAnalytics.clients.map((client) => {
                           const prevData = clientAnalytics.comparison.find(
-                            c => c.consignee_name === client.consignee_name
+                            c => c.group_id === client.group_id
                           );
                           const trend = prevData ? calculateTrend(client.total_fob, prevData.total_fob) : null;
+                          const isGroup = client.members.length > 1;
+                          const expanded = expandedGroups.includes(`clients-${client.group_id}`);
                           
                           return (
-                            <tr 
-                              key={i}
-                              onClick={() => fetchEntityDetails(client.consignee_name, 'consignee')}
-                              className="cursor-pointer hover:bg-emerald-500/10 transition-colors"
-                            >
-                              <td className="font-medium text-white">
-                                {formatName(client.consignee_name)}
-                                <span className="ml-2 text-xs text-slate-500">Click for details</span>
-                              </td>
-                              <td>{formatNumber(client.shipment_count)}</td>
-                              <td className="text-emerald-400 font-mono">{formatCurrency(client.total_fob)}</td>
-                              <td>{client.product_count}</td>
-                              <td>{client.supplier_count}</td>
-                              <td>
-                                <span className={`badge ${client.categories?.includes('fruits') ? 'badge-gold' : 'badge-emerald'}`}>
-                                  {client.categories}
-                                </span>
-                              </td>
-                              {compareMonth && (
+                            <Fragment key={client.group_id}>
+                              <tr 
+                                onClick={() => isGroup
+                                  ? toggleGroup(`clients-${client.group_id}`)
+                                  : fetchEntityDetails(client.members[0].consignee_name, 'consignee')}
+                                className="cursor-pointer hover:bg-emerald-500/10 transition-colors"
+                              >
+                                <td className="font-medium text-white">
+                                  {isGroup && (expanded ? <ChevronDown className="w-4 h-4 inline mr-1" /> : <ChevronRight className="w-4 h-4 inline mr-1" />)}
+                                  {formatName(client.consignee_name)}
+                                  <span className="ml-2 text-xs text-slate-500">
+                                    {isGroup ? `${client.members.length} companies` : 'Click for details'}
+                                  </span>
+                                </td>
+                                <td>{formatNumber(client.shipment_count)}</td>
+                                <td className="text-emerald-400 font-mono">{formatCurrency(client.total_fob)}</td>
+                                <td>{client.product_count}</td>
+                                <td>{client.supplier_count}</td>
                                 <td>
-                                  {trend !== null ? (
-                                    <span className={`flex items-center gap-1 ${trend >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                                      {trend >= 0 ? <ArrowUpRight className="w-4 h-4" /> : <ArrowDownRight className="w-4 h-4" />}
-                                      {Math.abs(trend).toFixed(1)}%
-                                    </span>
-                                  ) : (
-                                    <span className="text-slate-500">N/A</span>
-                                  )}
+                                  <CategoryBadges value={client.categories} categories={categories} />
                                 </td>
-                              )}
-                            </tr>
+                                <TrendCell show={!!compareMonth} trend={trend} />
+                              </tr>
+                              {isGroup && expanded && client.members.map(member => {
+                                const prevMember = prevData?.members.find(m => m.entity_id === member.entity_id);
+                                return (
+                                  <tr
+                                    key={member.entity_id}
+                                    onClick={() => fetchEntityDetails(member.consignee_name, 'consignee')}
+                                    className="cursor-pointer bg-white/5 hover:bg-emerald-500/10 transition-colors text-sm"
+                                  >
+                                    <td className="pl-10 text-slate-300">{formatName(member.consignee_name)}</td>
+                                    <td>{formatNumber(member.shipment_count)}</td>
+                                    <td className="text-emerald-400 font-mono">{formatCurrency(member.total_fob)}</td>
+                                    <td>{member.product_count}</td>
+                                    <td>{member.supplier_count}</td>
+                                    <td>
+                                      <CategoryBadges value={member.categories} categories={categories} />
+                                    </td>
+                                    <TrendCell show={!!compareMonth} trend={prevMember ? calculateTrend(member.total_fob, prevMember.total_fob) : null} />
+                                  </tr>
+                                );
+                              })}
+                            </Fragment>
                           );
                         })}
                       </tbody>
@@ -1649,11 +3432,27 @@ Generated by Export Data Explorer
           {/* Trends Tab */}
           {activeTab === 'trends' && (
             <div className="space-y-6 animate-fade-in">
+              <div className="glass-card rounded-xl p-4 flex items-center gap-3">
+                <label className="text-sm text-slate-400">Group by</label>
+                <select
+                  value={trendGranularity}
+                  onChange={(e) => setTrendGranularity(e.target.value)}
+                  className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm"
+                >
+                  {GRANULARITIES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                {trends.length > 0 && (
+                  <button onClick={exportTrendsToExcel} className="btn-secondary text-sm ml-auto">
+                    <FileSpreadsheet className="w-4 h-4" />
+                    Export Excel
+                  </button>
+                )}
+              </div>
               {trends.length > 0 ? (
                 <>
                   {/* Shipment Trends */}
                   <div className="glass-card rounded-xl p-6">
-                    <h3 className="text-lg font-semibold text-white mb-4">Monthly Shipment Trends</h3>
+                    <h3 className="text-lg font-semibold text-white mb-4">Shipment Trends</h3>
                     <ResponsiveContainer width="100%" height={350}>
                       <AreaChart data={trends}>
                         <defs>
@@ -1667,7 +3466,7 @@ Generated by Export Data Explorer
                           </linearGradient>
                         </defs>
                         <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
-                        <XAxis dataKey="month_year" tick={{ fontSize: 11 }} />
+                        <XAxis dataKey="label" tick={{ fontSize: 11 }} />
                         <YAxis yAxisId="left" tickFormatter={formatCurrency} />
                         <YAxis yAxisId="right" orientation="right" />
                         <Tooltip content={<CustomTooltip />} />
@@ -1698,7 +3497,7 @@ Generated by Export Data Explorer
                     <ResponsiveContainer width="100%" height={300}>
                       <LineChart data={trends}>
                         <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.05)" />
-                        <XAxis dataKey="month_year" tick={{ fontSize: 11 }} />
+                        <XAxis dataKey="label" tick={{ fontSize: 11 }} />
                         <YAxis />
                         <Tooltip content={<CustomTooltip />} />
                         <Legend />
@@ -1734,7 +3533,7 @@ Generated by Export Data Explorer
                     <h2 className="text-xl font-bold text-white">{detailView.entity}</h2>
                     <p className="text-sm text-slate-400">
                       {detailView.type === 'exporter' ? 'Competitor Analysis' : 'Client Analysis'}
-                      {selectedMonth && ` • ${selectedMonth}`}
+                      {dateRangeLabel && ` • ${dateRangeLabel}`}
                     </p>
                   </div>
                   <div className="flex items-center gap-3">
@@ -1771,13 +3570,13 @@ Generated by Export Data Explorer
                           {formatCurrency(detailView.data.summary?.total_fob)}
                         </p>
                         <p className="text-sm text-amber-400">
-                          {formatINR(detailView.data.summary?.total_fob)}
+                          {formatINR(detailView.data.summary?.total_fob_inr)}
                         </p>
                         <p className="text-sm text-slate-400">Total FOB Value</p>
                       </div>
                       <div className="bg-white/5 rounded-lg p-4">
                         <p className="text-2xl font-bold text-sky-400">
-                          {formatNumber(Math.round(detailView.data.summary?.total_quantity || 0))} KG
+                          {formatQuantity(detailView.data.summary?.total_quantity, detailView.data.summary?.total_count, detailView.data.summary?.count_unit)}
                         </p>
                         <p className="text-sm text-slate-400">Total Quantity</p>
                       </div>
@@ -1805,7 +3604,7 @@ Generated by Export Data Explorer
                               </div>
                               <div className="text-right ml-4">
                                 <p className="text-sm font-mono text-amber-400">{formatCurrency(p.total_fob)}</p>
-                                <p className="text-xs text-slate-500">{formatNumber(Math.round(p.total_quantity))} {p.unit}</p>
+                                <p className="text-xs text-slate-500">{formatQuantity(p.total_quantity, p.total_count, p.count_unit)}</p>
                               </div>
                             </div>
                           ))}
@@ -1887,13 +3686,23 @@ Generated by Export Data Explorer
 
                     {/* Ports Info */}
                     <div className="bg-white/5 rounded-lg p-4">
-                      <h3 className="text-lg font-semibold text-white mb-4">Shipping Routes</h3>
+                      <div className="flex items-center justify-between mb-4">
+                        <h3 className="text-lg font-semibold text-white">Shipping Routes</h3>
+                        <div className="flex gap-2">
+                          {detailView.data.modes?.map(m => (
+                            <span key={m.mode} className={`badge ${m.mode === 'air' ? 'badge-sky' : m.mode === 'sea' ? 'badge-emerald' : 'badge-gold'}`}>
+                              {m.mode}: {m.shipment_count} · {formatCurrency(m.total_fob)}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
                       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
                         {detailView.data.ports?.slice(0, 9).map((p, i) => (
                           <div key={i} className="flex items-center gap-2 p-2 bg-white/5 rounded text-sm">
-                            <span className="text-slate-300">{p.indian_port}</span>
+                            <span className="text-slate-300" title={p.state || ''}>{p.indian_port}</span>
                             <span className="text-slate-500">→</span>
                             <span className="text-slate-300">{p.foreign_port}</span>
+                            {p.mode === 'air' && <span className="badge badge-sky">air</span>}
                             <span className="ml-auto text-amber-400">{p.shipment_count}</span>
                           </div>
                         ))}
@@ -1925,8 +3734,8 @@ Generated by Export Data Explorer
                                   {s.product_description?.substring(0, 40)}...
                                 </td>
                                 <td>{formatNumber(Math.round(s.quantity || 0))} {s.unit}</td>
-                                <td className="text-emerald-400 font-mono">{formatCurrency(s.fob_value)}</td>
-                                <td className="text-amber-400 font-mono">{formatINR(s.fob_value)}</td>
+                                <td className="text-emerald-400 font-mono">{formatCurrency(s.fob_usd)}</td>
+                                <td className="text-amber-400 font-mono">{formatINR(s.fob_inr)}</td>
                                 <td>{s.country_of_destination}</td>
                               </tr>
                             ))}
@@ -1976,6 +3785,20 @@ Generated by Export Data Explorer
                     <ShoppingCart className="w-4 h-4" />
                     Cross-Sell Analysis
                   </button>
+                  <div className="flex items-center gap-2 ml-auto">
+                    <label className="text-sm text-slate-400">Match products on</label>
+                    <select
+                      value={hsLevel}
+                      onChange={(e) => setHsLevel(e.target.value)}
+                      className="bg-white/5 border border-white/10 rounded-lg px-3 py-2 text-sm"
+                      disabled={loadingIntelligence}
+                    >
+                      <option value="2">HS chapter (2 digits)</option>
+                      <option value="4">HS heading (4 digits)</option>
+                      <option value="6">HS subheading (6 digits)</option>
+                      <option value="8">Full HS code (8 digits)</option>
+                    </select>
+                  </div>
                 </div>
               </div>
 
@@ -1995,7 +3818,7 @@ Generated by Export Data Explorer
                       </h3>
                       <p className="text-sm text-slate-400">
                         These buyers purchase products similar to yours but from other exporters.
-                        Based on {prospectiveClients.companyProducts?.length || 0} products you export.
+                        Based on {new Set(prospectiveClients.companyProducts?.map(p => p.hs_code)).size} {prospectiveClients.hsLevel}-digit HS codes you export.
                       </p>
                     </div>
                     {prospectiveClients.prospectiveClients?.length > 0 && (
@@ -2033,8 +3856,8 @@ Generated by Export Data Explorer
                               <td>{client.country_of_destination}</td>
                               <td>{client.total_shipments}</td>
                               <td className="text-emerald-400 font-mono">{formatCurrency(client.total_fob)}</td>
-                              <td className="text-amber-400 font-mono">{formatINR(client.total_fob)}</td>
-                              <td>{formatNumber(Math.round(client.total_quantity || 0))}</td>
+                              <td className="text-amber-400 font-mono">{formatINR(client.total_fob_inr)}</td>
+                              <td>{formatQuantity(client.total_quantity, client.total_count, client.count_unit)}</td>
                               <td className="text-xs text-slate-400 max-w-xs truncate" title={client.current_suppliers}>
                                 {client.current_suppliers?.substring(0, 50)}...
                               </td>
@@ -2099,11 +3922,11 @@ Generated by Export Data Explorer
                               <td className="max-w-xs truncate text-sm" title={opp.product_description}>
                                 {opp.product_description?.substring(0, 40)}
                               </td>
-                              <td className="font-mono text-xs">{opp.hs_code}</td>
+                              <td className="font-mono text-xs" title={opp.hs_description || undefined}>{opp.hs_code}</td>
                               <td className="text-rose-400">{opp.competitor}</td>
                               <td className="text-emerald-400 font-mono">{formatCurrency(opp.total_fob)}</td>
-                              <td className="text-amber-400 font-mono">{formatINR(opp.total_fob)}</td>
-                              <td>{formatNumber(Math.round(opp.total_quantity || 0))} {opp.unit}</td>
+                              <td className="text-amber-400 font-mono">{formatINR(opp.total_fob_inr)}</td>
+                              <td>{formatQuantity(opp.total_quantity, opp.total_count, opp.count_unit)}</td>
                             </tr>
                           ))}
                         </tbody>
@@ -2130,51 +3953,61 @@ Generated by Export Data Explorer
             </div>
           )}
 
-          {/* Monthly Comparison Tab */}
+          {/* Period Comparison Tab */}
           {activeTab === 'monthly-comparison' && (
             <div className="space-y-6 animate-fade-in">
-              {/* Month Selection */}
+              {/* Period Selection */}
               <div className="glass-card rounded-xl p-6">
                 <div className="flex items-center gap-4 mb-6">
                   <div className="p-3 rounded-lg bg-violet-500/20">
                     <TrendingUp className="w-6 h-6 text-violet-400" />
                   </div>
                   <div>
-                    <h3 className="text-lg font-semibold text-white">Monthly Comparison Analysis</h3>
+                    <h3 className="text-lg font-semibold text-white">Period Comparison Analysis</h3>
                     <p className="text-sm text-slate-400">
-                      Compare current month with previous month for competitors and clients
+                      Compare a week, month, quarter or financial year with an earlier one for competitors and clients
                     </p>
                   </div>
                 </div>
                 
-                <div className="flex items-center gap-4 mb-4">
+                <div className="flex flex-wrap items-center gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm text-slate-400 mb-1">Compare by</label>
+                    <select
+                      value={comparisonGranularity}
+                      onChange={(e) => setComparisonGranularity(e.target.value)}
+                      className="bg-white/5 border border-white/10 rounded-lg px-4 py-2"
+                    >
+                      {GRANULARITIES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                  </div>
                   <div>
-                    <label className="block text-sm text-slate-400 mb-1">Current Month</label>
+                    <label className="block text-sm text-slate-400 mb-1">Current Period</label>
                     <select
-                      value={selectedMonth}
-                      onChange={(e) => setSelectedMonth(e.target.value)}
+                      value={comparePeriods.current}
+                      onChange={(e) => setComparePeriods({ ...comparePeriods, current: e.target.value })}
                       className="bg-white/5 border border-white/10 rounded-lg px-4 py-2"
                     >
-                      <option value="">Select Month</option>
-                      {months.map(m => <option key={m} value={m}>{m}</option>)}
+                      <option value="">Select Period</option>
+                      {comparisonPeriods.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
                     </select>
                   </div>
                   <span className="text-slate-500 mt-6">vs</span>
                   <div>
-                    <label className="block text-sm text-slate-400 mb-1">Previous Month</label>
+                    <label className="block text-sm text-slate-400 mb-1">Previous Period</label>
                     <select
-                      value={compareMonth}
-                      onChange={(e) => setCompareMonth(e.target.value)}
+                      value={comparePeriods.previous}
+                      onChange={(e) => setComparePeriods({ ...comparePeriods, previous: e.target.value })}
                       className="bg-white/5 border border-white/10 rounded-lg px-4 py-2"
                     >
-                      <option value="">Select Month</option>
-                      {months.filter(m => m !== selectedMonth).map(m => <option key={m} value={m}>{m}</option>)}
+                      <option value="">Same period last year</option>
+                      {comparisonPeriods.filter(p => p.id !== comparePeriods.current).map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
                     </select>
                   </div>
                   <button
-                    onClick={fetchMonthlyComparison}
+                    onClick={() => fetchMonthlyComparison()}
                     className="btn-primary mt-6"
-                    disabled={loadingMonthlyComparison || !selectedMonth || !compareMonth}
+                    disabled={loadingMonthlyComparison || !comparePeriods.current}
                   >
                     {loadingMonthlyComparison ? (
                       <div className="w-5 h-5 border-2 border-navy-950 border-t-transparent rounded-full animate-spin" />
@@ -2185,6 +4018,20 @@ Generated by Export Data Explorer
                       </>
                     )}
                   </button>
+                  <button
+                    onClick={() => fetchMonthlyComparison('year')}
+                    className="btn-secondary mt-6"
+                    disabled={loadingMonthlyComparison || !comparePeriods.current}
+                  >
+                    vs Last Year
+                  </button>
+                  <button
+                    onClick={() => fetchMonthlyComparison('previous')}
+                    className="btn-secondary mt-6"
+                    disabled={loadingMonthlyComparison || !comparePeriods.current}
+                  >
+                    vs Previous {GRANULARITIES.find(([value]) => value === comparisonGranularity)[1]}
+                  </button>
                   {monthlyComparisonData && (
                     <button onClick={exportMonthlyComparisonToExcel} className="btn-secondary mt-6">
                       <FileSpreadsheet className="w-4 h-4" />
@@ -2199,7 +4046,7 @@ Generated by Export Data Explorer
                   {/* Competitor Comparison */}
                   <div className="glass-card rounded-xl p-6">
                     <h3 className="text-lg font-semibold text-white mb-4">
-                      📊 Competitor Comparison: {selectedMonth} vs {compareMonth}
+                      📊 Competitor Comparison: {monthlyComparisonData.current.label} vs {monthlyComparisonData.previous.label}
                     </h3>
                     {monthlyComparisonData.competitorComparison?.length > 0 ? (
                       <div className="overflow-x-auto">
@@ -2217,25 +4064,38 @@ Generated by Export Data Explorer
                             </tr>
                           </thead>
                           <tbody>
-                            {monthlyComparisonData.competitorComparison.map((comp, i) => (
-                              <tr key={i} className={comp.isNew ? 'bg-emerald-500/10' : comp.isDropped ? 'bg-rose-500/10' : ''}>
-                                <td className="font-medium text-white">{comp.name}</td>
-                                <td>{comp.current?.shipments || 0}</td>
-                                <td>{comp.previous?.shipments || 0}</td>
-                                <td className={parseFloat(comp.shipmentChange) >= 0 ? 'text-emerald-400' : 'text-rose-400'}>
-                                  {comp.shipmentChange ? `${comp.shipmentChange}%` : 'N/A'}
-                                </td>
-                                <td className="text-emerald-400 font-mono">{formatCurrency(comp.current?.total_fob)}</td>
-                                <td className="text-slate-400 font-mono">{formatCurrency(comp.previous?.total_fob)}</td>
-                                <td className={parseFloat(comp.fobChange) >= 0 ? 'text-emerald-400' : 'text-rose-400'}>
-                                  {comp.fobChange ? `${comp.fobChange}%` : 'N/A'}
-                                </td>
-                                <td>
-                                  {comp.isNew && <span className="badge badge-emerald">NEW</span>}
-                                  {comp.isDropped && <span className="badge badge-rose">DROPPED</span>}
-                                </td>
-                              </tr>
-                            ))}
+                            {monthlyComparisonData.competitorComparison.flatMap((group) => {
+                              const key = `monthly-competitors-${group.name}`;
+                              const isGroup = group.members?.length > 1;
+                              const expanded = expandedGroups.includes(key);
+                              return [group, ...(isGroup && expanded ? group.members : [])].map((comp, i) => (
+                                <tr
+                                  key={`${key}-${i}`}
+                                  onClick={() => i === 0 && isGroup && toggleGroup(key)}
+                                  className={`${comp.isNew ? 'bg-emerald-500/10' : comp.isDropped ? 'bg-rose-500/10' : i > 0 ? 'bg-white/5' : ''} ${i === 0 && isGroup ? 'cursor-pointer' : ''} ${i > 0 ? 'text-sm' : ''}`}
+                                >
+                                  <td className={i === 0 ? 'font-medium text-white' : 'pl-10 text-slate-300'}>
+                                    {i === 0 && isGroup && (expanded ? <ChevronDown className="w-4 h-4 inline mr-1" /> : <ChevronRight className="w-4 h-4 inline mr-1" />)}
+                                    {comp.name}
+                                    {i === 0 && isGroup && <span className="ml-2 text-xs text-slate-500">{group.members.length} companies</span>}
+                                  </td>
+                                  <td>{comp.current?.shipments || 0}</td>
+                                  <td>{comp.previous?.shipments || 0}</td>
+                                  <td className={parseFloat(comp.shipmentChange) >= 0 ? 'text-emerald-400' : 'text-rose-400'}>
+                                    {comp.shipmentChange ? `${comp.shipmentChange}%` : 'N/A'}
+                                  </td>
+                                  <td className="text-emerald-400 font-mono">{formatCurrency(comp.current?.total_fob)}</td>
+                                  <td className="text-slate-400 font-mono">{formatCurrency(comp.previous?.total_fob)}</td>
+                                  <td className={parseFloat(comp.fobChange) >= 0 ? 'text-emerald-400' : 'text-rose-400'}>
+                                    {comp.fobChange ? `${comp.fobChange}%` : 'N/A'}
+                                  </td>
+                                  <td>
+                                    {comp.isNew && <span className="badge badge-emerald">NEW</span>}
+                                    {comp.isDropped && <span className="badge badge-rose">DROPPED</span>}
+                                  </td>
+                                </tr>
+                              ));
+                            })}
                           </tbody>
                         </table>
                       </div>
@@ -2247,7 +4107,7 @@ Generated by Export Data Explorer
                   {/* Client Comparison */}
                   <div className="glass-card rounded-xl p-6">
                     <h3 className="text-lg font-semibold text-white mb-4">
-                      👥 Client Comparison: {selectedMonth} vs {compareMonth}
+                      👥 Client Comparison: {monthlyComparisonData.current.label} vs {monthlyComparisonData.previous.label}
                     </h3>
                     {monthlyComparisonData.clientComparison?.length > 0 ? (
                       <div className="overflow-x-auto">
@@ -2265,24 +4125,37 @@ Generated by Export Data Explorer
                             </tr>
                           </thead>
                           <tbody>
-                            {monthlyComparisonData.clientComparison.map((client, i) => (
-                              <tr key={i} className={client.isNew ? 'bg-emerald-500/10' : ''}>
-                                <td className="font-medium text-white">{formatName(client.name)}</td>
-                                <td>{client.current?.shipments || 0}</td>
-                                <td>{client.previous?.shipments || 0}</td>
-                                <td className={parseFloat(client.shipmentChange) >= 0 ? 'text-emerald-400' : 'text-rose-400'}>
-                                  {client.shipmentChange ? `${client.shipmentChange}%` : 'N/A'}
-                                </td>
-                                <td className="text-emerald-400 font-mono">{formatCurrency(client.current?.total_fob)}</td>
-                                <td className="text-slate-400 font-mono">{formatCurrency(client.previous?.total_fob)}</td>
-                                <td className={parseFloat(client.fobChange) >= 0 ? 'text-emerald-400' : 'text-rose-400'}>
-                                  {client.fobChange ? `${client.fobChange}%` : 'N/A'}
-                                </td>
-                                <td>
-                                  {client.isNew && <span className="badge badge-emerald">NEW</span>}
-                                </td>
-                              </tr>
-                            ))}
+                            {monthlyComparisonData.clientComparison.flatMap((group) => {
+                              const key = `monthly-clients-${group.name}`;
+                              const isGroup = group.members?.length > 1;
+                              const expanded = expandedGroups.includes(key);
+                              return [group, ...(isGroup && expanded ? group.members : [])].map((client, i) => (
+                                <tr
+                                  key={`${key}-${i}`}
+                                  onClick={() => i === 0 && isGroup && toggleGroup(key)}
+                                  className={`${client.isNew ? 'bg-emerald-500/10' : i > 0 ? 'bg-white/5' : ''} ${i === 0 && isGroup ? 'cursor-pointer' : ''} ${i > 0 ? 'text-sm' : ''}`}
+                                >
+                                  <td className={i === 0 ? 'font-medium text-white' : 'pl-10 text-slate-300'}>
+                                    {i === 0 && isGroup && (expanded ? <ChevronDown className="w-4 h-4 inline mr-1" /> : <ChevronRight className="w-4 h-4 inline mr-1" />)}
+                                    {formatName(client.name)}
+                                    {i === 0 && isGroup && <span className="ml-2 text-xs text-slate-500">{group.members.length} companies</span>}
+                                  </td>
+                                  <td>{client.current?.shipments || 0}</td>
+                                  <td>{client.previous?.shipments || 0}</td>
+                                  <td className={parseFloat(client.shipmentChange) >= 0 ? 'text-emerald-400' : 'text-rose-400'}>
+                                    {client.shipmentChange ? `${client.shipmentChange}%` : 'N/A'}
+                                  </td>
+                                  <td className="text-emerald-400 font-mono">{formatCurrency(client.current?.total_fob)}</td>
+                                  <td className="text-slate-400 font-mono">{formatCurrency(client.previous?.total_fob)}</td>
+                                  <td className={parseFloat(client.fobChange) >= 0 ? 'text-emerald-400' : 'text-rose-400'}>
+                                    {client.fobChange ? `${client.fobChange}%` : 'N/A'}
+                                  </td>
+                                  <td>
+                                    {client.isNew && <span className="badge badge-emerald">NEW</span>}
+                                  </td>
+                                </tr>
+                              ));
+                            })}
                           </tbody>
                         </table>
                       </div>
@@ -2297,7 +4170,7 @@ Generated by Export Data Explorer
                       ⚠️ New Competitors Supplying to Your Clients
                     </h3>
                     <p className="text-sm text-slate-400 mb-4">
-                      These suppliers started selling to your tracked clients in {selectedMonth}
+                      These suppliers started selling to your tracked clients in {monthlyComparisonData.current.label}
                     </p>
                     {monthlyComparisonData.newSuppliersToClients?.length > 0 ? (
                       <div className="overflow-x-auto">
@@ -2319,7 +4192,7 @@ Generated by Export Data Explorer
                                 <td className="text-rose-400">{row.new_supplier}</td>
                                 <td>{row.shipments}</td>
                                 <td className="text-emerald-400 font-mono">{formatCurrency(row.total_fob)}</td>
-                                <td className="text-amber-400 font-mono">{formatINR(row.total_fob)}</td>
+                                <td className="text-amber-400 font-mono">{formatINR(row.total_fob_inr)}</td>
                                 <td className="text-xs max-w-xs truncate">{row.products?.substring(0, 50)}</td>
                               </tr>
                             ))}
@@ -2337,7 +4210,7 @@ Generated by Export Data Explorer
                       🔄 All New Supplier-Client Relationships
                     </h3>
                     <p className="text-sm text-slate-400 mb-4">
-                      New supplier-client combinations appearing in {selectedMonth} but not in {compareMonth}
+                      New supplier-client combinations appearing in {monthlyComparisonData.current.label} but not in {monthlyComparisonData.previous.label}
                     </p>
                     {monthlyComparisonData.clientsNewSuppliers?.length > 0 ? (
                       <div className="overflow-x-auto max-h-96">
@@ -2358,7 +4231,7 @@ Generated by Export Data Explorer
                                 <td>{row.new_supplier}</td>
                                 <td>{row.shipments}</td>
                                 <td className="text-emerald-400 font-mono">{formatCurrency(row.total_fob)}</td>
-                                <td className="text-amber-400 font-mono">{formatINR(row.total_fob)}</td>
+                                <td className="text-amber-400 font-mono">{formatINR(row.total_fob_inr)}</td>
                               </tr>
                             ))}
                           </tbody>
@@ -2375,9 +4248,9 @@ Generated by Export Data Explorer
               {!monthlyComparisonData && !loadingMonthlyComparison && (
                 <div className="glass-card rounded-xl p-12 text-center">
                   <TrendingUp className="w-16 h-16 text-slate-600 mx-auto mb-4" />
-                  <h3 className="text-xl font-semibold text-white mb-2">Monthly Comparison</h3>
+                  <h3 className="text-xl font-semibold text-white mb-2">Period Comparison</h3>
                   <p className="text-slate-400 mb-4 max-w-md mx-auto">
-                    Select two months above to compare competitor and client activity. 
+                    Select a period above and compare it with last year or the period before. 
                     See who's growing, who's new, and track market changes.
                   </p>
                 </div>
@@ -2441,7 +4314,7 @@ Generated by Export Data Explorer
                       icon={DollarSign}
                       label="Your FOB Value"
                       value={formatCurrency(benchmarkData.companyData?.total_fob)}
-                      subValue={formatINR(benchmarkData.companyData?.total_fob)}
+                      subValue={formatINR(benchmarkData.companyData?.total_fob_inr)}
                       color="emerald"
                     />
                     <StatCard
@@ -2485,25 +4358,38 @@ Generated by Export Data Explorer
                             </td>
                             <td className="font-bold">{formatNumber(benchmarkData.companyData?.shipments)}</td>
                             <td className="font-bold text-emerald-400">{formatCurrency(benchmarkData.companyData?.total_fob)}</td>
-                            <td className="font-bold text-amber-400">{formatINR(benchmarkData.companyData?.total_fob)}</td>
+                            <td className="font-bold text-amber-400">{formatINR(benchmarkData.companyData?.total_fob_inr)}</td>
                             <td className="font-bold">{benchmarkData.companyData?.products}</td>
                             <td className="font-bold">{benchmarkData.companyData?.countries}</td>
                             <td className="font-bold">{benchmarkData.companyData?.clients}</td>
                             <td className="font-bold">{formatCurrency(benchmarkData.companyData?.avg_fob_per_shipment)}</td>
                           </tr>
-                          {/* Competitors */}
-                          {benchmarkData.competitorBenchmark?.map((comp, i) => (
-                            <tr key={i}>
-                              <td className="text-white">{comp.name}</td>
-                              <td>{formatNumber(comp.shipments)}</td>
-                              <td className="text-emerald-400 font-mono">{formatCurrency(comp.total_fob)}</td>
-                              <td className="text-amber-400 font-mono">{formatINR(comp.total_fob)}</td>
-                              <td>{comp.products}</td>
-                              <td>{comp.countries}</td>
-                              <td>{comp.clients}</td>
-                              <td className="font-mono">{formatCurrency(comp.avg_fob_per_shipment)}</td>
-                            </tr>
-                          ))}
+                          {/* Competitors, groups of several companies expandable to each company */}
+                          {benchmarkData.competitorBenchmark?.flatMap((group) => {
+                            const key = `benchmark-${group.group_id}`;
+                            const isGroup = group.members.length > 1;
+                            const expanded = expandedGroups.includes(key);
+                            return [group, ...(isGroup && expanded ? group.members : [])].map((comp, i) => (
+                              <tr
+                                key={`${key}-${i}`}
+                                onClick={() => i === 0 && isGroup && toggleGroup(key)}
+                                className={`${i === 0 && isGroup ? 'cursor-pointer' : ''} ${i > 0 ? 'bg-white/5 text-sm' : ''}`}
+                              >
+                                <td className={i === 0 ? 'text-white' : 'pl-10 text-slate-300'}>
+                                  {i === 0 && isGroup && (expanded ? <ChevronDown className="w-4 h-4 inline mr-1" /> : <ChevronRight className="w-4 h-4 inline mr-1" />)}
+                                  {comp.name}
+                                  {i === 0 && isGroup && <span className="ml-2 text-xs text-slate-500">{group.members.length} companies</span>}
+                                </td>
+                                <td>{formatNumber(comp.shipments)}</td>
+                                <td className="text-emerald-400 font-mono">{formatCurrency(comp.total_fob)}</td>
+                                <td className="text-amber-400 font-mono">{formatINR(comp.total_fob_inr)}</td>
+                                <td>{comp.products}</td>
+                                <td>{comp.countries}</td>
+                                <td>{comp.clients}</td>
+                                <td className="font-mono">{formatCurrency(comp.avg_fob_per_shipment)}</td>
+                              </tr>
+                            ));
+                          })}
                         </tbody>
                       </table>
                     </div>
@@ -2545,282 +4431,1184 @@ Generated by Export Data Explorer
                         <table className="data-table text-sm">
                           <thead className="sticky top-0 bg-navy-900">
                             <tr>
-                              <th>Client</th>
-                              <th>Vendor</th>
-                              <th>Type</th>
-                              <th>Shipments</th>
+                              <th>Client</th>
+                              <th>Vendor</th>
+                              <th>Type</th>
+                              <th>Shipments</th>
+                              <th>FOB (USD)</th>
+                              <th>FOB (INR)</th>
+                              <th>Products</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {benchmarkData.clientVendorAnalysis.map((row, i) => (
+                              <tr key={i} className={row.is_your_company ? 'bg-amber-500/10' : ''}>
+                                <td className="text-white">{formatName(row.client)}</td>
+                                <td className={row.is_your_company ? 'text-amber-400 font-medium' : 'text-slate-300'}>
+                                  {row.vendor}
+                                  {row.is_your_company === 1 && <span className="badge badge-gold ml-2">YOU</span>}
+                                </td>
+                                <td>
+                                  <span className={`badge ${row.is_your_company ? 'badge-gold' : 'badge-sky'}`}>
+                                    {row.is_your_company ? 'Your Company' : 'Competitor'}
+                                  </span>
+                                </td>
+                                <td>{row.shipments}</td>
+                                <td className="text-emerald-400 font-mono">{formatCurrency(row.total_fob)}</td>
+                                <td className="text-amber-400 font-mono">{formatINR(row.total_fob_inr)}</td>
+                                <td>{row.products}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ) : (
+                      <p className="text-slate-500 text-center py-4">No client vendor data available</p>
+                    )}
+                  </div>
+                </>
+              )}
+
+              {/* Empty State */}
+              {!benchmarkData && !loadingBenchmark && (
+                <div className="glass-card rounded-xl p-12 text-center">
+                  <Target className="w-16 h-16 text-slate-600 mx-auto mb-4" />
+                  <h3 className="text-xl font-semibold text-white mb-2">AGNA Benchmarking</h3>
+                  <p className="text-slate-400 mb-6 max-w-md mx-auto">
+                    Click "Analyze" above to benchmark your company against competitors 
+                    and see how your clients split their business.
+                  </p>
+                  <button onClick={fetchBenchmarkData} className="btn-primary">
+                    <Target className="w-4 h-4" />
+                    Start Benchmarking
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Custom Reports Tab */}
+          {activeTab === 'custom-reports' && (
+            <div className="space-y-6 animate-fade-in">
+              {/* Filter Form */}
+              <div className="glass-card rounded-xl p-6">
+                <div className="flex items-center gap-4 mb-6">
+                  <div className="p-3 rounded-lg bg-sky-500/20">
+                    <FileSearch className="w-6 h-6 text-sky-400" />
+                  </div>
+                  <div>
+                    <h3 className="text-lg font-semibold text-white">Custom Report Generator</h3>
+                    <p className="text-sm text-slate-400">
+                      Generate detailed reports by selecting specific countries, exporters, or consignees
+                    </p>
+                  </div>
+                </div>
+                
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                  <div>
+                    <label className="block text-sm text-slate-400 mb-2">Countries or regions (comma separated)</label>
+                    <input
+                      type="text"
+                      value={customReportFilters.countries}
+                      onChange={(e) => setCustomReportFilters({...customReportFilters, countries: e.target.value})}
+                      placeholder="e.g., USA, UK, GCC"
+                      className="w-full"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm text-slate-400 mb-2">Exporters (comma separated)</label>
+                    <input
+                      type="text"
+                      value={customReportFilters.exporters}
+                      onChange={(e) => setCustomReportFilters({...customReportFilters, exporters: e.target.value})}
+                      placeholder="e.g., AGNA, APEX"
+                      className="w-full"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm text-slate-400 mb-2">Consignees (comma separated)</label>
+                    <input
+                      type="text"
+                      value={customReportFilters.consignees}
+                      onChange={(e) => setCustomReportFilters({...customReportFilters, consignees: e.target.value})}
+                      placeholder="e.g., Fresh Foods, Global Trade"
+                      className="w-full"
+                    />
+                  </div>
+                </div>
+                
+                <div className="flex gap-3">
+                  <button 
+                    onClick={fetchCustomReport} 
+                    className="btn-primary"
+                    disabled={loadingCustomReport}
+                  >
+                    {loadingCustomReport ? (
+                      <div className="w-5 h-5 border-2 border-navy-950 border-t-transparent rounded-full animate-spin" />
+                    ) : (
+                      <>
+                        <Search className="w-4 h-4" />
+                        Generate Report
+                      </>
+                    )}
+                  </button>
+                  {customReportData && (
+                    <button onClick={exportCustomReportToExcel} className="btn-secondary">
+                      <FileSpreadsheet className="w-4 h-4" />
+                      Download Excel
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {/* Report Results */}
+              {customReportData && (
+                <>
+                  {/* Summary */}
+                  <div className="glass-card rounded-xl p-6">
+                    <h3 className="text-lg font-semibold text-white mb-4">📊 Summary</h3>
+                    {customReportData.summary?.length > 0 ? (
+                      <div className="overflow-x-auto">
+                        <table className="data-table">
+                          <thead>
+                            <tr>
+                              <th>Entity</th>
+                              <th>Shipments</th>
+                              <th>Quantity</th>
+                              <th>Products</th>
+                              <th>FOB (USD)</th>
+                              <th>FOB (INR)</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {customReportData.summary.map((row, i) => (
+                              <tr key={i}>
+                                <td className="font-medium text-white">{row.group_by || row.Entity}</td>
+                                <td>{formatNumber(row.total_shipments || row['Total Shipments'])}</td>
+                                <td>{formatQuantity(row.total_quantity ?? row['Total Quantity (kg)'], row.total_count ?? row['Total Count (non-weight units)'], row.count_unit ?? row['Count Unit'])}</td>
+                                <td>{row.total_products || row['Total Products']}</td>
+                                <td className="text-emerald-400 font-mono">
+                                  {formatCurrency(row.total_value || row['Total Value (USD)'])}
+                                </td>
+                                <td className="text-amber-400 font-mono">
+                                  {formatINR(row.total_value_inr ?? row['Total Value (INR)'])}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ) : (
+                      <p className="text-slate-500 text-center py-4">No summary data found</p>
+                    )}
+                  </div>
+
+                  {/* Detailed Data */}
+                  <div className="glass-card rounded-xl p-6">
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-lg font-semibold text-white">
+                        📋 Detailed Shipments ({customReportData.details?.length || 0} records)
+                      </h3>
+                      <button onClick={exportCustomReportToExcel} className="btn-primary text-sm">
+                        <FileSpreadsheet className="w-4 h-4" />
+                        Export Full Data to Excel
+                      </button>
+                    </div>
+                    {customReportData.details?.length > 0 ? (
+                      <div className="overflow-x-auto max-h-96">
+                        <table className="data-table text-sm">
+                          <thead className="sticky top-0 bg-navy-900">
+                            <tr>
+                              <th>Date</th>
+                              <th>Declaration</th>
+                              <th>Exporter</th>
+                              <th>Consignee</th>
+                              <th>Product</th>
+                              <th>Qty</th>
                               <th>FOB (USD)</th>
                               <th>FOB (INR)</th>
-                              <th>Products</th>
+                              <th>Country</th>
                             </tr>
                           </thead>
                           <tbody>
-                            {benchmarkData.clientVendorAnalysis.map((row, i) => (
-                              <tr key={i} className={row.is_your_company ? 'bg-amber-500/10' : ''}>
-                                <td className="text-white">{formatName(row.client)}</td>
-                                <td className={row.is_your_company ? 'text-amber-400 font-medium' : 'text-slate-300'}>
-                                  {row.vendor}
-                                  {row.is_your_company === 1 && <span className="badge badge-gold ml-2">YOU</span>}
-                                </td>
-                                <td>
-                                  <span className={`badge ${row.is_your_company ? 'badge-gold' : 'badge-sky'}`}>
-                                    {row.is_your_company ? 'Your Company' : 'Competitor'}
-                                  </span>
-                                </td>
-                                <td>{row.shipments}</td>
-                                <td className="text-emerald-400 font-mono">{formatCurrency(row.total_fob)}</td>
-                                <td className="text-amber-400 font-mono">{formatINR(row.total_fob)}</td>
-                                <td>{row.products}</td>
+                            {customReportData.details.slice(0, 100).map((row, i) => (
+                              <tr key={i}>
+                                <td className="text-amber-400 whitespace-nowrap">{row['Shipment Date'] || 'N/A'}</td>
+                                <td className="font-mono text-xs">{row['Declaration ID']}</td>
+                                <td className="max-w-xs truncate">{row.Exporter}</td>
+                                <td className="max-w-xs truncate">{formatName(row.Consignee)}</td>
+                                <td className="max-w-xs truncate" title={row.Product}>{row.Product?.substring(0, 30)}</td>
+                                <td>{formatNumber(Math.round(row.Quantity || 0))} {row.Unit}</td>
+                                <td className="text-emerald-400 font-mono">{formatCurrency(row['FOB Value (USD)'])}</td>
+                                <td className="text-amber-400 font-mono">{formatINR(row['FOB Value (INR)'])}</td>
+                                <td>{row.Country}</td>
                               </tr>
                             ))}
                           </tbody>
                         </table>
+                        {customReportData.details.length > 100 && (
+                          <p className="text-slate-500 text-sm text-center mt-4">
+                            Showing first 100 records. Download Excel for full data.
+                          </p>
+                        )}
                       </div>
                     ) : (
-                      <p className="text-slate-500 text-center py-4">No client vendor data available</p>
+                      <p className="text-slate-500 text-center py-8">No detailed data found</p>
                     )}
                   </div>
                 </>
               )}
 
               {/* Empty State */}
-              {!benchmarkData && !loadingBenchmark && (
+              {!customReportData && !loadingCustomReport && (
                 <div className="glass-card rounded-xl p-12 text-center">
-                  <Target className="w-16 h-16 text-slate-600 mx-auto mb-4" />
-                  <h3 className="text-xl font-semibold text-white mb-2">AGNA Benchmarking</h3>
+                  <FileSearch className="w-16 h-16 text-slate-600 mx-auto mb-4" />
+                  <h3 className="text-xl font-semibold text-white mb-2">Generate Custom Reports</h3>
                   <p className="text-slate-400 mb-6 max-w-md mx-auto">
-                    Click "Analyze" above to benchmark your company against competitors 
-                    and see how your clients split their business.
+                    Enter countries, exporters, or consignees above to generate a detailed report. 
+                    You can filter by any combination of these fields.
                   </p>
-                  <button onClick={fetchBenchmarkData} className="btn-primary">
-                    <Target className="w-4 h-4" />
-                    Start Benchmarking
-                  </button>
+                  <div className="text-sm text-slate-500">
+                    <p>Examples:</p>
+                    <p className="mt-2">• Countries: <span className="text-amber-400">USA, UK, UAE</span></p>
+                    <p>• Exporters: <span className="text-amber-400">AGNA, APEX AGRO</span></p>
+                    <p>• Consignees: <span className="text-amber-400">FRESH FOODS, GLOBAL</span></p>
+                  </div>
                 </div>
               )}
             </div>
           )}
 
-          {/* Custom Reports Tab */}
-          {activeTab === 'custom-reports' && (
-            <div className="space-y-6 animate-fade-in">
-              {/* Filter Form */}
+          {/* Settings Tab */}
+          {activeTab === 'settings' && (
+            <div className="max-w-2xl mx-auto space-y-6 animate-fade-in">
+              {/* Company Settings */}
               <div className="glass-card rounded-xl p-6">
-                <div className="flex items-center gap-4 mb-6">
-                  <div className="p-3 rounded-lg bg-sky-500/20">
-                    <FileSearch className="w-6 h-6 text-sky-400" />
-                  </div>
+                <h3 className="text-lg font-semibold text-white mb-4">Company Settings</h3>
+                <div className="space-y-4">
                   <div>
-                    <h3 className="text-lg font-semibold text-white">Custom Report Generator</h3>
-                    <p className="text-sm text-slate-400">
-                      Generate detailed reports by selecting specific countries, exporters, or consignees
+                    <label className="block text-sm text-slate-400 mb-2">Your Company Name</label>
+                    <div className="flex gap-3">
+                      <input
+                        type="text"
+                        value={companyName}
+                        onChange={(e) => setCompanyName(e.target.value)}
+                        placeholder="Enter your company name"
+                        className="flex-1"
+                      />
+                      <button onClick={handleUpdateCompany} className="btn-primary">
+                        Save
+                      </button>
+                    </div>
+                    <p className="text-xs text-slate-500 mt-2">
+                      The name shown for your company. It and the names below are matched to your company's data in every tab and export.
                     </p>
                   </div>
-                </div>
-                
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-                  <div>
-                    <label className="block text-sm text-slate-400 mb-2">Countries (comma separated)</label>
-                    <input
-                      type="text"
-                      value={customReportFilters.countries}
-                      onChange={(e) => setCustomReportFilters({...customReportFilters, countries: e.target.value})}
-                      placeholder="e.g., USA, UK, UAE"
-                      className="w-full"
-                    />
-                  </div>
                   <div>
-                    <label className="block text-sm text-slate-400 mb-2">Exporters (comma separated)</label>
-                    <input
-                      type="text"
-                      value={customReportFilters.exporters}
-                      onChange={(e) => setCustomReportFilters({...customReportFilters, exporters: e.target.value})}
-                      placeholder="e.g., AGNA, APEX"
-                      className="w-full"
-                    />
+                    <label className="block text-sm text-slate-400 mb-2">Financial Year Starts In</label>
+                    <select
+                      value={companyInfo.fiscal_year_start || 4}
+                      onChange={(e) => handleUpdateFiscalYearStart(Number(e.target.value))}
+                    >
+                      {MONTH_NAMES.map((name, i) => <option key={name} value={i + 1}>{name}</option>)}
+                    </select>
+                    <p className="text-xs text-slate-500 mt-2">
+                      Quarters and financial years in trends, comparisons and date ranges count from this month. A year is named after the year it ends in: with April, FY25 is April 2024 to March 2025.
+                    </p>
                   </div>
                   <div>
-                    <label className="block text-sm text-slate-400 mb-2">Consignees (comma separated)</label>
-                    <input
-                      type="text"
-                      value={customReportFilters.consignees}
-                      onChange={(e) => setCustomReportFilters({...customReportFilters, consignees: e.target.value})}
-                      placeholder="e.g., Fresh Foods, Global Trade"
-                      className="w-full"
-                    />
+                    <label className="block text-sm text-slate-400 mb-2">
+                      Registered Names &amp; Sister Firms
+                      <span className="text-xs text-slate-500"> · {formatNumber(companyInfo.matched_companies)} companies in your data</span>
+                    </label>
+                    <div className="flex flex-wrap gap-2 mb-3">
+                      {companyInfo.names.map(entry => (
+                        <span key={entry.id} className={`badge ${entry.kind === 'sister' ? 'badge-sky' : 'badge-gold'} flex items-center gap-1`}>
+                          {entry.name}{entry.kind === 'sister' && ' (sister firm)'}
+                          {entry.name !== companyInfo.company_name && (
+                            <button onClick={() => handleDeleteCompanyName(entry)} className="hover:text-rose-400" title="Remove">
+                              <X className="w-3 h-3" />
+                            </button>
+                          )}
+                        </span>
+                      ))}
+                    </div>
+                    <form onSubmit={handleAddCompanyName} className="flex gap-3 items-center">
+                      <input
+                        type="text"
+                        value={newCompanyName.name}
+                        onChange={(e) => setNewCompanyName({ ...newCompanyName, name: e.target.value.toUpperCase() })}
+                        placeholder="Name as filed in shipping bills"
+                        className="flex-1"
+                      />
+                      <select
+                        value={newCompanyName.kind}
+                        onChange={(e) => setNewCompanyName({ ...newCompanyName, kind: e.target.value })}
+                      >
+                        <option value="name">Registered name</option>
+                        <option value="sister">Sister firm</option>
+                      </select>
+                      <button type="submit" className="btn-primary text-sm" disabled={!newCompanyName.name.trim()}>
+                        <Plus className="w-4 h-4" />
+                        Add
+                      </button>
+                    </form>
                   </div>
                 </div>
-                
-                <div className="flex gap-3">
-                  <button 
-                    onClick={fetchCustomReport} 
-                    className="btn-primary"
-                    disabled={loadingCustomReport}
+              </div>
+
+              {/* Product Categories */}
+              <div className="glass-card rounded-xl p-6">
+                <h3 className="text-lg font-semibold text-white mb-2">Product Categories</h3>
+                <p className="text-xs text-slate-500 mb-4">
+                  Every import belongs to one category. A category can only be deleted once none of its rows are left.
+                </p>
+                <div className="space-y-2 mb-4">
+                  {categories.map(category => (
+                    <div key={category.slug} className="bg-white/5 rounded-lg p-3">
+                      {editingCategory?.slug === category.slug ? (
+                        <form onSubmit={handleUpdateCategory} className="flex gap-3 items-center">
+                          <input
+                            type="text"
+                            value={editingCategory.icon || ''}
+                            onChange={(e) => setEditingCategory({ ...editingCategory, icon: e.target.value })}
+                            placeholder="Icon"
+                            className="w-16"
+                          />
+                          <input
+                            type="text"
+                            value={editingCategory.name}
+                            onChange={(e) => setEditingCategory({ ...editingCategory, name: e.target.value })}
+                            placeholder="Name"
+                            className="flex-1"
+                          />
+                          <input
+                            type="color"
+                            value={editingCategory.color || COLORS.sky}
+                            onChange={(e) => setEditingCategory({ ...editingCategory, color: e.target.value })}
+                          />
+                          <button type="button" onClick={() => setEditingCategory(null)} className="btn-secondary text-sm">
+                            Cancel
+                          </button>
+                          <button type="submit" className="btn-primary text-sm">Save</button>
+                        </form>
+                      ) : (
+                        <div className="flex items-center justify-between">
+                          <div className="flex items-center gap-3">
+                            <span className="w-3 h-3 rounded-full" style={{ background: category.color || COLORS.sky }} />
+                            <div>
+                              <p className="text-white font-medium">{category.icon} {category.name}</p>
+                              <p className="text-xs text-slate-500">{category.slug} · {formatNumber(category.row_count)} rows</p>
+                            </div>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <button onClick={() => setEditingCategory({ ...category })} className="btn-secondary text-sm">
+                              Edit
+                            </button>
+                            <button
+                              onClick={() => handleDeleteCategory(category)}
+                              className="text-slate-500 hover:text-rose-400 transition-colors"
+                              disabled={category.row_count > 0}
+                              title={category.row_count > 0 ? 'Still has rows' : 'Delete category'}
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                <form onSubmit={handleAddCategory} className="flex gap-3 items-center">
+                  <input
+                    type="text"
+                    value={newCategory.icon}
+                    onChange={(e) => setNewCategory({ ...newCategory, icon: e.target.value })}
+                    placeholder="Icon"
+                    className="w-16"
+                  />
+                  <input
+                    type="text"
+                    value={newCategory.name}
+                    onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+                    placeholder="New category, e.g. Spices"
+                    className="flex-1"
+                  />
+                  <input
+                    type="color"
+                    value={newCategory.color}
+                    onChange={(e) => setNewCategory({ ...newCategory, color: e.target.value })}
+                  />
+                  <button type="submit" className="btn-primary text-sm" disabled={!newCategory.name.trim()}>
+                    <Plus className="w-4 h-4" />
+                    Add
+                  </button>
+                </form>
+              </div>
+
+              {/* HS Classification Rules */}
+              <div className="glass-card rounded-xl p-6">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-lg font-semibold text-white">HS Classification Rules</h3>
+                  <button onClick={handleApplyHsRules} className="btn-secondary text-sm" disabled={applyingHsRules}>
+                    <RefreshCw className={`w-4 h-4 ${applyingHsRules ? 'animate-spin' : ''}`} />
+                    Re-apply to stored rows
+                  </button>
+                </div>
+                <p className="text-xs text-slate-500 mb-4">
+                  Rows are classified by the longest matching HS code prefix when they are imported. A rule's category
+                  overrides the one picked on upload, and those rows are flagged in the import history.
+                </p>
+                <div className="overflow-x-auto mb-4">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>HS Prefix</th>
+                        <th>Category</th>
+                        <th>Product Family</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {hsRules.map(rule => editingHsRule?.id === rule.id ? (
+                        <tr key={rule.id}>
+                          <td>
+                            <input
+                              type="text"
+                              value={editingHsRule.hs_prefix}
+                              onChange={(e) => setEditingHsRule({ ...editingHsRule, hs_prefix: e.target.value })}
+                              className="w-24"
+                            />
+                          </td>
+                          <td>
+                            <select
+                              value={editingHsRule.category || ''}
+                              onChange={(e) => setEditingHsRule({ ...editingHsRule, category: e.target.value })}
+                            >
+                              <option value="">(keep chosen)</option>
+                              {categories.map(c => <option key={c.slug} value={c.slug}>{c.name}</option>)}
+                            </select>
+                          </td>
+                          <td>
+                            <input
+                              type="text"
+                              value={editingHsRule.product_family || ''}
+                              onChange={(e) => setEditingHsRule({ ...editingHsRule, product_family: e.target.value })}
+                            />
+                          </td>
+                          <td className="whitespace-nowrap text-right">
+                            <button onClick={() => setEditingHsRule(null)} className="btn-secondary text-sm mr-2">Cancel</button>
+                            <button onClick={handleUpdateHsRule} className="btn-primary text-sm">Save</button>
+                          </td>
+                        </tr>
+                      ) : (
+                        <tr key={rule.id}>
+                          <td className="font-mono">{rule.hs_prefix}</td>
+                          <td>{rule.category ? <CategoryBadges value={rule.category} categories={categories} /> : <span className="text-slate-500">(keep chosen)</span>}</td>
+                          <td>{rule.product_family || '—'}</td>
+                          <td className="whitespace-nowrap text-right">
+                            <button onClick={() => setEditingHsRule({ ...rule })} className="btn-secondary text-sm mr-2">Edit</button>
+                            <button
+                              onClick={() => handleDeleteHsRule(rule)}
+                              className="text-slate-500 hover:text-rose-400 transition-colors"
+                              title="Delete rule"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <form onSubmit={handleAddHsRule} className="flex gap-3 items-center">
+                  <input
+                    type="text"
+                    value={newHsRule.hs_prefix}
+                    onChange={(e) => setNewHsRule({ ...newHsRule, hs_prefix: e.target.value })}
+                    placeholder="HS prefix, e.g. 0806"
+                    className="w-40"
+                  />
+                  <select
+                    value={newHsRule.category}
+                    onChange={(e) => setNewHsRule({ ...newHsRule, category: e.target.value })}
                   >
-                    {loadingCustomReport ? (
-                      <div className="w-5 h-5 border-2 border-navy-950 border-t-transparent rounded-full animate-spin" />
-                    ) : (
-                      <>
-                        <Search className="w-4 h-4" />
-                        Generate Report
-                      </>
-                    )}
+                    <option value="">(keep chosen)</option>
+                    {categories.map(c => <option key={c.slug} value={c.slug}>{c.name}</option>)}
+                  </select>
+                  <input
+                    type="text"
+                    value={newHsRule.product_family}
+                    onChange={(e) => setNewHsRule({ ...newHsRule, product_family: e.target.value })}
+                    placeholder="Product family, e.g. Grapes"
+                    className="flex-1"
+                  />
+                  <button type="submit" className="btn-primary text-sm" disabled={!newHsRule.hs_prefix.trim()}>
+                    <Plus className="w-4 h-4" />
+                    Add
                   </button>
-                  {customReportData && (
-                    <button onClick={exportCustomReportToExcel} className="btn-secondary">
-                      <FileSpreadsheet className="w-4 h-4" />
-                      Download Excel
-                    </button>
+                </form>
+              </div>
+
+              {/* Exchange Rates */}
+              <div className="glass-card rounded-xl p-6">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-lg font-semibold text-white">Exchange Rates</h3>
+                  <label className={`btn-secondary text-sm cursor-pointer ${importingFxRates ? 'opacity-50 pointer-events-none' : ''}`}>
+                    <Upload className="w-4 h-4" />
+                    {importingFxRates ? 'Importing...' : 'Import CSV'}
+                    <input type="file" accept=".csv,.tsv,.txt" onChange={handleImportFxRates} className="hidden" />
+                  </label>
+                </div>
+                <p className="text-xs text-slate-500 mb-4">
+                  Units of each currency per 1 USD, by month. FOB values are converted to USD and INR at their shipment
+                  month's rate (or the closest earlier month). CSV columns: currency, month (YYYY-MM), rate.
+                </p>
+                {missingFxRates.length > 0 && (
+                  <div className="mb-4">
+                    <MissingRatesNote missing={missingFxRates} />
+                  </div>
+                )}
+                {fxRates.length > 0 && (
+                  <div className="overflow-x-auto mb-4 max-h-64 overflow-y-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Currency</th>
+                          <th>Month</th>
+                          <th>Per USD</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {fxRates.map(rate => (
+                          <tr key={`${rate.currency}-${rate.month}`}>
+                            <td className="font-mono">{rate.currency}</td>
+                            <td>{rate.month}</td>
+                            <td className="font-mono">{rate.rate}</td>
+                            <td className="text-right">
+                              <button
+                                onClick={() => handleDeleteFxRate(rate)}
+                                className="text-slate-500 hover:text-rose-400 transition-colors"
+                                title="Delete rate"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                <form onSubmit={handleSaveFxRate} className="flex gap-3 items-center">
+                  <input
+                    type="text"
+                    value={newFxRate.currency}
+                    onChange={(e) => setNewFxRate({ ...newFxRate, currency: e.target.value.toUpperCase() })}
+                    placeholder="INR"
+                    className="w-20"
+                    maxLength={3}
+                  />
+                  <input
+                    type="month"
+                    value={newFxRate.month}
+                    onChange={(e) => setNewFxRate({ ...newFxRate, month: e.target.value })}
+                  />
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={newFxRate.rate}
+                    onChange={(e) => setNewFxRate({ ...newFxRate, rate: e.target.value })}
+                    placeholder="Units per USD, e.g. 83.12"
+                    className="flex-1"
+                  />
+                  <button type="submit" className="btn-primary text-sm" disabled={!newFxRate.month || !newFxRate.rate}>
+                    <Plus className="w-4 h-4" />
+                    Save
+                  </button>
+                </form>
+              </div>
+
+              {/* Quantity Units */}
+              <div className="glass-card rounded-xl p-6">
+                <h3 className="text-lg font-semibold text-white mb-2">Quantity Units</h3>
+                <p className="text-xs text-slate-500 mb-4">
+                  Quantities are totalled in kg. Units without a kg factor (pieces, boxes...) are counted separately, each in
+                  its count unit (DOZ = 12 NOS); counts in different units are never added together.
+                </p>
+                {unknownUnits.length > 0 && (
+                  <div className="mb-4 p-3 rounded-lg bg-amber-500/10 border border-amber-500/30 text-sm text-amber-300">
+                    <p className="font-medium flex items-center gap-2 mb-2">
+                      <AlertTriangle className="w-4 h-4" />
+                      Units in your data without a conversion (neither weighed nor counted):
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                      {unknownUnits.map(u => (
+                        <button
+                          key={u.unit}
+                          onClick={() => setNewUnit({ unit: u.unit, kg_per_unit: '', count_unit: '', count_per_unit: '' })}
+                          className="badge badge-gold"
+                          title={`${formatNumber(u.row_count)} rows - click to add a conversion`}
+                        >
+                          {u.unit || '(blank)'} · {formatNumber(u.row_count)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                <div className="flex flex-wrap gap-2 mb-4">
+                  {unitConversions.map(u => (
+                    <span key={u.unit} className={`badge ${u.kg_per_unit === null ? 'badge-sky' : 'badge-emerald'} flex items-center gap-1`}>
+                      {u.unit} {u.kg_per_unit !== null ? `= ${u.kg_per_unit} kg`
+                        : u.count_unit !== u.unit || u.count_per_unit !== 1 ? `= ${u.count_per_unit} ${u.count_unit}` : '(count)'}
+                      <button onClick={() => handleDeleteUnit(u)} className="hover:text-rose-400" title="Delete conversion">
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+                <form
+                  onSubmit={(e) => { e.preventDefault(); handleSaveUnit(newUnit); }}
+                  className="flex gap-3 items-center"
+                >
+                  <input
+                    type="text"
+                    value={newUnit.unit}
+                    onChange={(e) => setNewUnit({ ...newUnit, unit: e.target.value.toUpperCase() })}
+                    placeholder="Unit, e.g. CASE"
+                    className="w-40"
+                  />
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={newUnit.kg_per_unit}
+                    onChange={(e) => setNewUnit({ ...newUnit, kg_per_unit: e.target.value })}
+                    placeholder="kg per unit (empty = count unit)"
+                    className="flex-1"
+                  />
+                  {newUnit.kg_per_unit === '' && (
+                    <>
+                      <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={newUnit.count_per_unit}
+                        onChange={(e) => setNewUnit({ ...newUnit, count_per_unit: e.target.value })}
+                        placeholder="Counts as (1)"
+                        className="w-32"
+                      />
+                      <input
+                        type="text"
+                        value={newUnit.count_unit}
+                        onChange={(e) => setNewUnit({ ...newUnit, count_unit: e.target.value.toUpperCase() })}
+                        placeholder="of unit, e.g. NOS"
+                        className="w-36"
+                      />
+                    </>
                   )}
-                </div>
+                  <button type="submit" className="btn-primary text-sm" disabled={!newUnit.unit.trim()}>
+                    <Plus className="w-4 h-4" />
+                    Save
+                  </button>
+                </form>
               </div>
 
-              {/* Report Results */}
-              {customReportData && (
-                <>
-                  {/* Summary */}
-                  <div className="glass-card rounded-xl p-6">
-                    <h3 className="text-lg font-semibold text-white mb-4">📊 Summary</h3>
-                    {customReportData.summary?.length > 0 ? (
-                      <div className="overflow-x-auto">
-                        <table className="data-table">
-                          <thead>
-                            <tr>
-                              <th>Entity</th>
-                              <th>Shipments</th>
-                              <th>Quantity</th>
-                              <th>Products</th>
-                              <th>FOB (USD)</th>
-                              <th>FOB (INR)</th>
-                            </tr>
-                          </thead>
-                          <tbody>
-                            {customReportData.summary.map((row, i) => (
-                              <tr key={i}>
-                                <td className="font-medium text-white">{row.group_by || row.Entity}</td>
-                                <td>{formatNumber(row.total_shipments || row['Total Shipments'])}</td>
-                                <td>{formatNumber(Math.round(row.total_quantity || row['Total Quantity'] || 0))}</td>
-                                <td>{row.total_products || row['Total Products']}</td>
-                                <td className="text-emerald-400 font-mono">
-                                  {formatCurrency(row.total_value || row['Total Value (USD)'])}
-                                </td>
-                                <td className="text-amber-400 font-mono">
-                                  {formatINR(row.total_value || row['Total Value (USD)'])}
-                                </td>
-                              </tr>
-                            ))}
-                          </tbody>
-                        </table>
+              {/* Product Catalogue */}
+              <div className="glass-card rounded-xl p-6">
+                <h3 className="text-lg font-semibold text-white mb-2">Product Catalogue</h3>
+                <p className="text-xs text-slate-500 mb-4">
+                  A description belongs to a product when it contains all words of one of its keyword rules, in any order;
+                  the rule with the most words wins. Product breakdowns add up each product across all its descriptions.
+                </p>
+                <div className="space-y-2 mb-4 max-h-96 overflow-y-auto">
+                  {products.map(product => (
+                    <div key={product.id} className="bg-white/5 rounded-lg p-3">
+                      <div className="flex items-center justify-between gap-3 mb-2">
+                        <span className="text-white font-medium">
+                          {product.name}
+                          <span className="text-xs text-slate-500"> · {formatNumber(product.row_count)} rows</span>
+                        </span>
+                        <button onClick={() => handleDeleteProduct(product)} className="text-slate-500 hover:text-rose-400" title="Delete product">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
                       </div>
-                    ) : (
-                      <p className="text-slate-500 text-center py-4">No summary data found</p>
-                    )}
-                  </div>
-
-                  {/* Detailed Data */}
-                  <div className="glass-card rounded-xl p-6">
-                    <div className="flex items-center justify-between mb-4">
-                      <h3 className="text-lg font-semibold text-white">
-                        📋 Detailed Shipments ({customReportData.details?.length || 0} records)
-                      </h3>
-                      <button onClick={exportCustomReportToExcel} className="btn-primary text-sm">
-                        <FileSpreadsheet className="w-4 h-4" />
-                        Export Full Data to Excel
-                      </button>
-                    </div>
-                    {customReportData.details?.length > 0 ? (
-                      <div className="overflow-x-auto max-h-96">
-                        <table className="data-table text-sm">
-                          <thead className="sticky top-0 bg-navy-900">
-                            <tr>
-                              <th>Date</th>
-                              <th>Declaration</th>
-                              <th>Exporter</th>
-                              <th>Consignee</th>
-                              <th>Product</th>
-                              <th>Qty</th>
-                              <th>FOB (USD)</th>
-                              <th>FOB (INR)</th>
-                              <th>Country</th>
-                            </tr>
-                          </thead>
-                          <tbody>
-                            {customReportData.details.slice(0, 100).map((row, i) => (
-                              <tr key={i}>
-                                <td className="text-amber-400 whitespace-nowrap">{row['Shipment Date'] || 'N/A'}</td>
-                                <td className="font-mono text-xs">{row['Declaration ID']}</td>
-                                <td className="max-w-xs truncate">{row.Exporter}</td>
-                                <td className="max-w-xs truncate">{formatName(row.Consignee)}</td>
-                                <td className="max-w-xs truncate" title={row.Product}>{row.Product?.substring(0, 30)}</td>
-                                <td>{formatNumber(Math.round(row.Quantity || 0))} {row.Unit}</td>
-                                <td className="text-emerald-400 font-mono">{formatCurrency(row['FOB Value (USD)'])}</td>
-                                <td className="text-amber-400 font-mono">{formatINR(row['FOB Value (USD)'])}</td>
-                                <td>{row.Country}</td>
-                              </tr>
-                            ))}
-                          </tbody>
-                        </table>
-                        {customReportData.details.length > 100 && (
-                          <p className="text-slate-500 text-sm text-center mt-4">
-                            Showing first 100 records. Download Excel for full data.
-                          </p>
+                      <div className="flex flex-wrap gap-2 items-center">
+                        {product.rules.map(rule => (
+                          <span key={rule.id} className="badge badge-sky flex items-center gap-1">
+                            {rule.keywords}{rule.hs_prefix && ` (HS ${rule.hs_prefix}…)`}
+                            <button onClick={() => handleDeleteProductRule(product, rule)} className="hover:text-rose-400" title="Delete rule">
+                              <X className="w-3 h-3" />
+                            </button>
+                          </span>
+                        ))}
+                        {newProductRule.productId === product.id ? (
+                          <form
+                            onSubmit={(e) => { e.preventDefault(); handleAddProductRule(product.id, newProductRule); }}
+                            className="flex gap-2 items-center"
+                          >
+                            <input
+                              type="text"
+                              value={newProductRule.keywords}
+                              onChange={(e) => setNewProductRule({ ...newProductRule, keywords: e.target.value.toUpperCase() })}
+                              placeholder="Keywords"
+                              className="w-40 text-sm"
+                              autoFocus
+                            />
+                            <input
+                              type="text"
+                              value={newProductRule.hs_prefix}
+                              onChange={(e) => setNewProductRule({ ...newProductRule, hs_prefix: e.target.value })}
+                              placeholder="HS prefix"
+                              className="w-24 text-sm"
+                            />
+                            <button type="submit" className="btn-primary text-sm" disabled={!newProductRule.keywords.trim()}>Add</button>
+                          </form>
+                        ) : (
+                          <button
+                            onClick={() => setNewProductRule({ productId: product.id, keywords: '', hs_prefix: '' })}
+                            className="text-xs text-amber-400 hover:text-amber-300"
+                          >
+                            + rule
+                          </button>
                         )}
                       </div>
-                    ) : (
-                      <p className="text-slate-500 text-center py-8">No detailed data found</p>
-                    )}
+                    </div>
+                  ))}
+                </div>
+                <form onSubmit={handleAddProduct} className="flex gap-3 items-center mb-4">
+                  <input
+                    type="text"
+                    value={newProduct.name}
+                    onChange={(e) => setNewProduct({ ...newProduct, name: e.target.value.toUpperCase() })}
+                    placeholder="Product, e.g. ALPHONSO MANGO"
+                    className="flex-1"
+                  />
+                  <input
+                    type="text"
+                    value={newProduct.keywords}
+                    onChange={(e) => setNewProduct({ ...newProduct, keywords: e.target.value.toUpperCase() })}
+                    placeholder="Keywords (default: name)"
+                    className="flex-1"
+                  />
+                  <input
+                    type="text"
+                    value={newProduct.hs_prefix}
+                    onChange={(e) => setNewProduct({ ...newProduct, hs_prefix: e.target.value })}
+                    placeholder="HS prefix"
+                    className="w-28"
+                  />
+                  <button type="submit" className="btn-primary text-sm" disabled={!newProduct.name.trim()}>
+                    <Plus className="w-4 h-4" />
+                    Add
+                  </button>
+                </form>
+                {productReview.descriptions.length > 0 && (
+                  <div className="p-3 rounded-lg bg-amber-500/10 border border-amber-500/30 text-sm">
+                    <p className="font-medium text-amber-300 flex items-center gap-2 mb-3">
+                      <AlertTriangle className="w-4 h-4" />
+                      {formatNumber(productReview.total_descriptions)} descriptions ({formatNumber(productReview.total_rows)} rows) match no product
+                    </p>
+                    <div className="space-y-2 max-h-80 overflow-y-auto">
+                      {productReview.descriptions.map(d => (
+                        <div key={d.product_description} className="bg-white/5 rounded-lg p-2 flex items-center justify-between gap-3">
+                          <div className="min-w-0">
+                            <p className="text-white truncate">{d.product_description}</p>
+                            <p className="text-xs text-slate-500">
+                              HS {d.hs_codes || '-'} · {formatNumber(d.row_count)} rows · {formatCurrency(d.total_fob)}
+                            </p>
+                          </div>
+                          <div className="flex items-center gap-2 shrink-0">
+                            <select
+                              value=""
+                              onChange={(e) => handleAddProductRule(e.target.value, { keywords: d.product_description, hs_prefix: '' })}
+                              className="text-sm"
+                            >
+                              <option value="">Assign to…</option>
+                              {products.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                            </select>
+                            <button
+                              onClick={() => setNewProduct({ name: d.product_description.toUpperCase(), keywords: '', hs_prefix: '' })}
+                              className="btn-secondary text-sm"
+                            >
+                              New product
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
                   </div>
-                </>
-              )}
+                )}
+              </div>
 
-              {/* Empty State */}
-              {!customReportData && !loadingCustomReport && (
-                <div className="glass-card rounded-xl p-12 text-center">
-                  <FileSearch className="w-16 h-16 text-slate-600 mx-auto mb-4" />
-                  <h3 className="text-xl font-semibold text-white mb-2">Generate Custom Reports</h3>
-                  <p className="text-slate-400 mb-6 max-w-md mx-auto">
-                    Enter countries, exporters, or consignees above to generate a detailed report. 
-                    You can filter by any combination of these fields.
-                  </p>
-                  <div className="text-sm text-slate-500">
-                    <p>Examples:</p>
-                    <p className="mt-2">• Countries: <span className="text-amber-400">USA, UK, UAE</span></p>
-                    <p>• Exporters: <span className="text-amber-400">AGNA, APEX AGRO</span></p>
-                    <p>• Consignees: <span className="text-amber-400">FRESH FOODS, GLOBAL</span></p>
+              {/* Countries & Regions */}
+              <div className="glass-card rounded-xl p-6">
+                <h3 className="text-lg font-semibold text-white mb-2">Countries & Regions</h3>
+                <p className="text-xs text-slate-500 mb-4">
+                  Destination countries are read as ISO countries through their spellings, so UAE, U.A.E. and DUBAI all count
+                  as United Arab Emirates. Country filters and breakdowns also take a region: {[...new Set(countries.flatMap(c => c.regions))].join(', ')}.
+                </p>
+                <div className="space-y-2 mb-4 max-h-96 overflow-y-auto">
+                  {countries.filter(c => c.row_count > 0).map(country => (
+                    <div key={country.code} className="bg-white/5 rounded-lg p-3">
+                      <div className="flex items-center gap-2 mb-2">
+                        <span className="text-white font-medium">{country.name}</span>
+                        <span className="text-xs text-slate-500">{country.code} · {formatNumber(country.row_count)} rows</span>
+                        {country.regions.map(region => (
+                          <span key={region} className="badge badge-emerald">{region}</span>
+                        ))}
+                      </div>
+                      <div className="flex flex-wrap gap-2">
+                        {country.aliases.map(alias => (
+                          <span key={alias} className="badge badge-sky flex items-center gap-1">
+                            {alias}
+                            <button onClick={() => handleDeleteCountryAlias(country, alias)} className="hover:text-rose-400" title="Delete alias">
+                              <X className="w-3 h-3" />
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                {unknownCountries.length > 0 && (
+                  <div className="p-3 rounded-lg bg-amber-500/10 border border-amber-500/30 text-sm">
+                    <p className="font-medium text-amber-300 flex items-center gap-2 mb-3">
+                      <AlertTriangle className="w-4 h-4" />
+                      {formatNumber(unknownCountries.length)} destination countries not recognised
+                    </p>
+                    <div className="space-y-2 max-h-80 overflow-y-auto">
+                      {unknownCountries.map(u => (
+                        <div key={u.country_of_destination} className="bg-white/5 rounded-lg p-2 flex items-center justify-between gap-3">
+                          <div className="min-w-0">
+                            <p className="text-white truncate">{u.country_of_destination}</p>
+                            <p className="text-xs text-slate-500">
+                              {formatNumber(u.row_count)} rows · {formatCurrency(u.total_fob)}
+                            </p>
+                          </div>
+                          <select
+                            value=""
+                            onChange={(e) => handleAddCountryAlias(e.target.value, u.country_of_destination)}
+                            className="text-sm shrink-0"
+                          >
+                            <option value="">Read as…</option>
+                            {countries.map(c => <option key={c.code} value={c.code}>{c.name}</option>)}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
                   </div>
+                )}
+              </div>
+
+              {/* Ports */}
+              <div className="glass-card rounded-xl p-6">
+                <h3 className="text-lg font-semibold text-white mb-2">Ports</h3>
+                <p className="text-xs text-slate-500 mb-4">
+                  Ports of loading and discharge are read as one port through their codes and spellings, so INNSA1, JNPT and
+                  NHAVA SHEVA are the same port. Each port has a state and a mode (sea, air or land) for origin and sea/air analysis.
+                </p>
+                <div className="space-y-2 mb-4 max-h-96 overflow-y-auto">
+                  {ports.filter(p => p.loading_rows + p.discharge_rows > 0).map(port => (
+                    <div key={port.code} className="bg-white/5 rounded-lg p-3">
+                      <div className="flex items-center gap-2 mb-2">
+                        <span className="text-white font-medium">{port.name}</span>
+                        <span className="text-xs text-slate-500">
+                          {port.code}{port.state && ` · ${port.state}`} · {formatNumber(port.loading_rows + port.discharge_rows)} rows
+                        </span>
+                        <span className={`badge ${port.mode === 'air' ? 'badge-sky' : 'badge-emerald'}`}>{port.mode}</span>
+                      </div>
+                      <div className="flex flex-wrap gap-2">
+                        {port.aliases.map(alias => (
+                          <span key={alias} className="badge badge-sky flex items-center gap-1">
+                            {alias}
+                            <button onClick={() => handleDeletePortAlias(port, alias)} className="hover:text-rose-400" title="Delete alias">
+                              <X className="w-3 h-3" />
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
                 </div>
-              )}
-            </div>
-          )}
+                {unknownPorts.length > 0 && (
+                  <div className="p-3 rounded-lg bg-amber-500/10 border border-amber-500/30 text-sm">
+                    <p className="font-medium text-amber-300 flex items-center gap-2 mb-3">
+                      <AlertTriangle className="w-4 h-4" />
+                      {formatNumber(unknownPorts.length)} ports not recognised
+                    </p>
+                    <div className="space-y-2 max-h-80 overflow-y-auto">
+                      {unknownPorts.map(u => (
+                        <div key={u.value} className="bg-white/5 rounded-lg p-2 flex items-center justify-between gap-3">
+                          <div className="min-w-0">
+                            <p className="text-white truncate">{u.value}</p>
+                            <p className="text-xs text-slate-500">
+                              {u.side} · {formatNumber(u.row_count)} rows · {formatCurrency(u.total_fob)}
+                            </p>
+                          </div>
+                          <select
+                            value=""
+                            onChange={(e) => handleAddPortAlias(e.target.value, u.value)}
+                            className="text-sm shrink-0"
+                          >
+                            <option value="">Read as…</option>
+                            {ports.map(p => <option key={p.code} value={p.code}>{p.name} ({p.code})</option>)}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
 
-          {/* Settings Tab */}
-          {activeTab === 'settings' && (
-            <div className="max-w-2xl mx-auto space-y-6 animate-fade-in">
-              {/* Company Settings */}
+              {/* Placeholder Consignees */}
               <div className="glass-card rounded-xl p-6">
-                <h3 className="text-lg font-semibold text-white mb-4">Company Settings</h3>
-                <div className="space-y-4">
-                  <div>
-                    <label className="block text-sm text-slate-400 mb-2">Your Company Name</label>
-                    <div className="flex gap-3">
-                      <input
-                        type="text"
-                        value={companyName}
-                        onChange={(e) => setCompanyName(e.target.value)}
-                        placeholder="Enter your company name"
-                        className="flex-1"
-                      />
-                      <button onClick={handleUpdateCompany} className="btn-primary">
-                        Save
+                <h3 className="text-lg font-semibold text-white mb-2">Placeholder Consignees</h3>
+                <p className="text-xs text-slate-500 mb-4">
+                  Consignee names that aren't a buyer, such as TO ORDER or SAME AS CONSIGNEE. Their shipments count in totals
+                  but not as clients. Use * for any text: TO ORDER* also matches TO ORDER OF HSBC BANK.
+                </p>
+                <div className="flex flex-wrap gap-2 mb-4">
+                  {placeholders.patterns.map(pattern => (
+                    <span key={pattern} className="badge badge-sky flex items-center gap-1">
+                      {pattern}
+                      <button onClick={() => handleDeletePlaceholder(pattern)} className="hover:text-rose-400" title="Delete pattern">
+                        <X className="w-3 h-3" />
                       </button>
+                    </span>
+                  ))}
+                </div>
+                <form onSubmit={handleAddPlaceholder} className="flex gap-3 items-center mb-4">
+                  <input
+                    type="text"
+                    value={newPlaceholder}
+                    onChange={(e) => setNewPlaceholder(e.target.value.toUpperCase())}
+                    placeholder="Pattern, e.g. TO ORDER OF*"
+                    className="flex-1"
+                  />
+                  <button type="submit" className="btn-primary text-sm" disabled={!newPlaceholder.trim()}>
+                    <Plus className="w-4 h-4" />
+                    Add
+                  </button>
+                </form>
+                {placeholders.names.length > 0 && (
+                  <div>
+                    <p className="text-xs text-slate-500 mb-2">Consignee names in your data matched as placeholders:</p>
+                    <div className="flex flex-wrap gap-2 max-h-40 overflow-y-auto">
+                      {placeholders.names.map(n => (
+                        <span key={n.name} className="badge badge-gold">
+                          {n.name} · {formatNumber(n.row_count)}
+                        </span>
+                      ))}
                     </div>
-                    <p className="text-xs text-slate-500 mt-2">
-                      This name will be used to match and highlight your company's data in the exports
+                  </div>
+                )}
+              </div>
+
+              {/* Company Names */}
+              <div className="glass-card rounded-xl p-6">
+                <h3 className="text-lg font-semibold text-white mb-2">Company Names</h3>
+                <p className="text-xs text-slate-500 mb-4">
+                  Spellings that only differ in punctuation or legal suffix (PVT LTD, PRIVATE LIMITED, P. LTD.) are one company.
+                  Names that look alike beyond that are listed for review; analytics add up each company across all its spellings.
+                </p>
+                {entitySuggestions.length > 0 && (
+                  <div className="mb-4 p-3 rounded-lg bg-amber-500/10 border border-amber-500/30 text-sm">
+                    <p className="font-medium text-amber-300 flex items-center gap-2 mb-3">
+                      <AlertTriangle className="w-4 h-4" />
+                      {formatNumber(entitySuggestions.length)} possible duplicates to review
                     </p>
+                    <div className="space-y-2 max-h-80 overflow-y-auto">
+                      {entitySuggestions.map(suggestion => {
+                        const [first, second] = suggestion.entities;
+                        return (
+                          <div key={`${first.id}-${second.id}`} className="bg-white/5 rounded-lg p-3 flex items-center justify-between gap-3">
+                            <div className="text-slate-300 min-w-0">
+                              {[first, second].map(entity => (
+                                <p key={entity.id} className="truncate">
+                                  <span className="text-white">{entity.name}</span>
+                                  <span className="text-xs text-slate-500"> · {formatNumber(entity.exporter_rows + entity.consignee_rows)} rows</span>
+                                </p>
+                              ))}
+                            </div>
+                            <div className="flex items-center gap-2 shrink-0">
+                              <button onClick={() => handleMergeEntities(second, first)} className="btn-primary text-sm">
+                                Merge
+                              </button>
+                              <button onClick={() => handleDismissSuggestion(suggestion)} className="btn-secondary text-sm">
+                                Different companies
+                              </button>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
                   </div>
+                )}
+                <div className="relative mb-3">
+                  <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-slate-500" />
+                  <input
+                    type="text"
+                    value={entityQuery}
+                    onChange={(e) => setEntityQuery(e.target.value)}
+                    placeholder="Find a company by any spelling"
+                    className="w-full pl-9"
+                  />
+                </div>
+                <div className="space-y-2">
+                  {entityResults.map(entity => (
+                    <div key={entity.id} className="bg-white/5 rounded-lg p-3">
+                      {editingEntity?.id === entity.id ? (
+                        <form onSubmit={handleUpdateEntity} className="flex gap-3 items-center">
+                          <input
+                            type="text"
+                            value={editingEntity.name}
+                            onChange={(e) => setEditingEntity({ ...editingEntity, name: e.target.value })}
+                            placeholder="Name"
+                            className="flex-1"
+                          />
+                          <input
+                            type="text"
+                            value={editingEntity.alias}
+                            onChange={(e) => setEditingEntity({ ...editingEntity, alias: e.target.value })}
+                            placeholder="Add a spelling"
+                            className="flex-1"
+                          />
+                          <button type="button" onClick={() => setEditingEntity(null)} className="btn-secondary text-sm">
+                            Cancel
+                          </button>
+                          <button type="submit" className="btn-primary text-sm">Save</button>
+                        </form>
+                      ) : (
+                        <div className="flex items-center justify-between gap-3">
+                          <div className="min-w-0">
+                            <p className="text-white font-medium">{entity.name}</p>
+                            <p className="text-xs text-slate-500 mb-2">
+                              {formatNumber(entity.exporter_rows)} rows as exporter · {formatNumber(entity.consignee_rows)} as consignee
+                            </p>
+                            <div className="flex flex-wrap gap-2">
+                              {entity.aliases.map(a => (
+                                <span key={a.alias} className={`badge ${a.source === 'manual' ? 'badge-gold' : 'badge-sky'} flex items-center gap-1`}>
+                                  {a.alias}
+                                  {entity.aliases.length > 1 && (
+                                    <button onClick={() => handleSplitAlias(entity, a.alias)} className="hover:text-rose-400" title="Split off into its own company">
+                                      <X className="w-3 h-3" />
+                                    </button>
+                                  )}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                          <button
+                            onClick={() => setEditingEntity({ id: entity.id, name: entity.name, alias: '' })}
+                            className="btn-secondary text-sm shrink-0"
+                          >
+                            Edit
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
                 </div>
               </div>
 
+              {/* Mapping Profiles */}
+              <div className="glass-card rounded-xl p-6">
+                <h3 className="text-lg font-semibold text-white mb-2">Column Mapping Profiles</h3>
+                <p className="text-xs text-slate-500 mb-4">
+                  One profile per data vendor or file layout. Create profiles from the Import Data tab after reviewing a file.
+                </p>
+                {mappingProfiles.length === 0 ? (
+                  <p className="text-slate-500 text-sm">No mapping profiles saved yet.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {mappingProfiles.map(p => (
+                      <div key={p.id} className="bg-white/5 rounded-lg p-3">
+                        {editingProfile?.id === p.id ? (
+                          <form onSubmit={handleUpdateProfile} className="space-y-3">
+                            <div className="flex gap-3">
+                              <input
+                                type="text"
+                                value={editingProfile.name}
+                                onChange={(e) => setEditingProfile({ ...editingProfile, name: e.target.value })}
+                                placeholder="Profile name"
+                                className="flex-1"
+                              />
+                              <input
+                                type="text"
+                                value={editingProfile.vendor || ''}
+                                onChange={(e) => setEditingProfile({ ...editingProfile, vendor: e.target.value })}
+                                placeholder="Vendor"
+                                className="flex-1"
+                              />
+                              <select
+                                value={editingProfile.date_format || ''}
+                                onChange={(e) => setEditingProfile({ ...editingProfile, date_format: e.target.value })}
+                              >
+                                <option value="">Detect date format</option>
+                                {Object.entries(DATE_FORMATS).map(([key, label]) => (
+                                  <option key={key} value={key}>{label}</option>
+                                ))}
+                              </select>
+                            </div>
+                            <div className="grid grid-cols-2 gap-2">
+                              {importFields.map(field => (
+                                <div key={field.key} className="flex items-center gap-2">
+                                  <span className="text-xs text-slate-400 w-36 shrink-0">{field.label}</span>
+                                  <input
+                                    type="text"
+                                    value={editingProfile.mapping[field.key] || ''}
+                                    onChange={(e) => setEditingProfile({
+                                      ...editingProfile,
+                                      mapping: { ...editingProfile.mapping, [field.key]: e.target.value }
+                                    })}
+                                    placeholder="Column header"
+                                    className="flex-1 text-sm"
+                                  />
+                                </div>
+                              ))}
+                            </div>
+                            <div className="flex justify-end gap-2">
+                              <button type="button" onClick={() => setEditingProfile(null)} className="btn-secondary text-sm">
+                                Cancel
+                              </button>
+                              <button type="submit" className="btn-primary text-sm">Save</button>
+                            </div>
+                          </form>
+                        ) : (
+                          <div className="flex items-center justify-between">
+                            <div>
+                              <p className="text-white font-medium">{p.name}</p>
+                              <p className="text-xs text-slate-500">
+                                {p.vendor ? `${p.vendor} · ` : ''}{Object.keys(p.mapping).length} fields mapped
+                                {p.date_format ? ` · dates ${DATE_FORMATS[p.date_format]}` : ''}
+                                {p.header_fingerprint ? ' · auto-selects by headers' : ''}
+                              </p>
+                            </div>
+                            <div className="flex items-center gap-2">
+                              <button
+                                onClick={() => setEditingProfile({ ...p, mapping: { ...p.mapping } })}
+                                className="btn-secondary text-sm"
+                              >
+                                Edit
+                              </button>
+                              <button
+                                onClick={() => handleDeleteProfile(p.id)}
+                                className="text-slate-500 hover:text-rose-400 transition-colors"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
               {/* Data Summary */}
               <div className="glass-card rounded-xl p-6">
                 <h3 className="text-lg font-semibold text-white mb-4">Data Summary</h3>
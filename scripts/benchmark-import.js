@@ -0,0 +1,90 @@
+/**
+ * Import Benchmark for Export Data Explorer
+ * Run: node scripts/benchmark-import.js [file.xlsx ...]
+ *
+ * Uploads the generated sample files (or the files given) to a running server
+ * and reports how fast each import job went. Set API_URL to point somewhere
+ * other than http://localhost:3001/api.
+ *
+ * Rows already in the database count as skipped, so benchmark against an
+ * empty database for comparable numbers.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const API_URL = process.env.API_URL || 'http://localhost:3001/api';
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const sampleFiles = () => {
+  const dir = path.join(__dirname, '..', 'sample-data');
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.xlsx'))
+    .map(f => path.join(dir, f));
+};
+
+const benchmarkFile = async (filePath) => {
+  const fileName = path.basename(filePath);
+  const dataType = fileName.toLowerCase().startsWith('veg') ? 'vegetables' : 'fruits';
+
+  const form = new FormData();
+  form.append('file', new Blob([fs.readFileSync(filePath)]), fileName);
+  form.append('dataType', dataType);
+
+  const started = Date.now();
+  const res = await fetch(`${API_URL}/upload`, { method: 'POST', body: form });
+  const body = await res.json();
+  if (!res.ok) {
+    throw new Error(`${fileName}: ${body.error || res.statusText}`);
+  }
+
+  let job = body;
+  while (!FINISHED.includes(job.status)) {
+    await sleep(100);
+    job = await (await fetch(`${API_URL}/imports/${body.id}`)).json();
+  }
+
+  const seconds = (Date.now() - started) / 1000;
+  return {
+    file: fileName,
+    status: job.status,
+    rows: job.total_rows,
+    inserted: job.inserted_rows,
+    skipped: job.skipped_rows,
+    seconds: Number(seconds.toFixed(2)),
+    rowsPerSecond: Math.round(job.total_rows / seconds)
+  };
+};
+
+const main = async () => {
+  const files = process.argv.length > 2 ? process.argv.slice(2) : sampleFiles();
+  if (files.length === 0) {
+    console.error('❌ No files to import. Run "npm run generate-sample" first or pass .xlsx paths.');
+    process.exit(1);
+  }
+
+  console.log(`⏱️  Benchmarking ${files.length} file(s) against ${API_URL}\n`);
+
+  const results = [];
+  for (const file of files) {
+    const result = await benchmarkFile(file);
+    results.push(result);
+    console.log(`✅ ${result.file}: ${result.rows} rows in ${result.seconds}s (${result.rowsPerSecond} rows/s, ${result.inserted} inserted)`);
+  }
+
+  const rows = results.reduce((sum, r) => sum + r.rows, 0);
+  const seconds = results.reduce((sum, r) => sum + r.seconds, 0);
+  console.log(`\n📊 Total: ${rows} rows in ${seconds.toFixed(2)}s (${Math.round(rows / seconds)} rows/s)`);
+};
+
+main().catch(err => {
+  console.error('❌ Benchmark failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+/**
+ * Synthetic ID Dedupe for Export Data Explorer
+ * Run: node scripts/dedupe-synthetic-ids.js [--apply]
+ *
+ * Rows imported without a declaration ID used to get a random AUTO- ID, so every
+ * re-upload of the same file added the rows again. This recomputes the stable
+ * content-hash ID for those rows, keeps the oldest copy of each shipment and
+ * deletes the rest.
+ *
+ * Without --apply it only reports what it would change.
+ * Uses TURSO_DATABASE_URL / TURSO_AUTH_TOKEN like the server (default: file:local.db).
+ */
+
+import { createClient } from '@libsql/client';
+import { syntheticDeclarationId, SYNTHETIC_ID_PREFIX } from '../server/synthetic-id.js';
+
+const CHUNK_SIZE = 500;
+
+const apply = process.argv.includes('--apply');
+const dbUrl = process.env.TURSO_DATABASE_URL || 'file:local.db';
+
+const db = createClient({
+  url: dbUrl,
+  authToken: process.env.TURSO_AUTH_TOKEN
+});
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const main = async () => {
+  console.log(`🔍 Scanning ${dbUrl.includes('turso') ? 'Turso Cloud' : dbUrl} for synthetic IDs...`);
+
+  const { rows } = await db.execute({
+    sql: 'SELECT * FROM exports WHERE declaration_id LIKE ? ORDER BY id',
+    args: [`${SYNTHETIC_ID_PREFIX}%`]
+  });
+
+  // Oldest row of each shipment is kept; its ID is rewritten to the stable one if needed
+  const kept = new Map(); // stable id -> row
+  const duplicateIds = [];
+  const renames = [];
+  for (const row of rows) {
+    const stableId = syntheticDeclarationId(row);
+    if (!stableId) continue;
+    if (kept.has(stableId)) {
+      duplicateIds.push(row.id);
+    } else {
+      kept.set(stableId, row);
+      if (row.declaration_id !== stableId) renames.push({ id: row.id, declarationId: stableId });
+    }
+  }
+
+  console.log(`📊 ${rows.length} rows with synthetic IDs`);
+  console.log(`   ${kept.size} distinct shipments`);
+  console.log(`   ${duplicateIds.length} duplicate rows to delete`);
+  console.log(`   ${renames.length} IDs to rewrite to the stable form`);
+
+  if (!apply) {
+    console.log('\nDry run - nothing changed. Re-run with --apply to collapse the duplicates.');
+    return;
+  }
+
+  // Deletes first, so a renamed row never collides with a copy that is about to go
+  for (const ids of chunk(duplicateIds, CHUNK_SIZE)) {
+    await db.execute({
+      sql: `DELETE FROM exports WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      args: ids
+    });
+  }
+  for (const group of chunk(renames, CHUNK_SIZE)) {
+    await db.batch(group.map(r => ({
+      sql: 'UPDATE exports SET declaration_id = ? WHERE id = ?',
+      args: [r.declarationId, r.id]
+    })), 'write');
+  }
+
+  console.log(`\n✅ Deleted ${duplicateIds.length} duplicates and rewrote ${renames.length} IDs`);
+};
+
+main().catch(err => {
+  console.error('❌ Dedupe failed:', err.message);
+  process.exit(1);
+});
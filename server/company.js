@@ -0,0 +1,48 @@
+/**
+ * Your company
+ *
+ * company_info holds the name the app shows for your company. company_names lists every
+ * name it exports under: its registered names (kind 'name') and sister firms (kind
+ * 'sister'). ownCompany() is the one matcher every route and export uses: names resolve to
+ * entities like any other, so all spellings of a registered name count and nothing else does.
+ */
+
+import { entityIdsFor } from './entities.js';
+
+export const COMPANY_NAME_KINDS = ['name', 'sister'];
+
+// { name, names: [{ id, name, kind }], ids } - ids are the entities of all names
+export async function ownCompany(db) {
+  const info = await db.execute('SELECT company_name FROM company_info LIMIT 1');
+  const name = info.rows[0]?.company_name || 'AGNA';
+  const { rows: names } = await db.execute('SELECT id, name, kind FROM company_names ORDER BY kind, name');
+  const ids = await entityIdsFor(db, [name, ...names.map(n => n.name)]);
+  return { name, names, ids };
+}
+
+/**
+ * Register the companies the old partial match (alias LIKE '%name%') found, so upgrading
+ * doesn't change anyone's figures. Only runs while company_names is empty.
+ */
+export async function seedCompanyNames(db) {
+  const { rows } = await db.execute('SELECT COUNT(*) as count FROM company_names');
+  if (rows[0]?.count > 0) return 0;
+
+  const info = await db.execute('SELECT company_name FROM company_info LIMIT 1');
+  const name = info.rows[0]?.company_name;
+  if (!name) return 0;
+  const ids = await entityIdsFor(db, [name], { partial: true });
+  const matched = ids.length > 0
+    ? (await db.execute({
+        sql: `SELECT name FROM entities WHERE id IN (${ids.map(() => '?').join(',')})`,
+        args: ids
+      })).rows.map(r => r.name)
+    : [];
+
+  const names = [...new Set([name, ...matched.map(n => n.toUpperCase())])];
+  await db.batch(names.map(n => ({
+    sql: `INSERT OR IGNORE INTO company_names (name, kind) VALUES (?, 'name')`,
+    args: [n]
+  })), 'write');
+  return names.length;
+}
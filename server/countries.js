@@ -0,0 +1,242 @@
+/**
+ * Countries and regions
+ *
+ * country_of_destination holds whatever the data vendor typed: "UAE", "U.A.E.", "UNITED ARAB
+ * EMIRATES", "DUBAI". countries lists ISO 3166 countries and country_aliases the spellings
+ * of each (compared as countryKey); rows store the code they resolve to as
+ * exports.country_code and keep the value as filed. Regions (GCC, EU...) are sets of codes
+ * in country_regions that country filters and breakdowns can use in place of a country.
+ */
+
+// [ISO 3166-1 alpha-2 code, name, ...aliases]; the code and name are aliases too
+export const DEFAULT_COUNTRIES = [
+  ['AE', 'UNITED ARAB EMIRATES', 'UAE', 'EMIRATES', 'DUBAI', 'ABU DHABI', 'SHARJAH', 'AJMAN', 'JEBEL ALI'],
+  ['SA', 'SAUDI ARABIA', 'KSA', 'SAUDI', 'KINGDOM OF SAUDI ARABIA', 'JEDDAH', 'RIYADH', 'DAMMAM'],
+  ['KW', 'KUWAIT'],
+  ['QA', 'QATAR', 'DOHA'],
+  ['BH', 'BAHRAIN'],
+  ['OM', 'OMAN', 'SULTANATE OF OMAN', 'MUSCAT', 'SOHAR'],
+  ['AF', 'AFGHANISTAN'],
+  ['BD', 'BANGLADESH', 'CHITTAGONG'],
+  ['BT', 'BHUTAN'],
+  ['IN', 'INDIA'],
+  ['MV', 'MALDIVES'],
+  ['NP', 'NEPAL'],
+  ['PK', 'PAKISTAN'],
+  ['LK', 'SRI LANKA', 'SRILANKA', 'CEYLON', 'COLOMBO'],
+  ['BN', 'BRUNEI', 'BRUNEI DARUSSALAM'],
+  ['KH', 'CAMBODIA'],
+  ['ID', 'INDONESIA'],
+  ['LA', 'LAOS', 'LAO PDR', 'LAO PEOPLES DEMOCRATIC REPUBLIC'],
+  ['MY', 'MALAYSIA', 'PORT KLANG'],
+  ['MM', 'MYANMAR', 'BURMA'],
+  ['PH', 'PHILIPPINES'],
+  ['SG', 'SINGAPORE'],
+  ['TH', 'THAILAND'],
+  ['VN', 'VIETNAM', 'VIET NAM'],
+  ['AT', 'AUSTRIA'],
+  ['BE', 'BELGIUM', 'ANTWERP'],
+  ['BG', 'BULGARIA'],
+  ['HR', 'CROATIA'],
+  ['CY', 'CYPRUS'],
+  ['CZ', 'CZECH REPUBLIC', 'CZECHIA'],
+  ['DK', 'DENMARK'],
+  ['EE', 'ESTONIA'],
+  ['FI', 'FINLAND'],
+  ['FR', 'FRANCE'],
+  ['DE', 'GERMANY', 'HAMBURG'],
+  ['GR', 'GREECE'],
+  ['HU', 'HUNGARY'],
+  ['IE', 'IRELAND'],
+  ['IT', 'ITALY'],
+  ['LV', 'LATVIA'],
+  ['LT', 'LITHUANIA'],
+  ['LU', 'LUXEMBOURG'],
+  ['MT', 'MALTA'],
+  ['NL', 'NETHERLANDS', 'HOLLAND', 'ROTTERDAM'],
+  ['PL', 'POLAND'],
+  ['PT', 'PORTUGAL'],
+  ['RO', 'ROMANIA'],
+  ['SK', 'SLOVAKIA'],
+  ['SI', 'SLOVENIA'],
+  ['ES', 'SPAIN'],
+  ['SE', 'SWEDEN'],
+  ['GB', 'UNITED KINGDOM', 'UK', 'GREAT BRITAIN', 'BRITAIN', 'ENGLAND', 'SCOTLAND', 'LONDON'],
+  ['NO', 'NORWAY'],
+  ['CH', 'SWITZERLAND'],
+  ['IS', 'ICELAND'],
+  ['RU', 'RUSSIA', 'RUSSIAN FEDERATION'],
+  ['UA', 'UKRAINE'],
+  ['TR', 'TURKEY', 'TURKIYE'],
+  ['IL', 'ISRAEL'],
+  ['JO', 'JORDAN'],
+  ['LB', 'LEBANON'],
+  ['IQ', 'IRAQ'],
+  ['IR', 'IRAN', 'ISLAMIC REPUBLIC OF IRAN', 'IRAN ISLAMIC REPUBLIC OF', 'BANDAR ABBAS'],
+  ['YE', 'YEMEN'],
+  ['SY', 'SYRIA', 'SYRIAN ARAB REPUBLIC'],
+  ['EG', 'EGYPT'],
+  ['MA', 'MOROCCO'],
+  ['TN', 'TUNISIA'],
+  ['DZ', 'ALGERIA'],
+  ['LY', 'LIBYA'],
+  ['SD', 'SUDAN'],
+  ['KE', 'KENYA', 'MOMBASA'],
+  ['TZ', 'TANZANIA', 'UNITED REPUBLIC OF TANZANIA', 'DAR ES SALAAM'],
+  ['UG', 'UGANDA'],
+  ['ET', 'ETHIOPIA'],
+  ['NG', 'NIGERIA'],
+  ['GH', 'GHANA'],
+  ['ZA', 'SOUTH AFRICA', 'DURBAN'],
+  ['MU', 'MAURITIUS'],
+  ['SC', 'SEYCHELLES'],
+  ['MG', 'MADAGASCAR'],
+  ['MZ', 'MOZAMBIQUE'],
+  ['DJ', 'DJIBOUTI'],
+  ['SO', 'SOMALIA'],
+  ['CN', 'CHINA', 'PEOPLES REPUBLIC OF CHINA', 'PRC'],
+  ['HK', 'HONG KONG', 'HONGKONG'],
+  ['MO', 'MACAO', 'MACAU'],
+  ['TW', 'TAIWAN'],
+  ['JP', 'JAPAN'],
+  ['KR', 'SOUTH KOREA', 'KOREA', 'REPUBLIC OF KOREA', 'KOREA REPUBLIC OF', 'KOREA SOUTH', 'BUSAN'],
+  ['MN', 'MONGOLIA'],
+  ['KZ', 'KAZAKHSTAN'],
+  ['UZ', 'UZBEKISTAN'],
+  ['TM', 'TURKMENISTAN'],
+  ['AZ', 'AZERBAIJAN'],
+  ['GE', 'GEORGIA'],
+  ['AM', 'ARMENIA'],
+  ['AU', 'AUSTRALIA'],
+  ['NZ', 'NEW ZEALAND'],
+  ['FJ', 'FIJI'],
+  ['PG', 'PAPUA NEW GUINEA'],
+  ['US', 'UNITED STATES', 'USA', 'UNITED STATES OF AMERICA', 'AMERICA', 'US OF AMERICA'],
+  ['CA', 'CANADA'],
+  ['MX', 'MEXICO'],
+  ['BR', 'BRAZIL'],
+  ['AR', 'ARGENTINA'],
+  ['CL', 'CHILE'],
+  ['PE', 'PERU'],
+  ['CO', 'COLOMBIA']
+];
+
+export const DEFAULT_REGIONS = {
+  GCC: ['AE', 'SA', 'KW', 'QA', 'BH', 'OM'],
+  EU: ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT', 'LV',
+    'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'],
+  SAARC: ['AF', 'BD', 'BT', 'IN', 'MV', 'NP', 'PK', 'LK'],
+  ASEAN: ['BN', 'KH', 'ID', 'LA', 'MY', 'MM', 'PH', 'SG', 'TH', 'VN']
+};
+
+// Form country spellings are compared in: "U.A.E." -> "UAE", "The Netherlands" -> "NETHERLANDS"
+export const countryKey = (value) => String(value ?? '').toUpperCase()
+  .replace(/[.']/g, '')
+  .replace(/&/g, ' AND ')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim()
+  .replace(/^THE /, '');
+
+// Statements seeding the default countries, aliases and regions
+export const seedCountryStatements = () => [
+  ...DEFAULT_COUNTRIES.flatMap(([code, name, ...aliases]) => [
+    { sql: 'INSERT OR IGNORE INTO countries (code, name) VALUES (?, ?)', args: [code, name] },
+    ...[...new Set([code, name, ...aliases].map(countryKey))].map(alias => ({
+      sql: 'INSERT OR IGNORE INTO country_aliases (alias, code) VALUES (?, ?)',
+      args: [alias, code]
+    }))
+  ]),
+  ...Object.entries(DEFAULT_REGIONS).flatMap(([region, codes]) => codes.map(code => ({
+    sql: 'INSERT OR IGNORE INTO country_regions (region, code) VALUES (?, ?)',
+    args: [region, code]
+  })))
+];
+
+// Group key and display name of a row's country: the ISO country, else the value as filed
+export const countryKeySql = (table = 'exports') =>
+  `COALESCE(${table}.country_code, ${table}.country_of_destination)`;
+export const countryNameSql = (table = 'exports') =>
+  `COALESCE((SELECT c.name FROM countries c WHERE c.code = ${table}.country_code), ${table}.country_of_destination)`;
+
+/**
+ * (Re)resolve country_code for the rows matching `where` from country_aliases. Returns
+ * how many distinct values as filed are left without a country.
+ */
+export async function assignCountries(db, where = '1 = 1', args = []) {
+  const [values, aliases] = await Promise.all([
+    db.execute({
+      sql: `SELECT DISTINCT country_of_destination as value FROM exports
+            WHERE country_of_destination IS NOT NULL AND (${where})`,
+      args
+    }),
+    db.execute('SELECT alias, code FROM country_aliases')
+  ]);
+  const codeOf = new Map(aliases.rows.map(a => [a.alias, a.code]));
+
+  const byCode = new Map();
+  let unknown = 0;
+  for (const { value } of values.rows) {
+    const code = codeOf.get(countryKey(value));
+    if (!code) {
+      if (countryKey(value)) unknown++;
+      continue;
+    }
+    if (!byCode.has(code)) byCode.set(code, []);
+    byCode.get(code).push(value);
+  }
+
+  await db.batch([
+    { sql: `UPDATE exports SET country_code = NULL WHERE (${where})`, args },
+    ...[...byCode].map(([code, filed]) => ({
+      sql: `UPDATE exports SET country_code = ?
+            WHERE (${where}) AND country_of_destination IN (${filed.map(() => '?').join(',')})`,
+      args: [code, ...args, ...filed]
+    }))
+  ], 'write');
+  return unknown;
+}
+
+/**
+ * Condition matching rows shipped to any of `values`: region names (GCC), country codes or
+ * spellings of a country, or part of a country's name ("EMIRATES"). Values none of these
+ * find match rows without a country whose value as filed contains them.
+ */
+export async function countryFilter(db, values, table = 'exports') {
+  const codes = new Set();
+  const unmatched = [];
+  for (const value of values) {
+    const key = countryKey(value);
+    if (!key) continue;
+    const { rows } = await db.execute({
+      sql: `SELECT code FROM country_regions WHERE region = ?
+            UNION SELECT code FROM country_aliases WHERE alias = ?`,
+      args: [key, key]
+    });
+    const found = rows.length > 0 ? rows : (await db.execute({
+      sql: 'SELECT code FROM countries WHERE name LIKE ?',
+      args: [`%${key}%`]
+    })).rows;
+    found.forEach(r => codes.add(r.code));
+    if (found.length === 0) unmatched.push(`%${String(value).trim()}%`);
+  }
+
+  const conditions = [];
+  if (codes.size > 0) conditions.push(`${table}.country_code IN (${[...codes].map(() => '?').join(',')})`);
+  unmatched.forEach(() => conditions.push(`(${table}.country_code IS NULL AND ${table}.country_of_destination LIKE ?)`));
+  return {
+    sql: conditions.length > 0 ? `(${conditions.join(' OR ')})` : '0',
+    args: [...codes, ...unmatched]
+  };
+}
+
+/**
+ * Grouping for a country breakdown: by country, or with by = 'region' by region. A country
+ * in two regions counts toward both and one in none toward OTHER. `join` goes after FROM.
+ */
+export const countryGroupSql = (by, table = 'exports') => by === 'region'
+  ? {
+      join: `LEFT JOIN country_regions cr ON cr.code = ${table}.country_code`,
+      key: `COALESCE(cr.region, 'OTHER')`,
+      name: `COALESCE(cr.region, 'OTHER')`
+    }
+  : { join: '', key: countryKeySql(table), name: countryNameSql(table) };
@@ -0,0 +1,145 @@
+/**
+ * Date range filters
+ *
+ * Analytics and export routes read the shipment period to report on from the query string:
+ *
+ *   from, to   a date (YYYY-MM-DD) or a whole month (YYYY-MM); either end may be left open,
+ *              so from=2025-01&to=2025-06 is January to June 2025
+ *   month      one month (YYYY-MM), as before ranges
+ *   period     relative to today: last-90-days, last-12-weeks, last-6-months (each ending
+ *              today), this-month, last-month, this-year or ytd, last-year, and on the
+ *              fiscal calendar this-quarter, last-quarter, this-fy, last-fy; or one named
+ *              period (a week, month, quarter or financial year - see fiscal.js) such as
+ *              Q2 FY25
+ *
+ * Rows are matched on shipment_date, so undated rows only appear when no range is given.
+ */
+
+import { DEFAULT_FISCAL_YEAR_START, parsePeriod, periodOf, shiftPeriod } from './fiscal.js';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Date <-> YYYY-MM-DD, in UTC so a range doesn't shift with the server's time zone
+const isoDate = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+const utcDate = (year, monthIndex, day) => new Date(Date.UTC(year, monthIndex, day));
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+// First or last day of the date or month `value`, or null when it is neither
+const rangeEnd = (value, end) => {
+  const match = String(value).trim().match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/);
+  if (!match) return null;
+  const [year, month, day] = [Number(match[1]), Number(match[2]), match[3] && Number(match[3])];
+  if (month < 1 || month > 12) return null;
+  if (!day) return isoDate(end === 'to' ? utcDate(year, month, 0) : utcDate(year, month - 1, 1));
+  const date = utcDate(year, month - 1, day);
+  return date.getUTCDate() === day ? isoDate(date) : null;
+};
+
+const RELATIVE_UNITS = {
+  days: (today, n) => utcDate(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - n + 1),
+  weeks: (today, n) => utcDate(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - 7 * n + 1),
+  months: (today, n) => utcDate(today.getUTCFullYear(), today.getUTCMonth() - n, today.getUTCDate() + 1)
+};
+
+const FISCAL_PERIODS = {
+  'this-quarter': ['quarter', 0],
+  'last-quarter': ['quarter', 1],
+  'this-fy': ['fy', 0],
+  'last-fy': ['fy', 1]
+};
+
+// { from, to } of a relative or named period, or null when `period` is neither
+export const relativePeriod = (period, today = new Date(), calendar = { startMonth: DEFAULT_FISCAL_YEAR_START }) => {
+  const name = String(period).trim().toLowerCase();
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+  const to = isoDate(today);
+
+  const last = name.match(/^last-(\d+)-(days|weeks|months)$/);
+  if (last && Number(last[1]) > 0) return { from: isoDate(RELATIVE_UNITS[last[2]](today, Number(last[1]))), to };
+
+  switch (name) {
+    case 'this-month': return { from: isoDate(utcDate(year, month, 1)), to };
+    case 'last-month': return { from: isoDate(utcDate(year, month - 1, 1)), to: isoDate(utcDate(year, month, 0)) };
+    case 'this-year':
+    case 'ytd': return { from: `${year}-01-01`, to };
+    case 'last-year': return { from: `${year - 1}-01-01`, to: `${year - 1}-12-31` };
+  }
+
+  if (FISCAL_PERIODS[name]) {
+    const [granularity, back] = FISCAL_PERIODS[name];
+    const current = periodOf(granularity, today, calendar);
+    const { from, to: end } = back ? shiftPeriod(current, calendar) : current;
+    return { from, to: back ? end : to };
+  }
+  const named = parsePeriod(period, calendar);
+  return named && { from: named.from, to: named.to };
+};
+
+/**
+ * The { from, to } range (YYYY-MM-DD, null for an open end) a request's query asks for;
+ * both are null when it asks for none. Fiscal periods follow `calendar` ({ startMonth }).
+ * Throws a 400 for values that can't be read or parameters that contradict each other.
+ */
+export const parseDateRange = (query = {}, today = new Date(), calendar) => {
+  const given = (name) => query[name] !== undefined && query[name] !== '';
+  const { from, to, month, period } = query;
+
+  if ([given('from') || given('to'), given('month'), given('period')].filter(Boolean).length > 1) {
+    throw badRequest('Use one of from/to, month or period');
+  }
+
+  if (given('period')) {
+    const range = relativePeriod(period, today, calendar);
+    if (!range) throw badRequest(`"${period}" is not a period (e.g. last-90-days, last-month, this-fy, Q2 FY25)`);
+    return range;
+  }
+
+  if (given('month')) {
+    if (!/^\d{4}-\d{1,2}$/.test(String(month).trim()) || !rangeEnd(month, 'from')) {
+      throw badRequest(`"${month}" is not a month (YYYY-MM)`);
+    }
+    return { from: rangeEnd(month, 'from'), to: rangeEnd(month, 'to') };
+  }
+
+  const range = { from: null, to: null };
+  for (const [end, value] of [['from', from], ['to', to]]) {
+    if (!given(end)) continue;
+    range[end] = rangeEnd(value, end);
+    if (!range[end]) throw badRequest(`${end} "${value}" is not a date (YYYY-MM-DD) or month (YYYY-MM)`);
+  }
+  if (range.from && range.to && range.from > range.to) {
+    throw badRequest(`from ${range.from} is after to ${range.to}`);
+  }
+  return range;
+};
+
+// WHERE condition matching a range on a shipment date column
+export const dateRangeSql = (range, column = 'shipment_date') => {
+  const conditions = [];
+  const args = [];
+  if (range?.from) {
+    conditions.push(`${column} >= ?`);
+    args.push(range.from);
+  }
+  if (range?.to) {
+    conditions.push(`${column} <= ?`);
+    args.push(range.to);
+  }
+  return { sql: conditions.length ? conditions.join(' AND ') : '1 = 1', args };
+};
+
+// Range for file names: "all", "2025-03", "2025-01_2025-06" or "2025-01-15_2025-04-14"
+export const dateRangeLabel = (range) => {
+  if (!range?.from && !range?.to) return 'all';
+  const [fromMonth, toMonth] = [range.from?.slice(0, 7), range.to?.slice(0, 7)];
+  if (range.from && range.to && range.from === rangeEnd(fromMonth, 'from') && range.to === rangeEnd(toMonth, 'to')) {
+    return fromMonth === toMonth ? fromMonth : `${fromMonth}_${toMonth}`;
+  }
+  return `${range.from || 'start'}_${range.to || 'latest'}`;
+};
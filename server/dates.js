@@ -0,0 +1,115 @@
+/**
+ * Shipment date parsing
+ *
+ * "03/04/2024" is March 4th in one vendor's file and April 3rd in another's. Rather
+ * than guessing per value, an import reads every text date with one convention:
+ * set on the request or mapping profile, or detected from the file's date column.
+ * Values that only one convention can read ("13/04/2024") decide the detection;
+ * when none do, the file is flagged as ambiguous and the default is used.
+ */
+
+import XLSX from 'xlsx';
+
+export const DATE_FORMATS = {
+  DMY: 'DD/MM/YYYY',
+  MDY: 'MM/DD/YYYY',
+  YMD: 'YYYY/MM/DD'
+};
+
+// Indian shipping bills are day-first
+export const DEFAULT_DATE_FORMAT = 'DMY';
+
+// Three numeric parts separated by - / . or a space, optionally followed by a time
+const NUMERIC_DATE = /^(\d{1,4})[-/. ](\d{1,2})[-/. ](\d{1,4})(?:[T ].*)?$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Two-digit years: 00-49 are 20xx, 50-99 are 19xx
+const fullYear = (year) => year < 100 ? (year < 50 ? 2000 + year : 1900 + year) : year;
+
+const toDate = (year, month, day) => {
+  year = fullYear(year);
+  if (year <= 1900 || month < 1 || month > 12 || day < 1) return null;
+  if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+  return { shipmentDate: `${year}-${pad(month)}-${pad(day)}`, monthYear: `${year}-${pad(month)}` };
+};
+
+const readNumericDate = (parts, format) => {
+  const [a, b, c] = parts.map(Number);
+  // A leading four-digit year can only be year-first
+  if (parts[0].length === 4 || format === 'YMD') return toDate(a, b, c);
+  if (format === 'MDY') return toDate(c, a, b);
+  return toDate(c, b, a);
+};
+
+/**
+ * Parse a shipment date cell (Excel serial number or text) into { shipmentDate, monthYear }.
+ * Numeric text dates are read with `format` (DMY, MDY or YMD); both are null when the
+ * value isn't a valid date in that format.
+ */
+export const parseShipmentDate = (value, format = DEFAULT_DATE_FORMAT) => {
+  if (value === undefined || value === null || value === '') return { shipmentDate: null, monthYear: null };
+
+  if (typeof value === 'number') {
+    const date = XLSX.SSF.parse_date_code(value);
+    return (date && toDate(date.y, date.m, date.d)) || { shipmentDate: null, monthYear: null };
+  }
+
+  const text = String(value).trim();
+  const match = text.match(NUMERIC_DATE);
+  if (match) {
+    return readNumericDate(match.slice(1, 4), format) || { shipmentDate: null, monthYear: null };
+  }
+
+  // Month names ("03-Apr-2024", "April 3, 2024") say which part is the month.
+  // Use the calendar fields as parsed - toISOString() would shift them by the server's timezone.
+  const parsed = /[a-z]/i.test(text) ? new Date(text) : new Date(NaN);
+  if (isNaN(parsed)) return { shipmentDate: null, monthYear: null };
+  return toDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()) || { shipmentDate: null, monthYear: null };
+};
+
+// Conventions a text date is valid in: ['DMY', 'MDY'] for "03/04/2024", ['DMY'] for
+// "13/04/2024", ['YMD'] for "2024-04-03". Empty for serial numbers, month names and junk.
+export const dateConventions = (value) => {
+  if (typeof value !== 'string') return [];
+  const match = value.trim().match(NUMERIC_DATE);
+  if (!match) return [];
+  const parts = match.slice(1, 4);
+  if (parts[0].length === 4) return readNumericDate(parts, 'YMD') ? ['YMD'] : [];
+  return ['DMY', 'MDY'].filter(format => readNumericDate(parts, format));
+};
+
+/**
+ * Collects evidence from a date column, one value at a time: add(value), then
+ * result(fallback) -> { format, ambiguous, conflicting, counts }.
+ * `ambiguous` means no value told day-first and month-first apart, `conflicting`
+ * that some values only work day-first and others only month-first.
+ */
+export const createDateFormatDetector = () => {
+  const counts = { DMY: 0, MDY: 0, YMD: 0, ambiguous: 0 };
+
+  const add = (value) => {
+    const conventions = dateConventions(value);
+    if (conventions.length === 1) counts[conventions[0]]++;
+    else if (conventions.length > 1) counts.ambiguous++;
+  };
+
+  const result = (fallback = DEFAULT_DATE_FORMAT) => {
+    if (counts.DMY === 0 && counts.MDY === 0) {
+      return {
+        format: counts.ambiguous === 0 && counts.YMD > 0 ? 'YMD' : fallback,
+        ambiguous: counts.ambiguous > 0,
+        conflicting: false,
+        counts: { ...counts }
+      };
+    }
+    return {
+      format: counts.MDY > counts.DMY ? 'MDY' : 'DMY',
+      ambiguous: false,
+      conflicting: counts.DMY > 0 && counts.MDY > 0,
+      counts: { ...counts }
+    };
+  };
+
+  return { add, result };
+};
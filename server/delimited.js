@@ -0,0 +1,185 @@
+/**
+ * CSV / TSV reading
+ *
+ * Vendor dumps come as comma, tab, semicolon or pipe separated text in UTF-8,
+ * UTF-16 or a Windows code page. We detect both from the start of the file and
+ * then stream it, yielding rows in the same shape XLSX.utils.sheet_to_json
+ * produces, so they go through the same mapping pipeline as Excel sheets.
+ */
+
+import fs from 'fs';
+
+const DELIMITERS = [',', '\t', ';', '|'];
+const SNIFF_BYTES = 64 * 1024;
+
+export const DELIMITED_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+
+// Encoding from the BOM, else strict UTF-8 over the sample, falling back to Windows-1252
+export const detectEncoding = (sample) => {
+  if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) return 'utf-8';
+  if (sample[0] === 0xFF && sample[1] === 0xFE) return 'utf-16le';
+  if (sample[0] === 0xFE && sample[1] === 0xFF) return 'utf-16be';
+  try {
+    // stream: true so a character cut off at the end of the sample isn't an error
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+};
+
+// Count a delimiter per line, ignoring anything inside quotes
+const countPerLine = (lines, delimiter) => lines.map(line => {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === delimiter && !quoted) count++;
+  }
+  return count;
+});
+
+// Pick the delimiter that splits the first lines into the most columns, consistently
+export const detectDelimiter = (text) => {
+  // The last line of a sample may be cut off
+  const lines = text.split(/\r?\n/).slice(0, 21).filter(line => line.trim() !== '').slice(0, 20);
+  let best = { delimiter: ',', score: 0 };
+  for (const delimiter of DELIMITERS) {
+    const counts = countPerLine(lines, delimiter);
+    if (counts.length === 0 || counts[0] === 0) continue;
+    // Lines that disagree with the header are usually quoted text, so weigh agreement heavily
+    const agreeing = counts.filter(c => c === counts[0]).length / counts.length;
+    const score = counts[0] * agreeing;
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+};
+
+/**
+ * Incremental RFC 4180 parser: quoted fields may contain delimiters, "" and line breaks.
+ * push(text) returns the records completed by that chunk; end() flushes the last one.
+ */
+export const createDelimitedParser = (delimiter) => {
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let quotePending = false; // saw a quote inside a quoted field, need the next char to decide
+  let skipLineFeed = false; // saw \r, swallow a following \n
+
+  const push = (text) => {
+    const records = [];
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        quoted = false;
+      }
+      if (quoted) {
+        if (char === '"') quotePending = true;
+        else field += char;
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        skipLineFeed = char === '\r';
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    return records;
+  };
+
+  const end = () => {
+    if (field === '' && record.length === 0) return [];
+    record.push(field);
+    const last = record;
+    record = [];
+    field = '';
+    return [last];
+  };
+
+  return { push, end };
+};
+
+// Header names the way sheet_to_json makes them: blanks become __EMPTY, repeats get _1, _2...
+export const uniqueHeaders = (names) => {
+  const seen = new Map();
+  return names.map((name, i) => {
+    let column = String(name ?? '').trim() || (i === 0 ? '__EMPTY' : `__EMPTY_${i}`);
+    const count = seen.get(column) || 0;
+    seen.set(column, count + 1);
+    if (count > 0) column = `${column}_${count}`;
+    return column;
+  });
+};
+
+// Encoding and delimiter of a file, from its first 64 KB
+export const sniffDelimited = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    const sample = buffer.subarray(0, bytesRead);
+    const encoding = detectEncoding(sample);
+    const text = new TextDecoder(encoding).decode(sample, { stream: true });
+    return { encoding, delimiter: detectDelimiter(text) };
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Stream the rows of a delimited file. Rows are objects keyed by header with empty
+ * cells left out, and carry a non-enumerable __rowNum__ (0-based record) like SheetJS
+ * rows do. onBytes is called with the size of each chunk read, for progress.
+ */
+export async function* readDelimitedRows(filePath, { encoding, delimiter }, onBytes = () => {}) {
+  const stream = fs.createReadStream(filePath);
+  const decoder = new TextDecoder(encoding);
+  const parser = createDelimitedParser(delimiter);
+  let columns = null;
+  let index = 0;
+
+  const toRows = (records) => {
+    const rows = [];
+    for (const values of records) {
+      if (!columns) {
+        columns = uniqueHeaders(values);
+        continue;
+      }
+      index++;
+      const row = {};
+      values.forEach((value, i) => {
+        const trimmed = value.trim();
+        if (trimmed !== '' && columns[i]) row[columns[i]] = trimmed;
+      });
+      if (Object.keys(row).length === 0) continue;
+      Object.defineProperty(row, '__rowNum__', { value: index, enumerable: false });
+      rows.push(row);
+    }
+    return rows;
+  };
+
+  try {
+    for await (const chunk of stream) {
+      onBytes(chunk.length);
+      yield* toRows(parser.push(decoder.decode(chunk, { stream: true })));
+    }
+    yield* toRows([...parser.push(decoder.decode()), ...parser.end()]);
+  } finally {
+    stream.destroy();
+  }
+}
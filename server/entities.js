@@ -0,0 +1,199 @@
+/**
+ * Company entity resolution
+ *
+ * One exporter is filed as "XYZ EXPORTS PVT LTD", "XYZ EXPORTS PRIVATE LIMITED" and
+ * "M/S XYZ EXPORTS P. LTD.". Names are reduced to a key (upper case, punctuation
+ * dropped, legal forms spelled one way) and every key is an alias of one canonical
+ * entity. exports rows point at their exporter's and consignee's entity, and
+ * analytics match and group on those ids rather than on the name as filed.
+ * Keys that only differ in spacing or legal form ("XYZ EXPORTS" / "XYZ EXPORTS LLP")
+ * share a base key; those are proposed for merging rather than merged.
+ */
+
+import { indexAliasStatements } from './search.js';
+
+// exports name column -> the entity id column it resolves to
+export const ENTITY_COLUMNS = {
+  exporter_name: 'exporter_entity_id',
+  consignee_name: 'consignee_entity_id'
+};
+
+// Words spelled several ways anywhere in a name
+const WORD_FORMS = [
+  [/\bCOMPANY\b/g, 'CO'],
+  [/\bCORPORATION\b/g, 'CORP'],
+  [/\bINCORPORATED\b/g, 'INC'],
+  [/\bLIMITED\b/g, 'LTD'],
+  [/\bPRIVATE\b/g, 'PVT']
+];
+
+// Legal forms at the end of a name, after WORD_FORMS; longer forms first
+const LEGAL_FORMS = [
+  [/\s(?:PVT|PTE|P)\s?LTD$/, 'PVT LTD'],
+  [/\sPTY\s?LTD$/, 'PTY LTD'],
+  [/\sSDN\s?BHD$/, 'SDN BHD'],
+  [/\s(?:LLP|LTD LIABILITY PARTNERSHIP)$/, 'LLP'],
+  [/\s(?:LLC|LTD LIABILITY CO)$/, 'LLC'],
+  [/\sLTDA$/, 'LTDA'],
+  [/\sLTD$/, 'LTD'],
+  [/\sINC$/, 'INC'],
+  [/\sCORP$/, 'CORP'],
+  [/\sCO$/, 'CO'],
+  [/\sGMBH$/, 'GMBH'],
+  [/\sS\s?R\s?L$/, 'SRL'],
+  [/\sS\s?P\s?A$/, 'SPA'],
+  [/\sSARL$/, 'SARL'],
+  [/\sSAS$/, 'SAS'],
+  [/\sSA$/, 'SA'],
+  [/\sB\s?V$/, 'BV'],
+  [/\sN\s?V$/, 'NV'],
+  [/\sAG$/, 'AG'],
+  [/\sFZCO$/, 'FZCO'],
+  [/\sFZE$/, 'FZE'],
+  [/\sW\s?L\s?L$/, 'WLL']
+];
+
+const cleanName = (name) => {
+  let text = String(name ?? '').toUpperCase().trim()
+    .replace(/^M\s*\/\s*S\b\.?/, '')
+    .replace(/&/g, ' AND ')
+    .replace(/[.']/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  for (const [pattern, word] of WORD_FORMS) text = text.replace(pattern, word);
+  return text;
+};
+
+const splitLegalForm = (text) => {
+  for (const [pattern, legalForm] of LEGAL_FORMS) {
+    const match = text.match(pattern);
+    if (match) return { base: text.slice(0, match.index), legalForm };
+  }
+  return { base: text, legalForm: '' };
+};
+
+// Alias key of a company name: "M/s. XYZ Exports (P) Ltd." -> "XYZ EXPORTS PVT LTD"; '' when blank
+export const companyKey = (name) => {
+  const { base, legalForm } = splitLegalForm(cleanName(name));
+  return legalForm ? `${base} ${legalForm}` : base;
+};
+
+// Key with every legal form and space removed; equal base keys are merge candidates
+export const companyBaseKey = (name) => {
+  let text = cleanName(name);
+  for (let split = splitLegalForm(text); split.legalForm; split = splitLegalForm(text)) text = split.base;
+  return text.replace(/\s+/g, '');
+};
+
+// Canonical name of a row's exporter or consignee, the name as filed when it isn't resolved
+export const entityNameSql = (field, table = 'exports') =>
+  `COALESCE((SELECT en.name FROM entities en WHERE en.id = ${table}.${ENTITY_COLUMNS[field]}), ${table}.${field})`;
+
+const CHUNK_SIZE = 500;
+
+/**
+ * Link exports rows matching `where` to their entities, creating an entity (named
+ * after its most used spelling) for every key without an alias. Only rows that
+ * aren't linked yet are read, so running it again is cheap. Returns how many
+ * entities were created.
+ */
+export async function resolveEntities(db, where = '1 = 1', args = []) {
+  let created = 0;
+
+  for (const [field, column] of Object.entries(ENTITY_COLUMNS)) {
+    const { rows } = await db.execute({
+      sql: `SELECT ${field} as name, COUNT(*) as row_count FROM exports
+            WHERE ${column} IS NULL AND ${field} IS NOT NULL AND ${field} != '' AND (${where})
+            GROUP BY ${field} ORDER BY row_count DESC`,
+      args
+    });
+
+    const spellings = new Map();
+    for (const { name } of rows) {
+      const key = companyKey(name);
+      if (!key) continue;
+      if (!spellings.has(key)) spellings.set(key, []);
+      spellings.get(key).push(name);
+    }
+
+    const keys = [...spellings.keys()];
+    for (let i = 0; i < keys.length; i += CHUNK_SIZE) {
+      const chunk = keys.slice(i, i + CHUNK_SIZE);
+      const known = await db.execute({
+        sql: `SELECT alias FROM entity_aliases WHERE alias IN (${chunk.map(() => '?').join(',')})`,
+        args: chunk
+      });
+      const knownKeys = new Set(known.rows.map(r => r.alias));
+
+      const statements = [];
+      for (const key of chunk) {
+        const names = spellings.get(key);
+        if (!knownKeys.has(key)) {
+          statements.push(
+            { sql: 'INSERT INTO entities (name) VALUES (?)', args: [names[0]] },
+            {
+              sql: 'INSERT INTO entity_aliases (alias, base_key, entity_id) VALUES (?, ?, last_insert_rowid())',
+              args: [key, companyBaseKey(key)]
+            },
+            ...indexAliasStatements(key)
+          );
+          created++;
+        }
+        statements.push({
+          sql: `UPDATE exports SET ${column} = (SELECT entity_id FROM entity_aliases WHERE alias = ?)
+                WHERE ${column} IS NULL AND ${field} IN (${names.map(() => '?').join(',')})`,
+          args: [key, ...names]
+        });
+      }
+      await db.batch(statements, 'write');
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Delete the companies no exports row points at any more, e.g. after an import is rolled
+ * back. Only companies with nothing but the one spelling they were created with go:
+ * merged or manually added spellings are decisions a re-import should land on again, so
+ * those companies stay, without rows. Returns how many were deleted.
+ */
+export async function pruneEntities(db) {
+  const { rows } = await db.execute(`
+    SELECT e.id, a.alias FROM entities e
+    JOIN entity_aliases a ON a.entity_id = e.id AND a.source = 'import'
+    WHERE (SELECT COUNT(*) FROM entity_aliases o WHERE o.entity_id = e.id) = 1
+      AND NOT EXISTS (SELECT 1 FROM exports WHERE exporter_entity_id = e.id)
+      AND NOT EXISTS (SELECT 1 FROM exports WHERE consignee_entity_id = e.id)
+  `);
+
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + CHUNK_SIZE);
+    const ids = chunk.map(r => r.id);
+    const aliases = chunk.map(r => r.alias);
+    const idList = ids.map(() => '?').join(',');
+    const aliasList = aliases.map(() => '?').join(',');
+    await db.batch([
+      { sql: `DELETE FROM alias_trigrams WHERE alias IN (${aliasList})`, args: aliases },
+      { sql: `DELETE FROM entity_aliases WHERE alias IN (${aliasList})`, args: aliases },
+      { sql: `DELETE FROM entity_merge_dismissals WHERE entity_id IN (${idList}) OR other_entity_id IN (${idList})`, args: [...ids, ...ids] },
+      { sql: `DELETE FROM entities WHERE id IN (${idList})`, args: ids }
+    ], 'write');
+  }
+  return rows.length;
+}
+
+/**
+ * Entity ids for names as typed in settings (tracked competitors and clients, the
+ * company name). `partial` also takes aliases that contain a name, the way
+ * `LIKE '%name%'` matched the company name before entities existed.
+ */
+export async function entityIdsFor(db, names, { partial = false } = {}) {
+  const keys = [...new Set(names.map(companyKey).filter(Boolean))];
+  if (keys.length === 0) return [];
+  const { rows } = await db.execute({
+    sql: `SELECT DISTINCT entity_id FROM entity_aliases WHERE ${keys.map(() => partial ? 'alias LIKE ?' : 'alias = ?').join(' OR ')}`,
+    args: partial ? keys.map(key => `%${key}%`) : keys
+  });
+  return rows.map(r => r.entity_id);
+}
@@ -0,0 +1,150 @@
+/**
+ * Fiscal calendar and reporting periods
+ *
+ * Reviews run on the financial year - April to March in India - so besides calendar months
+ * rows are grouped by ISO week, fiscal quarter and fiscal year. company_info.fiscal_year_start
+ * is the month (1-12) a financial year starts in; a year is named after the calendar year it
+ * ends in, so with an April start FY2025 is April 2024 - March 2025 and its Q1 is April - June
+ * 2024. Period ids sort in time order within a granularity:
+ *
+ *   week      2025-W03     (ISO weeks, Monday to Sunday)
+ *   month     2025-01
+ *   quarter   FY2025-Q2    (read from "Q2 FY25" too)
+ *   fy        FY2025       (read from "FY25" too)
+ */
+
+export const GRANULARITIES = ['week', 'month', 'quarter', 'fy'];
+export const DEFAULT_FISCAL_YEAR_START = 4;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = (n) => String(n).padStart(2, '0');
+const utcDate = (year, monthIndex, day) => new Date(Date.UTC(year, monthIndex, day));
+const isoDate = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+// { startMonth } as stored, falling back to April
+export async function loadFiscalCalendar(db) {
+  const { rows } = await db.execute('SELECT fiscal_year_start FROM company_info LIMIT 1');
+  const startMonth = Number(rows[0]?.fiscal_year_start);
+  return { startMonth: startMonth >= 1 && startMonth <= 12 ? startMonth : DEFAULT_FISCAL_YEAR_START };
+}
+
+// Fiscal year (named by its end year) and quarter of a calendar year and month (1-12)
+const fiscalOf = (year, month, { startMonth }) => ({
+  fy: year + (startMonth > 1 && month >= startMonth ? 1 : 0),
+  quarter: Math.floor(((month - startMonth + 12) % 12) / 3) + 1
+});
+
+// Monday of ISO week `week` of `year`: week 1 is the week with January 4th in it
+const isoWeekStart = (year, week) => {
+  const jan4 = utcDate(year, 0, 4);
+  return utcDate(year, 0, 4 - ((jan4.getUTCDay() + 6) % 7) + (week - 1) * 7);
+};
+
+const isoWeekOf = (date) => {
+  const thursday = utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+  const year = thursday.getUTCFullYear();
+  return { year, week: Math.round((thursday - utcDate(year, 0, 1)) / 86400000 / 7 - 3 / 7) + 1 };
+};
+
+const weekId = ({ year, week }) => `${year}-W${pad(week)}`;
+
+/**
+ * SQL for the period id of a row's `column` date at `granularity`, as in the table above;
+ * NULL for undated rows.
+ */
+export const periodKeySql = (granularity, { startMonth }, column = 'shipment_date') => {
+  const year = `CAST(substr(${column}, 1, 4) AS INTEGER)`;
+  const month = `CAST(substr(${column}, 6, 2) AS INTEGER)`;
+  const fy = `'FY' || (${year} + CASE WHEN ${month} >= ${Number(startMonth)} AND ${Number(startMonth)} > 1 THEN 1 ELSE 0 END)`;
+  switch (granularity) {
+    case 'week': {
+      // The ISO week's Thursday decides its year
+      const thursday = `date(${column}, '-3 days', 'weekday 4')`;
+      return `(strftime('%Y', ${thursday}) || '-W' || printf('%02d', (CAST(strftime('%j', ${thursday}) AS INTEGER) - 1) / 7 + 1))`;
+    }
+    case 'quarter': return `(${fy} || '-Q' || ((${month} - ${Number(startMonth)} + 12) % 12 / 3 + 1))`;
+    case 'fy': return `(${fy})`;
+    default: return `substr(${column}, 1, 7)`;
+  }
+};
+
+// "Q2 FY25", "FY25", "Jan 2025", "W03 2025"
+export const periodLabel = (id) => {
+  let match;
+  if ((match = id.match(/^FY(\d{4})-Q(\d)$/))) return `Q${match[2]} FY${match[1].slice(2)}`;
+  if ((match = id.match(/^FY(\d{4})$/))) return `FY${match[1].slice(2)}`;
+  if ((match = id.match(/^(\d{4})-W(\d{2})$/))) return `W${match[2]} ${match[1]}`;
+  if ((match = id.match(/^(\d{4})-(\d{2})$/))) return `${MONTH_NAMES[Number(match[2]) - 1]} ${match[1]}`;
+  return id;
+};
+
+// Four-digit year of "25" or "2025"
+const fullYear = (digits) => digits.length === 2 ? 2000 + Number(digits) : Number(digits);
+
+const describe = (granularity, id, from, to) => ({ id, granularity, label: periodLabel(id), from: isoDate(from), to: isoDate(to) });
+
+/**
+ * The period a value names - "2025-W03", "2025-01", "FY2025-Q2", "Q2 FY25", "FY25"... - as
+ * { id, granularity, label, from, to }, or null when it names none.
+ */
+export const parsePeriod = (value, calendar) => {
+  const text = String(value ?? '').trim().toUpperCase().replace(/\s+/g, ' ');
+  const { startMonth } = calendar;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-W(\d{1,2})$/))) {
+    const [year, week] = [Number(match[1]), Number(match[2])];
+    const from = isoWeekStart(year, week);
+    if (week < 1 || isoWeekOf(from).year !== year) return null;
+    return describe('week', weekId({ year, week }), from, utcDate(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate() + 6));
+  }
+  if ((match = text.match(/^(\d{4})-(\d{1,2})$/))) {
+    const [year, month] = [Number(match[1]), Number(match[2])];
+    if (month < 1 || month > 12) return null;
+    return describe('month', `${year}-${pad(month)}`, utcDate(year, month - 1, 1), utcDate(year, month, 0));
+  }
+
+  const quarter = text.match(/^FY ?(?<fy>\d{2}|\d{4})[- ]Q(?<q>[1-4])$/) || text.match(/^Q(?<q>[1-4])[- ]FY ?(?<fy>\d{2}|\d{4})$/);
+  if (quarter) {
+    const { fy: fyDigits, q } = quarter.groups;
+    const fy = fullYear(fyDigits);
+    const startYear = startMonth > 1 ? fy - 1 : fy;
+    const first = startMonth - 1 + 3 * (Number(q) - 1);
+    return describe('quarter', `FY${fy}-Q${q}`, utcDate(startYear, first, 1), utcDate(startYear, first + 3, 0));
+  }
+  if ((match = text.match(/^FY ?(\d{2}|\d{4})$/))) {
+    const fy = fullYear(match[1]);
+    const startYear = startMonth > 1 ? fy - 1 : fy;
+    return describe('fy', `FY${fy}`, utcDate(startYear, startMonth - 1, 1), utcDate(startYear, startMonth + 11, 0));
+  }
+  return null;
+};
+
+// The period of `granularity` that `date` (a Date) falls in
+export const periodOf = (granularity, date, calendar) => {
+  const [year, month] = [date.getUTCFullYear(), date.getUTCMonth() + 1];
+  const { fy, quarter } = fiscalOf(year, month, calendar);
+  const id = {
+    week: () => weekId(isoWeekOf(date)),
+    month: () => `${year}-${pad(month)}`,
+    quarter: () => `FY${fy}-Q${quarter}`,
+    fy: () => `FY${fy}`
+  }[granularity]();
+  return parsePeriod(id, calendar);
+};
+
+// The period before `period`, or with `years` the same period that many years earlier
+export const shiftPeriod = (period, calendar, { years = 0 } = {}) => {
+  const from = new Date(`${period.from}T00:00:00Z`);
+  if (years) {
+    if (period.granularity === 'week') {
+      const { year, week } = isoWeekOf(from);
+      // Week 53 only exists in some years; fall back to the year's last week
+      return parsePeriod(weekId({ year: year - years, week }), calendar) ||
+        parsePeriod(weekId({ year: year - years, week: week - 1 }), calendar);
+    }
+    return periodOf(period.granularity, utcDate(from.getUTCFullYear() - years, from.getUTCMonth(), 1), calendar);
+  }
+  return periodOf(period.granularity, utcDate(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate() - 1), calendar);
+};
@@ -0,0 +1,99 @@
+/**
+ * FOB currency conversion
+ *
+ * Shipping bills are declared in USD, INR, EUR... and `exports.fob_value` keeps the
+ * amount as declared, in `fob_currency`. fx_rates holds how many units of a currency
+ * buy one USD, per month. Every row also stores its FOB in USD and INR at the rates
+ * of its shipment month (`fob_usd`, `fob_inr`), and totals are summed from those,
+ * so rupees are never added to dollars.
+ */
+
+export const BASE_CURRENCY = 'USD';
+
+// Spellings seen in vendor files
+const CURRENCY_ALIASES = {
+  '$': 'USD', 'US$': 'USD', 'US DOLLAR': 'USD', 'US DOLLARS': 'USD', 'DOLLAR': 'USD',
+  '₹': 'INR', 'RS': 'INR', 'RS.': 'INR', 'RUPEE': 'INR', 'RUPEES': 'INR', 'INDIAN RUPEE': 'INR',
+  '€': 'EUR', 'EURO': 'EUR', 'EUROS': 'EUR',
+  '£': 'GBP', 'POUND': 'GBP', 'GBP STERLING': 'GBP'
+};
+
+// ISO code for a currency cell; blank cells are USD, the shipping bill default
+export const normalizeCurrency = (value) => {
+  const text = String(value ?? '').trim().toUpperCase();
+  if (!text) return BASE_CURRENCY;
+  return CURRENCY_ALIASES[text] || text;
+};
+
+// Currency named in a value column's header: "FOB (INR)", "Value INR", "FOB Rs"
+export const currencyFromHeader = (header) => {
+  const words = String(header || '').toUpperCase().split(/[^A-Z$₹€£.]+/);
+  return words.map(word => CURRENCY_ALIASES[word] || word).find(word => /^(USD|INR|EUR|GBP)$/.test(word)) || null;
+};
+
+// "2024-04", "2024-4", "2024-04-15" -> "2024-04"; null when the value isn't a month
+export const parseRateMonth = (value) => {
+  const match = String(value ?? '').trim().match(/^(\d{4})[-/](\d{1,2})(?:[-/]\d{1,2})?$/);
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+  return `${match[1]}-${match[2].padStart(2, '0')}`;
+};
+
+// Rate of `currency` for an exports row: the latest month at or before the shipment's,
+// else (shipments older than any rate) the earliest one. Undated rows use the latest rate.
+const rateSql = (currency) => `COALESCE(
+  (SELECT r.rate FROM fx_rates r WHERE r.currency = ${currency} AND r.month <= COALESCE(exports.month_year, '9999-12')
+   ORDER BY r.month DESC LIMIT 1),
+  (SELECT r.rate FROM fx_rates r WHERE r.currency = ${currency} ORDER BY r.month LIMIT 1)
+)`;
+
+/**
+ * Statements that (re)compute fob_usd and fob_inr for the rows matching `where`.
+ * Two statements, because fob_inr is derived from the fob_usd the first one sets.
+ * Rows whose currency has no rate get NULL, and are listed by missingRatesSql.
+ */
+export const convertFobStatements = (where = '1 = 1', args = []) => [
+  {
+    sql: `UPDATE exports SET fob_usd = CASE
+            WHEN fob_currency = '${BASE_CURRENCY}' THEN fob_value
+            ELSE fob_value / ${rateSql('exports.fob_currency')}
+          END
+          WHERE (${where})`,
+    args
+  },
+  {
+    sql: `UPDATE exports SET fob_inr = fob_usd * ${rateSql(`'INR'`)} WHERE (${where})`,
+    args
+  }
+];
+
+// Currency / month combinations with rows (of those matching `where`) that couldn't be converted
+export const missingRatesSql = (where = '1 = 1') => `
+  SELECT CASE WHEN fob_usd IS NULL THEN fob_currency ELSE 'INR' END as currency,
+         month_year, COUNT(*) as row_count
+  FROM exports
+  WHERE (fob_usd IS NULL OR fob_inr IS NULL) AND fob_value != 0 AND (${where})
+  GROUP BY 1, 2
+  ORDER BY 1, 2
+`;
+
+// The fixed rate every INR figure used before monthly rates existed. It is seeded once per
+// database as INR's rate from FALLBACK_INR_MONTH, so upgraded data keeps its INR totals
+// until real rates are imported; those take over from their own month on, and the
+// fallback can be edited or deleted like any other rate.
+export const FALLBACK_INR_RATE = 83.5;
+export const FALLBACK_INR_MONTH = '2000-01';
+const FALLBACK_MIGRATION = 'seed-fallback-inr-rate';
+
+// Seed the fallback INR rate unless it has been seeded before; true when it was just added
+export async function seedFallbackInrRate(db) {
+  const done = await db.execute({ sql: 'SELECT 1 FROM migrations WHERE name = ?', args: [FALLBACK_MIGRATION] });
+  if (done.rows.length > 0) return false;
+  await db.batch([
+    {
+      sql: 'INSERT OR IGNORE INTO fx_rates (currency, month, rate) VALUES (?, ?, ?)',
+      args: ['INR', FALLBACK_INR_MONTH, FALLBACK_INR_RATE]
+    },
+    { sql: 'INSERT OR IGNORE INTO migrations (name) VALUES (?)', args: [FALLBACK_MIGRATION] }
+  ], 'write');
+  return true;
+}
@@ -0,0 +1,92 @@
+/**
+ * Tracked competitor and client groups
+ *
+ * A tracked competitor or client is a group of member names: usually one company, sometimes
+ * the two or three sister companies a rival exports through. Members resolve to entities
+ * like any other name, and analytics add rows up per group by joining exports to a
+ * `tracked(entity_id, group_id, group_name)` CTE, listing each member company under its
+ * group for drill-down.
+ */
+
+import { ENTITY_COLUMNS, companyKey, entityNameSql } from './entities.js';
+
+// Tracked group table -> the table of its member names and the column pointing back at the group
+export const TRACKED_GROUPS = {
+  competitors: { members: 'competitor_members', key: 'competitor_id' },
+  clients: { members: 'client_members', key: 'client_id' }
+};
+
+// Member names of the active competitor or client groups, with their group
+export async function trackedMembers(db, table) {
+  const { members, key } = TRACKED_GROUPS[table];
+  const { rows } = await db.execute(`
+    SELECT m.name, g.id as group_id, g.name as group_name
+    FROM ${members} m JOIN ${table} g ON g.id = m.${key}
+    WHERE g.active = 1 ORDER BY g.name, m.name
+  `);
+  return rows;
+}
+
+/**
+ * The tracked groups' companies as `{ ids, cte, args }`, for queries that add rows up per
+ * group: `WITH ${tracked.cte} ... JOIN tracked ON tracked.entity_id = ...`. The CTE is valid
+ * (and empty) without groups. A company that is a member of two groups counts for the first.
+ */
+export async function trackedGroupsCte(db, table) {
+  const tracked = await trackedMembers(db, table);
+  const keys = [...new Set(tracked.map(t => companyKey(t.name)).filter(Boolean))];
+  const aliases = keys.length > 0
+    ? (await db.execute({
+        sql: `SELECT alias, entity_id FROM entity_aliases WHERE alias IN (${keys.map(() => '?').join(',')})`,
+        args: keys
+      })).rows
+    : [];
+  const entityOfKey = new Map(aliases.map(a => [a.alias, a.entity_id]));
+
+  const groupOf = new Map();
+  tracked.forEach(t => {
+    const entityId = entityOfKey.get(companyKey(t.name));
+    if (entityId !== undefined && !groupOf.has(entityId)) groupOf.set(entityId, t);
+  });
+
+  const ids = [...groupOf.keys()];
+  return {
+    ids,
+    cte: ids.length > 0
+      ? `tracked(entity_id, group_id, group_name) AS (VALUES ${ids.map(() => '(?, ?, ?)').join(', ')})`
+      : 'tracked(entity_id, group_id, group_name) AS (SELECT NULL, NULL, NULL WHERE 0)',
+    args: [...groupOf].flatMap(([entityId, t]) => [entityId, t.group_id, t.group_name])
+  };
+}
+
+/**
+ * Aggregates per tracked group, each with the same aggregates per member company under
+ * `members`. `columns` must include total_fob, which orders both levels; `where` and `args`
+ * filter exports rows, and `nameAs` names the group / company name column.
+ */
+export async function groupTotals(db, tracked, field, columns, { where = '1 = 1', args = [], nameAs = 'name' } = {}) {
+  const column = ENTITY_COLUMNS[field];
+  const from = `FROM exports JOIN tracked ON tracked.entity_id = exports.${column} WHERE ${where}`;
+  const params = [...tracked.args, ...args];
+
+  const groups = await db.execute({
+    sql: `
+      WITH ${tracked.cte}
+      SELECT tracked.group_id, tracked.group_name as ${nameAs}, ${columns}
+      ${from}
+      GROUP BY tracked.group_id ORDER BY total_fob DESC
+    `,
+    args: params
+  });
+  const members = await db.execute({
+    sql: `
+      WITH ${tracked.cte}
+      SELECT tracked.group_id, exports.${column} as entity_id, ${entityNameSql(field)} as ${nameAs}, ${columns}
+      ${from}
+      GROUP BY exports.${column} ORDER BY total_fob DESC
+    `,
+    args: params
+  });
+
+  return groups.rows.map(g => ({ ...g, members: members.rows.filter(m => m.group_id === g.group_id) }));
+}
@@ -0,0 +1,168 @@
+/**
+ * HS code hierarchy
+ *
+ * exports.hs_code holds the 8-digit Indian ITC-HS code as digits only, with the leading zero
+ * of chapters 01-09 that spreadsheets drop from numeric cells restored. Its first 2, 4 and 6
+ * digits are the chapter, heading and subheading; hs_codes describes codes at each of those
+ * levels and at the full 8 digits. Routes that take ?hsLevel roll rows up to that many digits.
+ */
+
+import { SYNTHETIC_ID_PREFIX, syntheticDeclarationId } from './synthetic-id.js';
+
+export const HS_LEVELS = [2, 4, 6, 8];
+
+// [code, description]; the level is the code's length
+export const DEFAULT_HS_CODES = [
+  ['06', 'Live trees and other plants; bulbs, roots; cut flowers and ornamental foliage'],
+  ['07', 'Edible vegetables and certain roots and tubers'],
+  ['0701', 'Potatoes, fresh or chilled'],
+  ['0702', 'Tomatoes, fresh or chilled'],
+  ['0703', 'Onions, shallots, garlic, leeks and other alliaceous vegetables, fresh or chilled'],
+  ['070310', 'Onions and shallots'],
+  ['07031010', 'Onions'],
+  ['07031020', 'Shallots'],
+  ['070320', 'Garlic'],
+  ['0704', 'Cabbages, cauliflowers, kohlrabi, kale and similar edible brassicas, fresh or chilled'],
+  ['0705', 'Lettuce and chicory, fresh or chilled'],
+  ['0706', 'Carrots, turnips, salad beetroot and similar edible roots, fresh or chilled'],
+  ['0707', 'Cucumbers and gherkins, fresh or chilled'],
+  ['0708', 'Leguminous vegetables, shelled or unshelled, fresh or chilled'],
+  ['0709', 'Other vegetables, fresh or chilled'],
+  ['070960', 'Fruits of the genus Capsicum or Pimenta'],
+  ['070999', 'Other vegetables, fresh or chilled, not elsewhere specified'],
+  ['0710', 'Vegetables, frozen'],
+  ['0711', 'Vegetables provisionally preserved'],
+  ['0712', 'Dried vegetables'],
+  ['0713', 'Dried leguminous vegetables, shelled'],
+  ['0714', 'Manioc, arrowroot, sweet potatoes and similar roots and tubers'],
+  ['08', 'Edible fruit and nuts; peel of citrus fruit or melons'],
+  ['0801', 'Coconuts, Brazil nuts and cashew nuts'],
+  ['0802', 'Other nuts'],
+  ['0803', 'Bananas, including plantains'],
+  ['0804', 'Dates, figs, pineapples, avocados, guavas, mangoes and mangosteens'],
+  ['080450', 'Guavas, mangoes and mangosteens'],
+  ['08045010', 'Guavas'],
+  ['08045020', 'Mangoes, fresh'],
+  ['08045030', 'Mangoes, sliced and dried'],
+  ['08045040', 'Mangosteens'],
+  ['0805', 'Citrus fruit'],
+  ['0806', 'Grapes, fresh or dried'],
+  ['080610', 'Grapes, fresh'],
+  ['08061000', 'Grapes, fresh'],
+  ['080620', 'Grapes, dried (raisins)'],
+  ['0807', 'Melons (including watermelons) and papaws (papayas), fresh'],
+  ['0808', 'Apples, pears and quinces, fresh'],
+  ['0809', 'Apricots, cherries, peaches, plums and sloes, fresh'],
+  ['0810', 'Other fruit, fresh'],
+  ['081090', 'Other fruit, fresh, not elsewhere specified (including pomegranates)'],
+  ['0811', 'Fruit and nuts, frozen'],
+  ['0812', 'Fruit and nuts provisionally preserved'],
+  ['0813', 'Fruit, dried'],
+  ['0814', 'Peel of citrus fruit or melons'],
+  ['09', 'Coffee, tea, mate and spices'],
+  ['0910', 'Ginger, saffron, turmeric, thyme, bay leaves, curry and other spices'],
+  ['10', 'Cereals'],
+  ['11', 'Products of the milling industry; malt; starches'],
+  ['12', 'Oil seeds and oleaginous fruits; miscellaneous grains, seeds and fruit'],
+  ['20', 'Preparations of vegetables, fruit, nuts or other parts of plants'],
+  ['2001', 'Vegetables and fruit prepared or preserved by vinegar or acetic acid'],
+  ['2007', 'Jams, fruit jellies, marmalades, fruit purees and pastes'],
+  ['2008', 'Fruit, nuts and other edible parts of plants, otherwise prepared or preserved'],
+  ['2009', 'Fruit and vegetable juices, unfermented']
+];
+
+// HS code as stored: digits only, leading zero restored ("8045020" -> "08045020")
+export const hsDigits = (hsCode) => {
+  const digits = String(hsCode ?? '').replace(/\D/g, '');
+  return digits.length % 2 === 1 ? `0${digits}` : digits;
+};
+
+// ?hsLevel as one of HS_LEVELS (default: 8), or null when it is something else
+export const parseHsLevel = (value) => {
+  if (value === undefined || value === '') return 8;
+  const level = parseInt(value);
+  return HS_LEVELS.includes(level) && String(level) === String(value).trim() ? level : null;
+};
+
+// A row's HS code rolled up to `level` digits, and the description of that code
+export const hsCodeSql = (level = 8, table = 'exports') => `SUBSTR(${table}.hs_code, 1, ${Number(level)})`;
+export const hsDescriptionSql = (level = 8, table = 'exports') =>
+  `(SELECT h.description FROM hs_codes h WHERE h.code = ${hsCodeSql(level, table)})`;
+
+export const seedHsStatements = () => DEFAULT_HS_CODES.map(([code, description]) => ({
+  sql: 'INSERT OR IGNORE INTO hs_codes (code, level, description) VALUES (?, ?, ?)',
+  args: [code, code.length, description]
+}));
+
+// hs_rules a new database starts with: [prefix, category]. Chapter 07 is edible
+// vegetables, 08 edible fruit and nuts.
+export const DEFAULT_HS_RULES = [['07', 'vegetables'], ['08', 'fruits']];
+
+export const seedHsRuleStatements = () => DEFAULT_HS_RULES.map(([prefix, category]) => ({
+  sql: 'INSERT OR IGNORE INTO hs_rules (hs_prefix, category) VALUES (?, ?)',
+  args: [prefix, category]
+}));
+
+// hs_rules in the order classifyHsCode() expects: longest prefix first
+export async function loadHsRules(db) {
+  const { rows } = await db.execute('SELECT * FROM hs_rules');
+  return [...rows].sort((a, b) => b.hs_prefix.length - a.hs_prefix.length);
+}
+
+// Category and product family for an HS code, and whether that overrides the chosen category
+export const classifyHsCode = (hsCode, chosenCategory, hsRules = []) => {
+  const digits = hsDigits(hsCode);
+  const rule = digits ? hsRules.find(r => digits.startsWith(r.hs_prefix)) : null;
+  const category = rule?.category || chosenCategory;
+  return {
+    data_type: category,
+    product_category: category,
+    product_family: rule?.product_family || null,
+    category_conflict: rule?.category && chosenCategory && rule.category !== chosenCategory ? 1 : 0
+  };
+};
+
+const CHUNK_SIZE = 500;
+const NORMALIZE_MIGRATION = 'normalize-hs-codes';
+
+/**
+ * Rewrite stored HS codes that aren't in hsDigits form. Synthetic declaration IDs hash the
+ * code, so they are recomputed too; a row that then duplicates another is left as it was.
+ * Imports store hsDigits already, so this runs once per database and is recorded in
+ * `migrations`. Returns how many rows changed.
+ */
+export async function normalizeHsCodes(db) {
+  const done = await db.execute({ sql: 'SELECT 1 FROM migrations WHERE name = ?', args: [NORMALIZE_MIGRATION] });
+  if (done.rows.length > 0) return 0;
+
+  let changed = 0;
+  let lastId = 0;
+  for (;;) {
+    const { rows } = await db.execute({
+      sql: `SELECT id, declaration_id, data_type, exporter_name, consignee_name, product_description, hs_code,
+                   quantity, unit, fob_value, port_of_loading, port_of_discharge, country_of_destination, shipment_date
+            FROM exports
+            WHERE (hs_code GLOB '*[^0-9]*' OR LENGTH(hs_code) % 2 = 1) AND id > ?
+            ORDER BY id LIMIT ${CHUNK_SIZE}`,
+      args: [lastId]
+    });
+    if (rows.length === 0) break;
+    lastId = rows[rows.length - 1].id;
+
+    const statements = rows.map(row => {
+      const hsCode = hsDigits(row.hs_code);
+      const declarationId = row.declaration_id.startsWith(SYNTHETIC_ID_PREFIX)
+        ? syntheticDeclarationId({ ...row, hs_code: hsCode })
+        : row.declaration_id;
+      return {
+        sql: 'UPDATE OR IGNORE exports SET hs_code = ?, declaration_id = ? WHERE id = ?',
+        args: [hsCode, declarationId, row.id]
+      };
+    });
+    const results = await db.batch(statements, 'write');
+    changed += results.reduce((sum, r) => sum + r.rowsAffected, 0);
+  }
+
+  await db.execute({ sql: 'INSERT OR IGNORE INTO migrations (name) VALUES (?)', args: [NORMALIZE_MIGRATION] });
+  return changed;
+}
@@ -0,0 +1,84 @@
+/**
+ * Import history
+ *
+ * Every upload stores its rows under exports.upload_batch, the id of its import_jobs row.
+ * Batches loaded before jobs were tracked only exist as rows, so history combines the two:
+ * a job's counts and status, and what its batch still has in exports.
+ */
+
+import crypto from 'crypto';
+import { dateRangeSql } from './date-range.js';
+
+// Upload timestamp first (history falls back to it for batches without a job), then a random
+// suffix so imports started within the same millisecond don't share an id
+export const newImportId = (dataType) => `${Date.now()}-${dataType}-${crypto.randomUUID().slice(0, 8)}`;
+
+// WHERE condition leaving out the rows of imports still queued or running: analytics and
+// Excel exports skip them until the job completes, so a half-loaded file never shows in
+// totals. `table` qualifies upload_batch in self-joins; rows without a batch always count.
+export const settledRowsSql = (table = null) =>
+  `COALESCE(${table ? `${table}.` : ''}upload_batch, '') NOT IN (SELECT id FROM import_jobs WHERE status IN ('queued', 'running'))`;
+
+// dateRangeSql() for analytics: the range, on settled rows only
+export const settledRangeSql = (range, column = 'shipment_date') => {
+  const inRange = dateRangeSql(range, column);
+  const table = column.includes('.') ? column.split('.')[0] : null;
+  return { sql: `${inRange.sql} AND ${settledRowsSql(table)}`, args: inRange.args };
+};
+
+// What a batch still has in the exports table
+export const BATCH_SUMMARY_SQL = `
+  SELECT upload_batch, MIN(data_type) as data_type, COUNT(*) as row_count,
+         MIN(shipment_date) as first_date, MAX(shipment_date) as last_date,
+         GROUP_CONCAT(DISTINCT month_year) as months, MIN(created_at) as loaded_at
+  FROM exports
+`;
+
+// Combine a job row (may be missing for batches loaded before jobs were tracked) with its batch summary
+export const describeImport = (id, job, summary) => ({
+  id,
+  file_name: null,
+  data_type: summary?.data_type || null,
+  status: 'completed',
+  uploaded_by: null,
+  total_rows: summary?.row_count || 0,
+  inserted_rows: summary?.row_count || 0,
+  // Legacy batch ids start with the upload timestamp
+  created_at: /^\d{13}-/.test(id) ? new Date(parseInt(id)).toISOString() : summary?.loaded_at || null,
+  ...job,
+  mapping: undefined,
+  sheet_results: typeof job?.sheet_results === 'string' ? JSON.parse(job.sheet_results) : job?.sheet_results || [],
+  date_detection: typeof job?.date_detection === 'string' ? JSON.parse(job.date_detection) : job?.date_detection || null,
+  row_count: summary?.row_count || 0,
+  first_date: summary?.first_date || null,
+  last_date: summary?.last_date || null,
+  months: summary?.months ? summary.months.split(',').filter(Boolean).sort() : []
+});
+
+/**
+ * Every job plus any older batch, newest first. `liveJobs` (id -> job) holds jobs still
+ * queued or running, whose stored rows lag behind.
+ */
+export async function importHistory(db, { limit = 100, liveJobs = new Map() } = {}) {
+  const { rows: jobs } = await db.execute('SELECT * FROM import_jobs ORDER BY created_at DESC');
+  const { rows: summaries } = await db.execute(`${BATCH_SUMMARY_SQL} WHERE upload_batch IS NOT NULL GROUP BY upload_batch`);
+  const summaryByBatch = new Map(summaries.map(s => [s.upload_batch, s]));
+
+  const imports = jobs.map(job => describeImport(job.id, liveJobs.get(job.id) || job, summaryByBatch.get(job.id)));
+  const jobIds = new Set(jobs.map(j => j.id));
+  for (const summary of summaries) {
+    if (!jobIds.has(summary.upload_batch)) {
+      imports.push(describeImport(summary.upload_batch, null, summary));
+    }
+  }
+
+  imports.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  return imports.slice(0, limit);
+}
+
+// One import as in the history, or null when neither a job nor rows exist for `id`
+export async function importDetail(db, id, job) {
+  const { rows } = await db.execute({ sql: `${BATCH_SUMMARY_SQL} WHERE upload_batch = ? GROUP BY upload_batch`, args: [id] });
+  if (!job && !rows[0]) return null;
+  return describeImport(id, job, rows[0]);
+}
@@ -6,6 +6,26 @@ import { fileURLToPath } from 'url';
 import { createClient } from '@libsql/client';
 import XLSX from 'xlsx';
 import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { syntheticDeclarationId, SYNTHETIC_ID_PREFIX, indexSyntheticIds } from './synthetic-id.js';
+import { sniffDelimited, readDelimitedRows, DELIMITED_EXTENSIONS } from './delimited.js';
+import { openXlsx, extractZip } from './xlsx-stream.js';
+import { DATE_FORMATS, parseShipmentDate, dateConventions, createDateFormatDetector } from './dates.js';
+import { normalizeCurrency, currencyFromHeader, parseRateMonth, convertFobStatements, missingRatesSql, seedFallbackInrRate, FALLBACK_INR_RATE } from './fx.js';
+import { UNIT_KEY_SQL, unitKey, parseQuantity, seedUnitStatements, seedCountUnitStatements, convertQuantityStatement, countTotalSql, unknownUnitsSql } from './units.js';
+import { ENTITY_COLUMNS, companyKey, companyBaseKey, entityNameSql, resolveEntities, entityIdsFor, pruneEntities } from './entities.js';
+import { TRACKED_GROUPS, trackedMembers, trackedGroupsCte, groupTotals } from './groups.js';
+import { indexAliasStatements, indexMissingAliases, fuzzyEntityMatches } from './search.js';
+import { DEFAULT_PRODUCTS, productWords, productKeySql, productNameSql, assignProducts } from './products.js';
+import { countryKey, seedCountryStatements, countryKeySql, countryNameSql, countryGroupSql, assignCountries, countryFilter } from './countries.js';
+import { hsDigits, parseHsLevel, hsCodeSql, hsDescriptionSql, seedHsStatements, seedHsRuleStatements, loadHsRules, classifyHsCode, normalizeHsCodes, HS_LEVELS } from './hs.js';
+import { PORT_MODES, PORT_COLUMNS, portKey, seedPortStatements, portKeySql, portNameSql, portFieldSql, shipmentModeSql, assignPorts } from './ports.js';
+import { COMPANY_NAME_KINDS, ownCompany, seedCompanyNames } from './company.js';
+import { parseDateRange, dateRangeLabel } from './date-range.js';
+import { newImportId, importHistory, importDetail, settledRowsSql, settledRangeSql } from './imports.js';
+import { GRANULARITIES, DEFAULT_FISCAL_YEAR_START, loadFiscalCalendar, periodKeySql, periodLabel, parsePeriod, periodOf, shiftPeriod } from './fiscal.js';
+import { DEFAULT_PLACEHOLDER_PATTERNS, placeholderKey, placeholderPatterns, flagPlaceholders } from './placeholders.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,10 +51,27 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
-// Multer config - use memory storage for cloud deployment (no disk needed)
+// Uploads are written to a temp dir and streamed from there - yearly files don't fit in memory.
+// Each process stages in a dir of its own, so servers sharing a tmpdir never touch each
+// other's files, and removes it when it exits.
+const UPLOAD_STAGING_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'export-data-explorer-uploads-'));
+const MAX_UPLOAD_BYTES = (parseInt(process.env.MAX_UPLOAD_MB) || 1024) * 1024 * 1024;
+process.on('exit', () => fs.rmSync(UPLOAD_STAGING_DIR, { recursive: true, force: true }));
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => process.exit(128 + os.constants.signals[signal]));
+}
+
 const upload = multer({ 
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+  dest: UPLOAD_STAGING_DIR,
+  limits: { fileSize: MAX_UPLOAD_BYTES } // MAX_UPLOAD_MB, default 1 GB
+});
+
+// Single file upload that answers multer errors (file too large etc.) as JSON
+const receiveFile = (req, res, next) => upload.single('file')(req, res, (err) => {
+  if (err) {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
+  }
+  next();
 });
 
 // Database setup - Turso (cloud SQLite)
@@ -49,7 +86,8 @@ console.log('🔑 Auth Token:', authToken ? 'Set' : 'NOT SET');
 
 let db;
 let dbInitialized = false;
-let autoSave = true; // For bulk import performance
+// The company's financial year (see fiscal.js), loaded at startup and kept in step with its route
+let fiscalCalendar = { startMonth: DEFAULT_FISCAL_YEAR_START };
 
 // Debug endpoint - placed before other routes
 app.get('/api/debug', (req, res) => {
@@ -92,6 +130,35 @@ const all = async (sql, params = []) => {
   }
 };
 
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't touch older databases)
+// Returns true when the column was added
+const addColumnIfMissing = async (table, column, definition) => {
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (columns.some(c => c.name === column)) return false;
+  await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+};
+
+// exports used to be created with CHECK(data_type IN ('fruits', 'vegetables')). SQLite can't
+// drop a constraint, so rebuild the table from its own definition minus the CHECK.
+const dropExportsCategoryCheck = async () => {
+  const table = await get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'exports'`);
+  const checkPattern = /\s*CHECK\s*\(\s*data_type\s+IN\s*\([^)]*\)\s*\)/i;
+  if (!table || !checkPattern.test(table.sql)) return;
+
+  const createSql = table.sql
+    .replace(checkPattern, '')
+    .replace(/CREATE TABLE\s+["`]?exports["`]?/i, 'CREATE TABLE exports_migrated');
+  await db.batch([
+    'DROP TABLE IF EXISTS exports_migrated',
+    createSql,
+    'INSERT INTO exports_migrated SELECT * FROM exports',
+    'DROP TABLE exports',
+    'ALTER TABLE exports_migrated RENAME TO exports'
+  ], 'write');
+  console.log('🔧 Removed the fruits/vegetables restriction from exports');
+};
+
 // Initialize database
 async function initDb() {
   // Create Turso client
@@ -119,6 +186,25 @@ async function initDb() {
     )
   `);
 
+  // A tracked competitor or client is a group of the names its sister companies file under
+  for (const [table, { members, key }] of Object.entries(TRACKED_GROUPS)) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS ${members} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ${key} INTEGER NOT NULL,
+        name TEXT UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.execute(`CREATE INDEX IF NOT EXISTS idx_${members}_group ON ${members}(${key})`);
+    // Groups tracked before members existed are a group of their own name
+    await db.execute(`
+      INSERT OR IGNORE INTO ${members} (${key}, name)
+      SELECT id, name FROM ${table} g
+      WHERE active = 1 AND NOT EXISTS (SELECT 1 FROM ${members} m WHERE m.${key} = g.id)
+    `);
+  }
+
   await db.execute(`
     CREATE TABLE IF NOT EXISTS exports (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -127,12 +213,16 @@ async function initDb() {
       consignee_name TEXT,
       product_description TEXT,
       product_category TEXT,
-      data_type TEXT CHECK(data_type IN ('fruits', 'vegetables')),
+      data_type TEXT,
       hs_code TEXT,
       quantity REAL,
       unit TEXT,
+      quantity_kg REAL,
+      quantity_count REAL,
       fob_value REAL,
       fob_currency TEXT DEFAULT 'USD',
+      fob_usd REAL,
+      fob_inr REAL,
       port_of_loading TEXT,
       port_of_discharge TEXT,
       country_of_destination TEXT,
@@ -143,11 +233,77 @@ async function initDb() {
     )
   `);
   
+  // Before the indexes - rebuilding the table drops them
+  await dropExportsCategoryCheck();
+
+  // Product categories; exports.data_type holds the slug
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS categories (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      icon TEXT,
+      color TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const categoryCount = await get('SELECT COUNT(*) as count FROM categories');
+  if (!categoryCount || categoryCount.count === 0) {
+    await run(`INSERT INTO categories (slug, name, icon, color) VALUES ('fruits', 'Fruits', '🍎', '#f59e0b'), ('vegetables', 'Vegetables', '🥬', '#10b981')`);
+  }
+  // Every category already used by stored rows exists as a category
+  await run(`
+    INSERT OR IGNORE INTO categories (slug, name)
+    SELECT DISTINCT data_type, UPPER(SUBSTR(data_type, 1, 1)) || SUBSTR(data_type, 2) FROM exports
+    WHERE data_type IS NOT NULL AND data_type != ''
+  `);
+
+  // HS code prefix -> category / product family. The longest matching prefix wins.
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS hs_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hs_prefix TEXT UNIQUE NOT NULL,
+      category TEXT,
+      product_family TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const ruleCount = await get('SELECT COUNT(*) as count FROM hs_rules');
+  if (!ruleCount || ruleCount.count === 0) {
+    await db.batch(seedHsRuleStatements(), 'write');
+  }
+
   // Create unique index on declaration_id + shipment_date + product_description + data_type
   await db.execute(`
     CREATE UNIQUE INDEX IF NOT EXISTS idx_exports_unique 
     ON exports(declaration_id, shipment_date, product_description, hs_code, quantity, fob_value)
   `);
+  const collapsedCopies = await indexSyntheticIds(db);
+  if (collapsedCopies > 0) console.log(`🧹 Removed ${collapsedCopies} repeated copies of rows without a declaration ID`);
+
+  // One-off data migrations that have run, by name
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS migrations (
+      name TEXT PRIMARY KEY,
+      ran_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Chapter, heading, subheading and tariff line descriptions (see hs.js)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS hs_codes (
+      code TEXT PRIMARY KEY,
+      level INTEGER NOT NULL,
+      description TEXT NOT NULL
+    )
+  `);
+  const hsCodeCount = await get('SELECT COUNT(*) as count FROM hs_codes');
+  if (!hsCodeCount || hsCodeCount.count === 0) {
+    await db.batch(seedHsStatements(), 'write');
+  }
+  const normalizedHsCodes = await normalizeHsCodes(db);
+  if (normalizedHsCodes > 0) console.log(`🔢 Restored the leading zero of ${normalizedHsCodes} HS codes`);
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_hs_code ON exports(hs_code)`);
 
   await db.execute(`
     CREATE TABLE IF NOT EXISTS company_info (
@@ -156,6 +312,7 @@ async function initDb() {
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `);
+  await addColumnIfMissing('company_info', 'fiscal_year_start', `INTEGER DEFAULT ${DEFAULT_FISCAL_YEAR_START}`);
 
   // Create indexes
   await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_exporter ON exports(exporter_name)`);
@@ -163,6 +320,220 @@ async function initDb() {
   await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_date ON exports(shipment_date)`);
   await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_month ON exports(month_year)`);
   await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_declaration ON exports(declaration_id)`);
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_batch ON exports(upload_batch)`);
+  await addColumnIfMissing('exports', 'source_row', 'INTEGER');
+  await addColumnIfMissing('exports', 'source_sheet', 'TEXT');
+  await addColumnIfMissing('exports', 'product_family', 'TEXT');
+  // 1 when an HS rule put the row in another category than the one chosen on upload
+  await addColumnIfMissing('exports', 'category_conflict', 'INTEGER DEFAULT 0');
+  // FOB converted at the shipment month's rate - fob_value stays as declared, in fob_currency
+  await addColumnIfMissing('exports', 'fob_usd', 'REAL');
+  await addColumnIfMissing('exports', 'fob_inr', 'REAL');
+
+  // Units of a currency per USD, by month ('YYYY-MM'). USD itself needs no rate.
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS fx_rates (
+      currency TEXT NOT NULL,
+      month TEXT NOT NULL,
+      rate REAL NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (currency, month)
+    )
+  `);
+  if (await seedFallbackInrRate(db)) console.log(`💱 Added the fallback INR rate (${FALLBACK_INR_RATE} per USD) - import monthly rates to replace it`);
+  // Rows stored before conversion existed: tidy their currency codes, then convert
+  // whatever has a rate. Rows still missing one are listed under /api/fx-rates/missing.
+  for (const { fob_currency: currency } of await all('SELECT DISTINCT fob_currency FROM exports')) {
+    if (currency !== normalizeCurrency(currency)) {
+      await run('UPDATE exports SET fob_currency = ? WHERE fob_currency IS ?', [normalizeCurrency(currency), currency]);
+    }
+  }
+  await db.batch(convertFobStatements('fob_usd IS NULL OR fob_inr IS NULL'), 'write');
+
+  // Quantity as declared stays in quantity/unit; weight units are converted to quantity_kg,
+  // anything else (pieces, boxes) is kept apart in quantity_count, counted in count_unit
+  await addColumnIfMissing('exports', 'quantity_kg', 'REAL');
+  await addColumnIfMissing('exports', 'quantity_count', 'REAL');
+  const countUnitsStored = await addColumnIfMissing('exports', 'count_unit', 'TEXT');
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS unit_conversions (
+      unit TEXT PRIMARY KEY,
+      kg_per_unit REAL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const countUnitsKnown = await addColumnIfMissing('unit_conversions', 'count_unit', 'TEXT');
+  await addColumnIfMissing('unit_conversions', 'count_per_unit', 'REAL');
+  const unitCount = await get('SELECT COUNT(*) as count FROM unit_conversions');
+  if (!unitCount || unitCount.count === 0) {
+    await db.batch(seedUnitStatements(), 'write');
+  } else if (countUnitsKnown) {
+    await db.batch(seedCountUnitStatements(), 'write');
+  }
+  // Rows stored before count units were counted the declared number of any non-weight unit
+  await db.execute(countUnitsStored
+    ? convertQuantityStatement()
+    : convertQuantityStatement('quantity_kg IS NULL AND quantity_count IS NULL AND quantity IS NOT NULL'));
+
+  // Canonical companies: every spelling of a name resolves through its alias key to one
+  // entity, and analytics aggregate by the entity ids on each row
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS entities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS entity_aliases (
+      alias TEXT PRIMARY KEY,
+      base_key TEXT NOT NULL,
+      entity_id INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'import',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_entity_aliases_entity ON entity_aliases(entity_id)`);
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_entity_aliases_base ON entity_aliases(base_key)`);
+  // Fuzzy search index: trigrams of each alias's distinctive words (see search.js)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS alias_trigrams (
+      trigram TEXT NOT NULL,
+      alias TEXT NOT NULL,
+      PRIMARY KEY (trigram, alias)
+    ) WITHOUT ROWID
+  `);
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_alias_trigrams_alias ON alias_trigrams(alias)`);
+  // Merge proposals the user said aren't the same company
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS entity_merge_dismissals (
+      entity_id INTEGER NOT NULL,
+      other_entity_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (entity_id, other_entity_id)
+    )
+  `);
+  await addColumnIfMissing('exports', 'exporter_entity_id', 'INTEGER');
+  await addColumnIfMissing('exports', 'consignee_entity_id', 'INTEGER');
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_exporter_entity ON exports(exporter_entity_id)`);
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_consignee_entity ON exports(consignee_entity_id)`);
+  const newEntities = await resolveEntities(db);
+  if (newEntities > 0) console.log(`🏢 Resolved stored rows to ${newEntities} companies`);
+  const indexedAliases = await indexMissingAliases(db);
+  if (indexedAliases > 0) console.log(`🔎 Indexed ${indexedAliases} company spellings for search`);
+
+  // Consignee names that aren't a buyer ("TO ORDER", "SAME AS CONSIGNEE"...), see placeholders.js
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS name_placeholders (
+      pattern TEXT PRIMARY KEY,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const placeholderCount = await get('SELECT COUNT(*) as count FROM name_placeholders');
+  if (!placeholderCount || placeholderCount.count === 0) {
+    await db.batch(DEFAULT_PLACEHOLDER_PATTERNS.map(pattern => ({
+      sql: 'INSERT INTO name_placeholders (pattern) VALUES (?)',
+      args: [pattern]
+    })), 'write');
+  }
+  if (await addColumnIfMissing('exports', 'consignee_placeholder', 'INTEGER DEFAULT 0')) {
+    await flagPlaceholders(db);
+  }
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_consignee_placeholder ON exports(consignee_placeholder)`);
+
+  // Canonical products and the keyword rules mapping descriptions to them (see products.js)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS products (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS product_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      keywords TEXT NOT NULL,
+      hs_prefix TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_product_rules_product ON product_rules(product_id)`);
+  const productCount = await get('SELECT COUNT(*) as count FROM products');
+  if (!productCount || productCount.count === 0) {
+    await db.batch(DEFAULT_PRODUCTS.flatMap(([name, ...keywords]) => [
+      { sql: 'INSERT INTO products (name) VALUES (?)', args: [name] },
+      ...[name, ...keywords].map(k => ({
+        sql: 'INSERT INTO product_rules (product_id, keywords) SELECT id, ? FROM products WHERE name = ?',
+        args: [k, name]
+      }))
+    ]), 'write');
+  }
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_product_description ON exports(product_description)`);
+  if (await addColumnIfMissing('exports', 'product_id', 'INTEGER')) {
+    const { matched } = await assignProducts(db);
+    if (matched > 0) console.log(`🥭 Matched ${matched} product descriptions to the catalogue`);
+  }
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_product ON exports(product_id)`);
+
+  // ISO countries, the spellings of each and region groupings (see countries.js)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS countries (
+      code TEXT PRIMARY KEY,
+      name TEXT NOT NULL
+    )
+  `);
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS country_aliases (
+      alias TEXT PRIMARY KEY,
+      code TEXT NOT NULL
+    )
+  `);
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS country_regions (
+      region TEXT NOT NULL,
+      code TEXT NOT NULL,
+      PRIMARY KEY (region, code)
+    )
+  `);
+  const countryCount = await get('SELECT COUNT(*) as count FROM countries');
+  if (!countryCount || countryCount.count === 0) {
+    await db.batch(seedCountryStatements(), 'write');
+  }
+  if (await addColumnIfMissing('exports', 'country_code', 'TEXT')) {
+    const unknown = await assignCountries(db);
+    console.log(`🌍 Resolved destination countries to ISO codes${unknown > 0 ? `, ${unknown} values unknown` : ''}`);
+  }
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_country ON exports(country_code)`);
+
+  // Canonical ports with their state, country and mode, and their codes and spellings (see ports.js)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS ports (
+      code TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      state TEXT,
+      country_code TEXT,
+      mode TEXT NOT NULL DEFAULT 'sea'
+    )
+  `);
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS port_aliases (
+      alias TEXT PRIMARY KEY,
+      code TEXT NOT NULL
+    )
+  `);
+  const portCount = await get('SELECT COUNT(*) as count FROM ports');
+  if (!portCount || portCount.count === 0) {
+    await db.batch(seedPortStatements(), 'write');
+  }
+  const addedLoadingPort = await addColumnIfMissing('exports', 'loading_port_code', 'TEXT');
+  const addedDischargePort = await addColumnIfMissing('exports', 'discharge_port_code', 'TEXT');
+  if (addedLoadingPort || addedDischargePort) {
+    const unknown = await assignPorts(db);
+    console.log(`⚓ Resolved ports of loading and discharge${unknown > 0 ? `, ${unknown} values unknown` : ''}`);
+  }
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_loading_port ON exports(loading_port_code)`);
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_exports_discharge_port ON exports(discharge_port_code)`);
 
   // Create feedback table
   await db.execute(`
@@ -176,276 +547,476 @@ async function initDb() {
     )
   `);
 
+  // Import jobs - id doubles as the exports.upload_batch of the rows it inserted
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS import_jobs (
+      id TEXT PRIMARY KEY,
+      file_name TEXT,
+      data_type TEXT,
+      status TEXT NOT NULL DEFAULT 'queued',
+      total_rows INTEGER DEFAULT 0,
+      processed_rows INTEGER DEFAULT 0,
+      inserted_rows INTEGER DEFAULT 0,
+      skipped_rows INTEGER DEFAULT 0,
+      no_id_rows INTEGER DEFAULT 0,
+      error_count INTEGER DEFAULT 0,
+      error_message TEXT,
+      mapping TEXT,
+      profile_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      finished_at DATETIME
+    )
+  `);
+  await addColumnIfMissing('import_jobs', 'uploaded_by', 'TEXT');
+  await addColumnIfMissing('import_jobs', 'rolled_back_at', 'DATETIME');
+  await addColumnIfMissing('import_jobs', 'sheet_results', 'TEXT');
+  await addColumnIfMissing('import_jobs', 'total_bytes', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('import_jobs', 'processed_bytes', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('import_jobs', 'date_format', 'TEXT');
+  await addColumnIfMissing('import_jobs', 'date_detection', 'TEXT');
+  await addColumnIfMissing('import_jobs', 'expected_month', 'TEXT');
+  await addColumnIfMissing('import_jobs', 'out_of_month_rows', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('import_jobs', 'category_conflicts', 'INTEGER DEFAULT 0');
+  await addColumnIfMissing('import_jobs', 'fx_missing_rows', 'INTEGER DEFAULT 0');
+
+  // Rows an import did not store, with the original cells so they can be fixed and re-uploaded
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS import_rejections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id TEXT NOT NULL,
+      row_number INTEGER,
+      reason TEXT NOT NULL,
+      details TEXT,
+      raw_data TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_import_rejections_job ON import_rejections(job_id)`);
+  await addColumnIfMissing('import_rejections', 'sheet', 'TEXT');
+
+  // The queue lives in memory - anything unfinished from a previous run is lost,
+  // so drop its partial rows and mark it failed
+  await run(`
+    DELETE FROM exports WHERE upload_batch IN (
+      SELECT id FROM import_jobs WHERE status IN ('queued', 'running')
+    )
+  `);
+  await run(`
+    DELETE FROM import_rejections WHERE job_id IN (
+      SELECT id FROM import_jobs WHERE status IN ('queued', 'running')
+    )
+  `);
+  await run(`
+    UPDATE import_jobs
+    SET status = 'failed', error_message = 'Server restarted before the import finished', finished_at = CURRENT_TIMESTAMP
+    WHERE status IN ('queued', 'running')
+  `);
+
+  // Saved column mappings, one per data vendor / file layout
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS mapping_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      vendor TEXT,
+      mapping TEXT NOT NULL,
+      header_fingerprint TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.execute(`CREATE INDEX IF NOT EXISTS idx_mapping_profiles_fingerprint ON mapping_profiles(header_fingerprint)`);
+  await addColumnIfMissing('mapping_profiles', 'date_format', 'TEXT');
+
   // Insert default company if not exists
   const companyExists = await get('SELECT COUNT(*) as count FROM company_info');
   if (!companyExists || companyExists.count === 0) {
     await run('INSERT INTO company_info (company_name) VALUES (?)', ['AGNA ORG AGROVILLA INDIA PRIVATE LIMITED']);
   }
+  // Every name your company and its sister firms export under (see company.js)
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS company_names (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'name',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const seededNames = await seedCompanyNames(db);
+  if (seededNames > 1) console.log(`🏭 Registered ${seededNames} names your company name used to match`);
+  fiscalCalendar = await loadFiscalCalendar(db);
 
   console.log('📦 Database initialized');
 }
 
 // ============= COMPETITORS ROUTES =============
+
+// Group and member helpers shared by the competitor and client routes (groups: see groups.js)
+
+// Active groups with their members
+const listGroups = async (table) => {
+  const { members, key } = TRACKED_GROUPS[table];
+  const groups = await all(`SELECT * FROM ${table} WHERE active = 1 ORDER BY name`);
+  const memberRows = await all(`SELECT id, ${key} as group_id, name FROM ${members} ORDER BY name`);
+  return groups.map(g => ({
+    ...g,
+    members: memberRows.filter(m => m.group_id === g.id).map(({ id, name }) => ({ id, name }))
+  }));
+};
+
+const findGroup = async (table, id) => {
+  const group = await get(`SELECT * FROM ${table} WHERE id = ? AND active = 1`, [id]);
+  if (!group) {
+    const err = new Error('Group not found');
+    err.status = 404;
+    throw err;
+  }
+  return group;
+};
+
+// Companies filed as exporter or consignee that match a typed name, typos and all (see
+// search.js): the best 20 by relevance, then shipments, with the spelling that matched
+const searchCompanies = async (q, field, table) => {
+  const matches = await fuzzyEntityMatches(db, companyKey(q));
+  if (matches.length === 0) return [];
+
+  const column = ENTITY_COLUMNS[field];
+  const ids = matches.map(m => m.entity_id);
+  const stats = await all(`
+    SELECT ${column} as entity_id,
+           ${entityNameSql(field)} as name,
+           COUNT(*) as shipment_count,
+           SUM(fob_usd) as total_fob,
+           SUM(fob_inr) as total_fob_inr,
+           GROUP_CONCAT(DISTINCT ${countryNameSql()}) as countries
+    FROM exports
+    WHERE ${column} IN (${ids.map(() => '?').join(',')})
+    ${field === 'consignee_name' ? 'AND consignee_placeholder = 0' : ''}
+    GROUP BY ${column}
+  `, ids);
+  // Placeholder consignees ("TO ORDER"...) have no row left here, so they're never offered
+  const statsOf = new Map(stats.map(s => [s.entity_id, s]));
+  
+  // Also check if already tracked, under any spelling
+  const trackedIds = new Set(await trackedEntityIds(table));
+  
+  return matches
+    .filter(m => statsOf.has(m.entity_id))
+    .map(m => ({
+      ...statsOf.get(m.entity_id),
+      matched_alias: m.alias,
+      score: m.score,
+      already_tracked: trackedIds.has(m.entity_id)
+    }))
+    .sort((a, b) => b.score - a.score || b.shipment_count - a.shipment_count)
+    .slice(0, 20);
+};
+
+// Split names into those free to add and errors for those already in a group
+const freeMemberNames = async (table, names) => {
+  const { members, key } = TRACKED_GROUPS[table];
+  const free = [];
+  const errors = [];
+  for (const n of names) {
+    if (!n || !n.trim()) continue;
+    const name = n.trim().toUpperCase();
+    const owner = await get(`
+      SELECT g.name FROM ${members} m JOIN ${table} g ON g.id = m.${key} WHERE m.name = ?
+    `, [name]);
+    if (owner) {
+      errors.push({ name: n, error: `Already tracked in ${owner.name}` });
+    } else if (!free.includes(name)) {
+      free.push(name);
+    }
+  }
+  return { free, errors };
+};
+
+const insertMembers = async (table, groupId, names) => {
+  const { members, key } = TRACKED_GROUPS[table];
+  await db.batch(names.map(name => ({
+    sql: `INSERT INTO ${members} (${key}, name) VALUES (?, ?)`,
+    args: [groupId, name]
+  })), 'write');
+};
+
+// Create a group, or bring back a removed one of the same name; null when it's already tracked
+const createGroup = async (table, name) => {
+  const existing = await get(`SELECT id, active FROM ${table} WHERE name = ?`, [name]);
+  if (existing?.active) return null;
+  if (existing) {
+    await run(`UPDATE ${table} SET active = 1 WHERE id = ?`, [existing.id]);
+    return existing.id;
+  }
+  await run(`INSERT INTO ${table} (name) VALUES (?)`, [name]);
+  const result = await get('SELECT last_insert_rowid() as id');
+  return result?.id;
+};
+
+// POST body: `names` are each tracked on their own, or together as one group named `group`
+const addGroups = async (table, { name, names, group }) => {
+  const { free, errors } = await freeMemberNames(table, names || [name]);
+  const added = [];
+
+  const groupNames = group?.trim() ? [group.trim().toUpperCase()] : free;
+  for (const groupName of groupNames) {
+    if (free.length === 0) break;
+    const groupId = await createGroup(table, groupName);
+    if (!groupId) {
+      errors.push({ name: groupName, error: 'Already exists' });
+      continue;
+    }
+    const memberNames = group?.trim() ? free : [groupName];
+    await insertMembers(table, groupId, memberNames);
+    added.push({ id: groupId, name: groupName, members: memberNames });
+  }
+
+  return { added, errors };
+};
+
+const renameGroup = async (table, id, name) => {
+  await findGroup(table, id);
+  if (!name || !name.trim()) {
+    const err = new Error('Name is required');
+    err.status = 400;
+    throw err;
+  }
+  try {
+    await run(`UPDATE ${table} SET name = ? WHERE id = ?`, [name.trim().toUpperCase(), id]);
+  } catch (err) {
+    if (err.message && err.message.includes('UNIQUE')) {
+      err.status = 409;
+      err.message = 'Another group already has this name';
+    }
+    throw err;
+  }
+};
+
+const addGroupMembers = async (table, id, names) => {
+  await findGroup(table, id);
+  const { free, errors } = await freeMemberNames(table, names || []);
+  if (free.length > 0) await insertMembers(table, id, free);
+  return { added: free, errors };
+};
+
+const removeGroupMember = async (table, id, memberId) => {
+  const { members, key } = TRACKED_GROUPS[table];
+  await findGroup(table, id);
+  const groupMembers = await all(`SELECT id FROM ${members} WHERE ${key} = ?`, [id]);
+  if (!groupMembers.some(m => m.id === memberId)) {
+    const err = new Error('Member not found');
+    err.status = 404;
+    throw err;
+  }
+  if (groupMembers.length === 1) {
+    const err = new Error('A group needs at least one name - remove the group instead');
+    err.status = 400;
+    throw err;
+  }
+  await run(`DELETE FROM ${members} WHERE id = ?`, [memberId]);
+};
+
+// Members go with the group, so their names can be tracked elsewhere
+const removeGroup = async (table, id) => {
+  const { members, key } = TRACKED_GROUPS[table];
+  await db.batch([
+    { sql: `UPDATE ${table} SET active = 0 WHERE id = ?`, args: [id] },
+    { sql: `DELETE FROM ${members} WHERE ${key} = ?`, args: [id] }
+  ], 'write');
+};
+
 app.get('/api/competitors', async (req, res) => {
-  const competitors = await all('SELECT * FROM competitors WHERE active = 1 ORDER BY name');
-  res.json(competitors);
+  res.json(await listGroups('competitors'));
 });
 
-// Search for potential competitor matches in export data
+// Search for potential competitor matches in export data, most relevant first
 app.get('/api/competitors/search', async (req, res) => {
   const { q } = req.query;
   if (!q || q.length < 2) {
     return res.json([]);
   }
   
-  const searchTerm = q.trim().toUpperCase();
-  const words = searchTerm.split(/\s+/).filter(w => w.length > 1);
-  
-  // Search for exporters matching any of the words
-  let query = `
-    SELECT DISTINCT exporter_name as name, 
-           COUNT(*) as shipment_count,
-           SUM(fob_value) as total_fob
-    FROM exports 
-    WHERE exporter_name IS NOT NULL AND exporter_name != ''
-  `;
-  
-  if (words.length > 0) {
-    const conditions = words.map(() => `UPPER(exporter_name) LIKE ?`).join(' OR ');
-    query += ` AND (${conditions})`;
-  }
-  
-  query += ` GROUP BY exporter_name ORDER BY shipment_count DESC LIMIT 20`;
-  
-  const params = words.map(w => `%${w}%`);
-  const results = await all(query, params);
-  
-  // Also check if already tracked
-  const tracked = await all('SELECT name FROM competitors WHERE active = 1');
-  const trackedNames = new Set(tracked.map(t => t.name));
-  
-  const enriched = results.map(r => ({
-    ...r,
-    already_tracked: trackedNames.has(r.name)
-  }));
-  
-  res.json(enriched);
+  res.json(await searchCompanies(q, 'exporter_name', 'competitors'));
 });
 
 app.post('/api/competitors', async (req, res) => {
-  const { name, names } = req.body;
-  
-  // Support adding multiple names at once
-  const namesToAdd = names || [name];
-  const added = [];
-  const errors = [];
-  
-  for (const n of namesToAdd) {
-    if (!n || !n.trim()) continue;
-    try {
-      await run('INSERT INTO competitors (name) VALUES (?)', [n.trim().toUpperCase()]);
-      const result = await get('SELECT last_insert_rowid() as id');
-      added.push({ id: result?.id, name: n.trim().toUpperCase() });
-    } catch (err) {
-      if (err.message && err.message.includes('UNIQUE')) {
-        errors.push({ name: n, error: 'Already exists' });
-      } else {
-        errors.push({ name: n, error: err.message });
-      }
-    }
+  try {
+    res.json(await addGroups('competitors', req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.put('/api/competitors/:id', async (req, res) => {
+  try {
+    await renameGroup('competitors', parseInt(req.params.id), req.body.name);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/competitors/:id/members', async (req, res) => {
+  try {
+    res.json(await addGroupMembers('competitors', parseInt(req.params.id), req.body.names));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/competitors/:id/members/:memberId', async (req, res) => {
+  try {
+    await removeGroupMember('competitors', parseInt(req.params.id), parseInt(req.params.memberId));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
-  
-  res.json({ added, errors });
 });
 
 app.delete('/api/competitors/:id', async (req, res) => {
-  await run('UPDATE competitors SET active = 0 WHERE id = ?', [parseInt(req.params.id)]);
+  await removeGroup('competitors', parseInt(req.params.id));
   res.json({ success: true });
 });
 
 // ============= CLIENTS ROUTES =============
 app.get('/api/clients', async (req, res) => {
-  const clients = await all('SELECT * FROM clients WHERE active = 1 ORDER BY name');
-  res.json(clients);
+  res.json(await listGroups('clients'));
 });
 
-// Search for potential client matches in export data
+// Search for potential client matches in export data, most relevant first
 app.get('/api/clients/search', async (req, res) => {
   const { q } = req.query;
   if (!q || q.length < 2) {
     return res.json([]);
   }
   
-  const searchTerm = q.trim().toUpperCase();
-  const words = searchTerm.split(/\s+/).filter(w => w.length > 1);
-  
-  // Search for consignees matching any of the words
-  let query = `
-    SELECT DISTINCT consignee_name as name, 
-           COUNT(*) as shipment_count,
-           SUM(fob_value) as total_fob,
-           GROUP_CONCAT(DISTINCT country_of_destination) as countries
-    FROM exports 
-    WHERE consignee_name IS NOT NULL AND consignee_name != ''
-  `;
-  
-  if (words.length > 0) {
-    const conditions = words.map(() => `UPPER(consignee_name) LIKE ?`).join(' OR ');
-    query += ` AND (${conditions})`;
-  }
-  
-  query += ` GROUP BY consignee_name ORDER BY shipment_count DESC LIMIT 20`;
-  
-  const params = words.map(w => `%${w}%`);
-  const results = await all(query, params);
-  
-  // Also check if already tracked
-  const tracked = await all('SELECT name FROM clients WHERE active = 1');
-  const trackedNames = new Set(tracked.map(t => t.name));
-  
-  const enriched = results.map(r => ({
-    ...r,
-    already_tracked: trackedNames.has(r.name)
-  }));
-  
-  res.json(enriched);
+  res.json(await searchCompanies(q, 'consignee_name', 'clients'));
 });
 
 app.post('/api/clients', async (req, res) => {
-  const { name, names } = req.body;
-  
-  // Support adding multiple names at once
-  const namesToAdd = names || [name];
-  const added = [];
-  const errors = [];
-  
-  for (const n of namesToAdd) {
-    if (!n || !n.trim()) continue;
-    try {
-      await run('INSERT INTO clients (name) VALUES (?)', [n.trim().toUpperCase()]);
-      const result = await get('SELECT last_insert_rowid() as id');
-      added.push({ id: result?.id, name: n.trim().toUpperCase() });
-    } catch (err) {
-      if (err.message && err.message.includes('UNIQUE')) {
-        errors.push({ name: n, error: 'Already exists' });
-      } else {
-        errors.push({ name: n, error: err.message });
-      }
-    }
+  try {
+    res.json(await addGroups('clients', req.body));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
-  
-  res.json({ added, errors });
 });
 
-app.delete('/api/clients/:id', async (req, res) => {
-  await run('UPDATE clients SET active = 0 WHERE id = ?', [parseInt(req.params.id)]);
-  res.json({ success: true });
+app.put('/api/clients/:id', async (req, res) => {
+  try {
+    await renameGroup('clients', parseInt(req.params.id), req.body.name);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.post('/api/clients/:id/members', async (req, res) => {
+  try {
+    res.json(await addGroupMembers('clients', parseInt(req.params.id), req.body.names));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/clients/:id/members/:memberId', async (req, res) => {
+  try {
+    await removeGroupMember('clients', parseInt(req.params.id), parseInt(req.params.memberId));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/clients/:id', async (req, res) => {
+  await removeGroup('clients', parseInt(req.params.id));
+  res.json({ success: true });
 });
 
 // ============= COMPANY ROUTES =============
+// The company, its registered names and sister firms, and how many companies in the data they match
 app.get('/api/company', async (req, res) => {
   const company = await get('SELECT * FROM company_info LIMIT 1');
-  res.json(company);
+  const { names, ids } = await ownCompany(db);
+  res.json({ ...company, names, matched_companies: ids.length });
 });
 
+// Renaming the company renames its registered name, so the old name stops matching
 app.put('/api/company', async (req, res) => {
-  const { company_name } = req.body;
-  await run('UPDATE company_info SET company_name = ?', [company_name.trim().toUpperCase()]);
+  const name = String(req.body.company_name || '').trim().toUpperCase();
+  if (!name) {
+    return res.status(400).json({ error: 'Company name is required' });
+  }
+  const company = await get('SELECT company_name FROM company_info LIMIT 1');
+  await run('UPDATE company_info SET company_name = ?', [name]);
+  await run(`
+    UPDATE company_names SET name = ? WHERE name = ?
+    AND NOT EXISTS (SELECT 1 FROM company_names WHERE name = ?)
+  `, [name, company?.company_name, name]);
+  await run(`INSERT OR IGNORE INTO company_names (name, kind) VALUES (?, 'name')`, [name]);
   res.json({ success: true });
 });
 
-// Helper function to find column value with flexible matching
-const findColumnValue = (row, possibleNames) => {
-  const rowKeys = Object.keys(row);
-  
-  // Build a map of normalized key names to actual keys
-  const keyMap = {};
-  for (const key of rowKeys) {
-    const normalized = key.toLowerCase().replace(/[\s_-]+/g, '');
-    keyMap[normalized] = key;
+// kind: 'name' for another name the company files under, 'sister' for a sister firm
+app.post('/api/company/names', async (req, res) => {
+  const name = String(req.body.name || '').trim().toUpperCase();
+  const kind = req.body.kind || 'name';
+  if (!name) {
+    return res.status(400).json({ error: 'Name is required' });
   }
-  
-  // Try each possible name
-  for (const name of possibleNames) {
-    // Direct match
-    if (row[name] !== undefined && row[name] !== null && String(row[name]).trim() !== '') {
-      return row[name];
-    }
-    
-    // Normalized match
-    const normalizedName = name.toLowerCase().replace(/[\s_-]+/g, '');
-    if (keyMap[normalizedName]) {
-      const val = row[keyMap[normalizedName]];
-      if (val !== undefined && val !== null && String(val).trim() !== '') {
-        return val;
-      }
-    }
+  if (!COMPANY_NAME_KINDS.includes(kind)) {
+    return res.status(400).json({ error: `kind must be one of ${COMPANY_NAME_KINDS.join(', ')}` });
   }
-  
-  // Partial match - check if any key contains any of the possible names
-  for (const name of possibleNames) {
-    const normalizedName = name.toLowerCase().replace(/[\s_-]+/g, '');
-    for (const [normalized, actualKey] of Object.entries(keyMap)) {
-      if (normalized.includes(normalizedName) || normalizedName.includes(normalized)) {
-        const val = row[actualKey];
-        if (val !== undefined && val !== null && String(val).trim() !== '') {
-          return val;
-        }
-      }
-    }
+  if (await get('SELECT id FROM company_names WHERE name = ?', [name])) {
+    return res.status(409).json({ error: `${name} is already registered` });
   }
-  
-  return '';
-};
+  await run('INSERT INTO company_names (name, kind) VALUES (?, ?)', [name, kind]);
+  res.json(await get('SELECT id, name, kind FROM company_names WHERE name = ?', [name]));
+});
 
-// ============= FILE UPLOAD ROUTE =============
-app.post('/api/upload', upload.single('file'), async (req, res) => {
-  console.log('📤 Upload request received');
-  
-  if (!req.file) {
-    console.log('❌ No file in request');
-    return res.status(400).json({ error: 'No file uploaded' });
+app.delete('/api/company/names/:id', async (req, res) => {
+  const entry = await get('SELECT name FROM company_names WHERE id = ?', [parseInt(req.params.id)]);
+  if (!entry) {
+    return res.status(404).json({ error: 'Name not found' });
   }
-
-  console.log(`📁 File received: ${req.file.originalname}, size: ${req.file.size} bytes`);
-
-  const { dataType } = req.body;
-  if (!dataType || !['fruits', 'vegetables'].includes(dataType)) {
-    return res.status(400).json({ error: 'Invalid data type. Must be "fruits" or "vegetables"' });
+  const company = await get('SELECT company_name FROM company_info LIMIT 1');
+  if (entry.name === company?.company_name) {
+    return res.status(400).json({ error: 'The company name itself always matches; rename the company instead' });
   }
+  await run('DELETE FROM company_names WHERE id = ?', [parseInt(req.params.id)]);
+  res.json({ success: true });
+});
 
-  try {
-    // Read from buffer (memory) instead of disk
-    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
-    
-    console.log(`📊 Parsed ${data.length} rows from Excel`);
+// The month the financial year starts in, with the financial year and quarter we're in now
+app.get('/api/fiscal-calendar', (req, res) => {
+  const today = new Date();
+  res.json({
+    start_month: fiscalCalendar.startMonth,
+    current_fy: periodOf('fy', today, fiscalCalendar),
+    current_quarter: periodOf('quarter', today, fiscalCalendar)
+  });
+});
 
-    if (data.length === 0) {
-      return res.status(400).json({ error: 'Excel file is empty' });
-    }
+app.put('/api/fiscal-calendar', async (req, res) => {
+  const startMonth = Number(req.body.start_month);
+  if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+    return res.status(400).json({ error: 'start_month must be a month number from 1 to 12' });
+  }
+  await run('UPDATE company_info SET fiscal_year_start = ?', [startMonth]);
+  fiscalCalendar = await loadFiscalCalendar(db);
+  res.json({ success: true, start_month: fiscalCalendar.startMonth });
+});
 
-    // Get column names from first row
-    const columns = data.length > 0 ? Object.keys(data[0]) : [];
-    console.log('Found columns:', columns);
-    
-    // Debug: Log first row to see actual data
-    if (data.length > 0) {
-      console.log('First row sample:', JSON.stringify(data[0], null, 2));
-    }
+// ============= COLUMN MAPPING =============
 
-    const uploadBatch = `${Date.now()}-${dataType}`;
-    let inserted = 0;
-    let skipped = 0;
-    let noIdCount = 0;
-    
-    // Disable auto-save during bulk import for performance
-    autoSave = false;
+// Normalize a header for loose comparison ("Fob Usd" -> "fobusd")
+const normalizeHeader = (name) => String(name).toLowerCase().replace(/[\s_-]+/g, '');
 
-    // Column name variations for Indian export data
-    const declarationIdNames = [
+// Target fields in `exports` and the column name variations seen in Indian export data
+const IMPORT_FIELDS = [
+  {
+    key: 'declaration_id',
+    label: 'Declaration ID',
+    aliases: [
       'Declaration ID', 'DECLARATION_ID', 'declaration_id', 'Dec ID',
       'Declaration No', 'DECLARATION_NO', 'declaration_no', 'Declaration_No',
       'DeclarationNo', 'DECLARATIONNO', 'Dec No', 'DEC_NO', 'DecNo',
@@ -454,358 +1025,2670 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
       'Bill No', 'BILL_NO', 'Bill Number', 'Reference No', 'Ref No',
       'Invoice No', 'INVOICE_NO', 'Invoice Number', 'ID', 'Sr No', 'SrNo',
       'S.No', 'SNO', 'Record ID', 'RECORD_ID', 'Unique ID'
-    ];
-    
-    const exporterNames = [
+    ]
+  },
+  {
+    key: 'exporter_name',
+    label: 'Exporter Name',
+    aliases: [
       'Exporter Name', 'EXPORTER_NAME', 'exporter_name', 'Exporter',
       'EXPORTER', 'Indian Exporter', 'INDIAN_EXPORTER', 'Shipper',
       'SHIPPER', 'Shipper Name', 'Seller', 'SELLER', 'Seller Name',
       'Company', 'Company Name', 'COMPANY_NAME', 'Supplier', 'SUPPLIER'
-    ];
-    
-    const consigneeNames = [
+    ]
+  },
+  {
+    key: 'consignee_name',
+    label: 'Consignee Name',
+    aliases: [
       'Consignee Name', 'CONSIGNEE_NAME', 'consignee_name', 'Consignee',
       'CONSIGNEE', 'Buyer', 'BUYER', 'Buyer Name', 'BUYER_NAME',
       'Foreign Buyer', 'FOREIGN_BUYER', 'Importer', 'IMPORTER',
       'Importer Name', 'Customer', 'CUSTOMER', 'Customer Name',
       'Consinee Name', 'CONSINEE_NAME', 'Consinee', 'CONSINEE'
-    ];
-    
-    const productNames = [
+    ]
+  },
+  {
+    key: 'product_description',
+    label: 'Product Description',
+    aliases: [
       'Product Description', 'PRODUCT_DESCRIPTION', 'product_description',
       'Product', 'PRODUCT', 'Item', 'ITEM', 'Item Description',
       'ITEM_DESCRIPTION', 'Description', 'DESCRIPTION', 'Goods',
       'GOODS', 'Goods Description', 'GOODS_DESCRIPTION', 'Goods_Description',
       'Product Name', 'PRODUCT_NAME', 'Commodity', 'COMMODITY', 
       'HS Description', 'Item Name', 'ItemDescription'
-    ];
-    
-    const hsCodeNames = [
+    ]
+  },
+  {
+    key: 'hs_code',
+    label: 'HS Code',
+    aliases: [
       'HS Code', 'HS_CODE', 'hs_code', 'HSCode', 'HSCODE', 'HS',
       'ITC Code', 'ITC_CODE', 'ITCCode', 'ITC HS', 'ITC_HS',
       'Tariff Code', 'TARIFF_CODE', 'Chapter', 'CHAPTER'
-    ];
-    
-    const quantityNames = [
+    ]
+  },
+  {
+    key: 'quantity',
+    label: 'Quantity',
+    numeric: true,
+    aliases: [
       'Quantity', 'QUANTITY', 'quantity', 'Qty', 'QTY', 'qty',
       'Unit Quantity', 'UNIT_QUANTITY', 'Net Quantity', 'NET_QUANTITY',
       'Weight', 'WEIGHT', 'Net Weight', 'NET_WEIGHT', 'Gross Weight'
-    ];
-    
-    const unitNames = [
+    ]
+  },
+  {
+    key: 'unit',
+    label: 'Unit',
+    aliases: [
       'Unit', 'UNIT', 'unit', 'UQC', 'UOM', 'Unit of Measure',
       'UNIT_OF_MEASURE', 'Quantity Unit', 'QUANTITY_UNIT'
-    ];
-    
-    const fobNames = [
+    ]
+  },
+  {
+    key: 'fob_value',
+    label: 'FOB Value',
+    numeric: true,
+    aliases: [
       'FOB Value', 'FOB_VALUE', 'fob_value', 'FOB', 'Fob',
       'FOB USD', 'FOB_USD', 'Fob Usd', 'FOB Usd', 'Fob USD',
       'FOB INR', 'FOB_INR', 'Fob Inr', 'Value',
       'VALUE', 'Invoice Value', 'INVOICE_VALUE', 'Total Value',
       'TOTAL_VALUE', 'Amount', 'AMOUNT', 'Price', 'PRICE',
       'Value USD', 'Value INR', 'FOB (USD)', 'FOB (INR)'
-    ];
-    
-    const currencyNames = [
+    ]
+  },
+  {
+    key: 'fob_currency',
+    label: 'Currency',
+    aliases: [
       'Currency', 'CURRENCY', 'currency', 'Curr', 'CURR',
       'Currency Code', 'CURRENCY_CODE'
-    ];
-    
-    const portLoadingNames = [
+    ]
+  },
+  {
+    key: 'port_of_loading',
+    label: 'Port of Loading',
+    aliases: [
       'Port of Loading', 'PORT_OF_LOADING', 'port_of_loading',
       'Indian Port', 'INDIAN_PORT', 'Loading Port', 'LOADING_PORT',
       'Port', 'PORT', 'Origin Port', 'ORIGIN_PORT', 'From Port',
       'Departure Port', 'DEPARTURE_PORT', 'POL', 'Port Code'
-    ];
-    
-    const portDischargeNames = [
+    ]
+  },
+  {
+    key: 'port_of_discharge',
+    label: 'Port of Discharge',
+    aliases: [
       'Port of Discharge', 'PORT_OF_DISCHARGE', 'port_of_discharge',
       'Foreign Port', 'FOREIGN_PORT', 'Discharge Port', 'DISCHARGE_PORT',
       'Destination Port', 'DESTINATION_PORT', 'To Port', 'POD',
       'Arrival Port', 'ARRIVAL_PORT', 'Final Port'
-    ];
-    
-    const countryNames = [
+    ]
+  },
+  {
+    key: 'country_of_destination',
+    label: 'Country of Destination',
+    aliases: [
       'Country', 'COUNTRY', 'country', 'Destination Country',
       'DESTINATION_COUNTRY', 'Country of Destination', 'COUNTRY_OF_DESTINATION',
       'Destination', 'DESTINATION', 'Foreign Country', 'FOREIGN_COUNTRY',
       'Importing Country', 'IMPORTING_COUNTRY', 'To Country'
-    ];
-    
-    const dateNames = [
+    ]
+  },
+  {
+    key: 'shipment_date',
+    label: 'Shipment Date',
+    date: true,
+    aliases: [
       'Shipment Date', 'SHIPMENT_DATE', 'shipment_date', 'Date', 'DATE',
       'SB Date', 'SB_DATE', 'Shipping Date', 'SHIPPING_DATE',
       'Bill Date', 'BILL_DATE', 'Export Date', 'EXPORT_DATE',
       'Invoice Date', 'INVOICE_DATE', 'Dispatch Date', 'DISPATCH_DATE'
-    ];
+    ]
+  }
+];
 
-    let debugCount = 0;
-    let progressCount = 0;
-    const totalRows = data.length;
-    
-    // Process in batches for better performance
-    console.log(`Processing ${totalRows} rows...`);
-    
-    for (const row of data) {
-      progressCount++;
-      if (progressCount % 5000 === 0) {
-        console.log(`Progress: ${progressCount}/${totalRows} rows processed (${inserted} inserted, ${skipped} skipped)...`);
+const isBlank = (val) => val === undefined || val === null || String(val).trim() === '';
+
+// Share of sample values that look right for a numeric or date field (1 when not applicable)
+const sampleFitScore = (field, values) => {
+  const filled = values.filter(v => !isBlank(v));
+  if (filled.length === 0) return 0.5;
+  if (field.numeric) {
+    const ok = filled.filter(v => !isNaN(parseFloat(String(v).replace(/[^0-9.-]/g, '')))).length;
+    return ok / filled.length;
+  }
+  if (field.date) {
+    // Any convention will do here - which one the file uses is settled separately
+    const ok = filled.filter(v => parseShipmentDate(v).shipmentDate || dateConventions(v).length > 0).length;
+    return ok / filled.length;
+  }
+  return 1;
+};
+
+// Detect which spreadsheet column feeds each target field.
+// Returns { field: { column, confidence, method } } - unmatched fields are left out.
+// Exact header matches are claimed first, so a loose partial match can never
+// steal a column that another field names exactly.
+const detectColumnMapping = (columns, sampleRows = []) => {
+  const mapping = {};
+  const used = new Set();
+  const normalizedColumns = columns.map(column => ({ column, normalized: normalizeHeader(column) }));
+
+  const claim = (field, column, confidence, method) => {
+    const fit = sampleFitScore(field, sampleRows.map(r => r[column]));
+    mapping[field.key] = {
+      column,
+      confidence: Math.round(confidence * (0.5 + 0.5 * fit) * 100) / 100,
+      method
+    };
+    used.add(column);
+  };
+
+  // Pass 1: header equals one of the aliases (as written, then normalized)
+  for (const field of IMPORT_FIELDS) {
+    for (const alias of field.aliases) {
+      const exact = columns.find(c => c === alias && !used.has(c));
+      if (exact) {
+        claim(field, exact, 1, 'exact');
+        break;
       }
-      // Map Excel columns to database fields using flexible matching
-      const declarationId = findColumnValue(row, declarationIdNames);
-      const exporterName = findColumnValue(row, exporterNames);
-      const consigneeName = findColumnValue(row, consigneeNames);
-      const productDesc = findColumnValue(row, productNames);
-      const hsCode = findColumnValue(row, hsCodeNames);
-      const quantity = parseFloat(findColumnValue(row, quantityNames) || 0);
-      const unit = findColumnValue(row, unitNames) || 'KGS';
-      const fobValue = parseFloat(String(findColumnValue(row, fobNames) || 0).replace(/[^0-9.-]/g, '')) || 0;
-      const fobCurrency = findColumnValue(row, currencyNames) || 'USD';
-      const portLoading = findColumnValue(row, portLoadingNames);
-      const portDischarge = findColumnValue(row, portDischargeNames);
-      const countryDest = findColumnValue(row, countryNames);
-      
-      // Debug first 3 rows
-      if (debugCount < 3) {
-        console.log(`Row ${debugCount + 1} extracted values:`, {
-          declarationId,
-          exporterName,
-          consigneeName,
-          productDesc: productDesc?.substring(0, 50),
-          fobValue,
-          hsCode
-        });
-        debugCount++;
+      const normalizedAlias = normalizeHeader(alias);
+      const match = normalizedColumns.find(c => c.normalized === normalizedAlias && !used.has(c.column));
+      if (match) {
+        claim(field, match.column, 0.9, 'normalized');
+        break;
       }
-      
-      // Parse date
-      let shipmentDate = null;
-      let monthYear = null;
-      const dateValue = findColumnValue(row, dateNames);
-      if (dateValue) {
-        if (typeof dateValue === 'number') {
-          // Excel serial date
-          const date = XLSX.SSF.parse_date_code(dateValue);
-          if (date) {
-            shipmentDate = `${date.y}-${String(date.m).padStart(2, '0')}-${String(date.d).padStart(2, '0')}`;
-            monthYear = `${date.y}-${String(date.m).padStart(2, '0')}`;
-          }
-        } else {
-          // Try parsing various date formats
-          const dateStr = String(dateValue);
-          let parsed = new Date(dateStr);
-          
-          // Try DD-MM-YYYY or DD/MM/YYYY format
-          if (isNaN(parsed)) {
-            const parts = dateStr.split(/[-\/]/);
-            if (parts.length === 3) {
-              // Assume DD-MM-YYYY
-              parsed = new Date(parts[2], parts[1] - 1, parts[0]);
-            }
-          }
-          
-          if (!isNaN(parsed) && parsed.getFullYear() > 1900) {
-            shipmentDate = parsed.toISOString().split('T')[0];
-            monthYear = `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, '0')}`;
-          }
-        }
+    }
+  }
+
+  // Pass 2: header contains an alias (or vice versa) - scored by how much of it overlaps
+  for (const field of IMPORT_FIELDS) {
+    if (mapping[field.key]) continue;
+    let best = null;
+    for (const alias of field.aliases) {
+      const normalizedAlias = normalizeHeader(alias);
+      for (const { column, normalized } of normalizedColumns) {
+        if (used.has(column) || !normalized) continue;
+        const [shorter, longer] = normalized.length <= normalizedAlias.length
+          ? [normalized, normalizedAlias]
+          : [normalizedAlias, normalized];
+        // Very short fragments ("id", "hs") match almost anything
+        if (shorter.length < 3 || !longer.includes(shorter)) continue;
+        const score = 0.3 + 0.4 * (shorter.length / longer.length);
+        if (!best || score > best.score) best = { column, score };
+      }
+    }
+    if (best) claim(field, best.column, best.score, 'partial');
+  }
+
+  return mapping;
+};
+
+// Pick the mapped values out of a raw spreadsheet row
+const mapRow = (row, mapping) => {
+  const values = {};
+  for (const field of IMPORT_FIELDS) {
+    const column = mapping[field.key];
+    values[field.key] = column && !isBlank(row[column]) ? row[column] : '';
+  }
+  // Without a currency column, a value column headed "FOB (INR)" says what it holds
+  if (values.fob_currency === '' && mapping.fob_value) {
+    values.fob_currency = currencyFromHeader(mapping.fob_value) || '';
+  }
+  return values;
+};
+
+// Turn mapped row values into the record stored in `exports`. Text dates are read
+// with the upload's dateFormat (DMY, MDY or YMD); hsRules may move the row out of
+// the chosen category (dataType) - see classifyHsCode.
+const buildExportRecord = (values, dataType, uploadBatch, { dateFormat, hsRules } = {}) => {
+  const quantity = isBlank(values.quantity) ? 0 : parseQuantity(values.quantity);
+  const fobValue = parseFloat(String(values.fob_value || 0).replace(/[^0-9.-]/g, '')) || 0;
+  const { shipmentDate, monthYear } = parseShipmentDate(values.shipment_date, dateFormat);
+
+  const record = {
+    declaration_id: (values.declaration_id || '').toString().trim(),
+    exporter_name: (values.exporter_name || '').toString().trim().toUpperCase(),
+    consignee_name: (values.consignee_name || '').toString().trim().toUpperCase(),
+    product_description: (values.product_description || '').toString().trim(),
+    ...classifyHsCode(values.hs_code, dataType, hsRules),
+    hs_code: hsDigits(values.hs_code),
+    quantity: quantity || 0,
+    unit: (values.unit || 'KGS').toString().trim(),
+    fob_value: fobValue || 0,
+    fob_currency: normalizeCurrency(values.fob_currency),
+    port_of_loading: (values.port_of_loading || '').toString().trim(),
+    port_of_discharge: (values.port_of_discharge || '').toString().trim(),
+    country_of_destination: (values.country_of_destination || '').toString().trim(),
+    shipment_date: shipmentDate,
+    month_year: monthYear,
+    upload_batch: uploadBatch
+  };
+
+  // No declaration ID - identify the row by its content, so re-uploads dedupe
+  if (record.declaration_id === '') {
+    record.declaration_id = syntheticDeclarationId(record);
+  }
+  return record;
+};
+
+// Why a row can't be stored as-is: { reason, details }, or null when it's fine.
+// Blank dates and values are allowed - only cells we can't make sense of are rejected.
+const rejectionReason = (values, record, dateFormat) => {
+  if (record.declaration_id === '') {
+    return { reason: 'no_id', details: 'No declaration ID and nothing to build one from' };
+  }
+  if (!isBlank(values.shipment_date) && !record.shipment_date) {
+    // A date that's only valid the other way round points at a file mixing conventions
+    const details = dateConventions(values.shipment_date).length > 0
+      ? `"${values.shipment_date}" is not a valid date as ${DATE_FORMATS[dateFormat]}, the format used for this file`
+      : `"${values.shipment_date}" is not a recognised date`;
+    return { reason: 'bad_date', details };
+  }
+  if (!isBlank(values.fob_value) && isNaN(parseFloat(String(values.fob_value).replace(/[^0-9.-]/g, '')))) {
+    return { reason: 'non_numeric_fob', details: `FOB value "${values.fob_value}" is not a number` };
+  }
+  if (!isBlank(values.quantity) && isNaN(parseQuantity(values.quantity))) {
+    return { reason: 'non_numeric_quantity', details: `Quantity "${values.quantity}" is not a number` };
+  }
+  return null;
+};
+
+const REJECTION_REASONS = {
+  duplicate: 'Duplicate',
+  no_id: 'No ID',
+  bad_date: 'Bad date',
+  non_numeric_fob: 'Non-numeric FOB',
+  non_numeric_quantity: 'Non-numeric quantity'
+};
+
+// Extra columns on the rejected-rows report; ignored when the fixed report is uploaded again
+const REJECTION_REPORT_COLUMNS = ['Rejection Reason', 'Rejection Details', 'Source Sheet', 'Source Row'];
+
+const EXPORT_COLUMNS = [
+  'declaration_id', 'exporter_name', 'consignee_name', 'product_description',
+  'product_category', 'data_type', 'hs_code', 'quantity', 'unit', 'fob_value',
+  'fob_currency', 'port_of_loading', 'port_of_discharge', 'country_of_destination',
+  'shipment_date', 'month_year', 'upload_batch', 'source_sheet', 'source_row',
+  'product_family', 'category_conflict'
+];
+
+// Union of headers across rows (and sheets) - sheet_to_json drops cells that are empty in a given row
+const columnsOf = (rows) => [...new Set(rows.flatMap(row => Object.keys(row)))]
+  .filter(c => !REJECTION_REPORT_COLUMNS.includes(c));
+
+// ============= UPLOAD STAGING =============
+// A previewed file stays on disk under an uploadId, so changing the mapping doesn't upload
+// it again and the import streams from the same copy. Unused uploads expire after an hour.
+
+const UPLOAD_EXTENSIONS = ['.xlsx', '.xls', ...DELIMITED_EXTENSIONS];
+const MAX_UNZIPPED_BYTES = MAX_UPLOAD_BYTES * 4;
+const STAGED_UPLOAD_TTL = 60 * 60 * 1000;
+const PREVIEW_SAMPLE_ROWS = 200;
+
+const stagedUploads = new Map(); // uploadId -> { id, dir, fileName, isZip, files, lastUsed, inUse }
+
+const stageUpload = async (file) => {
+  const id = crypto.randomUUID();
+  const dir = path.join(UPLOAD_STAGING_DIR, id);
+  const extension = path.extname(file.originalname).toLowerCase();
+  await fs.promises.mkdir(dir);
+
+  try {
+    let files;
+    if (extension === '.zip') {
+      files = await extractZip(file.path, dir, { extensions: UPLOAD_EXTENSIONS, maxBytes: MAX_UNZIPPED_BYTES });
+      if (files.length === 0) {
+        const err = new Error('The zip file contains no .xlsx, .xls, .csv or .tsv files');
+        err.status = 400;
+        throw err;
       }
+    } else if (UPLOAD_EXTENSIONS.includes(extension)) {
+      const target = path.join(dir, `upload${extension}`);
+      await fs.promises.rename(file.path, target);
+      files = [{ name: file.originalname, path: target, size: file.size }];
+    } else {
+      const err = new Error(`Unsupported file type "${extension}". Use .xlsx, .xls, .csv, .tsv or a .zip of those`);
+      err.status = 400;
+      throw err;
+    }
+
+    const staged = { id, dir, fileName: file.originalname, isZip: extension === '.zip', files, lastUsed: Date.now(), inUse: false };
+    stagedUploads.set(id, staged);
+    return staged;
+  } catch (err) {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    throw err;
+  } finally {
+    await fs.promises.rm(file.path, { force: true });
+  }
+};
+
+// The upload a request is about: a newly posted file, or the uploadId of one staged by a preview
+// `claim` (the import itself) marks the upload in use before anything is awaited, so a
+// second request with the same uploadId is turned away instead of reading files the first
+// job removes. A claim that doesn't end in a queued job must be released again.
+const resolveStagedUpload = async (req, { claim = false } = {}) => {
+  if (req.file) {
+    const staged = await stageUpload(req.file);
+    staged.inUse = claim;
+    return staged;
+  }
 
-      // Use a combination of fields to create unique ID if no declaration ID
-      let uniqueId = declarationId;
-      if (!uniqueId || uniqueId === '') {
-        // Create a composite key from available data
-        const composite = `${exporterName}-${consigneeName}-${productDesc}-${dateValue}-${fobValue}`;
-        if (composite !== '----0') {
-          uniqueId = `AUTO-${Buffer.from(composite).toString('base64').slice(0, 20)}-${Math.random().toString(36).slice(2, 8)}`;
+  if (!req.body.uploadId) {
+    const err = new Error('No file uploaded');
+    err.status = 400;
+    throw err;
+  }
+  const staged = stagedUploads.get(req.body.uploadId);
+  if (!staged || staged.inUse) {
+    const err = new Error('Upload not found or expired - please choose the file again');
+    err.status = 404;
+    throw err;
+  }
+  staged.inUse = claim;
+  staged.lastUsed = Date.now();
+  return staged;
+};
+
+const discardStagedUpload = async (staged) => {
+  stagedUploads.delete(staged.id);
+  await fs.promises.rm(staged.dir, { recursive: true, force: true });
+};
+
+setInterval(() => {
+  for (const staged of stagedUploads.values()) {
+    if (!staged.inUse && Date.now() - staged.lastUsed > STAGED_UPLOAD_TTL) {
+      discardStagedUpload(staged).catch(err => console.error('Could not remove staged upload:', err.message));
+    }
+  }
+}, 10 * 60 * 1000).unref();
+
+// Legacy .xls (or anything our streaming reader doesn't understand) is read into memory
+// by SheetJS. Progress is reported in shares of the file size so it lines up with the rest.
+const readWorkbookInMemory = (file, prefix) => {
+  const workbook = XLSX.readFile(file.path);
+  return workbook.SheetNames.map(name => {
+    const data = XLSX.utils.sheet_to_json(workbook.Sheets[name]);
+    const size = Math.round(file.size / workbook.SheetNames.length);
+    return {
+      name: `${prefix}${name}`,
+      size,
+      format: 'excel',
+      read: async function* (onBytes = () => {}) {
+        for (const row of data) {
+          onBytes(size / data.length);
+          yield row;
         }
       }
+    };
+  });
+};
+
+// Open every sheet of a staged upload for streaming: each workbook sheet and each
+// delimited file is one sheet { name, size, format, read(onBytes) }. Call close() when done.
+const openUploadSheets = async (staged) => {
+  const books = [];
+  const sheets = [];
+  try {
+    for (const file of staged.files) {
+      const extension = path.extname(file.name).toLowerCase();
+      // Inside a zip, sheet names carry the file they came from
+      const prefix = staged.isZip ? `${file.name} / ` : '';
+
+      if (DELIMITED_EXTENSIONS.includes(extension)) {
+        const info = await sniffDelimited(file.path);
+        sheets.push({
+          name: staged.isZip ? file.name : path.basename(file.name, extension),
+          size: file.size,
+          format: extension.slice(1),
+          ...info,
+          read: (onBytes) => readDelimitedRows(file.path, info, onBytes)
+        });
+        continue;
+      }
 
-      if (uniqueId && uniqueId !== '') {
-        // Try to insert - let database handle duplicates via unique constraint
-        try {
-          await run(`
-            INSERT INTO exports (
-              declaration_id, exporter_name, consignee_name, product_description,
-              product_category, data_type, hs_code, quantity, unit, fob_value,
-              fob_currency, port_of_loading, port_of_discharge, country_of_destination,
-              shipment_date, month_year, upload_batch
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `, [
-            uniqueId.toString().trim(),
-            (exporterName || '').toString().trim().toUpperCase(),
-            (consigneeName || '').toString().trim().toUpperCase(),
-            (productDesc || '').toString().trim(),
-            dataType,
-            dataType,
-            String(hsCode || '').trim(),
-            quantity || 0,
-            (unit || 'KGS').toString().trim(),
-            fobValue || 0,
-            (fobCurrency || 'USD').toString().trim(),
-            (portLoading || '').toString().trim(),
-            (portDischarge || '').toString().trim(),
-            (countryDest || '').toString().trim(),
-            shipmentDate,
-            monthYear,
-            uploadBatch
-          ]);
-          inserted++;
-        } catch (insertErr) {
-          // Log first 5 errors to understand the issue
-          if (skipped < 5) {
-            console.error(`Insert error for row ${progressCount}:`, insertErr.message);
-            console.error('Data:', { uniqueId, exporterName, productDesc: productDesc?.substring(0,30), shipmentDate });
-          }
-          skipped++;
+      let book = null;
+      if (extension === '.xlsx') {
+        book = await openXlsx(file.path).catch(err => {
+          console.warn(`⚠️ Streaming read of ${file.name} failed (${err.message}), reading it in memory`);
+          return null;
+        });
+      }
+      if (book) {
+        books.push(book);
+        for (const sheet of book.sheets) {
+          sheets.push({
+            name: `${prefix}${sheet.name}`,
+            size: sheet.size,
+            format: 'excel',
+            read: (onBytes) => book.readRows(sheet, onBytes)
+          });
         }
       } else {
-        noIdCount++;
-        skipped++;
+        sheets.push(...readWorkbookInMemory(file, prefix));
       }
     }
-    
-    console.log(`Import complete: ${inserted} inserted, ${skipped} skipped, ${noIdCount} no ID`);
+  } catch (err) {
+    books.forEach(book => book.close());
+    throw err;
+  }
+  return { sheets, close: () => books.forEach(book => book.close()) };
+};
+
+// First rows of a sheet, and its row count - exact when the whole sheet was read, otherwise
+// estimated from the rows in the chunks read so far (we finish the chunk the sample ends in)
+const sampleSheet = async (sheet) => {
+  const rows = [];
+  let bytes = 0;
+  let countedBytes = 0;
+  let counted = 0;
+  let complete = true;
+  for await (const row of sheet.read((n) => { bytes += n; })) {
+    if (rows.length === PREVIEW_SAMPLE_ROWS && bytes !== countedBytes) {
+      complete = false;
+      break;
+    }
+    if (rows.length < PREVIEW_SAMPLE_ROWS) rows.push(row);
+    counted++;
+    countedBytes = bytes;
+  }
+  return {
+    ...sheet,
+    sample: rows,
+    rowCount: complete ? counted : Math.round(counted * sheet.size / Math.max(countedBytes, 1)),
+    estimated: !complete
+  };
+};
+
+// Open, sample and select the sheets of an upload, and resolve its column mapping
+const prepareUpload = async (staged, body) => {
+  const source = await openUploadSheets(staged);
+  try {
+    const sampled = [];
+    for (const sheet of source.sheets) sampled.push(await sampleSheet(sheet));
+
+    const sheets = selectSheets(sampled, body.sheets);
+    const sampleRows = sheets.flatMap(sheet => sheet.sample);
+    if (sampleRows.length === 0) {
+      const err = new Error('File is empty');
+      err.status = 400;
+      throw err;
+    }
+
+    const columns = columnsOf(sampleRows);
+    const { profile, match } = await selectMappingProfile(columns, body.profileId);
+    const { mapping, detected } = resolveMapping(body.mapping, columns, sampleRows.slice(0, PREVIEW_SAMPLE_ROWS), profile);
+    const dateFormat = {
+      ...resolveDateFormat(body.dateFormat, profile, mapping.shipment_date ? sampleRows.map(row => row[mapping.shipment_date]) : []),
+      // Only the start of a large file was looked at - the import checks the whole column
+      partial: sheets.some(sheet => sheet.estimated)
+    };
+    const expectedMonth = parseExpectedMonth(body.expectedMonth);
+    return { allSheets: sampled, sheets, columns, profile, match, mapping, detected, dateFormat, expectedMonth };
+  } finally {
+    source.close();
+  }
+};
+
+// A JSON form field; malformed JSON is the client's mistake, so it's a 400
+const parseJsonField = (value, field) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    const err = new Error(`${field} is not valid JSON`);
+    err.status = 400;
+    throw err;
+  }
+};
+
+// Sheets to import: the requested names (JSON array or comma list), default every sheet with rows
+const selectSheets = (sheets, rawSelection) => {
+  if (!rawSelection) return sheets.filter(sheet => sheet.rowCount > 0);
+
+  const names = Array.isArray(rawSelection) ? rawSelection
+    : String(rawSelection).trim().startsWith('[') ? parseJsonField(rawSelection, 'sheets')
+    : String(rawSelection).split(',').map(name => name.trim()).filter(Boolean);
+  const missing = names.filter(name => !sheets.some(sheet => sheet.name === name));
+  if (missing.length > 0) {
+    const err = new Error(`Sheet not found in file: ${missing.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return sheets.filter(sheet => names.includes(sheet.name));
+};
+
+// Identify a file layout by its set of headers (order and spelling variations ignored)
+const headerFingerprint = (columns) => {
+  const normalized = [...new Set(columns.map(normalizeHeader).filter(Boolean))].sort();
+  return crypto.createHash('sha1').update(normalized.join('|')).digest('hex');
+};
+
+const parseProfile = (row) => row && ({
+  ...row,
+  mapping: JSON.parse(row.mapping || '{}')
+});
+
+// Pick the mapping profile for an upload. An explicit profileId must exist; otherwise
+// we look for a profile saved from a file with the same headers, then for the profile
+// that maps the most fields using only columns this file has.
+const selectMappingProfile = async (columns, profileId) => {
+  if (profileId) {
+    const profile = parseProfile(await get('SELECT * FROM mapping_profiles WHERE id = ?', [parseInt(profileId)]));
+    if (!profile) {
+      const err = new Error(`Mapping profile ${profileId} not found`);
+      err.status = 404;
+      throw err;
+    }
+    return { profile, match: 'explicit' };
+  }
+
+  const byFingerprint = await get('SELECT * FROM mapping_profiles WHERE header_fingerprint = ? ORDER BY updated_at DESC LIMIT 1', [headerFingerprint(columns)]);
+  if (byFingerprint) {
+    return { profile: parseProfile(byFingerprint), match: 'fingerprint' };
+  }
+
+  const columnSet = new Set(columns);
+  let best = null;
+  for (const row of await all('SELECT * FROM mapping_profiles')) {
+    const profile = parseProfile(row);
+    const mapped = Object.values(profile.mapping).filter(Boolean);
+    if (mapped.length === 0 || !mapped.every(c => columnSet.has(c))) continue;
+    if (!best || mapped.length > Object.keys(best.mapping).length) best = profile;
+  }
+  return best ? { profile: best, match: 'columns' } : { profile: null, match: null };
+};
+
+// Resolve the mapping for an upload: an explicit { field: column } from the client wins,
+// then the selected profile, otherwise detection. Throws on columns the file doesn't have.
+const resolveMapping = (rawMapping, columns, sampleRows, profile = null) => {
+  const detected = detectColumnMapping(columns, sampleRows);
+  const requested = rawMapping
+    ? (typeof rawMapping === 'string' ? parseJsonField(rawMapping, 'mapping') : rawMapping)
+    : profile?.mapping;
+
+  if (!requested) {
+    return {
+      mapping: Object.fromEntries(Object.entries(detected).map(([key, m]) => [key, m.column])),
+      detected
+    };
+  }
+
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const column = requested[field.key];
+    if (!column) continue;
+    if (!columns.includes(column)) {
+      const source = rawMapping ? '' : ` (profile "${profile.name}")`;
+      const err = new Error(`Column "${column}" mapped to ${field.label}${source} is not in the file`);
+      err.status = 400;
+      throw err;
+    }
+    mapping[field.key] = column;
+  }
+  return { mapping, detected };
+};
+
+// Date convention for an upload: an explicit dateFormat on the request wins, then the
+// profile's, otherwise it's detected from the date column (values seen so far).
+// `ambiguous`: nothing told day and month apart, so the default (DD/MM) was assumed.
+// `conflicting`: some values are only valid in the other day/month order and will be rejected.
+const resolveDateFormat = (requested, profile, values) => {
+  if (requested && requested !== 'auto' && !DATE_FORMATS[requested]) {
+    const err = new Error(`Unknown date format "${requested}". Use ${Object.keys(DATE_FORMATS).join(', ')} or auto`);
+    err.status = 400;
+    throw err;
+  }
+
+  const detector = createDateFormatDetector();
+  values.forEach(detector.add);
+  const detected = detector.result();
+
+  let resolved = { format: detected.format, source: detected.ambiguous ? 'default' : 'detected', ambiguous: detected.ambiguous };
+  if (requested && requested !== 'auto') {
+    resolved = { format: requested, source: 'request', ambiguous: false };
+  } else if (profile?.date_format) {
+    resolved = { format: profile.date_format, source: 'profile', ambiguous: false };
+  }
+
+  const otherOrder = { DMY: 'MDY', MDY: 'DMY' }[resolved.format];
+  return {
+    ...resolved,
+    label: DATE_FORMATS[resolved.format],
+    conflicting: otherOrder ? detected.counts[otherOrder] > 0 : false,
+    counts: detected.counts
+  };
+};
+
+// An optional YYYY-MM the upload's shipments should fall in
+const parseExpectedMonth = (value) => {
+  if (!value) return null;
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(value)) {
+    const err = new Error(`Expected month "${value}" must look like YYYY-MM`);
+    err.status = 400;
+    throw err;
+  }
+  return value;
+};
+
+// ============= IMPORT JOBS =============
+// Uploads are parsed up front (so mapping problems fail fast) and then queued.
+// One worker drains the queue so concurrent uploads never interleave their writes.
+
+const importQueue = [];
+const liveImportJobs = new Map(); // jobId -> job row, while queued or running
+let importWorkerRunning = false;
+
+const saveImportJob = async (job) => {
+  await run(`
+    UPDATE import_jobs
+    SET status = ?, total_rows = ?, processed_rows = ?, inserted_rows = ?, skipped_rows = ?,
+        no_id_rows = ?, error_count = ?, error_message = ?, sheet_results = ?, total_bytes = ?, processed_bytes = ?,
+        date_format = ?, date_detection = ?, expected_month = ?, out_of_month_rows = ?, category_conflicts = ?,
+        fx_missing_rows = ?, started_at = ?, finished_at = ?
+    WHERE id = ?
+  `, [
+    job.status, job.total_rows, job.processed_rows, job.inserted_rows, job.skipped_rows,
+    job.no_id_rows, job.error_count, job.error_message, JSON.stringify(job.sheet_results),
+    job.total_bytes, Math.round(job.processed_bytes), job.date_format, JSON.stringify(job.date_detection),
+    job.expected_month, job.out_of_month_rows, job.category_conflicts,
+    job.fx_missing_rows, job.started_at, job.finished_at, job.id
+  ]);
+};
+
+const getImportJob = async (id) => liveImportJobs.get(id) || await get('SELECT * FROM import_jobs WHERE id = ?', [id]);
+
+// `sheets` come from prepareUpload; their row counts may be estimates until the job has run
+const enqueueImport = async ({ fileName, dataType, staged, sheets, mapping, dateFormat, expectedMonth, profileId, uploadedBy }) => {
+  const job = {
+    id: newImportId(dataType),
+    file_name: fileName,
+    data_type: dataType,
+    status: 'queued',
+    total_rows: sheets.reduce((sum, sheet) => sum + sheet.rowCount, 0),
+    total_bytes: sheets.reduce((sum, sheet) => sum + sheet.size, 0),
+    processed_bytes: 0,
+    processed_rows: 0,
+    inserted_rows: 0,
+    skipped_rows: 0,
+    no_id_rows: 0,
+    error_count: 0,
+    error_message: null,
+    mapping: JSON.stringify(mapping),
+    profile_id: profileId || null,
+    uploaded_by: uploadedBy || null,
+    date_format: dateFormat.format,
+    date_detection: { source: dateFormat.source, ambiguous: dateFormat.ambiguous, conflicting: dateFormat.conflicting, counts: dateFormat.counts },
+    expected_month: expectedMonth,
+    out_of_month_rows: 0,
+    category_conflicts: 0,
+    fx_missing_rows: 0,
+    sheet_results: sheets.map(sheet => ({
+      name: sheet.name,
+      total_rows: sheet.rowCount,
+      processed_rows: 0,
+      inserted_rows: 0,
+      skipped_rows: 0
+    })),
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null
+  };
+
+  await run(`
+    INSERT INTO import_jobs (id, file_name, data_type, status, total_rows, total_bytes, mapping, profile_id, uploaded_by,
+                             date_format, date_detection, expected_month, sheet_results, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    job.id, job.file_name, job.data_type, job.status, job.total_rows, job.total_bytes, job.mapping,
+    job.profile_id, job.uploaded_by, job.date_format, JSON.stringify(job.date_detection), job.expected_month,
+    JSON.stringify(job.sheet_results), job.created_at
+  ]);
+
+  liveImportJobs.set(job.id, job);
+  importQueue.push({
+    job,
+    staged,
+    sheetNames: sheets.map(sheet => sheet.name),
+    mapping,
+    // A detected format only saw the sample; settle it on the whole date column first
+    detectDateFormat: ['detected', 'default'].includes(dateFormat.source) && dateFormat.partial && !!mapping.shipment_date,
+    cancelRequested: false
+  });
+  processImportQueue();
+  return job;
+};
+
+// Rows per multi-row INSERT, and INSERTs per libsql batch (one transaction, one round trip)
+const IMPORT_ROWS_PER_STATEMENT = 500;
+const IMPORT_STATEMENTS_PER_BATCH = 10;
+
+// RETURNING tells us which rows the unique index let through
+const buildExportInsert = (records) => ({
+  sql: `
+    INSERT OR IGNORE INTO exports (${EXPORT_COLUMNS.join(', ')})
+    VALUES ${records.map(() => `(${EXPORT_COLUMNS.map(() => '?').join(', ')})`).join(', ')}
+    RETURNING source_row
+  `,
+  args: records.flatMap(record => EXPORT_COLUMNS.map(c => record[c]))
+});
+
+const buildRejectionInsert = (jobId, rejections) => ({
+  sql: `
+    INSERT INTO import_rejections (job_id, sheet, row_number, reason, details, raw_data)
+    VALUES ${rejections.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+  `,
+  args: rejections.flatMap(r => [jobId, r.sheet, r.rowNumber, r.reason, r.details, JSON.stringify(r.raw)])
+});
+
+// Remove everything a job wrote, so a failed or cancelled import leaves no partial file behind
+const rollbackImportJob = async (job) => {
+  await run('DELETE FROM exports WHERE upload_batch = ?', [job.id]);
+  await run('DELETE FROM import_rejections WHERE job_id = ?', [job.id]);
+};
+
+// Insert one batch of a sheet's rows; returns how many were stored.
+// Rejected rows (bad cells, duplicates) are recorded with their sheet row number.
+const importRowBatch = async (job, sheetName, rows, offset, { mapping, hsRules }) => {
+  const records = [];
+  const rawByRow = new Map();
+  const rejections = [];
+  rows.forEach((row, i) => {
+    // __rowNum__ is the 0-based sheet row; fall back to header + position
+    const rowNumber = row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : offset + i + 2;
+    const values = mapRow(row, mapping);
+    const record = {
+      ...buildExportRecord(values, job.data_type, job.id, { dateFormat: job.date_format, hsRules }),
+      source_sheet: sheetName,
+      source_row: rowNumber
+    };
+    const rejection = rejectionReason(values, record, job.date_format);
+    if (rejection) {
+      if (rejection.reason === 'no_id') job.no_id_rows++;
+      rejections.push({ sheet: sheetName, rowNumber, raw: row, ...rejection });
+    } else {
+      records.push(record);
+      rawByRow.set(rowNumber, row);
+    }
+  });
+
+  const statements = [];
+  for (let i = 0; i < records.length; i += IMPORT_ROWS_PER_STATEMENT) {
+    statements.push(buildExportInsert(records.slice(i, i + IMPORT_ROWS_PER_STATEMENT)));
+  }
+
+  // Duplicates are ignored by the unique index; anything else fails the whole job
+  let inserted = 0;
+  if (statements.length > 0) {
+    const results = await db.batch(statements, 'write');
+    const insertedRows = new Set(results.flatMap(r => r.rows.map(row => row.source_row)));
+    inserted = insertedRows.size;
+    job.category_conflicts += records.filter(r => r.category_conflict && insertedRows.has(r.source_row)).length;
+    for (const record of records) {
+      if (!insertedRows.has(record.source_row)) {
+        rejections.push({
+          sheet: sheetName,
+          rowNumber: record.source_row,
+          raw: rawByRow.get(record.source_row),
+          reason: 'duplicate',
+          details: 'Same declaration ID, date, product, HS code, quantity and FOB value already stored (by an earlier import or earlier in this file)'
+        });
+      }
+    }
+  }
+
+  if (rejections.length > 0) {
+    rejections.sort((a, b) => a.rowNumber - b.rowNumber);
+    const rejectionStatements = [];
+    for (let i = 0; i < rejections.length; i += IMPORT_ROWS_PER_STATEMENT) {
+      rejectionStatements.push(buildRejectionInsert(job.id, rejections.slice(i, i + IMPORT_ROWS_PER_STATEMENT)));
+    }
+    await db.batch(rejectionStatements, 'write');
+  }
+
+  return inserted;
+};
+
+// Read the whole date column of the selected sheets to settle the file's date format
+const detectJobDateFormat = async (task, source) => {
+  const { job, mapping } = task;
+  const detector = createDateFormatDetector();
+  for (const name of task.sheetNames) {
+    const sheet = source.sheets.find(s => s.name === name);
+    for await (const row of sheet.read()) detector.add(row[mapping.shipment_date]);
+    if (task.cancelRequested) return;
+  }
+
+  const detected = detector.result();
+  job.date_format = detected.format;
+  job.date_detection = { source: detected.ambiguous ? 'default' : 'detected', ...detected };
+  delete job.date_detection.format;
+  console.log(`📅 Dates read as ${DATE_FORMATS[job.date_format]}${detected.ambiguous ? ' (ambiguous - assumed)' : ''}`, detected.counts);
+};
+
+// Monthly files should only hold that month's shipments. The expected month is the one
+// given on upload, else the month most of the file's rows fall in (if one has a majority).
+const checkExpectedMonth = async (job) => {
+  const months = await all(`
+    SELECT month_year, COUNT(*) as count FROM exports
+    WHERE upload_batch = ? AND month_year IS NOT NULL
+    GROUP BY month_year ORDER BY count DESC
+  `, [job.id]);
+  const dated = months.reduce((sum, m) => sum + m.count, 0);
+  if (!job.expected_month && months.length > 0 && months[0].count * 2 > dated) {
+    job.expected_month = months[0].month_year;
+  }
+  if (!job.expected_month) return;
+
+  job.out_of_month_rows = months
+    .filter(m => m.month_year !== job.expected_month)
+    .reduce((sum, m) => sum + m.count, 0);
+  if (job.out_of_month_rows > 0) {
+    console.log(`⚠️ ${job.out_of_month_rows} rows dated outside ${job.expected_month}`);
+  }
+};
+
+// Weight in kg, and FOB in USD and INR at the rates of their shipment months, for the rows an import stored
+const convertImportRows = async (job) => {
+  await db.batch([
+    convertQuantityStatement('upload_batch = ?', [job.id]),
+    ...convertFobStatements('upload_batch = ?', [job.id])
+  ], 'write');
+  const missing = await get(`
+    SELECT COUNT(*) as count FROM exports
+    WHERE upload_batch = ? AND (fob_usd IS NULL OR fob_inr IS NULL) AND fob_value != 0
+  `, [job.id]);
+  job.fx_missing_rows = missing?.count || 0;
+  if (job.fx_missing_rows > 0) {
+    console.log(`⚠️ ${job.fx_missing_rows} rows have no exchange rate for their currency and month`);
+  }
+};
+
+// Stream the selected sheets of the staged file into exports, one batch at a time
+const runImportJob = async (task) => {
+  const { job, mapping } = task;
+  const rowsPerBatch = IMPORT_ROWS_PER_STATEMENT * IMPORT_STATEMENTS_PER_BATCH;
+
+  job.status = 'running';
+  job.started_at = new Date().toISOString();
+  await saveImportJob(job);
+  console.log(`Processing ${task.sheetNames.length} sheet(s) of ${job.file_name} for job ${job.id}...`);
+
+  const startTime = Date.now();
+  // Rules as they are when the job starts; editing them mid-import doesn't mix classifications
+  const hsRules = await loadHsRules(db);
+  const source = await openUploadSheets(task.staged);
+  try {
+    if (task.detectDateFormat) await detectJobDateFormat(task, source);
+
+    for (const [index, name] of task.sheetNames.entries()) {
+      const sheet = source.sheets.find(s => s.name === name);
+      const result = job.sheet_results[index];
+      let batch = [];
+      let offset = 0;
+
+      const flush = async () => {
+        const inserted = await importRowBatch(job, sheet.name, batch, offset, { mapping, hsRules });
+        offset += batch.length;
+        result.processed_rows += batch.length;
+        result.inserted_rows += inserted;
+        result.skipped_rows = result.processed_rows - result.inserted_rows;
+        job.processed_rows += batch.length;
+        job.inserted_rows += inserted;
+        job.skipped_rows = job.processed_rows - job.inserted_rows;
+        batch = [];
+        await saveImportJob(job);
+
+        // The local driver resolves synchronously - yield so progress polls and
+        // cancel requests get served between batches
+        await new Promise(resolve => setImmediate(resolve));
+      };
+
+      for await (const row of sheet.read((n) => { job.processed_bytes += n; })) {
+        batch.push(row);
+        if (batch.length === rowsPerBatch) {
+          await flush();
+          if (task.cancelRequested) break;
+        }
+      }
+      if (task.cancelRequested) break;
+      if (batch.length > 0) await flush();
+
+      result.total_rows = result.processed_rows;
+      console.log(`  Sheet "${sheet.name}": ${result.inserted_rows} inserted, ${result.skipped_rows} skipped`);
+    }
+  } finally {
+    source.close();
+  }
+
+  if (task.cancelRequested) {
+    await rollbackImportJob(job);
+    job.status = 'cancelled';
+    console.log(`🛑 Import ${job.id} cancelled after ${job.processed_rows} rows, inserted rows removed`);
+  } else {
+    const seconds = Math.max((Date.now() - startTime) / 1000, 0.001);
+    job.status = 'completed';
+    job.total_rows = job.processed_rows;
+    job.processed_bytes = job.total_bytes;
+    await checkExpectedMonth(job);
+    await convertImportRows(job);
+    const newEntities = await resolveEntities(db, 'upload_batch = ?', [job.id]);
+    await flagPlaceholders(db, 'upload_batch = ?', [job.id]);
+    const products = await assignProducts(db, 'upload_batch = ?', [job.id]);
+    const unknownCountries = await assignCountries(db, 'upload_batch = ?', [job.id]);
+    const unknownPorts = await assignPorts(db, 'upload_batch = ?', [job.id]);
+    console.log(`Import complete: ${job.inserted_rows} inserted, ${job.skipped_rows} skipped, ${job.no_id_rows} no ID (${Math.round(job.processed_rows / seconds)} rows/s)`);
+    if (job.category_conflicts > 0) {
+      console.log(`⚠️ ${job.category_conflicts} rows classified by HS code into another category than ${job.data_type}`);
+    }
+    if (newEntities > 0) console.log(`🏢 ${newEntities} companies not seen before`);
+    if (products.unmatched > 0) console.log(`🥭 ${products.unmatched} product descriptions match no catalogue product, see /api/products/review`);
+    if (unknownCountries > 0) console.log(`🌍 ${unknownCountries} destination countries not recognised, see /api/countries/unknown`);
+    if (unknownPorts > 0) console.log(`⚓ ${unknownPorts} ports not recognised, see /api/ports/unknown`);
+  }
+};
+
+const processImportQueue = async () => {
+  if (importWorkerRunning) return;
+  importWorkerRunning = true;
 
-    // No need to clean up - using memory storage (no file on disk)
+  while (importQueue.length > 0) {
+    const task = importQueue[0];
+    const { job } = task;
+    try {
+      if (task.cancelRequested) {
+        job.status = 'cancelled';
+      } else {
+        await runImportJob(task);
+      }
+    } catch (err) {
+      console.error(`Import ${job.id} failed:`, err);
+      job.status = 'failed';
+      job.error_message = err.message;
+      job.error_count++;
+      try {
+        await rollbackImportJob(job);
+      } catch (rollbackErr) {
+        console.error(`Could not roll back import ${job.id}:`, rollbackErr.message);
+      }
+    }
+    job.finished_at = new Date().toISOString();
+    try {
+      await saveImportJob(job);
+    } catch (err) {
+      console.error(`Could not save import job ${job.id}:`, err.message);
+    }
+    importQueue.shift();
+    liveImportJobs.delete(job.id);
+    await discardStagedUpload(task.staged).catch(err => {
+      console.error(`Could not remove upload of import ${job.id}:`, err.message);
+    });
+  }
+
+  importWorkerRunning = false;
+};
+
+// ============= FILE UPLOAD ROUTES =============
+
+// Dry run: parse the start of the file and show what would be imported, without writing anything.
+// The file stays staged under the returned uploadId for further previews and the import.
+app.post('/api/upload/preview', receiveFile, async (req, res) => {
+  const { dataType = null } = req.body;
+  const previewRows = Math.min(Math.max(parseInt(req.body.previewRows) || 20, 1), PREVIEW_SAMPLE_ROWS);
+
+  let staged = null;
+  try {
+    if (dataType) await requireCategory(dataType);
+    staged = await resolveStagedUpload(req);
+    const { allSheets, sheets, columns, profile, match, mapping, detected, dateFormat } = await prepareUpload(staged, req.body);
+    const hsRules = await loadHsRules(db);
+
+    const rows = sheets
+      .flatMap(sheet => sheet.sample.slice(0, previewRows).map(row => ({
+        ...buildExportRecord(mapRow(row, mapping), dataType, null, { dateFormat: dateFormat.format, hsRules }),
+        source_sheet: sheet.name
+      })))
+      .slice(0, previewRows);
+    const delimited = allSheets.find(sheet => sheet.delimiter);
+
+    res.json({
+      uploadId: staged.id,
+      fileName: staged.fileName,
+      format: staged.isZip ? 'zip' : allSheets[0].format,
+      delimiter: delimited?.delimiter,
+      encoding: delimited?.encoding,
+      sheets: allSheets.map(sheet => ({
+        name: sheet.name,
+        totalRows: sheet.rowCount,
+        estimated: sheet.estimated,
+        columns: columnsOf(sheet.sample).length,
+        selected: sheets.includes(sheet)
+      })),
+      totalRows: sheets.reduce((sum, sheet) => sum + sheet.rowCount, 0),
+      estimated: sheets.some(sheet => sheet.estimated),
+      columns,
+      fingerprint: headerFingerprint(columns),
+      fields: IMPORT_FIELDS.map(({ key, label }) => ({ key, label })),
+      profile: profile ? { id: profile.id, name: profile.name, vendor: profile.vendor, match } : null,
+      detected,
+      mapping,
+      dateFormat,
+      rows
+    });
+  } catch (err) {
+    console.error('Preview error:', err);
+    // A file that was just uploaded and can't be previewed won't be imported either
+    if (staged && req.file) await discardStagedUpload(staged);
+    if (req.file) await fs.promises.rm(req.file.path, { force: true });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Forget a previewed file that won't be imported
+app.delete('/api/upload/:uploadId', async (req, res) => {
+  const staged = stagedUploads.get(req.params.uploadId);
+  if (!staged) return res.status(404).json({ error: 'Upload not found' });
+  if (staged.inUse) return res.status(409).json({ error: 'Upload is being imported' });
+
+  await discardStagedUpload(staged);
+  res.json({ success: true });
+});
+
+// Queue an import of a new file or a previewed uploadId. Responds immediately with the job;
+// poll GET /api/imports/:id for progress.
+app.post('/api/upload', receiveFile, async (req, res) => {
+  console.log('📤 Upload request received');
+
+  const { dataType } = req.body;
+
+  let staged = null;
+  let queued = false;
+  try {
+    await requireCategory(dataType);
+    staged = await resolveStagedUpload(req, { claim: true });
+    console.log(`📁 File: ${staged.fileName} (${staged.files.length} file(s), ${staged.files.reduce((sum, f) => sum + f.size, 0)} bytes)`);
+
+    const { sheets, columns, profile, match, mapping, dateFormat, expectedMonth } = await prepareUpload(staged, req.body);
+    console.log(`📊 Importing ${sheets.length} sheet(s), about ${sheets.reduce((sum, s) => sum + s.rowCount, 0)} rows`);
+    console.log('Found columns:', columns);
+    if (profile) console.log(`Using mapping profile "${profile.name}" (${match})`);
+    console.log('Column mapping:', mapping);
+    console.log(`Dates: ${dateFormat.label} (${dateFormat.source})`);
+
+    const job = await enqueueImport({
+      fileName: staged.fileName,
+      dataType,
+      staged,
+      sheets,
+      mapping,
+      dateFormat,
+      expectedMonth,
+      profileId: profile?.id,
+      uploadedBy: (req.body.uploadedBy || '').trim()
+    });
+    queued = true;
+
+    res.status(202).json({
+      ...job,
+      columnsFound: columns,
+      profile: profile ? { id: profile.id, name: profile.name, match } : null
+    });
+  } catch (err) {
+    console.error('Upload error:', err);
+    console.error('Error stack:', err.stack);
+    // A new file nobody else knows of is dropped; a previewed one can be imported again
+    if (staged && !queued) {
+      if (req.file) await discardStagedUpload(staged);
+      else staged.inUse = false;
+    }
+    if (req.file) await fs.promises.rm(req.file.path, { force: true });
+    res.status(err.status || 500).json({ error: err.message, stack: err.stack });
+  }
+});
+
+// ============= IMPORT JOB ROUTES =============
+
+const getImportDetail = async (id) => {
+  try {
+    return await importDetail(db, id, await getImportJob(id));
+  } catch (err) {
+    console.error('Import detail error:', err.message);
+    return null;
+  }
+};
+
+// Import history: every job plus any older batch that only exists as rows in exports
+app.get('/api/imports', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  try {
+    res.json(await importHistory(db, { limit, liveJobs: liveImportJobs }));
+  } catch (err) {
+    console.error('Import history error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/imports/:id', async (req, res) => {
+  const detail = await getImportDetail(req.params.id);
+  if (!detail) {
+    return res.status(404).json({ error: 'Import not found' });
+  }
+  res.json(detail);
+});
+
+// Rows a batch inserted, paged
+// outOfMonth=true keeps only rows dated outside the import's expected month,
+// categoryConflict=true only rows an HS rule moved out of the chosen category
+app.get('/api/imports/:id/rows', async (req, res) => {
+  const { page = 1, limit = 50, outOfMonth, categoryConflict } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  let where = 'WHERE upload_batch = ?';
+  const params = [req.params.id];
+  if (outOfMonth === 'true') {
+    const job = await getImportJob(req.params.id);
+    if (!job?.expected_month) {
+      return res.status(400).json({ error: 'This import has no expected month' });
+    }
+    where += ' AND month_year IS NOT NULL AND month_year != ?';
+    params.push(job.expected_month);
+  }
+  if (categoryConflict === 'true') where += ' AND category_conflict = 1';
+
+  const rows = await all(`
+    SELECT * FROM exports ${where}
+    ORDER BY id LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+  const total = await get(`SELECT COUNT(*) as total FROM exports ${where}`, params);
+
+  res.json({ rows, total: total?.total || 0, page: parseInt(page), limit: parseInt(limit) });
+});
+
+// Rows an import rejected, paged, with a count per reason
+app.get('/api/imports/:id/rejections', async (req, res) => {
+  const { reason, page = 1, limit = 50 } = req.query;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const reasonFilter = reason ? ' AND reason = ?' : '';
+  const params = reason ? [req.params.id, reason] : [req.params.id];
+
+  const rejections = await all(`
+    SELECT sheet, row_number, reason, details, raw_data FROM import_rejections
+    WHERE job_id = ?${reasonFilter}
+    ORDER BY id LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), offset]);
+  const total = await get(`SELECT COUNT(*) as total FROM import_rejections WHERE job_id = ?${reasonFilter}`, params);
+  const reasons = await all(`
+    SELECT reason, COUNT(*) as count FROM import_rejections WHERE job_id = ? GROUP BY reason ORDER BY count DESC
+  `, [req.params.id]);
+
+  res.json({
+    rejections: rejections.map(r => ({ ...r, raw_data: JSON.parse(r.raw_data || '{}') })),
+    reasons,
+    total: total?.total || 0,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+});
+
+// Rejected rows as Excel: the original columns, so the file can be fixed and re-uploaded,
+// followed by why each row was rejected
+app.get('/api/imports/:id/rejections/export', async (req, res) => {
+  const job = await getImportJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Import not found' });
+  }
+
+  const rejections = await all(`
+    SELECT sheet, row_number, reason, details, raw_data FROM import_rejections
+    WHERE job_id = ? ORDER BY id
+  `, [req.params.id]);
+
+  // Date cells come back as Excel serial numbers - write them as real dates again
+  const dateColumn = JSON.parse(job.mapping || '{}').shipment_date;
+  const toDate = (value) => {
+    const date = XLSX.SSF.parse_date_code(value);
+    return date ? new Date(Date.UTC(date.y, date.m - 1, date.d)) : value;
+  };
+
+  const columns = [];
+  const rows = rejections.map(r => {
+    const raw = JSON.parse(r.raw_data || '{}');
+    for (const column of Object.keys(raw)) {
+      if (!columns.includes(column) && !REJECTION_REPORT_COLUMNS.includes(column)) columns.push(column);
+    }
+    if (dateColumn && typeof raw[dateColumn] === 'number') raw[dateColumn] = toDate(raw[dateColumn]);
+    return {
+      ...raw,
+      'Rejection Reason': REJECTION_REASONS[r.reason] || r.reason,
+      'Rejection Details': r.details,
+      'Source Sheet': r.sheet,
+      'Source Row': r.row_number
+    };
+  });
+
+  const summary = Object.entries(rows.reduce((counts, row) => {
+    counts[row['Rejection Reason']] = (counts[row['Rejection Reason']] || 0) + 1;
+    return counts;
+  }, {})).map(([reason, count]) => ({ 'Reason': reason, 'Rows': count }));
+
+  const wb = XLSX.utils.book_new();
+
+  const rejectedWs = XLSX.utils.json_to_sheet(rows, { header: [...columns, ...REJECTION_REPORT_COLUMNS], cellDates: true, dateNF: 'dd-mm-yyyy' });
+  XLSX.utils.book_append_sheet(wb, rejectedWs, 'Rejected Rows');
+
+  const summaryWs = XLSX.utils.json_to_sheet(summary);
+  XLSX.utils.book_append_sheet(wb, summaryWs, 'Summary');
+
+  const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+  const baseName = (job.file_name || job.id).replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+
+  res.setHeader('Content-Disposition', `attachment; filename=${baseName}_rejected_rows.xlsx`);
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.send(buffer);
+});
+
+// Roll back a finished import: delete every row it inserted and its rejected rows. Product,
+// country and port assignments live on the rows and go with them; companies only its rows
+// named are deleted too (see pruneEntities).
+app.delete('/api/imports/:id', async (req, res) => {
+  if (liveImportJobs.has(req.params.id)) {
+    return res.status(409).json({ error: 'Import is still running - cancel it instead' });
+  }
+
+  const detail = await getImportDetail(req.params.id);
+  if (!detail) {
+    return res.status(404).json({ error: 'Import not found' });
+  }
+  if (detail.status === 'rolled_back') {
+    return res.status(409).json({ error: 'Import already rolled back' });
+  }
+
+  try {
+    const [result] = await db.batch([
+      { sql: 'DELETE FROM exports WHERE upload_batch = ?', args: [req.params.id] },
+      { sql: 'DELETE FROM import_rejections WHERE job_id = ?', args: [req.params.id] },
+      {
+        sql: `UPDATE import_jobs SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        args: [req.params.id]
+      }
+    ], 'write');
+    const prunedEntities = await pruneEntities(db);
+    console.log(`↩️  Rolled back import ${req.params.id}: ${result.rowsAffected} rows and ${prunedEntities} companies deleted`);
+
+    // Months only exist through their rows, so tell the client which ones may be gone
+    res.json({ success: true, deleted: result.rowsAffected, months: detail.months });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/imports/:id/cancel', async (req, res) => {
+  const task = importQueue.find(t => t.job.id === req.params.id);
+  if (!task) {
+    const job = await get('SELECT * FROM import_jobs WHERE id = ?', [req.params.id]);
+    if (!job) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+    return res.status(409).json({ error: `Import already ${job.status}` });
+  }
+  task.cancelRequested = true;
+  res.json({ success: true, job: task.job });
+});
+
+// Target fields a mapping can fill, for building mapping editors
+app.get('/api/upload/fields', (req, res) => {
+  res.json(IMPORT_FIELDS.map(({ key, label }) => ({ key, label })));
+});
+
+// ============= CATEGORY ROUTES =============
+
+const categorySlug = (name) => String(name || '').trim().toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// The category an upload is for - it has to exist
+const requireCategory = async (slug) => {
+  const category = slug ? await get('SELECT * FROM categories WHERE slug = ?', [slug]) : null;
+  if (!category) {
+    const err = new Error(slug ? `Unknown category "${slug}"` : 'A category (dataType) is required');
+    err.status = 400;
+    throw err;
+  }
+  return category;
+};
+
+app.get('/api/categories', async (req, res) => {
+  const categories = await all(`
+    SELECT c.*, COUNT(e.id) as row_count
+    FROM categories c
+    LEFT JOIN exports e ON e.data_type = c.slug
+    GROUP BY c.id
+    ORDER BY c.name
+  `);
+  res.json(categories);
+});
+
+app.post('/api/categories', async (req, res) => {
+  const { name, icon, color } = req.body;
+  const slug = categorySlug(req.body.slug || name);
+  if (!name || !name.trim() || !slug) {
+    return res.status(400).json({ error: 'Category name is required' });
+  }
+
+  try {
+    await run('INSERT INTO categories (slug, name, icon, color) VALUES (?, ?, ?, ?)', [
+      slug, name.trim(), (icon || '').trim() || null, (color || '').trim() || null
+    ]);
+    res.json(await get('SELECT * FROM categories WHERE slug = ?', [slug]));
+  } catch (err) {
+    if (err.message && err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: `Category "${slug}" already exists` });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The slug is what stored rows refer to, so only name, icon and color can change
+app.put('/api/categories/:slug', async (req, res) => {
+  const existing = await get('SELECT * FROM categories WHERE slug = ?', [req.params.slug]);
+  if (!existing) {
+    return res.status(404).json({ error: 'Category not found' });
+  }
+
+  const { name, icon, color } = req.body;
+  if (name !== undefined && !name.trim()) {
+    return res.status(400).json({ error: 'Category name is required' });
+  }
+  await run('UPDATE categories SET name = ?, icon = ?, color = ? WHERE id = ?', [
+    name !== undefined ? name.trim() : existing.name,
+    icon !== undefined ? icon.trim() || null : existing.icon,
+    color !== undefined ? color.trim() || null : existing.color,
+    existing.id
+  ]);
+  res.json(await get('SELECT * FROM categories WHERE id = ?', [existing.id]));
+});
+
+app.delete('/api/categories/:slug', async (req, res) => {
+  const used = await get('SELECT COUNT(*) as count FROM exports WHERE data_type = ?', [req.params.slug]);
+  if (used?.count > 0) {
+    return res.status(409).json({ error: `${used.count} stored rows belong to this category - roll back their imports first` });
+  }
+  const rules = await get('SELECT COUNT(*) as count FROM hs_rules WHERE category = ?', [req.params.slug]);
+  if (rules?.count > 0) {
+    return res.status(409).json({ error: `${rules.count} HS classification rules assign this category - change them first` });
+  }
+  await run('DELETE FROM categories WHERE slug = ?', [req.params.slug]);
+  res.json({ success: true });
+});
+
+// ============= HS CLASSIFICATION ROUTES =============
+
+// Validate a rule from the request body; returns the cleaned { hs_prefix, category, product_family }
+const parseHsRule = async (body) => {
+  const hsPrefix = String(body.hs_prefix || '').replace(/\D/g, '');
+  const category = (body.category || '').trim() || null;
+  const productFamily = (body.product_family || '').trim() || null;
+  if (hsPrefix.length < 2) {
+    const err = new Error('HS prefix must have at least 2 digits (a chapter)');
+    err.status = 400;
+    throw err;
+  }
+  if (!category && !productFamily) {
+    const err = new Error('A rule needs a category, a product family or both');
+    err.status = 400;
+    throw err;
+  }
+  if (category) await requireCategory(category);
+  return { hs_prefix: hsPrefix, category, product_family: productFamily };
+};
+
+app.get('/api/hs-rules', async (req, res) => {
+  res.json(await all('SELECT * FROM hs_rules ORDER BY hs_prefix'));
+});
+
+app.post('/api/hs-rules', async (req, res) => {
+  try {
+    const rule = await parseHsRule(req.body);
+    await run('INSERT INTO hs_rules (hs_prefix, category, product_family) VALUES (?, ?, ?)', [
+      rule.hs_prefix, rule.category, rule.product_family
+    ]);
+    res.json(await get('SELECT * FROM hs_rules WHERE hs_prefix = ?', [rule.hs_prefix]));
+  } catch (err) {
+    if (err.message && err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'There is already a rule for this HS prefix' });
+    }
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.put('/api/hs-rules/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const existing = await get('SELECT * FROM hs_rules WHERE id = ?', [id]);
+  if (!existing) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+
+  try {
+    const rule = await parseHsRule({ ...existing, ...req.body });
+    await run('UPDATE hs_rules SET hs_prefix = ?, category = ?, product_family = ? WHERE id = ?', [
+      rule.hs_prefix, rule.category, rule.product_family, id
+    ]);
+    res.json(await get('SELECT * FROM hs_rules WHERE id = ?', [id]));
+  } catch (err) {
+    if (err.message && err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'There is already a rule for this HS prefix' });
+    }
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/hs-rules/:id', async (req, res) => {
+  await run('DELETE FROM hs_rules WHERE id = ?', [parseInt(req.params.id)]);
+  res.json({ success: true });
+});
+
+// Re-classify stored rows with the current rules. The category chosen on upload comes from
+// the import job; rows from before jobs were tracked keep their own category as the choice.
+app.post('/api/hs-rules/apply', async (req, res) => {
+  const chosen = new Map((await all('SELECT id, data_type FROM import_jobs')).map(j => [j.id, j.data_type]));
+  const pageSize = 5000;
+  let lastId = 0;
+  let scanned = 0;
+  let updated = 0;
+  let conflicts = 0;
+
+  try {
+    const hsRules = await loadHsRules(db);
+    for (;;) {
+      const rows = await all(`
+        SELECT id, declaration_id, exporter_name, consignee_name, product_description, data_type, hs_code,
+               quantity, unit, fob_value, port_of_loading, port_of_discharge, country_of_destination,
+               shipment_date, upload_batch, product_family, category_conflict
+        FROM exports WHERE id > ? ORDER BY id LIMIT ?
+      `, [lastId, pageSize]);
+      if (rows.length === 0) break;
+      lastId = rows[rows.length - 1].id;
+      scanned += rows.length;
+
+      const statements = [];
+      for (const row of rows) {
+        const classified = classifyHsCode(row.hs_code, chosen.get(row.upload_batch) || row.data_type, hsRules);
+        conflicts += classified.category_conflict;
+        if (classified.data_type === row.data_type && classified.product_family === row.product_family &&
+            classified.category_conflict === row.category_conflict) continue;
+
+        // Synthetic IDs hash the category, so they follow it - or re-uploads would no longer dedupe
+        const declarationId = row.declaration_id.startsWith(SYNTHETIC_ID_PREFIX)
+          ? syntheticDeclarationId({ ...row, ...classified })
+          : row.declaration_id;
+        statements.push({
+          sql: `UPDATE OR IGNORE exports SET data_type = ?, product_category = ?, product_family = ?,
+                category_conflict = ?, declaration_id = ? WHERE id = ?`,
+          args: [classified.data_type, classified.product_category, classified.product_family,
+            classified.category_conflict, declarationId, row.id]
+        });
+      }
+      if (statements.length > 0) {
+        const results = await db.batch(statements, 'write');
+        updated += results.reduce((sum, r) => sum + r.rowsAffected, 0);
+      }
+    }
+
+    console.log(`🏷️ Re-applied HS rules: ${updated} of ${scanned} rows changed, ${conflicts} conflicts`);
+    res.json({ scanned, updated, conflicts });
+  } catch (err) {
+    console.error('HS rule apply error:', err);
+    res.status(500).json({ error: err.message, scanned, updated });
+  }
+});
+
+// HS code reference. With ?level=, the codes at that level found in the data or the
+// reference, with their description (null when there is none yet) and totals.
+app.get('/api/hs-codes', async (req, res) => {
+  if (req.query.level === undefined) {
+    return res.json(await all('SELECT * FROM hs_codes ORDER BY code'));
+  }
+  const level = parseHsLevel(req.query.level);
+  if (!level) {
+    return res.status(400).json({ error: `level must be one of ${HS_LEVELS.join(', ')}` });
+  }
+  const codes = await all(`
+    SELECT code, h.description, COALESCE(t.row_count, 0) as row_count, COALESCE(t.total_fob, 0) as total_fob
+    FROM (
+      SELECT code FROM hs_codes WHERE level = ?
+      UNION
+      SELECT DISTINCT ${hsCodeSql(level)} FROM exports WHERE LENGTH(hs_code) >= ?
+    ) c
+    LEFT JOIN hs_codes h USING (code)
+    LEFT JOIN (
+      SELECT ${hsCodeSql(level)} as code, COUNT(*) as row_count, SUM(fob_usd) as total_fob
+      FROM exports GROUP BY ${hsCodeSql(level)}
+    ) t USING (code)
+    ORDER BY code
+  `, [level, level]);
+  res.json(codes);
+});
+
+// Add or change the description of a chapter, heading, subheading or tariff line
+app.put('/api/hs-codes/:code', async (req, res) => {
+  const code = hsDigits(req.params.code);
+  const description = String(req.body.description || '').trim();
+  if (!HS_LEVELS.includes(code.length) || !description) {
+    return res.status(400).json({ error: 'A 2, 4, 6 or 8 digit code and a description are required' });
+  }
+  await run(`
+    INSERT INTO hs_codes (code, level, description) VALUES (?, ?, ?)
+    ON CONFLICT(code) DO UPDATE SET description = excluded.description
+  `, [code, code.length, description]);
+  res.json({ code, level: code.length, description });
+});
+
+app.delete('/api/hs-codes/:code', async (req, res) => {
+  await run('DELETE FROM hs_codes WHERE code = ?', [hsDigits(req.params.code)]);
+  res.json({ success: true });
+});
+
+// ============= FX RATE ROUTES =============
+
+// Validate one rate; returns { currency, month, rate } or throws a 400
+const parseFxRate = (currency, month, rate) => {
+  const code = normalizeCurrency(currency);
+  const rateMonth = parseRateMonth(month);
+  const value = parseFloat(String(rate ?? '').replace(/,/g, ''));
+  let message = null;
+  if (!/^[A-Z]{3}$/.test(code) || code === 'USD') message = `"${currency}" is not a currency code other than USD`;
+  else if (!rateMonth) message = `"${month}" is not a month (YYYY-MM)`;
+  else if (!(value > 0)) message = `Rate "${rate}" must be a positive number of ${code} per USD`;
+  if (message) {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  }
+  return { currency: code, month: rateMonth, rate: value };
+};
+
+// Re-convert the rows whose FOB depends on these currencies' rates - all rows for INR,
+// since every fob_inr is derived from it
+const reconvertFob = async (currencies) => {
+  const statements = currencies.includes('INR')
+    ? convertFobStatements()
+    : convertFobStatements(`fob_currency IN (${currencies.map(() => '?').join(',')})`, currencies);
+  await db.batch(statements, 'write');
+};
+
+app.get('/api/fx-rates', async (req, res) => {
+  res.json(await all('SELECT currency, month, rate, updated_at FROM fx_rates ORDER BY currency, month DESC'));
+});
+
+// Currency / month combinations that stored rows need a rate for
+app.get('/api/fx-rates/missing', async (req, res) => {
+  res.json(await all(missingRatesSql()));
+});
+
+app.put('/api/fx-rates/:currency/:month', async (req, res) => {
+  try {
+    const { currency, month, rate } = parseFxRate(req.params.currency, req.params.month, req.body.rate);
+    await run(`
+      INSERT INTO fx_rates (currency, month, rate) VALUES (?, ?, ?)
+      ON CONFLICT(currency, month) DO UPDATE SET rate = excluded.rate, updated_at = CURRENT_TIMESTAMP
+    `, [currency, month, rate]);
+    await reconvertFob([currency]);
+    res.json({ currency, month, rate });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/fx-rates/:currency/:month', async (req, res) => {
+  const currency = normalizeCurrency(req.params.currency);
+  await run('DELETE FROM fx_rates WHERE currency = ? AND month = ?', [currency, req.params.month]);
+  await reconvertFob([currency]);
+  res.json({ success: true });
+});
+
+// CSV with currency, month and rate (units per USD) columns; existing months are overwritten
+const FX_CSV_COLUMNS = {
+  currency: ['currency', 'ccy', 'code', 'currencycode'],
+  month: ['month', 'period', 'monthyear', 'date'],
+  rate: ['rate', 'unitsperusd', 'perusd', 'fxrate', 'exchangerate', 'value']
+};
+
+app.post('/api/fx-rates/import', receiveFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    if (!DELIMITED_EXTENSIONS.includes(path.extname(req.file.originalname).toLowerCase())) {
+      const err = new Error('Rates are imported from a .csv, .tsv or .txt file');
+      err.status = 400;
+      throw err;
+    }
+
+    const rates = new Map();
+    const errors = [];
+    let columns = null;
+    for await (const row of readDelimitedRows(req.file.path, await sniffDelimited(req.file.path))) {
+      if (!columns) {
+        const headers = Object.keys(row);
+        columns = Object.fromEntries(Object.entries(FX_CSV_COLUMNS).map(([key, names]) => [
+          key, headers.find(h => names.includes(h.toLowerCase().replace(/[^a-z]/g, '')))
+        ]));
+        const absent = Object.keys(columns).filter(key => !columns[key]);
+        if (absent.length > 0) {
+          const err = new Error(`Rate file needs ${absent.join(', ')} column(s); found ${headers.join(', ')}`);
+          err.status = 400;
+          throw err;
+        }
+      }
+      try {
+        const rate = parseFxRate(row[columns.currency], row[columns.month], row[columns.rate]);
+        rates.set(`${rate.currency}|${rate.month}`, rate);
+      } catch (err) {
+        errors.push({ row: row.__rowNum__ + 1, error: err.message });
+      }
+    }
+    if (rates.size === 0) {
+      const err = new Error(errors[0] ? `No valid rates - row ${errors[0].row}: ${errors[0].error}` : 'The file has no rates');
+      err.status = 400;
+      throw err;
+    }
+
+    await db.batch([...rates.values()].map(({ currency, month, rate }) => ({
+      sql: `INSERT INTO fx_rates (currency, month, rate) VALUES (?, ?, ?)
+            ON CONFLICT(currency, month) DO UPDATE SET rate = excluded.rate, updated_at = CURRENT_TIMESTAMP`,
+      args: [currency, month, rate]
+    })), 'write');
+    const currencies = [...new Set([...rates.values()].map(r => r.currency))];
+    await reconvertFob(currencies);
+
+    console.log(`💱 Imported ${rates.size} FX rates for ${currencies.join(', ')}`);
+    res.json({ imported: rates.size, currencies, errors });
+  } catch (err) {
+    console.error('FX rate import error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+  } finally {
+    await fs.promises.rm(req.file.path, { force: true });
+  }
+});
+
+// ============= UNIT ROUTES =============
+
+app.get('/api/units', async (req, res) => {
+  res.json(await all(`
+    SELECT unit, kg_per_unit,
+      CASE WHEN kg_per_unit IS NULL THEN COALESCE(count_unit, unit) END as count_unit,
+      CASE WHEN kg_per_unit IS NULL THEN COALESCE(count_per_unit, 1) END as count_per_unit,
+      updated_at
+    FROM unit_conversions ORDER BY kg_per_unit IS NULL, unit
+  `));
+});
+
+// Units stored rows use that have no conversion yet - their quantities are neither weighed nor counted
+app.get('/api/units/unknown', async (req, res) => {
+  res.json(await all(unknownUnitsSql));
+});
+
+// kg_per_unit: kg in one unit, or null for a unit that isn't a weight (pieces, boxes...).
+// A count unit is counted in count_unit (default: itself), count_per_unit (default 1) at a time.
+app.put('/api/units/:unit', async (req, res) => {
+  const unit = unitKey(req.params.unit);
+  const blank = (value) => value === null || value === undefined || value === '';
+  const kgPerUnit = blank(req.body.kg_per_unit) ? null : parseFloat(req.body.kg_per_unit);
+  const countUnit = kgPerUnit === null ? unitKey(req.body.count_unit) || unit : null;
+  const countPerUnit = kgPerUnit === null ? (blank(req.body.count_per_unit) ? 1 : parseFloat(req.body.count_per_unit)) : null;
+  if (!unit) {
+    return res.status(400).json({ error: 'Unit is required' });
+  }
+  if (kgPerUnit !== null && !(kgPerUnit > 0)) {
+    return res.status(400).json({ error: 'kg per unit must be a positive number, or empty for a count unit' });
+  }
+  if (countPerUnit !== null && !(countPerUnit > 0)) {
+    return res.status(400).json({ error: `${countUnit} per ${unit} must be a positive number` });
+  }
+
+  await run(`
+    INSERT INTO unit_conversions (unit, kg_per_unit, count_unit, count_per_unit) VALUES (?, ?, ?, ?)
+    ON CONFLICT(unit) DO UPDATE SET kg_per_unit = excluded.kg_per_unit, count_unit = excluded.count_unit,
+      count_per_unit = excluded.count_per_unit, updated_at = CURRENT_TIMESTAMP
+  `, [unit, kgPerUnit, countUnit, countPerUnit]);
+  await db.execute(convertQuantityStatement(`${UNIT_KEY_SQL} = ?`, [unit]));
+  res.json({ unit, kg_per_unit: kgPerUnit, count_unit: countUnit, count_per_unit: countPerUnit });
+});
+
+app.delete('/api/units/:unit', async (req, res) => {
+  const unit = unitKey(req.params.unit);
+  await run('DELETE FROM unit_conversions WHERE unit = ?', [unit]);
+  await db.execute(convertQuantityStatement(`${UNIT_KEY_SQL} = ?`, [unit]));
+  res.json({ success: true });
+});
+
+// ============= PLACEHOLDER NAME ROUTES =============
+
+// Patterns, and the stored consignee names they flag, most used first
+app.get('/api/placeholders', async (req, res) => {
+  const names = await all(`
+    SELECT consignee_name as name, COUNT(*) as row_count FROM exports
+    WHERE consignee_placeholder = 1
+    GROUP BY consignee_name
+    ORDER BY row_count DESC
+    LIMIT 100
+  `);
+  res.json({ patterns: await placeholderPatterns(db), names });
+});
+
+// Changing the patterns re-flags every stored row
+app.post('/api/placeholders', async (req, res) => {
+  const pattern = placeholderKey(req.body.pattern);
+  if (!pattern.replace(/\*/g, '').trim()) {
+    return res.status(400).json({ error: 'Pattern is required' });
+  }
+  try {
+    await run('INSERT INTO name_placeholders (pattern) VALUES (?)', [pattern]);
+  } catch (err) {
+    return res.status(409).json({ error: `${pattern} is already a placeholder pattern` });
+  }
+  const flaggedNames = await flagPlaceholders(db);
+  res.json({ pattern, flagged_names: flaggedNames });
+});
+
+app.delete('/api/placeholders/:pattern', async (req, res) => {
+  await run('DELETE FROM name_placeholders WHERE pattern = ?', [placeholderKey(req.params.pattern)]);
+  const flaggedNames = await flagPlaceholders(db);
+  res.json({ success: true, flagged_names: flaggedNames });
+});
+
+// ============= PRODUCT CATALOGUE ROUTES =============
+// Every change to the catalogue re-matches all stored descriptions
+
+const listProducts = async () => {
+  const products = await all(`
+    SELECT p.id, p.name, COUNT(e.id) as row_count, SUM(e.fob_usd) as total_fob
+    FROM products p LEFT JOIN exports e ON e.product_id = p.id
+    GROUP BY p.id ORDER BY p.name
+  `);
+  const rules = await all('SELECT id, product_id, keywords, hs_prefix FROM product_rules ORDER BY keywords');
+  return products.map(p => ({ ...p, rules: rules.filter(r => r.product_id === p.id) }));
+};
+
+// Validate a rule from the request body; returns the cleaned { keywords, hs_prefix }
+const parseProductRule = (body) => {
+  const keywords = String(body.keywords || '').trim().toUpperCase().replace(/\s+/g, ' ');
+  const hsPrefix = String(body.hs_prefix || '').trim() || null;
+  if (productWords(keywords).length === 0) {
+    const err = new Error('Keywords are required');
+    err.status = 400;
+    throw err;
+  }
+  if (hsPrefix && !/^\d{2,8}$/.test(hsPrefix)) {
+    const err = new Error('HS prefix must be 2 to 8 digits');
+    err.status = 400;
+    throw err;
+  }
+  return { keywords, hs_prefix: hsPrefix };
+};
+
+const findProduct = async (id) => {
+  const product = await get('SELECT * FROM products WHERE id = ?', [id]);
+  if (!product) {
+    const err = new Error('Product not found');
+    err.status = 404;
+    throw err;
+  }
+  return product;
+};
+
+const productNameFree = async (name, exceptId = 0) => {
+  if (await get('SELECT id FROM products WHERE name = ? AND id != ?', [name, exceptId])) {
+    const err = new Error(`There already is a product named ${name}`);
+    err.status = 409;
+    throw err;
+  }
+};
+
+app.get('/api/products', async (req, res) => {
+  res.json(await listProducts());
+});
+
+// Descriptions no rule matches, biggest first
+app.get('/api/products/review', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const descriptions = await all(`
+    SELECT product_description, GROUP_CONCAT(DISTINCT hs_code) as hs_codes,
+           COUNT(*) as row_count, SUM(fob_usd) as total_fob
+    FROM exports
+    WHERE product_id IS NULL AND product_description IS NOT NULL AND product_description != ''
+    GROUP BY product_description
+    ORDER BY total_fob DESC
+    LIMIT ?
+  `, [limit]);
+  const total = await get(`
+    SELECT COUNT(DISTINCT product_description) as descriptions, COUNT(*) as rows FROM exports
+    WHERE product_id IS NULL AND product_description IS NOT NULL AND product_description != ''
+  `);
+  res.json({ descriptions, total_descriptions: total?.descriptions || 0, total_rows: total?.rows || 0 });
+});
+
+// name, and the keywords (default: the name) and optional hs_prefix of its first rule
+app.post('/api/products', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim().toUpperCase();
+    if (!name) {
+      const err = new Error('Product name is required');
+      err.status = 400;
+      throw err;
+    }
+    const rule = parseProductRule({ ...req.body, keywords: req.body.keywords || name });
+    await productNameFree(name);
+
+    await db.batch([
+      { sql: 'INSERT INTO products (name) VALUES (?)', args: [name] },
+      {
+        sql: 'INSERT INTO product_rules (product_id, keywords, hs_prefix) SELECT id, ?, ? FROM products WHERE name = ?',
+        args: [rule.keywords, rule.hs_prefix, name]
+      }
+    ], 'write');
+    const result = await assignProducts(db);
+    res.json({ product: await get('SELECT * FROM products WHERE name = ?', [name]), ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.put('/api/products/:id', async (req, res) => {
+  try {
+    const product = await findProduct(parseInt(req.params.id));
+    const name = String(req.body.name || '').trim().toUpperCase();
+    if (!name) {
+      const err = new Error('Product name is required');
+      err.status = 400;
+      throw err;
+    }
+    await productNameFree(name, product.id);
+    await run('UPDATE products SET name = ? WHERE id = ?', [name, product.id]);
+    res.json({ ...product, name });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Its rows go back to the review queue unless another product's rules match them
+app.delete('/api/products/:id', async (req, res) => {
+  try {
+    const product = await findProduct(parseInt(req.params.id));
+    await db.batch([
+      { sql: 'DELETE FROM product_rules WHERE product_id = ?', args: [product.id] },
+      { sql: 'DELETE FROM products WHERE id = ?', args: [product.id] }
+    ], 'write');
+    res.json({ success: true, ...await assignProducts(db) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Assigning a description from the review queue adds a rule made of its words
+app.post('/api/products/:id/rules', async (req, res) => {
+  try {
+    const product = await findProduct(parseInt(req.params.id));
+    const rule = parseProductRule(req.body);
+    await run('INSERT INTO product_rules (product_id, keywords, hs_prefix) VALUES (?, ?, ?)', [
+      product.id, rule.keywords, rule.hs_prefix
+    ]);
+    res.json({ product_id: product.id, ...rule, ...await assignProducts(db) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/products/:id/rules/:ruleId', async (req, res) => {
+  await run('DELETE FROM product_rules WHERE id = ? AND product_id = ?', [parseInt(req.params.ruleId), parseInt(req.params.id)]);
+  res.json({ success: true, ...await assignProducts(db) });
+});
+
+// ============= COUNTRY ROUTES =============
+// Changing aliases re-resolves the country of every stored row
+
+const findCountry = async (code) => {
+  const country = await get('SELECT * FROM countries WHERE code = ?', [String(code || '').toUpperCase()]);
+  if (!country) {
+    const err = new Error('Country not found');
+    err.status = 404;
+    throw err;
+  }
+  return country;
+};
+
+app.get('/api/countries', async (req, res) => {
+  const countries = await all(`
+    SELECT c.code, c.name, COUNT(e.id) as row_count, SUM(e.fob_usd) as total_fob
+    FROM countries c LEFT JOIN exports e ON e.country_code = c.code
+    GROUP BY c.code ORDER BY c.name
+  `);
+  const aliases = await all('SELECT alias, code FROM country_aliases ORDER BY alias');
+  const regions = await all('SELECT region, code FROM country_regions ORDER BY region');
+  res.json(countries.map(c => ({
+    ...c,
+    aliases: aliases.filter(a => a.code === c.code).map(a => a.alias),
+    regions: regions.filter(r => r.code === c.code).map(r => r.region)
+  })));
+});
+
+// Countries as filed that no alias resolves, biggest first
+app.get('/api/countries/unknown', async (req, res) => {
+  const values = await all(`
+    SELECT country_of_destination, COUNT(*) as row_count, SUM(fob_usd) as total_fob
+    FROM exports
+    WHERE country_code IS NULL AND country_of_destination IS NOT NULL AND country_of_destination != ''
+    GROUP BY country_of_destination
+    ORDER BY total_fob DESC
+  `);
+  res.json(values);
+});
+
+// code (ISO 3166-1 alpha-2) and name; both become aliases of the new country
+app.post('/api/countries', async (req, res) => {
+  try {
+    const code = String(req.body.code || '').trim().toUpperCase();
+    const name = countryKey(req.body.name);
+    if (!/^[A-Z]{2}$/.test(code) || !name) {
+      const err = new Error('A two-letter country code and a name are required');
+      err.status = 400;
+      throw err;
+    }
+    if (await get('SELECT code FROM countries WHERE code = ?', [code])) {
+      const err = new Error(`Country ${code} already exists`);
+      err.status = 409;
+      throw err;
+    }
+    await db.batch([
+      { sql: 'INSERT INTO countries (code, name) VALUES (?, ?)', args: [code, name] },
+      ...[...new Set([code, name])].map(alias => ({
+        sql: 'INSERT OR IGNORE INTO country_aliases (alias, code) VALUES (?, ?)',
+        args: [alias, code]
+      }))
+    ], 'write');
+    const unknown = await assignCountries(db);
+    res.json({ code, name, unknown });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Assigning an unknown value from the review list adds it as an alias
+app.post('/api/countries/:code/aliases', async (req, res) => {
+  try {
+    const country = await findCountry(req.params.code);
+    const alias = countryKey(req.body.alias);
+    if (!alias) {
+      const err = new Error('Alias is required');
+      err.status = 400;
+      throw err;
+    }
+    const existing = await get('SELECT code FROM country_aliases WHERE alias = ?', [alias]);
+    if (existing && existing.code !== country.code) {
+      const err = new Error(`${alias} already stands for ${existing.code}`);
+      err.status = 409;
+      throw err;
+    }
+    await run('INSERT OR IGNORE INTO country_aliases (alias, code) VALUES (?, ?)', [alias, country.code]);
+    const unknown = await assignCountries(db);
+    res.json({ code: country.code, alias, unknown });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/countries/:code/aliases/:alias', async (req, res) => {
+  await run('DELETE FROM country_aliases WHERE alias = ? AND code = ?', [
+    countryKey(req.params.alias), String(req.params.code).toUpperCase()
+  ]);
+  res.json({ success: true, unknown: await assignCountries(db) });
+});
+
+app.get('/api/regions', async (req, res) => {
+  const rows = await all(`
+    SELECT r.region, r.code, c.name FROM country_regions r
+    LEFT JOIN countries c ON c.code = r.code
+    ORDER BY r.region, c.name
+  `);
+  const regions = new Map();
+  rows.forEach(r => {
+    if (!regions.has(r.region)) regions.set(r.region, []);
+    regions.get(r.region).push({ code: r.code, name: r.name });
+  });
+  res.json([...regions].map(([region, countries]) => ({ region, countries })));
+});
+
+// Replaces the region's countries with `codes`
+app.put('/api/regions/:region', async (req, res) => {
+  try {
+    const region = countryKey(req.params.region);
+    const codes = [...new Set((Array.isArray(req.body.codes) ? req.body.codes : [])
+      .map(code => String(code).trim().toUpperCase()))];
+    if (!region || codes.length === 0) {
+      const err = new Error('A region name and at least one country code are required');
+      err.status = 400;
+      throw err;
+    }
+    const known = await all(`SELECT code FROM countries WHERE code IN (${codes.map(() => '?').join(',')})`, codes);
+    const missing = codes.filter(code => !known.some(k => k.code === code));
+    if (missing.length > 0) {
+      const err = new Error(`Unknown country codes: ${missing.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    await db.batch([
+      { sql: 'DELETE FROM country_regions WHERE region = ?', args: [region] },
+      ...codes.map(code => ({ sql: 'INSERT INTO country_regions (region, code) VALUES (?, ?)', args: [region, code] }))
+    ], 'write');
+    res.json({ region, codes });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/regions/:region', async (req, res) => {
+  await run('DELETE FROM country_regions WHERE region = ?', [countryKey(req.params.region)]);
+  res.json({ success: true });
+});
+
+// ============= PORT ROUTES =============
+// Changing aliases re-resolves the ports of every stored row
+
+const findPort = async (code) => {
+  const port = await get('SELECT * FROM ports WHERE code = ?', [portKey(code)]);
+  if (!port) {
+    const err = new Error('Port not found');
+    err.status = 404;
+    throw err;
+  }
+  return port;
+};
+
+app.get('/api/ports', async (req, res) => {
+  const ports = await all(`
+    SELECT p.*,
+      (SELECT COUNT(*) FROM exports e WHERE e.loading_port_code = p.code) as loading_rows,
+      (SELECT COUNT(*) FROM exports e WHERE e.discharge_port_code = p.code) as discharge_rows
+    FROM ports p ORDER BY p.country_code != 'IN', p.name
+  `);
+  const aliases = await all('SELECT alias, code FROM port_aliases ORDER BY alias');
+  res.json(ports.map(p => ({ ...p, aliases: aliases.filter(a => a.code === p.code).map(a => a.alias) })));
+});
+
+// Ports as filed that no alias resolves, by rows; side tells which column they were found in
+app.get('/api/ports/unknown', async (req, res) => {
+  const values = await all(`
+    SELECT value, GROUP_CONCAT(DISTINCT side) as side, SUM(row_count) as row_count, SUM(total_fob) as total_fob FROM (
+      SELECT port_of_loading as value, 'loading' as side, COUNT(*) as row_count, SUM(fob_usd) as total_fob FROM exports
+      WHERE loading_port_code IS NULL AND port_of_loading IS NOT NULL AND port_of_loading != ''
+      GROUP BY port_of_loading
+      UNION ALL
+      SELECT port_of_discharge, 'discharge', COUNT(*), SUM(fob_usd) FROM exports
+      WHERE discharge_port_code IS NULL AND port_of_discharge IS NOT NULL AND port_of_discharge != ''
+      GROUP BY port_of_discharge
+    )
+    GROUP BY value
+    ORDER BY row_count DESC
+  `);
+  res.json(values);
+});
+
+// code (ICEGATE or UN/LOCODE), name, state, country_code and mode; code and name become aliases
+app.post('/api/ports', async (req, res) => {
+  try {
+    const code = portKey(req.body.code).replace(/ /g, '');
+    const name = portKey(req.body.name);
+    const mode = String(req.body.mode || 'sea').toLowerCase();
+    if (!code || !name) {
+      const err = new Error('Port code and name are required');
+      err.status = 400;
+      throw err;
+    }
+    if (!PORT_MODES.includes(mode)) {
+      const err = new Error(`Mode must be one of ${PORT_MODES.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    if (await get('SELECT code FROM ports WHERE code = ?', [code])) {
+      const err = new Error(`Port ${code} already exists`);
+      err.status = 409;
+      throw err;
+    }
+    const state = portKey(req.body.state) || null;
+    const countryCode = String(req.body.country_code || code.slice(0, 2)).trim().toUpperCase();
+    await db.batch([
+      {
+        sql: 'INSERT INTO ports (code, name, state, country_code, mode) VALUES (?, ?, ?, ?, ?)',
+        args: [code, name, state, countryCode, mode]
+      },
+      ...[...new Set([code, name])].map(alias => ({
+        sql: 'INSERT OR IGNORE INTO port_aliases (alias, code) VALUES (?, ?)',
+        args: [alias, code]
+      }))
+    ], 'write');
+    const unknown = await assignPorts(db);
+    res.json({ code, name, state, country_code: countryCode, mode, unknown });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Assigning an unknown value from the review list adds it as an alias
+app.post('/api/ports/:code/aliases', async (req, res) => {
+  try {
+    const port = await findPort(req.params.code);
+    const alias = portKey(req.body.alias);
+    if (!alias) {
+      const err = new Error('Alias is required');
+      err.status = 400;
+      throw err;
+    }
+    const existing = await get('SELECT code FROM port_aliases WHERE alias = ?', [alias]);
+    if (existing && existing.code !== port.code) {
+      const err = new Error(`${alias} already stands for ${existing.code}`);
+      err.status = 409;
+      throw err;
+    }
+    await run('INSERT OR IGNORE INTO port_aliases (alias, code) VALUES (?, ?)', [alias, port.code]);
+    const unknown = await assignPorts(db);
+    res.json({ code: port.code, alias, unknown });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/ports/:code/aliases/:alias', async (req, res) => {
+  await run('DELETE FROM port_aliases WHERE alias = ? AND code = ?', [portKey(req.params.alias), portKey(req.params.code)]);
+  res.json({ success: true, unknown: await assignPorts(db) });
+});
+
+// ============= MAPPING PROFILE ROUTES =============
+
+// Keep only known fields with a column name
+const cleanProfileMapping = (mapping) => {
+  const clean = {};
+  for (const field of IMPORT_FIELDS) {
+    const column = mapping?.[field.key];
+    if (column && String(column).trim()) clean[field.key] = String(column);
+  }
+  return clean;
+};
+
+app.get('/api/mapping-profiles', async (req, res) => {
+  const profiles = await all('SELECT * FROM mapping_profiles ORDER BY name');
+  res.json(profiles.map(parseProfile));
+});
+
+app.post('/api/mapping-profiles', async (req, res) => {
+  const { name, vendor, mapping, columns, date_format } = req.body;
+  if (!String(name ?? '').trim()) {
+    return res.status(400).json({ error: 'Profile name is required' });
+  }
+  if (date_format && !DATE_FORMATS[date_format]) {
+    return res.status(400).json({ error: `Date format must be one of ${Object.keys(DATE_FORMATS).join(', ')}` });
+  }
+  const clean = cleanProfileMapping(mapping);
+  if (Object.keys(clean).length === 0) {
+    return res.status(400).json({ error: 'Mapping must assign at least one column' });
+  }
+
+  try {
+    await run(`
+      INSERT INTO mapping_profiles (name, vendor, mapping, header_fingerprint, date_format)
+      VALUES (?, ?, ?, ?, ?)
+    `, [String(name).trim(), String(vendor ?? '').trim(), JSON.stringify(clean), columns?.length ? headerFingerprint(columns) : null, date_format || null]);
+    const profile = await get('SELECT * FROM mapping_profiles WHERE name = ?', [String(name).trim()]);
+    res.json(parseProfile(profile));
+  } catch (err) {
+    if (err.message && err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'A profile with this name already exists' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/mapping-profiles/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  const existing = parseProfile(await get('SELECT * FROM mapping_profiles WHERE id = ?', [id]));
+  if (!existing) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+
+  const { name, vendor, mapping, columns, date_format } = req.body;
+  const clean = mapping ? cleanProfileMapping(mapping) : existing.mapping;
+  if (Object.keys(clean).length === 0) {
+    return res.status(400).json({ error: 'Mapping must assign at least one column' });
+  }
+  if (date_format && !DATE_FORMATS[date_format]) {
+    return res.status(400).json({ error: `Date format must be one of ${Object.keys(DATE_FORMATS).join(', ')}` });
+  }
+
+  try {
+    await run(`
+      UPDATE mapping_profiles
+      SET name = ?, vendor = ?, mapping = ?, header_fingerprint = ?, date_format = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      String(name ?? '').trim() || existing.name,
+      vendor !== undefined ? String(vendor ?? '').trim() : existing.vendor,
+      JSON.stringify(clean),
+      columns?.length ? headerFingerprint(columns) : existing.header_fingerprint,
+      // null / '' switches the profile back to detecting the format
+      date_format !== undefined ? date_format || null : existing.date_format,
+      id
+    ]);
+    res.json(parseProfile(await get('SELECT * FROM mapping_profiles WHERE id = ?', [id])));
+  } catch (err) {
+    if (err.message && err.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'A profile with this name already exists' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/mapping-profiles/:id', async (req, res) => {
+  await run('DELETE FROM mapping_profiles WHERE id = ?', [parseInt(req.params.id)]);
+  res.json({ success: true });
+});
+
+// ============= ENTITY ROUTES =============
+
+// Entity ids the tracked competitors or clients resolve to
+const trackedEntityIds = async (table) => {
+  const tracked = await trackedMembers(db, table);
+  return entityIdsFor(db, tracked.map(t => t.name));
+};
+
+// Rows of one company, under any of its spellings, for routes given ?entity=<name>
+const entityFilter = async (entity, field) => {
+  const ids = await entityIdsFor(db, [entity]);
+  return { sql: `${ENTITY_COLUMNS[field]} IN (${ids.map(() => '?').join(',')})`, args: ids };
+};
+
+// { id -> { id, name, aliases, exporter_rows, consignee_rows } } for the given entity ids
+const describeEntities = async (ids) => {
+  const described = {};
+  if (ids.length === 0) return described;
+  const placeholders = ids.map(() => '?').join(',');
+  const entities = await all(`
+    SELECT id, name,
+      (SELECT COUNT(*) FROM exports WHERE exporter_entity_id = entities.id) as exporter_rows,
+      (SELECT COUNT(*) FROM exports WHERE consignee_entity_id = entities.id) as consignee_rows
+    FROM entities WHERE id IN (${placeholders})
+  `, ids);
+  entities.forEach(e => { described[e.id] = { ...e, aliases: [] }; });
+  const aliases = await all(`
+    SELECT alias, entity_id, source FROM entity_aliases WHERE entity_id IN (${placeholders}) ORDER BY alias
+  `, ids);
+  aliases.forEach(a => described[a.entity_id]?.aliases.push({ alias: a.alias, source: a.source }));
+  return described;
+};
+
+const findEntity = async (id) => {
+  const entity = await get('SELECT id, name FROM entities WHERE id = ?', [id]);
+  if (!entity) {
+    const err = new Error('Company not found');
+    err.status = 404;
+    throw err;
+  }
+  return entity;
+};
+
+// Search companies by any of their spellings
+app.get('/api/entities', async (req, res) => {
+  const key = companyKey(req.query.q);
+  if (key.length < 2) {
+    return res.json([]);
+  }
+  const matches = await all(`
+    SELECT DISTINCT entity_id FROM entity_aliases WHERE alias LIKE ? LIMIT 50
+  `, [`%${key}%`]);
+  const described = await describeEntities(matches.map(m => m.entity_id));
+  res.json(Object.values(described)
+    .sort((a, b) => (b.exporter_rows + b.consignee_rows) - (a.exporter_rows + a.consignee_rows)));
+});
+
+// Review queue: companies whose names only differ in spacing or legal form
+app.get('/api/entities/suggestions', async (req, res) => {
+  const pairs = await all(`
+    SELECT a.base_key, a.entity_id, b.entity_id as other_entity_id
+    FROM entity_aliases a
+    JOIN entity_aliases b ON b.base_key = a.base_key AND b.entity_id > a.entity_id
+    WHERE a.base_key != ''
+    AND NOT EXISTS (
+      SELECT 1 FROM entity_merge_dismissals d
+      WHERE d.entity_id = a.entity_id AND d.other_entity_id = b.entity_id
+    )
+    GROUP BY a.entity_id, b.entity_id
+    LIMIT 200
+  `);
+  const described = await describeEntities([...new Set(pairs.flatMap(p => [p.entity_id, p.other_entity_id]))]);
+  const rowsOf = (e) => e.exporter_rows + e.consignee_rows;
+
+  res.json(pairs
+    .filter(p => described[p.entity_id] && described[p.other_entity_id])
+    .map(p => ({ base_key: p.base_key, entities: [described[p.entity_id], described[p.other_entity_id]].sort((a, b) => rowsOf(b) - rowsOf(a)) }))
+    .sort((a, b) => rowsOf(b.entities[0]) + rowsOf(b.entities[1]) - rowsOf(a.entities[0]) - rowsOf(a.entities[1])));
+});
+
+app.post('/api/entities/suggestions/dismiss', async (req, res) => {
+  const ids = [parseInt(req.body.entityId), parseInt(req.body.otherEntityId)].sort((a, b) => a - b);
+  if (ids.some(isNaN) || ids[0] === ids[1]) {
+    return res.status(400).json({ error: 'entityId and otherEntityId must be two different companies' });
+  }
+  await run('INSERT OR IGNORE INTO entity_merge_dismissals (entity_id, other_entity_id) VALUES (?, ?)', ids);
+  res.json({ success: true });
+});
+
+// Fold a company into another: its spellings and rows move, the company itself goes
+app.post('/api/entities/:id/merge', async (req, res) => {
+  try {
+    const source = await findEntity(parseInt(req.params.id));
+    const target = await findEntity(parseInt(req.body.into));
+    if (source.id === target.id) {
+      return res.status(400).json({ error: 'A company cannot be merged into itself' });
+    }
+
+    await db.batch([
+      { sql: 'UPDATE entity_aliases SET entity_id = ? WHERE entity_id = ?', args: [target.id, source.id] },
+      ...Object.values(ENTITY_COLUMNS).map(column => ({
+        sql: `UPDATE exports SET ${column} = ? WHERE ${column} = ?`,
+        args: [target.id, source.id]
+      })),
+      { sql: 'DELETE FROM entity_merge_dismissals WHERE entity_id = ? OR other_entity_id = ?', args: [source.id, source.id] },
+      { sql: 'DELETE FROM entities WHERE id = ?', args: [source.id] }
+    ], 'write');
+    console.log(`🔗 Merged "${source.name}" into "${target.name}"`);
+
+    res.json((await describeEntities([target.id]))[target.id]);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Rename a company; the new name becomes one of its spellings
+app.put('/api/entities/:id', async (req, res) => {
+  const name = (req.body.name || '').trim().toUpperCase();
+  const key = companyKey(name);
+  if (!key) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+
+  try {
+    const entity = await findEntity(parseInt(req.params.id));
+    const owner = await get('SELECT entity_id FROM entity_aliases WHERE alias = ?', [key]);
+    if (owner && owner.entity_id !== entity.id) {
+      return res.status(409).json({ error: `"${name}" is another company's name - merge the two instead` });
+    }
+
+    await db.batch([
+      { sql: 'UPDATE entities SET name = ? WHERE id = ?', args: [name, entity.id] },
+      {
+        sql: `INSERT OR IGNORE INTO entity_aliases (alias, base_key, entity_id, source) VALUES (?, ?, ?, 'manual')`,
+        args: [key, companyBaseKey(key), entity.id]
+      },
+      ...indexAliasStatements(key)
+    ], 'write');
+    res.json((await describeEntities([entity.id]))[entity.id]);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Add a spelling ahead of the files that use it
+app.post('/api/entities/:id/aliases', async (req, res) => {
+  const key = companyKey(req.body.alias);
+  if (!key) {
+    return res.status(400).json({ error: 'Alias is required' });
+  }
+
+  try {
+    const entity = await findEntity(parseInt(req.params.id));
+    const owner = await get('SELECT entity_id FROM entity_aliases WHERE alias = ?', [key]);
+    if (owner && owner.entity_id !== entity.id) {
+      return res.status(409).json({ error: `"${key}" already belongs to another company - merge the two instead` });
+    }
+
+    await db.batch([
+      {
+        sql: `INSERT OR IGNORE INTO entity_aliases (alias, base_key, entity_id, source) VALUES (?, ?, ?, 'manual')`,
+        args: [key, companyBaseKey(key), entity.id]
+      },
+      ...indexAliasStatements(key)
+    ], 'write');
+    res.json((await describeEntities([entity.id]))[entity.id]);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Split a spelling off into a company of its own, e.g. to undo a wrong merge
+app.delete('/api/entities/:id/aliases/:alias', async (req, res) => {
+  const key = companyKey(req.params.alias);
+
+  try {
+    const entity = await findEntity(parseInt(req.params.id));
+    const aliases = await all('SELECT alias FROM entity_aliases WHERE entity_id = ?', [entity.id]);
+    if (!aliases.some(a => a.alias === key)) {
+      return res.status(404).json({ error: `"${key}" is not a spelling of ${entity.name}` });
+    }
+    if (aliases.length === 1) {
+      return res.status(400).json({ error: 'A company needs at least one spelling' });
+    }
+
+    // Unlink the rows filed under this spelling, then resolve them again without it
+    const statements = [
+      { sql: 'DELETE FROM entity_aliases WHERE alias = ?', args: [key] },
+      { sql: 'DELETE FROM alias_trigrams WHERE alias = ?', args: [key] }
+    ];
+    for (const [field, column] of Object.entries(ENTITY_COLUMNS)) {
+      const names = (await all(`SELECT DISTINCT ${field} as name FROM exports WHERE ${column} = ?`, [entity.id]))
+        .map(r => r.name)
+        .filter(name => companyKey(name) === key);
+      if (names.length > 0) {
+        statements.push({
+          sql: `UPDATE exports SET ${column} = NULL WHERE ${column} = ? AND ${field} IN (${names.map(() => '?').join(',')})`,
+          args: [entity.id, ...names]
+        });
+      }
+    }
+    await db.batch(statements, 'write');
+    await resolveEntities(db);
+
+    // Don't keep a name that now belongs to the split-off company
+    if (companyKey(entity.name) === key) {
+      const remaining = await get(`
+        SELECT exporter_name as name, COUNT(*) as row_count FROM exports WHERE exporter_entity_id = ? GROUP BY exporter_name
+        UNION ALL
+        SELECT consignee_name, COUNT(*) FROM exports WHERE consignee_entity_id = ? GROUP BY consignee_name
+        ORDER BY row_count DESC LIMIT 1
+      `, [entity.id, entity.id]);
+      const fallback = aliases.find(a => a.alias !== key).alias;
+      await run('UPDATE entities SET name = ? WHERE id = ?', [remaining?.name || fallback, entity.id]);
+    }
 
-    res.json({
-      success: true,
-      message: `Processed ${data.length} rows`,
-      inserted,
-      skipped,
-      noIdCount,
-      dataType,
-      columnsFound: columns
-    });
+    res.json((await describeEntities([entity.id]))[entity.id]);
   } catch (err) {
-    console.error('Upload error:', err);
-    console.error('Error stack:', err.stack);
-    res.status(500).json({ error: err.message, stack: err.stack });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // ============= ANALYTICS ROUTES =============
 
+// Condition on rows consigned to a buyer. Placeholder consignees ("TO ORDER"...) aren't
+// clients: routes leave them out of client lists, rankings and counts, while shipment and
+// FOB totals keep their rows. ?placeholders=include counts them like any consignee.
+const realConsignee = (req, table = 'exports') =>
+  req.query.placeholders === 'include' ? '1 = 1' : `${table}.consignee_placeholder = 0`;
+
+// Distinct clients among the rows of a group, by realConsignee
+const clientCountSql = (req, table = 'exports') =>
+  `COUNT(DISTINCT CASE WHEN ${realConsignee(req, table)} THEN ${table}.consignee_entity_id END)`;
+
+// The shipment dates a query asks for (from/to, month or period - see date-range.js), or
+// null once a 400 has been sent for ones it can't read
+const requestDateRange = (query, res) => {
+  try {
+    return parseDateRange(query, new Date(), fiscalCalendar);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+    return null;
+  }
+};
+
+// ?granularity as one of GRANULARITIES (default: month), or null once a 400 has been sent
+const requestGranularity = (query, res) => {
+  const granularity = query.granularity || 'month';
+  if (!GRANULARITIES.includes(granularity)) {
+    res.status(400).json({ error: `granularity must be one of ${GRANULARITIES.join(', ')}` });
+    return null;
+  }
+  return granularity;
+};
+
+/**
+ * The two periods a comparison asks for: ?current and ?previous name a week, month, quarter
+ * or financial year ("2025-01", "Q2 FY25"...; currentMonth/previousMonth still work). Without
+ * ?previous it is the same period a year earlier, or with compare=previous the one before.
+ * Null once a 400 has been sent.
+ */
+const requestComparisonPeriods = (query, res) => {
+  const fail = (error) => {
+    res.status(400).json({ error });
+    return null;
+  };
+  const currentValue = query.current || query.currentMonth;
+  const previousValue = query.previous || query.previousMonth;
+  if (!currentValue) return fail('current period required (e.g. 2025-01, Q2 FY25, FY25)');
+
+  const current = parsePeriod(currentValue, fiscalCalendar);
+  if (!current) return fail(`"${currentValue}" is not a week, month, quarter or financial year`);
+  if (!previousValue) {
+    return { current, previous: shiftPeriod(current, fiscalCalendar, { years: query.compare === 'previous' ? 0 : 1 }) };
+  }
+
+  const previous = parsePeriod(previousValue, fiscalCalendar);
+  if (!previous) return fail(`"${previousValue}" is not a week, month, quarter or financial year`);
+  if (previous.granularity !== current.granularity) {
+    return fail(`Both periods must be of one granularity, not ${current.granularity} and ${previous.granularity}`);
+  }
+  return { current, previous };
+};
+
+// Export workbooks list the rows (of those matching `filter`, a { sql, args } condition)
+// whose FOB has no exchange rate, since they are left out of the workbook's totals
+const appendMissingRatesSheet = async (wb, { sql, args }) => {
+  const missing = await all(missingRatesSql(sql), args);
+  if (missing.length === 0) return;
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(missing.map(m => ({
+    'Currency': m.currency,
+    'Month': m.month_year || '(undated)',
+    'Rows left out of totals': m.row_count
+  }))), 'Missing FX Rates');
+};
+
 // Get available months
 app.get('/api/analytics/months', async (req, res) => {
   const months = await all(`
     SELECT DISTINCT month_year FROM exports 
-    WHERE month_year IS NOT NULL 
+    WHERE month_year IS NOT NULL AND ${settledRowsSql()}
     ORDER BY month_year DESC
   `);
   res.json(months.map(m => m.month_year));
 });
 
-// Competitor Analysis
+// Periods of ?granularity (default: month) that have shipments, latest first
+app.get('/api/analytics/periods', async (req, res) => {
+  const granularity = requestGranularity(req.query, res);
+  if (!granularity) return;
+  const periods = await all(`
+    SELECT DISTINCT ${periodKeySql(granularity, fiscalCalendar)} as period FROM exports
+    WHERE shipment_date IS NOT NULL AND ${settledRowsSql()}
+    ORDER BY period DESC
+  `);
+  res.json(periods.map(p => parsePeriod(p.period, fiscalCalendar)).filter(Boolean));
+});
+
+// Competitor Analysis: one row per competitor group, its companies under `members`
 app.get('/api/analytics/competitors', async (req, res) => {
-  const { month, compareMonth } = req.query;
+  const { compareMonth } = req.query;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  const compareRange = compareMonth ? requestDateRange({ month: compareMonth }, res) : null;
+  if (compareMonth && !compareRange) return;
+  const inRange = settledRangeSql(range);
   
-  const competitors = await all('SELECT name FROM competitors WHERE active = 1');
-  const competitorNames = competitors.map(c => c.name);
+  const tracked = await trackedGroupsCte(db, 'competitors');
 
-  if (competitorNames.length === 0) {
+  if (tracked.ids.length === 0) {
     return res.json({ competitors: [], comparison: [] });
   }
 
-  const placeholders = competitorNames.map(() => '?').join(',');
-  
-  let query = `
-    SELECT 
-      exporter_name,
-      COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(fob_value) as total_fob,
-      COUNT(DISTINCT product_description) as product_count,
-      COUNT(DISTINCT country_of_destination) as country_count,
-      GROUP_CONCAT(DISTINCT data_type) as categories,
-      MIN(shipment_date) as first_shipment,
-      MAX(shipment_date) as last_shipment
-    FROM exports 
-    WHERE UPPER(exporter_name) IN (${placeholders})
-  `;
-  
-  const params = [...competitorNames];
-  
-  if (month) {
-    query += ' AND month_year = ?';
-    params.push(month);
-  }
-  
-  query += ' GROUP BY exporter_name ORDER BY total_fob DESC';
-  
-  const results = await all(query, params);
+  const results = await groupTotals(db, tracked, 'exporter_name', `
+    COUNT(DISTINCT declaration_id) as shipment_count,
+    SUM(fob_usd) as total_fob,
+    SUM(fob_inr) as total_fob_inr,
+    COUNT(DISTINCT ${productKeySql()}) as product_count,
+    COUNT(DISTINCT ${countryKeySql()}) as country_count,
+    GROUP_CONCAT(DISTINCT data_type) as categories,
+    MIN(shipment_date) as first_shipment,
+    MAX(shipment_date) as last_shipment
+  `, { where: inRange.sql, args: inRange.args, nameAs: 'exporter_name' });
 
   // Get comparison data if compareMonth provided
   let comparison = [];
-  if (compareMonth && month) {
-    const compQuery = `
-      SELECT 
-        exporter_name,
-        COUNT(DISTINCT declaration_id) as shipment_count,
-        SUM(fob_value) as total_fob
-      FROM exports 
-      WHERE UPPER(exporter_name) IN (${placeholders})
-      AND month_year = ?
-      GROUP BY exporter_name
-    `;
-    comparison = await all(compQuery, [...competitorNames, compareMonth]);
+  if (compareRange) {
+    const inCompareRange = settledRangeSql(compareRange);
+    comparison = await groupTotals(db, tracked, 'exporter_name', `
+      COUNT(DISTINCT declaration_id) as shipment_count,
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
+    `, { where: inCompareRange.sql, args: inCompareRange.args, nameAs: 'exporter_name' });
   }
 
   res.json({ competitors: results, comparison });
 });
 
-// Client Analysis
+// Client Analysis: one row per client group, its companies under `members`
 app.get('/api/analytics/clients', async (req, res) => {
-  const { month, compareMonth } = req.query;
+  const { compareMonth } = req.query;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  const compareRange = compareMonth ? requestDateRange({ month: compareMonth }, res) : null;
+  if (compareMonth && !compareRange) return;
+  const inRange = settledRangeSql(range);
   
-  const clients = await all('SELECT name FROM clients WHERE active = 1');
-  const clientNames = clients.map(c => c.name);
+  const tracked = await trackedGroupsCte(db, 'clients');
 
-  if (clientNames.length === 0) {
+  if (tracked.ids.length === 0) {
     return res.json({ clients: [], comparison: [] });
   }
 
-  const placeholders = clientNames.map(() => '?').join(',');
-  
-  let query = `
-    SELECT 
-      consignee_name,
-      COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(fob_value) as total_fob,
-      COUNT(DISTINCT product_description) as product_count,
-      COUNT(DISTINCT exporter_name) as supplier_count,
-      GROUP_CONCAT(DISTINCT data_type) as categories,
-      MIN(shipment_date) as first_shipment,
-      MAX(shipment_date) as last_shipment
-    FROM exports 
-    WHERE UPPER(consignee_name) IN (${placeholders})
-  `;
-  
-  const params = [...clientNames];
-  
-  if (month) {
-    query += ' AND month_year = ?';
-    params.push(month);
-  }
-  
-  query += ' GROUP BY consignee_name ORDER BY total_fob DESC';
-  
-  const results = await all(query, params);
+  const results = await groupTotals(db, tracked, 'consignee_name', `
+    COUNT(DISTINCT declaration_id) as shipment_count,
+    SUM(fob_usd) as total_fob,
+    SUM(fob_inr) as total_fob_inr,
+    COUNT(DISTINCT ${productKeySql()}) as product_count,
+    COUNT(DISTINCT exporter_entity_id) as supplier_count,
+    GROUP_CONCAT(DISTINCT data_type) as categories,
+    MIN(shipment_date) as first_shipment,
+    MAX(shipment_date) as last_shipment
+  `, { where: inRange.sql, args: inRange.args, nameAs: 'consignee_name' });
 
   // Get comparison data
   let comparison = [];
-  if (compareMonth && month) {
-    const compQuery = `
-      SELECT 
-        consignee_name,
-        COUNT(DISTINCT declaration_id) as shipment_count,
-        SUM(fob_value) as total_fob
-      FROM exports 
-      WHERE UPPER(consignee_name) IN (${placeholders})
-      AND month_year = ?
-      GROUP BY consignee_name
-    `;
-    comparison = await all(compQuery, [...clientNames, compareMonth]);
+  if (compareRange) {
+    const inCompareRange = settledRangeSql(compareRange);
+    comparison = await groupTotals(db, tracked, 'consignee_name', `
+      COUNT(DISTINCT declaration_id) as shipment_count,
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
+    `, { where: inCompareRange.sql, args: inCompareRange.args, nameAs: 'consignee_name' });
   }
 
   res.json({ clients: results, comparison });
@@ -813,61 +3696,62 @@ app.get('/api/analytics/clients', async (req, res) => {
 
 // AGNA vs Competitors Analysis
 app.get('/api/analytics/company-comparison', async (req, res) => {
-  const { month } = req.query;
-  
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const competitors = await all('SELECT name FROM competitors WHERE active = 1');
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
-  const companyName = company?.company_name || 'AGNA';
-  const allNames = [companyName, ...competitors.map(c => c.name)];
-  const placeholders = allNames.map(() => '?').join(',');
+  const { name: companyName, ids: companyIds } = await ownCompany(db);
+  const allIds = [...new Set([...companyIds, ...await trackedEntityIds('competitors')])];
+  const placeholders = allIds.map(() => '?').join(',');
   
   let query = `
     SELECT 
-      exporter_name,
+      exporter_entity_id,
+      ${entityNameSql('exporter_name')} as exporter_name,
       COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(fob_value) as total_fob,
-      AVG(fob_value) as avg_fob,
-      COUNT(DISTINCT product_description) as product_count,
-      COUNT(DISTINCT country_of_destination) as country_count,
-      COUNT(DISTINCT consignee_name) as client_count,
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr,
+      AVG(fob_usd) as avg_fob,
+      COUNT(DISTINCT ${productKeySql()}) as product_count,
+      COUNT(DISTINCT ${countryKeySql()}) as country_count,
+      ${clientCountSql(req)} as client_count,
       data_type
     FROM exports 
-    WHERE UPPER(exporter_name) IN (${placeholders})
+    WHERE exporter_entity_id IN (${placeholders})
   `;
   
-  const params = [...allNames];
-  
-  if (month) {
-    query += ' AND month_year = ?';
-    params.push(month);
-  }
+  const inRange = settledRangeSql(range);
+  query += ` AND ${inRange.sql}`;
+  const params = [...allIds, ...inRange.args];
   
-  query += ' GROUP BY exporter_name, data_type ORDER BY total_fob DESC';
+  query += ' GROUP BY exporter_entity_id, data_type ORDER BY total_fob DESC';
   
   const results = await all(query, params);
   
-  // Aggregate by company
+  // Aggregate by company. FOB totals add up like SQL SUM: a category without a rate (null)
+  // adds nothing, and the total stays null when no category had one.
+  const addKnown = (total, part) => part === null || part === undefined ? total : (total ?? 0) + part;
   const aggregated = {};
   results.forEach(r => {
-    if (!aggregated[r.exporter_name]) {
-      aggregated[r.exporter_name] = {
+    if (!aggregated[r.exporter_entity_id]) {
+      aggregated[r.exporter_entity_id] = {
         exporter_name: r.exporter_name,
         shipment_count: 0,
-        total_fob: 0,
+        total_fob: null,
+        total_fob_inr: null,
         product_count: 0,
         country_count: 0,
         client_count: 0,
-        is_company: r.exporter_name === companyName,
+        is_company: companyIds.includes(r.exporter_entity_id),
         categories: []
       };
     }
-    aggregated[r.exporter_name].shipment_count += r.shipment_count;
-    aggregated[r.exporter_name].total_fob += r.total_fob;
-    aggregated[r.exporter_name].product_count += r.product_count;
-    aggregated[r.exporter_name].country_count += r.country_count;
-    aggregated[r.exporter_name].client_count += r.client_count;
-    if (r.data_type) aggregated[r.exporter_name].categories.push(r.data_type);
+    aggregated[r.exporter_entity_id].shipment_count += r.shipment_count;
+    aggregated[r.exporter_entity_id].total_fob = addKnown(aggregated[r.exporter_entity_id].total_fob, r.total_fob);
+    aggregated[r.exporter_entity_id].total_fob_inr = addKnown(aggregated[r.exporter_entity_id].total_fob_inr, r.total_fob_inr);
+    aggregated[r.exporter_entity_id].product_count += r.product_count;
+    aggregated[r.exporter_entity_id].country_count += r.country_count;
+    aggregated[r.exporter_entity_id].client_count += r.client_count;
+    if (r.data_type) aggregated[r.exporter_entity_id].categories.push(r.data_type);
   });
 
   res.json({
@@ -878,105 +3762,132 @@ app.get('/api/analytics/company-comparison', async (req, res) => {
 
 // Detailed analysis for a specific competitor or client
 app.get('/api/analytics/entity-details', async (req, res) => {
-  const { entity, type, month } = req.query;
+  const { entity, type } = req.query;
   
   if (!entity || !type) {
     return res.status(400).json({ error: 'Entity and type required' });
   }
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
 
   const field = type === 'exporter' ? 'exporter_name' : 'consignee_name';
-  const params = [entity.toUpperCase()];
-  let monthFilter = '';
-  if (month) {
-    monthFilter = ' AND month_year = ?';
-    params.push(month);
-  }
+  const match = await entityFilter(entity, field);
+  const inRange = settledRangeSql(range);
+  const params = [...match.args, ...inRange.args];
+  const dateFilter = ` AND ${inRange.sql}`;
 
   // Summary stats
   const summary = await get(`
     SELECT 
       COUNT(DISTINCT declaration_id) as total_shipments,
-      SUM(fob_value) as total_fob,
-      SUM(quantity) as total_quantity,
-      COUNT(DISTINCT product_description) as unique_products,
-      COUNT(DISTINCT country_of_destination) as unique_countries,
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr,
+      SUM(quantity_kg) as total_quantity,
+      ${countTotalSql()},
+      COUNT(DISTINCT ${productKeySql()}) as unique_products,
+      COUNT(DISTINCT ${countryKeySql()}) as unique_countries,
       COUNT(DISTINCT hs_code) as unique_hs_codes,
       MIN(shipment_date) as first_shipment,
       MAX(shipment_date) as last_shipment
     FROM exports 
-    WHERE UPPER(${field}) = ?${monthFilter}
+    WHERE ${match.sql}${dateFilter}
   `, params);
 
-  // Products breakdown
+  // Products breakdown, by catalogue product
   const products = await all(`
     SELECT 
-      product_description,
-      hs_code,
+      product_id,
+      ${productNameSql()} as product_description,
+      GROUP_CONCAT(DISTINCT hs_code) as hs_code,
       data_type,
       COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(quantity) as total_quantity,
-      SUM(fob_value) as total_fob,
-      AVG(fob_value) as avg_fob_per_shipment,
-      unit
+      SUM(quantity_kg) as total_quantity,
+      ${countTotalSql()},
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr,
+      AVG(fob_usd) as avg_fob_per_shipment,
+      GROUP_CONCAT(DISTINCT unit) as unit
     FROM exports 
-    WHERE UPPER(${field}) = ?${monthFilter}
-    GROUP BY product_description, hs_code, data_type, unit
+    WHERE ${match.sql}${dateFilter}
+    GROUP BY ${productKeySql()}, data_type
     ORDER BY total_fob DESC
     LIMIT 50
   `, params);
 
-  // Countries breakdown
+  // Countries breakdown (?by=region for regions)
+  const countryGroup = countryGroupSql(req.query.by);
   const countries = await all(`
     SELECT 
-      country_of_destination,
+      ${countryGroup.name} as country_of_destination,
       COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(quantity) as total_quantity,
-      SUM(fob_value) as total_fob
-    FROM exports 
-    WHERE UPPER(${field}) = ?${monthFilter}
-    GROUP BY country_of_destination
+      SUM(quantity_kg) as total_quantity,
+      ${countTotalSql()},
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
+    FROM exports ${countryGroup.join}
+    WHERE ${match.sql}${dateFilter}
+    GROUP BY ${countryGroup.key}
     ORDER BY total_fob DESC
   `, params);
 
-  // Ports breakdown
+  // Ports breakdown, by canonical port
   const ports = await all(`
     SELECT 
-      port_of_loading as indian_port,
-      port_of_discharge as foreign_port,
+      ${portNameSql('loading')} as indian_port,
+      ${portNameSql('discharge')} as foreign_port,
+      ${portFieldSql('loading', 'state')} as state,
+      ${shipmentModeSql()} as mode,
       COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(fob_value) as total_fob
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
     FROM exports 
-    WHERE UPPER(${field}) = ?${monthFilter}
-    GROUP BY port_of_loading, port_of_discharge
+    WHERE ${match.sql}${dateFilter}
+    GROUP BY ${portKeySql('loading')}, ${portKeySql('discharge')}
     ORDER BY shipment_count DESC
     LIMIT 20
   `, params);
 
+  // Sea versus air
+  const modes = await all(`
+    SELECT 
+      ${shipmentModeSql()} as mode,
+      COUNT(DISTINCT declaration_id) as shipment_count,
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
+    FROM exports 
+    WHERE ${match.sql}${dateFilter}
+    GROUP BY mode
+    ORDER BY total_fob DESC
+  `, params);
+
   // Monthly trend for this entity
   const monthlyTrend = await all(`
     SELECT 
       month_year,
       COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(quantity) as total_quantity,
-      SUM(fob_value) as total_fob
+      SUM(quantity_kg) as total_quantity,
+      ${countTotalSql()},
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
     FROM exports 
-    WHERE UPPER(${field}) = ? AND month_year IS NOT NULL
+    WHERE ${match.sql} AND month_year IS NOT NULL AND ${settledRowsSql()}
     GROUP BY month_year
     ORDER BY month_year
-  `, [entity.toUpperCase()]);
+  `, match.args);
 
   // If it's a client, also get their suppliers
   let suppliers = [];
   if (type === 'consignee') {
     suppliers = await all(`
       SELECT 
-        exporter_name,
+        ${entityNameSql('exporter_name')} as exporter_name,
         COUNT(DISTINCT declaration_id) as shipment_count,
-        SUM(fob_value) as total_fob,
-        GROUP_CONCAT(DISTINCT product_description) as products
+        SUM(fob_usd) as total_fob,
+        SUM(fob_inr) as total_fob_inr,
+        GROUP_CONCAT(DISTINCT ${productNameSql()}) as products
       FROM exports 
-      WHERE UPPER(consignee_name) = ?${monthFilter}
-      GROUP BY exporter_name
+      WHERE ${match.sql}${dateFilter}
+      GROUP BY exporter_entity_id
       ORDER BY total_fob DESC
       LIMIT 20
     `, params);
@@ -987,13 +3898,14 @@ app.get('/api/analytics/entity-details', async (req, res) => {
   if (type === 'exporter') {
     clients = await all(`
       SELECT 
-        consignee_name,
-        country_of_destination,
+        ${entityNameSql('consignee_name')} as consignee_name,
+        ${countryNameSql()} as country_of_destination,
         COUNT(DISTINCT declaration_id) as shipment_count,
-        SUM(fob_value) as total_fob
+        SUM(fob_usd) as total_fob,
+        SUM(fob_inr) as total_fob_inr
       FROM exports 
-      WHERE UPPER(exporter_name) = ?${monthFilter}
-      GROUP BY consignee_name, country_of_destination
+      WHERE ${match.sql}${dateFilter} AND ${realConsignee(req)}
+      GROUP BY consignee_entity_id, ${countryKeySql()}
       ORDER BY total_fob DESC
       LIMIT 20
     `, params);
@@ -1007,14 +3919,18 @@ app.get('/api/analytics/entity-details', async (req, res) => {
       product_description,
       quantity,
       unit,
+      quantity_kg,
       fob_value,
+      fob_currency,
+      fob_usd,
+      fob_inr,
       country_of_destination,
       consignee_name,
       exporter_name,
       port_of_loading,
       port_of_discharge
     FROM exports 
-    WHERE UPPER(${field}) = ?${monthFilter}
+    WHERE ${match.sql}${dateFilter}
     ORDER BY shipment_date DESC
     LIMIT 50
   `, params);
@@ -1026,6 +3942,7 @@ app.get('/api/analytics/entity-details', async (req, res) => {
     products,
     countries,
     ports,
+    modes,
     monthlyTrend,
     suppliers,
     clients,
@@ -1035,25 +3952,24 @@ app.get('/api/analytics/entity-details', async (req, res) => {
 
 // Detailed shipments for a specific entity
 app.get('/api/analytics/shipments', async (req, res) => {
-  const { entity, type, month, page = 1, limit = 50 } = req.query;
+  const { entity, type, page = 1, limit = 50 } = req.query;
   
   if (!entity || !type) {
     return res.status(400).json({ error: 'Entity and type required' });
   }
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
 
   const offset = (parseInt(page) - 1) * parseInt(limit);
   const field = type === 'exporter' ? 'exporter_name' : 'consignee_name';
+  const match = await entityFilter(entity, field);
   
+  const inRange = settledRangeSql(range);
   let query = `
     SELECT * FROM exports 
-    WHERE UPPER(${field}) = ?
+    WHERE ${match.sql} AND ${inRange.sql}
   `;
-  const params = [entity.toUpperCase()];
-  
-  if (month) {
-    query += ' AND month_year = ?';
-    params.push(month);
-  }
+  const params = [...match.args, ...inRange.args];
   
   query += ` ORDER BY shipment_date DESC LIMIT ? OFFSET ?`;
   params.push(parseInt(limit), offset);
@@ -1061,30 +3977,37 @@ app.get('/api/analytics/shipments', async (req, res) => {
   const shipments = await all(query, params);
   
   // Get total count
-  let countQuery = `SELECT COUNT(*) as total FROM exports WHERE UPPER(${field}) = ?`;
-  const countParams = [entity.toUpperCase()];
-  if (month) {
-    countQuery += ' AND month_year = ?';
-    countParams.push(month);
-  }
-  const total = await get(countQuery, countParams);
+  const total = await get(`SELECT COUNT(*) as total FROM exports WHERE ${match.sql} AND ${inRange.sql}`,
+    [...match.args, ...inRange.args]);
 
   res.json({ shipments, total: total?.total || 0, page: parseInt(page), limit: parseInt(limit) });
 });
 
 // Product breakdown
+// By catalogue product, or with ?hsLevel= (2, 4, 6 or 8) by HS code rolled up to that many digits
 app.get('/api/analytics/products', async (req, res) => {
-  const { entity, type, month } = req.query;
+  const { entity, type, hsLevel } = req.query;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
   const field = type === 'exporter' ? 'exporter_name' : 'consignee_name';
+  const level = parseHsLevel(hsLevel);
+  if (!level) {
+    return res.status(400).json({ error: `hsLevel must be one of ${HS_LEVELS.join(', ')}` });
+  }
+  const byHs = hsLevel !== undefined && hsLevel !== '';
   
   let query = `
     SELECT 
-      product_description,
+      ${byHs
+        ? `${hsCodeSql(level)} as hs_code, COALESCE(${hsDescriptionSql(level)}, ${hsCodeSql(level)}) as product_description,`
+        : `product_id, ${productNameSql()} as product_description,`}
       data_type,
       COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(quantity) as total_quantity,
-      SUM(fob_value) as total_fob
+      SUM(quantity_kg) as total_quantity,
+      ${countTotalSql()},
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
     FROM exports
   `;
   
@@ -1092,162 +4015,257 @@ app.get('/api/analytics/products', async (req, res) => {
   const conditions = [];
   
   if (entity) {
-    conditions.push(`UPPER(${field}) = ?`);
-    params.push(entity.toUpperCase());
+    const match = await entityFilter(entity, field);
+    conditions.push(match.sql);
+    params.push(...match.args);
   }
   
-  if (month) {
-    conditions.push('month_year = ?');
-    params.push(month);
-  }
+  const inRange = settledRangeSql(range);
+  conditions.push(inRange.sql);
+  params.push(...inRange.args);
   
   if (conditions.length > 0) {
     query += ' WHERE ' + conditions.join(' AND ');
   }
   
-  query += ' GROUP BY product_description, data_type ORDER BY total_fob DESC LIMIT 50';
+  query += ` GROUP BY ${byHs ? hsCodeSql(level) : productKeySql()}, data_type ORDER BY total_fob DESC LIMIT 50`;
   
   const products = await all(query, params);
   res.json(products);
 });
 
-// Country breakdown
+// Country breakdown, by region with ?by=region
 app.get('/api/analytics/countries', async (req, res) => {
-  const { entity, type, month } = req.query;
+  const { entity, type, by } = req.query;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
   const field = type === 'exporter' ? 'exporter_name' : 'consignee_name';
+  const countryGroup = countryGroupSql(by);
   
   let query = `
     SELECT 
-      country_of_destination,
+      ${countryGroup.name} as country_of_destination,
       COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(fob_value) as total_fob
-    FROM exports
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
+    FROM exports ${countryGroup.join}
   `;
   
   const params = [];
   const conditions = [];
   
   if (entity) {
-    conditions.push(`UPPER(${field}) = ?`);
-    params.push(entity.toUpperCase());
+    const match = await entityFilter(entity, field);
+    conditions.push(match.sql);
+    params.push(...match.args);
   }
   
-  if (month) {
-    conditions.push('month_year = ?');
-    params.push(month);
-  }
+  const inRange = settledRangeSql(range);
+  conditions.push(inRange.sql);
+  params.push(...inRange.args);
   
   if (conditions.length > 0) {
     query += ' WHERE ' + conditions.join(' AND ');
   }
   
-  query += ' GROUP BY country_of_destination ORDER BY total_fob DESC';
+  query += ` GROUP BY ${countryGroup.key} ORDER BY total_fob DESC`;
   
   const countries = await all(query, params);
   res.json(countries);
 });
 
-// Monthly trends
-app.get('/api/analytics/trends', async (req, res) => {
+// Port breakdown: ?by=port (loading port, default), discharge, state (of the loading port) or mode
+const PORT_BREAKDOWNS = {
+  port: { key: portKeySql('loading'), name: portNameSql('loading') },
+  discharge: { key: portKeySql('discharge'), name: portNameSql('discharge') },
+  state: { key: portFieldSql('loading', 'state'), name: `COALESCE(${portFieldSql('loading', 'state')}, 'UNKNOWN')` },
+  mode: { key: shipmentModeSql(), name: shipmentModeSql() }
+};
+
+app.get('/api/analytics/ports', async (req, res) => {
+  const { entity, type } = req.query;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  const breakdown = PORT_BREAKDOWNS[req.query.by || 'port'];
+  if (!breakdown) {
+    return res.status(400).json({ error: `by must be one of ${Object.keys(PORT_BREAKDOWNS).join(', ')}` });
+  }
+
+  const conditions = [];
+  const params = [];
+  if (entity) {
+    const match = await entityFilter(entity, type === 'exporter' ? 'exporter_name' : 'consignee_name');
+    conditions.push(match.sql);
+    params.push(...match.args);
+  }
+  const inRange = settledRangeSql(range);
+  conditions.push(inRange.sql);
+  params.push(...inRange.args);
+
+  const ports = await all(`
+    SELECT 
+      ${breakdown.name} as name,
+      COUNT(DISTINCT declaration_id) as shipment_count,
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
+    FROM exports
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY ${breakdown.key}
+    ORDER BY total_fob DESC
+  `, params);
+  res.json(ports);
+});
+
+// Shipments per week, month, quarter or financial year, oldest first; each row has its
+// `period` id and `label` (and month_year for months, as before granularities)
+const trendRows = async (req, granularity, range) => {
   const { entity, type } = req.query;
+  const inRange = settledRangeSql(range);
   
   let query = `
     SELECT 
-      month_year,
+      ${periodKeySql(granularity, fiscalCalendar)} as period,
       COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(fob_value) as total_fob,
-      COUNT(DISTINCT product_description) as product_count
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr,
+      COUNT(DISTINCT ${productKeySql()}) as product_count
     FROM exports
-    WHERE month_year IS NOT NULL
+    WHERE shipment_date IS NOT NULL AND ${inRange.sql}
   `;
   
-  const params = [];
+  const params = [...inRange.args];
   
   if (entity && type) {
     const field = type === 'exporter' ? 'exporter_name' : 'consignee_name';
-    query += ` AND UPPER(${field}) = ?`;
-    params.push(entity.toUpperCase());
+    const match = await entityFilter(entity, field);
+    query += ` AND ${match.sql}`;
+    params.push(...match.args);
   }
   
-  query += ' GROUP BY month_year ORDER BY month_year';
+  query += ' GROUP BY period ORDER BY period';
   
   const trends = await all(query, params);
-  res.json(trends);
+  return trends.map(t => ({
+    ...(granularity === 'month' && { month_year: t.period }),
+    ...t,
+    label: periodLabel(t.period)
+  }));
+};
+
+// Trends (?granularity=week|month|quarter|fy, default month)
+app.get('/api/analytics/trends', async (req, res) => {
+  const granularity = requestGranularity(req.query, res);
+  if (!granularity) return;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  
+  res.json(await trendRows(req, granularity, range));
 });
 
 // Dashboard summary
 app.get('/api/analytics/dashboard', async (req, res) => {
-  const { month } = req.query;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
-  let whereClause = '';
-  const params = [];
-  if (month) {
-    whereClause = 'WHERE month_year = ?';
-    params.push(month);
-  }
+  const { sql: inRange, args: params } = settledRangeSql(range);
+  const whereClause = `WHERE ${inRange}`;
 
   const summary = await get(`
     SELECT 
       COUNT(DISTINCT declaration_id) as total_shipments,
-      SUM(fob_value) as total_fob,
-      COUNT(DISTINCT exporter_name) as unique_exporters,
-      COUNT(DISTINCT consignee_name) as unique_consignees,
-      COUNT(DISTINCT country_of_destination) as unique_countries,
-      COUNT(DISTINCT product_description) as unique_products
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr,
+      COUNT(DISTINCT exporter_entity_id) as unique_exporters,
+      ${clientCountSql(req)} as unique_consignees,
+      COUNT(DISTINCT ${countryKeySql()}) as unique_countries,
+      COUNT(DISTINCT ${productKeySql()}) as unique_products
     FROM exports ${whereClause}
   `, params);
 
   const byCategory = await all(`
     SELECT 
-      data_type,
-      COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(fob_value) as total_fob
-    FROM exports ${whereClause}
-    GROUP BY data_type
+      e.data_type,
+      COALESCE(c.name, e.data_type) as category_name,
+      c.color,
+      COUNT(DISTINCT e.declaration_id) as shipment_count,
+      SUM(e.fob_usd) as total_fob,
+      SUM(e.fob_inr) as total_fob_inr
+    FROM exports e
+    LEFT JOIN categories c ON c.slug = e.data_type
+    ${whereClause}
+    GROUP BY e.data_type
+    ORDER BY total_fob DESC
   `, params);
 
   const topExporters = await all(`
     SELECT 
-      exporter_name,
+      ${entityNameSql('exporter_name')} as exporter_name,
       COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(fob_value) as total_fob
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
     FROM exports ${whereClause}
-    GROUP BY exporter_name
+    GROUP BY exporter_entity_id
     ORDER BY total_fob DESC
     LIMIT 10
   `, params);
 
+  const countryGroup = countryGroupSql(req.query.by);
   const topCountries = await all(`
     SELECT 
-      country_of_destination,
+      ${countryGroup.name} as country_of_destination,
+      COUNT(DISTINCT declaration_id) as shipment_count,
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
+    FROM exports ${countryGroup.join} ${whereClause}
+    GROUP BY ${countryGroup.key}
+    ORDER BY total_fob DESC
+    LIMIT 10
+  `, params);
+
+  const topProducts = await all(`
+    SELECT 
+      product_id,
+      ${productNameSql()} as product_name,
       COUNT(DISTINCT declaration_id) as shipment_count,
-      SUM(fob_value) as total_fob
+      SUM(quantity_kg) as total_quantity,
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr
     FROM exports ${whereClause}
-    GROUP BY country_of_destination
+    GROUP BY ${productKeySql()}
     ORDER BY total_fob DESC
     LIMIT 10
   `, params);
 
-  res.json({ summary, byCategory, topExporters, topCountries });
+  // Rows in range whose FOB has no rate are left out of the totals above
+  const missingRates = await all(missingRatesSql(inRange), params);
+
+  res.json({ summary, byCategory, topExporters, topCountries, topProducts, missingRates });
 });
 
 // ============= INTELLIGENCE ROUTES =============
 
 // Find prospective clients based on company's products
 app.get('/api/intelligence/prospective-clients', async (req, res) => {
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const companyName = company?.company_name || 'AGNA';
+  const hsLevel = parseHsLevel(req.query.hsLevel);
+  if (!hsLevel) {
+    return res.status(400).json({ error: `hsLevel must be one of ${HS_LEVELS.join(', ')}` });
+  }
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  const { name: companyName, ids: companyIds } = await ownCompany(db);
+  const companyPlaceholders = companyIds.map(() => '?').join(',');
   
-  // Get products that the company exports
+  // Get products that the company exports, by HS code at hsLevel digits
   const companyProducts = await all(`
     SELECT DISTINCT 
-      hs_code,
+      ${hsCodeSql(hsLevel)} as hs_code,
+      ${hsDescriptionSql(hsLevel)} as hs_description,
       product_description,
       data_type
     FROM exports 
-    WHERE UPPER(exporter_name) LIKE ?
-  `, [`%${companyName}%`]);
+    WHERE exporter_entity_id IN (${companyPlaceholders}) AND ${settledRowsSql()}
+  `, companyIds);
 
   if (companyProducts.length === 0) {
     return res.json({ 
@@ -1257,7 +4275,7 @@ app.get('/api/intelligence/prospective-clients', async (req, res) => {
     });
   }
 
-  const hsCodeList = companyProducts.map(p => p.hs_code).filter(h => h);
+  const hsCodeList = [...new Set(companyProducts.map(p => p.hs_code).filter(h => h))];
   
   if (hsCodeList.length === 0) {
     return res.json({ 
@@ -1268,32 +4286,36 @@ app.get('/api/intelligence/prospective-clients', async (req, res) => {
   }
 
   const placeholders = hsCodeList.map(() => '?').join(',');
+  const inRange = settledRangeSql(range);
   
   // Find clients who buy similar products but NOT from this company
   const prospectiveClients = await all(`
     SELECT 
-      consignee_name,
-      country_of_destination,
+      ${entityNameSql('consignee_name')} as consignee_name,
+      ${countryNameSql()} as country_of_destination,
       COUNT(DISTINCT declaration_id) as total_shipments,
-      SUM(fob_value) as total_fob,
-      SUM(quantity) as total_quantity,
-      GROUP_CONCAT(DISTINCT hs_code) as hs_codes,
-      GROUP_CONCAT(DISTINCT product_description) as products,
-      GROUP_CONCAT(DISTINCT exporter_name) as current_suppliers
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr,
+      SUM(quantity_kg) as total_quantity,
+      ${countTotalSql()},
+      GROUP_CONCAT(DISTINCT ${hsCodeSql(hsLevel)}) as hs_codes,
+      GROUP_CONCAT(DISTINCT ${productNameSql()}) as products,
+      GROUP_CONCAT(DISTINCT ${entityNameSql('exporter_name')}) as current_suppliers
     FROM exports 
-    WHERE hs_code IN (${placeholders})
-    AND UPPER(exporter_name) NOT LIKE ?
-    AND consignee_name IS NOT NULL 
-    AND consignee_name != ''
-    AND UPPER(consignee_name) != 'NULL'
-    GROUP BY consignee_name, country_of_destination
+    WHERE ${hsCodeSql(hsLevel)} IN (${placeholders})
+    AND COALESCE(exporter_entity_id, 0) NOT IN (${companyPlaceholders})
+    AND ${inRange.sql}
+    AND consignee_entity_id IS NOT NULL
+    AND ${realConsignee(req)}
+    GROUP BY consignee_entity_id, ${countryKeySql()}
     HAVING total_shipments >= 2
     ORDER BY total_fob DESC
     LIMIT 100
-  `, [...hsCodeList, `%${companyName}%`]);
+  `, [...hsCodeList, ...companyIds, ...inRange.args]);
 
   res.json({
     companyName,
+    hsLevel,
     companyProducts,
     prospectiveClients
   });
@@ -1301,18 +4323,24 @@ app.get('/api/intelligence/prospective-clients', async (req, res) => {
 
 // Cross-sell analysis - what are current clients buying from competitors
 app.get('/api/intelligence/cross-sell', async (req, res) => {
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const companyName = company?.company_name || 'AGNA';
+  const hsLevel = parseHsLevel(req.query.hsLevel);
+  if (!hsLevel) {
+    return res.status(400).json({ error: `hsLevel must be one of ${HS_LEVELS.join(', ')}` });
+  }
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  const { name: companyName, ids: companyIds } = await ownCompany(db);
+  const companyPlaceholders = companyIds.map(() => '?').join(',');
   
   // Get clients that buy from this company
   const companyClients = await all(`
-    SELECT DISTINCT consignee_name
+    SELECT DISTINCT consignee_entity_id, ${entityNameSql('consignee_name')} as consignee_name
     FROM exports 
-    WHERE UPPER(exporter_name) LIKE ?
-    AND consignee_name IS NOT NULL 
-    AND consignee_name != ''
-    AND UPPER(consignee_name) != 'NULL'
-  `, [`%${companyName}%`]);
+    WHERE exporter_entity_id IN (${companyPlaceholders})
+    AND consignee_entity_id IS NOT NULL
+    AND ${realConsignee(req)}
+    AND ${settledRowsSql()}
+  `, companyIds);
 
   if (companyClients.length === 0) {
     return res.json({ 
@@ -1323,19 +4351,23 @@ app.get('/api/intelligence/cross-sell', async (req, res) => {
   }
 
   const clientNames = companyClients.map(c => c.consignee_name);
-  const clientPlaceholders = clientNames.map(() => '?').join(',');
+  const clientIds = companyClients.map(c => c.consignee_entity_id);
+  const clientPlaceholders = clientIds.map(() => '?').join(',');
   
-  // Get what company sells to these clients (HS codes)
+  // Get what company sells to these clients (HS codes at hsLevel digits)
   const companyHsCodes = await all(`
-    SELECT DISTINCT hs_code
+    SELECT DISTINCT ${hsCodeSql(hsLevel)} as hs_code
     FROM exports 
-    WHERE UPPER(exporter_name) LIKE ?
-    AND UPPER(consignee_name) IN (${clientPlaceholders})
-  `, [`%${companyName}%`, ...clientNames.map(n => n.toUpperCase())]);
+    WHERE exporter_entity_id IN (${companyPlaceholders})
+    AND consignee_entity_id IN (${clientPlaceholders})
+    AND ${settledRowsSql()}
+  `, [...companyIds, ...clientIds]);
   
   const companyHsCodeList = companyHsCodes.map(h => h.hs_code).filter(h => h);
   
   // Find what these clients buy from OTHER exporters that company doesn't supply
+  // within the requested dates
+  const inRange = settledRangeSql(range, 'e.shipment_date');
   let crossSellOpportunities = [];
   
   if (companyHsCodeList.length > 0) {
@@ -1343,49 +4375,58 @@ app.get('/api/intelligence/cross-sell', async (req, res) => {
     
     crossSellOpportunities = await all(`
       SELECT 
-        e.consignee_name as client_name,
-        e.country_of_destination,
-        e.hs_code,
+        ${entityNameSql('consignee_name', 'e')} as client_name,
+        ${countryNameSql('e')} as country_of_destination,
+        ${hsCodeSql(hsLevel, 'e')} as hs_code,
+        ${hsDescriptionSql(hsLevel, 'e')} as hs_description,
         e.product_description,
-        e.exporter_name as competitor,
+        ${entityNameSql('exporter_name', 'e')} as competitor,
         COUNT(DISTINCT e.declaration_id) as shipment_count,
-        SUM(e.fob_value) as total_fob,
-        SUM(e.quantity) as total_quantity,
+        SUM(e.fob_usd) as total_fob,
+        SUM(e.fob_inr) as total_fob_inr,
+        SUM(e.quantity_kg) as total_quantity,
+        ${countTotalSql('e.')},
         e.unit
       FROM exports e
-      WHERE UPPER(e.consignee_name) IN (${clientPlaceholders})
-      AND UPPER(e.exporter_name) NOT LIKE ?
-      AND e.hs_code NOT IN (${hsPlaceholders})
+      WHERE e.consignee_entity_id IN (${clientPlaceholders})
+      AND COALESCE(e.exporter_entity_id, 0) NOT IN (${companyPlaceholders})
+      AND ${inRange.sql}
+      AND ${hsCodeSql(hsLevel, 'e')} NOT IN (${hsPlaceholders})
       AND e.product_description IS NOT NULL
-      GROUP BY e.consignee_name, e.hs_code, e.product_description, e.exporter_name, e.country_of_destination, e.unit
+      GROUP BY e.consignee_entity_id, ${hsCodeSql(hsLevel, 'e')}, e.product_description, e.exporter_entity_id, ${countryKeySql('e')}, e.unit
       ORDER BY total_fob DESC
       LIMIT 100
-    `, [...clientNames.map(n => n.toUpperCase()), `%${companyName}%`, ...companyHsCodeList]);
+    `, [...clientIds, ...companyIds, ...inRange.args, ...companyHsCodeList]);
   } else {
     // If no HS codes, just show what clients buy from others
     crossSellOpportunities = await all(`
       SELECT 
-        e.consignee_name as client_name,
-        e.country_of_destination,
-        e.hs_code,
+        ${entityNameSql('consignee_name', 'e')} as client_name,
+        ${countryNameSql('e')} as country_of_destination,
+        ${hsCodeSql(hsLevel, 'e')} as hs_code,
+        ${hsDescriptionSql(hsLevel, 'e')} as hs_description,
         e.product_description,
-        e.exporter_name as competitor,
+        ${entityNameSql('exporter_name', 'e')} as competitor,
         COUNT(DISTINCT e.declaration_id) as shipment_count,
-        SUM(e.fob_value) as total_fob,
-        SUM(e.quantity) as total_quantity,
+        SUM(e.fob_usd) as total_fob,
+        SUM(e.fob_inr) as total_fob_inr,
+        SUM(e.quantity_kg) as total_quantity,
+        ${countTotalSql('e.')},
         e.unit
       FROM exports e
-      WHERE UPPER(e.consignee_name) IN (${clientPlaceholders})
-      AND UPPER(e.exporter_name) NOT LIKE ?
+      WHERE e.consignee_entity_id IN (${clientPlaceholders})
+      AND COALESCE(e.exporter_entity_id, 0) NOT IN (${companyPlaceholders})
+      AND ${inRange.sql}
       AND e.product_description IS NOT NULL
-      GROUP BY e.consignee_name, e.hs_code, e.product_description, e.exporter_name, e.country_of_destination, e.unit
+      GROUP BY e.consignee_entity_id, ${hsCodeSql(hsLevel, 'e')}, e.product_description, e.exporter_entity_id, ${countryKeySql('e')}, e.unit
       ORDER BY total_fob DESC
       LIMIT 100
-    `, [...clientNames.map(n => n.toUpperCase()), `%${companyName}%`]);
+    `, [...clientIds, ...companyIds, ...inRange.args]);
   }
 
   res.json({
     companyName,
+    hsLevel,
     clientCount: clientNames.length,
     clientNames,
     companyHsCodes: companyHsCodeList,
@@ -1395,214 +4436,185 @@ app.get('/api/intelligence/cross-sell', async (req, res) => {
 
 // ============= MONTHLY COMPARISON ROUTES =============
 
-// Get monthly comparison data
-app.get('/api/monthly-comparison', async (req, res) => {
-  const { currentMonth, previousMonth } = req.query;
-  
-  if (!currentMonth || !previousMonth) {
-    return res.status(400).json({ error: 'Both currentMonth and previousMonth required' });
-  }
-  
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const companyName = company?.company_name || 'AGNA';
-  
-  // Competitor comparison (tracked competitors)
-  const competitors = await all('SELECT name FROM competitors WHERE active = 1');
-  const competitorNames = competitors.map(c => c.name);
+// Month-on-month change of rows matched by name, down to their `members`; with `dropped`,
+// rows only in the previous month are added as dropped
+const compareMonths = (currentRows, previousRows, { dropped = false } = {}) => {
+  const change = (curr, prev, field) => prev
+    ? ((curr[field] - prev[field]) / prev[field] * 100).toFixed(1)
+    : null;
+  const totals = (row) => {
+    if (!row) return null;
+    const { members, ...rest } = row;
+    return rest;
+  };
+  const prevMap = {};
+  previousRows.forEach(p => prevMap[p.name] = p);
+  
+  const compared = currentRows.map(curr => {
+    const prev = prevMap[curr.name];
+    return {
+      name: curr.name,
+      current: totals(curr),
+      previous: totals(prev),
+      shipmentChange: change(curr, prev, 'shipments'),
+      fobChange: change(curr, prev, 'total_fob'),
+      isNew: !prev,
+      ...(curr.members && { members: compareMonths(curr.members, prev?.members || [], { dropped }) })
+    };
+  });
   
-  let competitorComparison = [];
-  if (competitorNames.length > 0) {
-    const placeholders = competitorNames.map(() => '?').join(',');
-    
-    // Current month data
-    const currentCompData = await all(`
-      SELECT 
-        exporter_name,
-        COUNT(DISTINCT declaration_id) as shipments,
-        SUM(fob_value) as total_fob,
-        SUM(quantity) as total_qty,
-        COUNT(DISTINCT product_description) as products,
-        COUNT(DISTINCT country_of_destination) as countries,
-        COUNT(DISTINCT consignee_name) as clients
-      FROM exports 
-      WHERE UPPER(exporter_name) IN (${placeholders}) AND month_year = ?
-      GROUP BY exporter_name
-    `, [...competitorNames, currentMonth]);
-    
-    // Previous month data
-    const prevCompData = await all(`
-      SELECT 
-        exporter_name,
-        COUNT(DISTINCT declaration_id) as shipments,
-        SUM(fob_value) as total_fob,
-        SUM(quantity) as total_qty,
-        COUNT(DISTINCT product_description) as products,
-        COUNT(DISTINCT country_of_destination) as countries,
-        COUNT(DISTINCT consignee_name) as clients
-      FROM exports 
-      WHERE UPPER(exporter_name) IN (${placeholders}) AND month_year = ?
-      GROUP BY exporter_name
-    `, [...competitorNames, previousMonth]);
-    
-    const prevMap = {};
-    prevCompData.forEach(p => prevMap[p.exporter_name] = p);
-    
-    competitorComparison = currentCompData.map(curr => ({
-      name: curr.exporter_name,
-      current: curr,
-      previous: prevMap[curr.exporter_name] || null,
-      shipmentChange: prevMap[curr.exporter_name] 
-        ? ((curr.shipments - prevMap[curr.exporter_name].shipments) / prevMap[curr.exporter_name].shipments * 100).toFixed(1)
-        : null,
-      fobChange: prevMap[curr.exporter_name]
-        ? ((curr.total_fob - prevMap[curr.exporter_name].total_fob) / prevMap[curr.exporter_name].total_fob * 100).toFixed(1)
-        : null,
-      isNew: !prevMap[curr.exporter_name]
-    }));
-    
-    // Add competitors only in previous month (dropped)
-    prevCompData.forEach(prev => {
-      if (!currentCompData.find(c => c.exporter_name === prev.exporter_name)) {
-        competitorComparison.push({
-          name: prev.exporter_name,
+  if (dropped) {
+    previousRows.forEach(prev => {
+      if (!currentRows.find(c => c.name === prev.name)) {
+        compared.push({
+          name: prev.name,
           current: null,
-          previous: prev,
+          previous: totals(prev),
           shipmentChange: -100,
           fobChange: -100,
-          isDropped: true
+          isDropped: true,
+          ...(prev.members && { members: compareMonths([], prev.members, { dropped }) })
         });
       }
     });
   }
+  return compared;
+};
+
+// Compare two periods - months, or weeks, quarters or financial years (see requestComparisonPeriods)
+app.get('/api/monthly-comparison', async (req, res) => {
+  const periods = requestComparisonPeriods(req.query, res);
+  if (!periods) return;
+  const { current, previous } = periods;
+  const inCurrent = settledRangeSql(current);
+  const inPrevious = settledRangeSql(previous);
   
-  // Client comparison (tracked clients)
-  const clients = await all('SELECT name FROM clients WHERE active = 1');
-  const clientNames = clients.map(c => c.name);
+  const { name: companyName } = await ownCompany(db);
   
-  let clientComparison = [];
-  if (clientNames.length > 0) {
-    const placeholders = clientNames.map(() => '?').join(',');
-    
-    // Current month data
-    const currentClientData = await all(`
-      SELECT 
-        consignee_name,
-        COUNT(DISTINCT declaration_id) as shipments,
-        SUM(fob_value) as total_fob,
-        SUM(quantity) as total_qty,
-        COUNT(DISTINCT product_description) as products,
-        COUNT(DISTINCT exporter_name) as suppliers
-      FROM exports 
-      WHERE UPPER(consignee_name) IN (${placeholders}) AND month_year = ?
-      GROUP BY consignee_name
-    `, [...clientNames, currentMonth]);
-    
-    // Previous month data
-    const prevClientData = await all(`
-      SELECT 
-        consignee_name,
-        COUNT(DISTINCT declaration_id) as shipments,
-        SUM(fob_value) as total_fob,
-        SUM(quantity) as total_qty,
-        COUNT(DISTINCT product_description) as products,
-        COUNT(DISTINCT exporter_name) as suppliers
-      FROM exports 
-      WHERE UPPER(consignee_name) IN (${placeholders}) AND month_year = ?
-      GROUP BY consignee_name
-    `, [...clientNames, previousMonth]);
+  // Competitor comparison (tracked competitor groups, with their companies under `members`)
+  const trackedCompetitors = await trackedGroupsCte(db, 'competitors');
+  
+  let competitorComparison = [];
+  if (trackedCompetitors.ids.length > 0) {
+    const columns = `
+      COUNT(DISTINCT declaration_id) as shipments,
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr,
+      SUM(quantity_kg) as total_qty,
+      ${countTotalSql()},
+      COUNT(DISTINCT ${productKeySql()}) as products,
+      COUNT(DISTINCT ${countryKeySql()}) as countries,
+      ${clientCountSql(req)} as clients
+    `;
+    const currentCompData = await groupTotals(db, trackedCompetitors, 'exporter_name', columns, { where: inCurrent.sql, args: inCurrent.args });
+    const prevCompData = await groupTotals(db, trackedCompetitors, 'exporter_name', columns, { where: inPrevious.sql, args: inPrevious.args });
     
-    const prevMap = {};
-    prevClientData.forEach(p => prevMap[p.consignee_name] = p);
+    // Competitors only in the previous period are kept as dropped
+    competitorComparison = compareMonths(currentCompData, prevCompData, { dropped: true });
+  }
+  
+  // Client comparison (tracked client groups)
+  const trackedClients = await trackedGroupsCte(db, 'clients');
+  const clientIds = trackedClients.ids;
+  
+  let clientComparison = [];
+  if (clientIds.length > 0) {
+    const columns = `
+      COUNT(DISTINCT declaration_id) as shipments,
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr,
+      SUM(quantity_kg) as total_qty,
+      ${countTotalSql()},
+      COUNT(DISTINCT ${productKeySql()}) as products,
+      COUNT(DISTINCT exporter_entity_id) as suppliers
+    `;
+    const currentClientData = await groupTotals(db, trackedClients, 'consignee_name', columns, { where: inCurrent.sql, args: inCurrent.args });
+    const prevClientData = await groupTotals(db, trackedClients, 'consignee_name', columns, { where: inPrevious.sql, args: inPrevious.args });
     
-    clientComparison = currentClientData.map(curr => ({
-      name: curr.consignee_name,
-      current: curr,
-      previous: prevMap[curr.consignee_name] || null,
-      shipmentChange: prevMap[curr.consignee_name]
-        ? ((curr.shipments - prevMap[curr.consignee_name].shipments) / prevMap[curr.consignee_name].shipments * 100).toFixed(1)
-        : null,
-      fobChange: prevMap[curr.consignee_name]
-        ? ((curr.total_fob - prevMap[curr.consignee_name].total_fob) / prevMap[curr.consignee_name].total_fob * 100).toFixed(1)
-        : null,
-      isNew: !prevMap[curr.consignee_name]
-    }));
-  }
-  
-  // New suppliers to our clients this month (competitors entering our client base)
+    clientComparison = compareMonths(currentClientData, prevClientData);
+  }
+  
+  // New suppliers to our clients this period (competitors entering our client base)
   let newSuppliersToClients = [];
-  if (clientNames.length > 0) {
-    const placeholders = clientNames.map(() => '?').join(',');
+  if (clientIds.length > 0) {
+    const placeholders = clientIds.map(() => '?').join(',');
     
-    // Suppliers in current month
+    // Suppliers in the current period
     const currentSuppliers = await all(`
-      SELECT DISTINCT consignee_name, exporter_name
+      SELECT DISTINCT consignee_entity_id, exporter_entity_id
       FROM exports 
-      WHERE UPPER(consignee_name) IN (${placeholders}) AND month_year = ?
-    `, [...clientNames, currentMonth]);
+      WHERE consignee_entity_id IN (${placeholders}) AND ${inCurrent.sql}
+    `, [...clientIds, ...inCurrent.args]);
     
-    // Suppliers in previous month
+    // Suppliers in the previous period
     const prevSuppliers = await all(`
-      SELECT DISTINCT consignee_name, exporter_name
+      SELECT DISTINCT consignee_entity_id, exporter_entity_id
       FROM exports 
-      WHERE UPPER(consignee_name) IN (${placeholders}) AND month_year = ?
-    `, [...clientNames, previousMonth]);
+      WHERE consignee_entity_id IN (${placeholders}) AND ${inPrevious.sql}
+    `, [...clientIds, ...inPrevious.args]);
     
-    const prevSet = new Set(prevSuppliers.map(p => `${p.consignee_name}|${p.exporter_name}`));
+    const prevSet = new Set(prevSuppliers.map(p => `${p.consignee_entity_id}|${p.exporter_entity_id}`));
     
     const newEntries = currentSuppliers.filter(c => 
-      !prevSet.has(`${c.consignee_name}|${c.exporter_name}`)
+      !prevSet.has(`${c.consignee_entity_id}|${c.exporter_entity_id}`)
     );
     
     // Get details for new supplier-client relationships
     if (newEntries.length > 0) {
-      const newConditions = newEntries.map(() => '(UPPER(consignee_name) = ? AND UPPER(exporter_name) = ?)').join(' OR ');
+      const newConditions = newEntries.map(() => '(consignee_entity_id = ? AND exporter_entity_id = ?)').join(' OR ');
       const newParams = [];
       newEntries.forEach(e => {
-        newParams.push(e.consignee_name.toUpperCase(), e.exporter_name.toUpperCase());
+        newParams.push(e.consignee_entity_id, e.exporter_entity_id);
       });
       
       newSuppliersToClients = await all(`
         SELECT 
-          consignee_name as client,
-          exporter_name as new_supplier,
+          ${entityNameSql('consignee_name')} as client,
+          ${entityNameSql('exporter_name')} as new_supplier,
           COUNT(DISTINCT declaration_id) as shipments,
-          SUM(fob_value) as total_fob,
-          GROUP_CONCAT(DISTINCT product_description) as products
+          SUM(fob_usd) as total_fob,
+          SUM(fob_inr) as total_fob_inr,
+          GROUP_CONCAT(DISTINCT ${productNameSql()}) as products
         FROM exports 
-        WHERE (${newConditions}) AND month_year = ?
-        GROUP BY consignee_name, exporter_name
+        WHERE (${newConditions}) AND ${inCurrent.sql}
+        GROUP BY consignee_entity_id, exporter_entity_id
         ORDER BY total_fob DESC
         LIMIT 50
-      `, [...newParams, currentMonth]);
+      `, [...newParams, ...inCurrent.args]);
     }
   }
   
   // Clients buying from new suppliers (any new supplier relationships)
+  const inCurrentCurr = settledRangeSql(current, 'curr.shipment_date');
   const clientsNewSuppliers = await all(`
     SELECT 
-      curr.consignee_name as client,
-      curr.exporter_name as new_supplier,
+      ${entityNameSql('consignee_name', 'curr')} as client,
+      ${entityNameSql('exporter_name', 'curr')} as new_supplier,
       COUNT(DISTINCT curr.declaration_id) as shipments,
-      SUM(curr.fob_value) as total_fob,
-      GROUP_CONCAT(DISTINCT curr.product_description) as products
+      SUM(curr.fob_usd) as total_fob,
+      SUM(curr.fob_inr) as total_fob_inr,
+      GROUP_CONCAT(DISTINCT ${productNameSql('curr')}) as products
     FROM exports curr
     LEFT JOIN (
-      SELECT DISTINCT consignee_name, exporter_name 
+      SELECT DISTINCT consignee_entity_id, exporter_entity_id 
       FROM exports 
-      WHERE month_year = ?
-    ) prev ON curr.consignee_name = prev.consignee_name AND curr.exporter_name = prev.exporter_name
-    WHERE curr.month_year = ? 
-    AND prev.exporter_name IS NULL
-    AND curr.consignee_name IS NOT NULL
-    AND curr.exporter_name IS NOT NULL
-    GROUP BY curr.consignee_name, curr.exporter_name
+      WHERE ${inPrevious.sql}
+    ) prev ON curr.consignee_entity_id = prev.consignee_entity_id AND curr.exporter_entity_id = prev.exporter_entity_id
+    WHERE ${inCurrentCurr.sql} 
+    AND prev.exporter_entity_id IS NULL
+    AND curr.consignee_entity_id IS NOT NULL
+    AND curr.exporter_entity_id IS NOT NULL
+    AND ${realConsignee(req, 'curr')}
+    GROUP BY curr.consignee_entity_id, curr.exporter_entity_id
     ORDER BY total_fob DESC
     LIMIT 100
-  `, [previousMonth, currentMonth]);
+  `, [...inPrevious.args, ...inCurrentCurr.args]);
   
   res.json({
-    currentMonth,
-    previousMonth,
+    current,
+    previous,
+    currentMonth: current.id,
+    previousMonth: previous.id,
     companyName,
     competitorComparison,
     clientComparison,
@@ -1611,17 +4623,23 @@ app.get('/api/monthly-comparison', async (req, res) => {
   });
 });
 
-// Get detailed monthly comparison for an entity
+// Get detailed period comparison for an entity
 app.get('/api/monthly-comparison/details', async (req, res) => {
-  const { entity, type, currentMonth, previousMonth } = req.query;
+  const { entity, type } = req.query;
   
-  if (!entity || !type || !currentMonth || !previousMonth) {
-    return res.status(400).json({ error: 'entity, type, currentMonth, and previousMonth required' });
+  if (!entity || !type) {
+    return res.status(400).json({ error: 'entity and type required' });
   }
+  const periods = requestComparisonPeriods(req.query, res);
+  if (!periods) return;
+  const { current, previous } = periods;
+  const inCurrent = settledRangeSql(current);
+  const inPrevious = settledRangeSql(previous);
   
   const field = type === 'competitor' ? 'exporter_name' : 'consignee_name';
+  const match = await entityFilter(entity, field);
   
-  // Current month details
+  // Current period details
   const currentData = await all(`
     SELECT 
       declaration_id,
@@ -1632,16 +4650,20 @@ app.get('/api/monthly-comparison/details', async (req, res) => {
       hs_code,
       quantity,
       unit,
+      quantity_kg,
       fob_value,
+      fob_currency,
+      fob_usd,
+      fob_inr,
       country_of_destination,
       port_of_loading,
       port_of_discharge
     FROM exports 
-    WHERE UPPER(${field}) = ? AND month_year = ?
+    WHERE ${match.sql} AND ${inCurrent.sql}
     ORDER BY shipment_date DESC
-  `, [entity.toUpperCase(), currentMonth]);
+  `, [...match.args, ...inCurrent.args]);
   
-  // Previous month details
+  // Previous period details
   const previousData = await all(`
     SELECT 
       declaration_id,
@@ -1652,46 +4674,55 @@ app.get('/api/monthly-comparison/details', async (req, res) => {
       hs_code,
       quantity,
       unit,
+      quantity_kg,
       fob_value,
+      fob_currency,
+      fob_usd,
+      fob_inr,
       country_of_destination,
       port_of_loading,
       port_of_discharge
     FROM exports 
-    WHERE UPPER(${field}) = ? AND month_year = ?
+    WHERE ${match.sql} AND ${inPrevious.sql}
     ORDER BY shipment_date DESC
-  `, [entity.toUpperCase(), previousMonth]);
+  `, [...match.args, ...inPrevious.args]);
   
   // Product comparison
   const currentProducts = await all(`
-    SELECT product_description, hs_code, SUM(quantity) as qty, SUM(fob_value) as fob
-    FROM exports WHERE UPPER(${field}) = ? AND month_year = ?
-    GROUP BY product_description, hs_code ORDER BY fob DESC
-  `, [entity.toUpperCase(), currentMonth]);
+    SELECT product_id, ${productNameSql()} as product_description, GROUP_CONCAT(DISTINCT hs_code) as hs_code,
+           SUM(quantity_kg) as qty, SUM(fob_usd) as fob
+    FROM exports WHERE ${match.sql} AND ${inCurrent.sql}
+    GROUP BY ${productKeySql()} ORDER BY fob DESC
+  `, [...match.args, ...inCurrent.args]);
   
   const prevProducts = await all(`
-    SELECT product_description, hs_code, SUM(quantity) as qty, SUM(fob_value) as fob
-    FROM exports WHERE UPPER(${field}) = ? AND month_year = ?
-    GROUP BY product_description, hs_code ORDER BY fob DESC
-  `, [entity.toUpperCase(), previousMonth]);
-  
-  // Country comparison
+    SELECT product_id, ${productNameSql()} as product_description, GROUP_CONCAT(DISTINCT hs_code) as hs_code,
+           SUM(quantity_kg) as qty, SUM(fob_usd) as fob
+    FROM exports WHERE ${match.sql} AND ${inPrevious.sql}
+    GROUP BY ${productKeySql()} ORDER BY fob DESC
+  `, [...match.args, ...inPrevious.args]);
+  
+  // Country comparison (?by=region for regions)
+  const countryGroup = countryGroupSql(req.query.by);
   const currentCountries = await all(`
-    SELECT country_of_destination, COUNT(DISTINCT declaration_id) as shipments, SUM(fob_value) as fob
-    FROM exports WHERE UPPER(${field}) = ? AND month_year = ?
-    GROUP BY country_of_destination ORDER BY fob DESC
-  `, [entity.toUpperCase(), currentMonth]);
+    SELECT ${countryGroup.name} as country_of_destination, COUNT(DISTINCT declaration_id) as shipments, SUM(fob_usd) as fob
+    FROM exports ${countryGroup.join} WHERE ${match.sql} AND ${inCurrent.sql}
+    GROUP BY ${countryGroup.key} ORDER BY fob DESC
+  `, [...match.args, ...inCurrent.args]);
   
   const prevCountries = await all(`
-    SELECT country_of_destination, COUNT(DISTINCT declaration_id) as shipments, SUM(fob_value) as fob
-    FROM exports WHERE UPPER(${field}) = ? AND month_year = ?
-    GROUP BY country_of_destination ORDER BY fob DESC
-  `, [entity.toUpperCase(), previousMonth]);
+    SELECT ${countryGroup.name} as country_of_destination, COUNT(DISTINCT declaration_id) as shipments, SUM(fob_usd) as fob
+    FROM exports ${countryGroup.join} WHERE ${match.sql} AND ${inPrevious.sql}
+    GROUP BY ${countryGroup.key} ORDER BY fob DESC
+  `, [...match.args, ...inPrevious.args]);
   
   res.json({
     entity,
     type,
-    currentMonth,
-    previousMonth,
+    current,
+    previous,
+    currentMonth: current.id,
+    previousMonth: previous.id,
     currentData,
     previousData,
     currentProducts,
@@ -1705,90 +4736,91 @@ app.get('/api/monthly-comparison/details', async (req, res) => {
 
 // Get company benchmarking data
 app.get('/api/benchmarking', async (req, res) => {
-  const { month } = req.query;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const companyName = company?.company_name || 'AGNA';
+  const { name: companyName, ids: companyIds } = await ownCompany(db);
+  const companyPlaceholders = companyIds.map(() => '?').join(',');
   
-  const monthFilter = month ? 'AND month_year = ?' : '';
-  const monthParam = month ? [month] : [];
+  const { sql: inRange, args: rangeParams } = settledRangeSql(range);
+  const dateFilter = `AND ${inRange}`;
   
   // Company data
   const companyData = await get(`
     SELECT 
       COUNT(DISTINCT declaration_id) as shipments,
-      SUM(fob_value) as total_fob,
-      SUM(quantity) as total_qty,
-      COUNT(DISTINCT product_description) as products,
-      COUNT(DISTINCT country_of_destination) as countries,
-      COUNT(DISTINCT consignee_name) as clients,
-      AVG(fob_value) as avg_fob_per_shipment
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr,
+      SUM(quantity_kg) as total_qty,
+      ${countTotalSql()},
+      COUNT(DISTINCT ${productKeySql()}) as products,
+      COUNT(DISTINCT ${countryKeySql()}) as countries,
+      ${clientCountSql(req)} as clients,
+      AVG(fob_usd) as avg_fob_per_shipment
     FROM exports 
-    WHERE UPPER(exporter_name) LIKE ? ${monthFilter}
-  `, [`%${companyName}%`, ...monthParam]);
+    WHERE exporter_entity_id IN (${companyPlaceholders}) ${dateFilter}
+  `, [...companyIds, ...rangeParams]);
   
-  // All competitors data
-  const competitors = await all('SELECT name FROM competitors WHERE active = 1');
-  const competitorNames = competitors.map(c => c.name);
+  // All competitor groups, with their companies under `members`
+  const trackedCompetitors = await trackedGroupsCte(db, 'competitors');
   
   let competitorBenchmark = [];
-  if (competitorNames.length > 0) {
-    const placeholders = competitorNames.map(() => '?').join(',');
-    competitorBenchmark = await all(`
-      SELECT 
-        exporter_name as name,
-        COUNT(DISTINCT declaration_id) as shipments,
-        SUM(fob_value) as total_fob,
-        SUM(quantity) as total_qty,
-        COUNT(DISTINCT product_description) as products,
-        COUNT(DISTINCT country_of_destination) as countries,
-        COUNT(DISTINCT consignee_name) as clients,
-        AVG(fob_value) as avg_fob_per_shipment
-      FROM exports 
-      WHERE UPPER(exporter_name) IN (${placeholders}) ${monthFilter}
-      GROUP BY exporter_name
-      ORDER BY total_fob DESC
-    `, [...competitorNames, ...monthParam]);
+  if (trackedCompetitors.ids.length > 0) {
+    competitorBenchmark = await groupTotals(db, trackedCompetitors, 'exporter_name', `
+      COUNT(DISTINCT declaration_id) as shipments,
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr,
+      SUM(quantity_kg) as total_qty,
+      ${countTotalSql()},
+      COUNT(DISTINCT ${productKeySql()}) as products,
+      COUNT(DISTINCT ${countryKeySql()}) as countries,
+      ${clientCountSql(req)} as clients,
+      AVG(fob_usd) as avg_fob_per_shipment
+    `, { where: inRange, args: rangeParams });
   }
   
   // Market totals (all exporters)
   const marketTotals = await get(`
     SELECT 
       COUNT(DISTINCT declaration_id) as shipments,
-      SUM(fob_value) as total_fob,
-      COUNT(DISTINCT exporter_name) as exporters
+      SUM(fob_usd) as total_fob,
+      SUM(fob_inr) as total_fob_inr,
+      COUNT(DISTINCT exporter_entity_id) as exporters
     FROM exports 
-    WHERE 1=1 ${monthFilter}
-  `, monthParam);
+    WHERE 1=1 ${dateFilter}
+  `, rangeParams);
   
   // Company's clients and their other vendors
   const companyClients = await all(`
-    SELECT DISTINCT consignee_name
+    SELECT DISTINCT consignee_entity_id
     FROM exports 
-    WHERE UPPER(exporter_name) LIKE ? ${monthFilter}
-    AND consignee_name IS NOT NULL AND consignee_name != ''
-  `, [`%${companyName}%`, ...monthParam]);
+    WHERE exporter_entity_id IN (${companyPlaceholders}) ${dateFilter}
+    AND consignee_entity_id IS NOT NULL
+    AND ${realConsignee(req)}
+  `, [...companyIds, ...rangeParams]);
   
   let clientVendorAnalysis = [];
   if (companyClients.length > 0) {
-    const clientNames = companyClients.map(c => c.consignee_name);
-    const placeholders = clientNames.map(() => '?').join(',');
+    const clientIds = companyClients.map(c => c.consignee_entity_id);
+    const placeholders = clientIds.map(() => '?').join(',');
     
     // For each client, get all their suppliers and how they compare
     clientVendorAnalysis = await all(`
       SELECT 
-        consignee_name as client,
-        exporter_name as vendor,
-        CASE WHEN UPPER(exporter_name) LIKE ? THEN 1 ELSE 0 END as is_your_company,
+        ${entityNameSql('consignee_name')} as client,
+        ${entityNameSql('exporter_name')} as vendor,
+        CASE WHEN exporter_entity_id IN (${companyPlaceholders}) THEN 1 ELSE 0 END as is_your_company,
         COUNT(DISTINCT declaration_id) as shipments,
-        SUM(fob_value) as total_fob,
-        SUM(quantity) as total_qty,
-        COUNT(DISTINCT product_description) as products
+        SUM(fob_usd) as total_fob,
+        SUM(fob_inr) as total_fob_inr,
+        SUM(quantity_kg) as total_qty,
+        ${countTotalSql()},
+        COUNT(DISTINCT ${productKeySql()}) as products
       FROM exports 
-      WHERE UPPER(consignee_name) IN (${placeholders}) ${monthFilter}
-      GROUP BY consignee_name, exporter_name
-      ORDER BY consignee_name, total_fob DESC
-    `, [`%${companyName}%`, ...clientNames.map(c => c.toUpperCase()), ...monthParam]);
+      WHERE consignee_entity_id IN (${placeholders}) ${dateFilter}
+      GROUP BY consignee_entity_id, exporter_entity_id
+      ORDER BY client, total_fob DESC
+    `, [...companyIds, ...clientIds, ...rangeParams]);
   }
   
   // Calculate market share
@@ -1800,21 +4832,22 @@ app.get('/api/benchmarking', async (req, res) => {
   const companyRank = await get(`
     SELECT COUNT(*) + 1 as rank
     FROM (
-      SELECT exporter_name, SUM(fob_value) as total_fob
+      SELECT exporter_entity_id, SUM(fob_usd) as total_fob
       FROM exports 
-      WHERE 1=1 ${monthFilter}
-      GROUP BY exporter_name
+      WHERE 1=1 ${dateFilter}
+      GROUP BY exporter_entity_id
       HAVING total_fob > (
-        SELECT COALESCE(SUM(fob_value), 0)
+        SELECT COALESCE(SUM(fob_usd), 0)
         FROM exports 
-        WHERE UPPER(exporter_name) LIKE ? ${monthFilter}
+        WHERE exporter_entity_id IN (${companyPlaceholders}) ${dateFilter}
       )
     )
-  `, [...monthParam, `%${companyName}%`, ...monthParam]);
+  `, [...rangeParams, ...companyIds, ...rangeParams]);
   
   res.json({
     companyName,
-    month: month || 'All Time',
+    from: range.from,
+    to: range.to,
     companyData: companyData || {},
     competitorBenchmark,
     marketTotals: marketTotals || {},
@@ -1826,63 +4859,70 @@ app.get('/api/benchmarking', async (req, res) => {
 
 // Export benchmarking to Excel
 app.get('/api/export/benchmarking', async (req, res) => {
-  const { month } = req.query;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const companyName = company?.company_name || 'AGNA';
+  const { name: companyName, ids: companyIds } = await ownCompany(db);
+  const companyPlaceholders = companyIds.map(() => '?').join(',');
   
-  const monthFilter = month ? 'AND month_year = ?' : '';
-  const monthParam = month ? [month] : [];
+  const { sql: inRange, args: rangeParams } = settledRangeSql(range);
+  const dateFilter = `AND ${inRange}`;
   
-  // Company vs Competitors
-  const competitors = await all('SELECT name FROM competitors WHERE active = 1');
-  const allNames = [companyName, ...competitors.map(c => c.name)];
-  const placeholders = allNames.map(() => 'UPPER(exporter_name) LIKE ?').join(' OR ');
+  // Company vs Competitors, each competitor company with its group
+  const tracked = await trackedGroupsCte(db, 'competitors');
+  const allIds = [...new Set([...companyIds, ...tracked.ids])];
+  const placeholders = allIds.map(() => '?').join(',');
   
   const benchmark = await all(`
+    WITH ${tracked.cte}
     SELECT 
-      exporter_name as "Company",
-      CASE WHEN UPPER(exporter_name) LIKE ? THEN 'Your Company' ELSE 'Competitor' END as "Type",
+      ${entityNameSql('exporter_name')} as "Company",
+      CASE WHEN exporter_entity_id IN (${companyPlaceholders}) THEN 'Your Company' ELSE 'Competitor' END as "Type",
+      tracked.group_name as "Competitor Group",
       COUNT(DISTINCT declaration_id) as "Shipments",
-      SUM(fob_value) as "Total FOB (USD)",
-      ROUND(SUM(fob_value) * 83.5, 2) as "Total FOB (INR)",
-      SUM(quantity) as "Total Quantity",
-      COUNT(DISTINCT product_description) as "Products",
-      COUNT(DISTINCT country_of_destination) as "Countries",
-      COUNT(DISTINCT consignee_name) as "Clients"
+      SUM(fob_usd) as "Total FOB (USD)",
+      ROUND(SUM(fob_inr), 2) as "Total FOB (INR)",
+      SUM(quantity_kg) as "Total Quantity (kg)",
+      ${countTotalSql('', { total: '"Total Count (non-weight units)"', unit: '"Count Unit"' })},
+      COUNT(DISTINCT ${productKeySql()}) as "Products",
+      COUNT(DISTINCT ${countryKeySql()}) as "Countries",
+      ${clientCountSql(req)} as "Clients"
     FROM exports 
-    WHERE (${placeholders}) ${monthFilter}
-    GROUP BY exporter_name
+    LEFT JOIN tracked ON tracked.entity_id = exports.exporter_entity_id
+    WHERE exporter_entity_id IN (${placeholders}) ${dateFilter}
+    GROUP BY exporter_entity_id
     ORDER BY "Total FOB (USD)" DESC
-  `, [`%${companyName}%`, ...allNames.map(n => `%${n}%`), ...monthParam]);
+  `, [...tracked.args, ...companyIds, ...allIds, ...rangeParams]);
   
   // Client vendor analysis
   const companyClients = await all(`
-    SELECT DISTINCT consignee_name
+    SELECT DISTINCT consignee_entity_id
     FROM exports 
-    WHERE UPPER(exporter_name) LIKE ? ${monthFilter}
-    AND consignee_name IS NOT NULL AND consignee_name != ''
-  `, [`%${companyName}%`, ...monthParam]);
+    WHERE exporter_entity_id IN (${companyPlaceholders}) ${dateFilter}
+    AND consignee_entity_id IS NOT NULL
+    AND ${realConsignee(req)}
+  `, [...companyIds, ...rangeParams]);
   
   let clientVendors = [];
   if (companyClients.length > 0) {
-    const clientNames = companyClients.map(c => c.consignee_name);
-    const clientPlaceholders = clientNames.map(() => '?').join(',');
+    const clientIds = companyClients.map(c => c.consignee_entity_id);
+    const clientPlaceholders = clientIds.map(() => '?').join(',');
     
     clientVendors = await all(`
       SELECT 
-        consignee_name as "Client",
-        exporter_name as "Vendor",
-        CASE WHEN UPPER(exporter_name) LIKE ? THEN 'Your Company' ELSE 'Competitor' END as "Type",
+        ${entityNameSql('consignee_name')} as "Client",
+        ${entityNameSql('exporter_name')} as "Vendor",
+        CASE WHEN exporter_entity_id IN (${companyPlaceholders}) THEN 'Your Company' ELSE 'Competitor' END as "Type",
         COUNT(DISTINCT declaration_id) as "Shipments",
-        SUM(fob_value) as "FOB (USD)",
-        ROUND(SUM(fob_value) * 83.5, 2) as "FOB (INR)",
-        SUM(quantity) as "Quantity"
+        SUM(fob_usd) as "FOB (USD)",
+        ROUND(SUM(fob_inr), 2) as "FOB (INR)",
+        SUM(quantity_kg) as "Quantity (kg)",
+        ${countTotalSql('', { total: '"Count (non-weight units)"', unit: '"Count Unit"' })}
       FROM exports 
-      WHERE UPPER(consignee_name) IN (${clientPlaceholders}) ${monthFilter}
-      GROUP BY consignee_name, exporter_name
-      ORDER BY consignee_name, "FOB (USD)" DESC
-    `, [`%${companyName}%`, ...clientNames.map(c => c.toUpperCase()), ...monthParam]);
+      WHERE consignee_entity_id IN (${clientPlaceholders}) ${dateFilter}
+      GROUP BY consignee_entity_id, exporter_entity_id
+      ORDER BY "Client", "FOB (USD)" DESC
+    `, [...companyIds, ...clientIds, ...rangeParams]);
   }
   
   // Create workbook
@@ -1894,91 +4934,96 @@ app.get('/api/export/benchmarking', async (req, res) => {
   const clientVendorsWs = XLSX.utils.json_to_sheet(clientVendors);
   XLSX.utils.book_append_sheet(wb, clientVendorsWs, 'Client Vendor Analysis');
   
+  await appendMissingRatesSheet(wb, settledRangeSql(range));
   const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
   
-  res.setHeader('Content-Disposition', `attachment; filename=benchmarking_report_${month || 'all'}.xlsx`);
+  res.setHeader('Content-Disposition', `attachment; filename=benchmarking_report_${dateRangeLabel(range)}.xlsx`);
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   res.send(buffer);
 });
 
-// Export monthly comparison to Excel
+// Export a period comparison to Excel (same periods as /api/monthly-comparison)
 app.get('/api/export/monthly-comparison', async (req, res) => {
-  const { currentMonth, previousMonth } = req.query;
+  const periods = requestComparisonPeriods(req.query, res);
+  if (!periods) return;
+  const { current, previous } = periods;
+  const inCurrent = settledRangeSql(current);
+  const inPrevious = settledRangeSql(previous);
+  const inEither = { sql: `((${inCurrent.sql}) OR (${inPrevious.sql}))`, args: [...inCurrent.args, ...inPrevious.args] };
+  const period = periodKeySql(current.granularity, fiscalCalendar);
   
-  if (!currentMonth || !previousMonth) {
-    return res.status(400).json({ error: 'Both months required' });
-  }
-  
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const companyName = company?.company_name || 'AGNA';
+  const { name: companyName } = await ownCompany(db);
   
   // Get all comparison data
-  const competitors = await all('SELECT name FROM competitors WHERE active = 1');
-  const competitorNames = competitors.map(c => c.name);
+  const trackedCompetitors = await trackedGroupsCte(db, 'competitors');
   
   let competitorData = [];
-  if (competitorNames.length > 0) {
-    const placeholders = competitorNames.map(() => '?').join(',');
-    
+  if (trackedCompetitors.ids.length > 0) {
     competitorData = await all(`
+      WITH ${trackedCompetitors.cte}
       SELECT 
-        exporter_name as "Competitor",
-        month_year as "Month",
+        tracked.group_name as "Competitor",
+        ${entityNameSql('exporter_name')} as "Exporter",
+        ${period} as "Period",
         COUNT(DISTINCT declaration_id) as "Shipments",
-        SUM(fob_value) as "FOB (USD)",
-        ROUND(SUM(fob_value) * 83.5, 2) as "FOB (INR)",
-        SUM(quantity) as "Quantity",
-        COUNT(DISTINCT product_description) as "Products"
+        SUM(fob_usd) as "FOB (USD)",
+        ROUND(SUM(fob_inr), 2) as "FOB (INR)",
+        SUM(quantity_kg) as "Quantity (kg)",
+        ${countTotalSql('', { total: '"Count (non-weight units)"', unit: '"Count Unit"' })},
+        COUNT(DISTINCT ${productKeySql()}) as "Products"
       FROM exports 
-      WHERE UPPER(exporter_name) IN (${placeholders}) 
-      AND month_year IN (?, ?)
-      GROUP BY exporter_name, month_year
-      ORDER BY exporter_name, month_year
-    `, [...competitorNames, currentMonth, previousMonth]);
+      JOIN tracked ON tracked.entity_id = exports.exporter_entity_id
+      WHERE ${inEither.sql}
+      GROUP BY exporter_entity_id, "Period"
+      ORDER BY "Competitor", "Exporter", "Period"
+    `, [...trackedCompetitors.args, ...inEither.args]);
   }
   
-  const clients = await all('SELECT name FROM clients WHERE active = 1');
-  const clientNames = clients.map(c => c.name);
+  const trackedClients = await trackedGroupsCte(db, 'clients');
   
   let clientData = [];
-  if (clientNames.length > 0) {
-    const placeholders = clientNames.map(() => '?').join(',');
-    
+  if (trackedClients.ids.length > 0) {
     clientData = await all(`
+      WITH ${trackedClients.cte}
       SELECT 
-        consignee_name as "Client",
-        month_year as "Month",
+        tracked.group_name as "Client",
+        ${entityNameSql('consignee_name')} as "Consignee",
+        ${period} as "Period",
         COUNT(DISTINCT declaration_id) as "Shipments",
-        SUM(fob_value) as "FOB (USD)",
-        ROUND(SUM(fob_value) * 83.5, 2) as "FOB (INR)",
-        SUM(quantity) as "Quantity",
-        COUNT(DISTINCT exporter_name) as "Suppliers"
+        SUM(fob_usd) as "FOB (USD)",
+        ROUND(SUM(fob_inr), 2) as "FOB (INR)",
+        SUM(quantity_kg) as "Quantity (kg)",
+        ${countTotalSql('', { total: '"Count (non-weight units)"', unit: '"Count Unit"' })},
+        COUNT(DISTINCT exporter_entity_id) as "Suppliers"
       FROM exports 
-      WHERE UPPER(consignee_name) IN (${placeholders}) 
-      AND month_year IN (?, ?)
-      GROUP BY consignee_name, month_year
-      ORDER BY consignee_name, month_year
-    `, [...clientNames, currentMonth, previousMonth]);
+      JOIN tracked ON tracked.entity_id = exports.consignee_entity_id
+      WHERE ${inEither.sql}
+      GROUP BY consignee_entity_id, "Period"
+      ORDER BY "Client", "Consignee", "Period"
+    `, [...trackedClients.args, ...inEither.args]);
   }
   
   // New relationships
+  const inCurrentCurr = settledRangeSql(current, 'curr.shipment_date');
   const newRelationships = await all(`
     SELECT 
-      curr.consignee_name as "Client",
-      curr.exporter_name as "New Supplier",
+      ${entityNameSql('consignee_name', 'curr')} as "Client",
+      ${entityNameSql('exporter_name', 'curr')} as "New Supplier",
       COUNT(DISTINCT curr.declaration_id) as "Shipments",
-      SUM(curr.fob_value) as "FOB (USD)",
-      ROUND(SUM(curr.fob_value) * 83.5, 2) as "FOB (INR)"
+      SUM(curr.fob_usd) as "FOB (USD)",
+      ROUND(SUM(curr.fob_inr), 2) as "FOB (INR)"
     FROM exports curr
     LEFT JOIN (
-      SELECT DISTINCT consignee_name, exporter_name 
-      FROM exports WHERE month_year = ?
-    ) prev ON curr.consignee_name = prev.consignee_name AND curr.exporter_name = prev.exporter_name
-    WHERE curr.month_year = ? AND prev.exporter_name IS NULL
-    GROUP BY curr.consignee_name, curr.exporter_name
+      SELECT DISTINCT consignee_entity_id, exporter_entity_id 
+      FROM exports WHERE ${inPrevious.sql}
+    ) prev ON curr.consignee_entity_id = prev.consignee_entity_id AND curr.exporter_entity_id = prev.exporter_entity_id
+    WHERE ${inCurrentCurr.sql} AND prev.exporter_entity_id IS NULL
+    AND curr.consignee_entity_id IS NOT NULL AND curr.exporter_entity_id IS NOT NULL
+    AND ${realConsignee(req, 'curr')}
+    GROUP BY curr.consignee_entity_id, curr.exporter_entity_id
     ORDER BY "FOB (USD)" DESC
     LIMIT 100
-  `, [previousMonth, currentMonth]);
+  `, [...inPrevious.args, ...inCurrentCurr.args]);
   
   // Create workbook
   const wb = XLSX.utils.book_new();
@@ -1992,9 +5037,37 @@ app.get('/api/export/monthly-comparison', async (req, res) => {
   const newRelWs = XLSX.utils.json_to_sheet(newRelationships);
   XLSX.utils.book_append_sheet(wb, newRelWs, 'New Supplier-Client');
   
+  await appendMissingRatesSheet(wb, inEither);
   const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
   
-  res.setHeader('Content-Disposition', `attachment; filename=monthly_comparison_${currentMonth}_vs_${previousMonth}.xlsx`);
+  res.setHeader('Content-Disposition', `attachment; filename=comparison_${current.id}_vs_${previous.id}.xlsx`);
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.send(buffer);
+});
+
+// Export trends to Excel (same parameters as /api/analytics/trends)
+app.get('/api/export/trends', async (req, res) => {
+  const granularity = requestGranularity(req.query, res);
+  if (!granularity) return;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+
+  const trends = await trendRows(req, granularity, range);
+  const rows = trends.map(t => ({
+    'Period': t.label,
+    'Shipments': t.shipment_count,
+    'FOB (USD)': t.total_fob,
+    'FOB (INR)': t.total_fob_inr,
+    'Products': t.product_count
+  }));
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'Trends');
+
+  await appendMissingRatesSheet(wb, settledRangeSql(range));
+  const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+  res.setHeader('Content-Disposition', `attachment; filename=trends_${granularity}_${dateRangeLabel(range)}.xlsx`);
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   res.send(buffer);
 });
@@ -2025,7 +5098,7 @@ app.get('/api/feedback', async (req, res) => {
 
 // Custom report by countries and/or companies
 app.get('/api/custom-report', async (req, res) => {
-  const { countries, exporters, consignees, month } = req.query;
+  const { countries, exporters, consignees } = req.query;
   
   const countryList = countries ? countries.split(',').map(c => c.trim().toUpperCase()).filter(c => c) : [];
   const exporterList = exporters ? exporters.split(',').map(e => e.trim().toUpperCase()).filter(e => e) : [];
@@ -2034,49 +5107,53 @@ app.get('/api/custom-report', async (req, res) => {
   if (countryList.length === 0 && exporterList.length === 0 && consigneeList.length === 0) {
     return res.status(400).json({ error: 'Please provide at least one country, exporter, or consignee' });
   }
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
   // Build query conditions
   const conditions = [];
   const params = [];
   
+  // Countries may be given by region (GCC), code or any spelling of their name
   if (countryList.length > 0) {
-    const placeholders = countryList.map(() => 'UPPER(country_of_destination) LIKE ?').join(' OR ');
-    conditions.push(`(${placeholders})`);
-    countryList.forEach(c => params.push(`%${c}%`));
+    const match = await countryFilter(db, countryList);
+    conditions.push(match.sql);
+    params.push(...match.args);
   }
   
   if (exporterList.length > 0) {
-    const placeholders = exporterList.map(() => 'UPPER(exporter_name) LIKE ?').join(' OR ');
-    conditions.push(`(${placeholders})`);
-    exporterList.forEach(e => params.push(`%${e}%`));
+    const placeholders = exporterList.map(() => 'alias LIKE ?').join(' OR ');
+    conditions.push(`exporter_entity_id IN (SELECT entity_id FROM entity_aliases WHERE ${placeholders})`);
+    exporterList.forEach(e => params.push(`%${companyKey(e)}%`));
   }
   
   if (consigneeList.length > 0) {
-    const placeholders = consigneeList.map(() => 'UPPER(consignee_name) LIKE ?').join(' OR ');
-    conditions.push(`(${placeholders})`);
-    consigneeList.forEach(c => params.push(`%${c}%`));
+    const placeholders = consigneeList.map(() => 'alias LIKE ?').join(' OR ');
+    conditions.push(`consignee_entity_id IN (SELECT entity_id FROM entity_aliases WHERE ${placeholders})`);
+    consigneeList.forEach(c => params.push(`%${companyKey(c)}%`));
   }
   
-  let whereClause = conditions.join(' AND ');
-  if (month) {
-    whereClause += ' AND month_year = ?';
-    params.push(month);
-  }
+  const inRange = settledRangeSql(range);
+  conditions.push(inRange.sql);
+  params.push(...inRange.args);
+  const whereClause = conditions.join(' AND ');
   
   // Get summary data
   const summary = await all(`
     SELECT 
       CASE 
-        WHEN ? > 0 THEN country_of_destination
-        WHEN ? > 0 THEN exporter_name  
-        ELSE consignee_name
+        WHEN ? > 0 THEN ${countryNameSql()}
+        WHEN ? > 0 THEN ${entityNameSql('exporter_name')}
+        ELSE ${entityNameSql('consignee_name')}
       END as group_by,
       COUNT(DISTINCT declaration_id) as total_shipments,
-      SUM(quantity) as total_quantity,
-      COUNT(DISTINCT product_description) as total_products,
-      SUM(fob_value) as total_value,
-      COUNT(DISTINCT exporter_name) as exporters,
-      COUNT(DISTINCT consignee_name) as consignees
+      SUM(quantity_kg) as total_quantity,
+      ${countTotalSql()},
+      COUNT(DISTINCT ${productKeySql()}) as total_products,
+      SUM(fob_usd) as total_value,
+      SUM(fob_inr) as total_value_inr,
+      COUNT(DISTINCT exporter_entity_id) as exporters,
+      ${clientCountSql(req)} as consignees
     FROM exports 
     WHERE ${whereClause}
     GROUP BY group_by
@@ -2094,8 +5171,9 @@ app.get('/api/custom-report', async (req, res) => {
       hs_code as "HS Code",
       quantity as "Quantity",
       unit as "Unit",
-      fob_value as "FOB Value (USD)",
-      ROUND(fob_value * 83.5, 2) as "FOB Value (INR)",
+      quantity_kg as "Quantity (kg)",
+      fob_usd as "FOB Value (USD)",
+      ROUND(fob_inr, 2) as "FOB Value (INR)",
       country_of_destination as "Country",
       port_of_loading as "Port of Loading",
       port_of_discharge as "Port of Discharge",
@@ -2110,7 +5188,7 @@ app.get('/api/custom-report', async (req, res) => {
 
 // Export custom report to Excel
 app.get('/api/export/custom-report', async (req, res) => {
-  const { countries, exporters, consignees, month } = req.query;
+  const { countries, exporters, consignees } = req.query;
   
   const countryList = countries ? countries.split(',').map(c => c.trim().toUpperCase()).filter(c => c) : [];
   const exporterList = exporters ? exporters.split(',').map(e => e.trim().toUpperCase()).filter(e => e) : [];
@@ -2119,49 +5197,52 @@ app.get('/api/export/custom-report', async (req, res) => {
   if (countryList.length === 0 && exporterList.length === 0 && consigneeList.length === 0) {
     return res.status(400).json({ error: 'Please provide at least one country, exporter, or consignee' });
   }
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
   // Build query conditions
   const conditions = [];
   const params = [];
   
+  // Countries may be given by region (GCC), code or any spelling of their name
   if (countryList.length > 0) {
-    const placeholders = countryList.map(() => 'UPPER(country_of_destination) LIKE ?').join(' OR ');
-    conditions.push(`(${placeholders})`);
-    countryList.forEach(c => params.push(`%${c}%`));
+    const match = await countryFilter(db, countryList);
+    conditions.push(match.sql);
+    params.push(...match.args);
   }
   
   if (exporterList.length > 0) {
-    const placeholders = exporterList.map(() => 'UPPER(exporter_name) LIKE ?').join(' OR ');
-    conditions.push(`(${placeholders})`);
-    exporterList.forEach(e => params.push(`%${e}%`));
+    const placeholders = exporterList.map(() => 'alias LIKE ?').join(' OR ');
+    conditions.push(`exporter_entity_id IN (SELECT entity_id FROM entity_aliases WHERE ${placeholders})`);
+    exporterList.forEach(e => params.push(`%${companyKey(e)}%`));
   }
   
   if (consigneeList.length > 0) {
-    const placeholders = consigneeList.map(() => 'UPPER(consignee_name) LIKE ?').join(' OR ');
-    conditions.push(`(${placeholders})`);
-    consigneeList.forEach(c => params.push(`%${c}%`));
+    const placeholders = consigneeList.map(() => 'alias LIKE ?').join(' OR ');
+    conditions.push(`consignee_entity_id IN (SELECT entity_id FROM entity_aliases WHERE ${placeholders})`);
+    consigneeList.forEach(c => params.push(`%${companyKey(c)}%`));
   }
   
-  let whereClause = conditions.join(' AND ');
-  if (month) {
-    whereClause += ' AND month_year = ?';
-    params.push(month);
-  }
+  const inRange = settledRangeSql(range);
+  conditions.push(inRange.sql);
+  params.push(...inRange.args);
+  const whereClause = conditions.join(' AND ');
   
   // Get summary data grouped appropriately
   const summaryParams = [countryList.length, exporterList.length, ...params];
   const summary = await all(`
     SELECT 
       CASE 
-        WHEN ? > 0 THEN country_of_destination
-        WHEN ? > 0 THEN exporter_name  
-        ELSE consignee_name
+        WHEN ? > 0 THEN ${countryNameSql()}
+        WHEN ? > 0 THEN ${entityNameSql('exporter_name')}
+        ELSE ${entityNameSql('consignee_name')}
       END as "Entity",
       COUNT(DISTINCT declaration_id) as "Total Shipments",
-      ROUND(SUM(quantity), 2) as "Total Quantity",
-      COUNT(DISTINCT product_description) as "Total Products",
-      ROUND(SUM(fob_value), 2) as "Total Value (USD)",
-      ROUND(SUM(fob_value) * 83.5, 2) as "Total Value (INR)"
+      ROUND(SUM(quantity_kg), 2) as "Total Quantity (kg)",
+      ${countTotalSql('', { total: '"Total Count (non-weight units)"', unit: '"Count Unit"' })},
+      COUNT(DISTINCT ${productKeySql()}) as "Total Products",
+      ROUND(SUM(fob_usd), 2) as "Total Value (USD)",
+      ROUND(SUM(fob_inr), 2) as "Total Value (INR)"
     FROM exports 
     WHERE ${whereClause}
     GROUP BY "Entity"
@@ -2179,8 +5260,9 @@ app.get('/api/export/custom-report', async (req, res) => {
       hs_code as "HS Code",
       quantity as "Quantity",
       unit as "Unit",
-      fob_value as "FOB Value (USD)",
-      ROUND(fob_value * 83.5, 2) as "FOB Value (INR)",
+      quantity_kg as "Quantity (kg)",
+      fob_usd as "FOB Value (USD)",
+      ROUND(fob_inr, 2) as "FOB Value (INR)",
       country_of_destination as "Country",
       port_of_loading as "Port of Loading",
       port_of_discharge as "Port of Discharge",
@@ -2201,9 +5283,10 @@ app.get('/api/export/custom-report', async (req, res) => {
   const detailsWs = XLSX.utils.json_to_sheet(details);
   XLSX.utils.book_append_sheet(wb, detailsWs, 'Detailed Data');
   
+  await appendMissingRatesSheet(wb, { sql: whereClause, args: params });
   const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
   
-  const filename = `custom_report_${month || 'all'}_${Date.now()}.xlsx`;
+  const filename = `custom_report_${dateRangeLabel(range)}_${Date.now()}.xlsx`;
   res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   res.send(buffer);
@@ -2211,74 +5294,85 @@ app.get('/api/export/custom-report', async (req, res) => {
 
 // Export intelligence prospective clients to Excel
 app.get('/api/export/prospective-clients', async (req, res) => {
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const companyName = company?.company_name || 'AGNA';
+  const hsLevel = parseHsLevel(req.query.hsLevel);
+  if (!hsLevel) {
+    return res.status(400).json({ error: `hsLevel must be one of ${HS_LEVELS.join(', ')}` });
+  }
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  const { name: companyName, ids: companyIds } = await ownCompany(db);
+  const companyPlaceholders = companyIds.map(() => '?').join(',');
   
-  // Get products that the company exports
+  // Get products that the company exports, by HS code at hsLevel digits
   const companyProducts = await all(`
     SELECT DISTINCT 
-      hs_code,
+      ${hsCodeSql(hsLevel)} as hs_code,
+      ${hsDescriptionSql(hsLevel)} as hs_description,
       product_description,
       data_type
     FROM exports 
-    WHERE UPPER(exporter_name) LIKE ?
-  `, [`%${companyName}%`]);
+    WHERE exporter_entity_id IN (${companyPlaceholders}) AND ${settledRowsSql()}
+  `, companyIds);
 
   if (companyProducts.length === 0) {
     return res.status(400).json({ error: 'No products found for your company' });
   }
 
-  const hsCodeList = companyProducts.map(p => p.hs_code).filter(h => h);
+  const hsCodeList = [...new Set(companyProducts.map(p => p.hs_code).filter(h => h))];
   
   if (hsCodeList.length === 0) {
     return res.status(400).json({ error: 'No HS codes found for company products' });
   }
 
   const placeholders = hsCodeList.map(() => '?').join(',');
+  const inRange = settledRangeSql(range);
   
   // Find prospective clients with detailed info
   const prospectiveClients = await all(`
     SELECT 
-      consignee_name as "Consignee Name",
-      country_of_destination as "Country",
+      ${entityNameSql('consignee_name')} as "Consignee Name",
+      ${countryNameSql()} as "Country",
       COUNT(DISTINCT declaration_id) as "Total Shipments",
-      SUM(fob_value) as "Total FOB (USD)",
-      ROUND(SUM(fob_value) * 83.5, 2) as "Total FOB (INR)",
-      SUM(quantity) as "Total Quantity",
-      GROUP_CONCAT(DISTINCT hs_code) as "HS Codes",
-      GROUP_CONCAT(DISTINCT product_description) as "Products",
-      GROUP_CONCAT(DISTINCT exporter_name) as "Current Suppliers"
+      SUM(fob_usd) as "Total FOB (USD)",
+      ROUND(SUM(fob_inr), 2) as "Total FOB (INR)",
+      SUM(quantity_kg) as "Total Quantity (kg)",
+      ${countTotalSql('', { total: '"Total Count (non-weight units)"', unit: '"Count Unit"' })},
+      GROUP_CONCAT(DISTINCT ${hsCodeSql(hsLevel)}) as "HS Codes",
+      GROUP_CONCAT(DISTINCT ${productNameSql()}) as "Products",
+      GROUP_CONCAT(DISTINCT ${entityNameSql('exporter_name')}) as "Current Suppliers"
     FROM exports 
-    WHERE hs_code IN (${placeholders})
-    AND UPPER(exporter_name) NOT LIKE ?
-    AND consignee_name IS NOT NULL 
-    AND consignee_name != ''
-    AND UPPER(consignee_name) != 'NULL'
-    GROUP BY consignee_name, country_of_destination
+    WHERE ${hsCodeSql(hsLevel)} IN (${placeholders})
+    AND COALESCE(exporter_entity_id, 0) NOT IN (${companyPlaceholders})
+    AND ${inRange.sql}
+    AND consignee_entity_id IS NOT NULL
+    AND ${realConsignee(req)}
+    GROUP BY consignee_entity_id, ${countryKeySql()}
     HAVING "Total Shipments" >= 2
     ORDER BY "Total FOB (USD)" DESC
-  `, [...hsCodeList, `%${companyName}%`]);
+  `, [...hsCodeList, ...companyIds, ...inRange.args]);
   
   // Get product-wise breakdown for each prospective client
   const productBreakdown = await all(`
     SELECT 
-      consignee_name as "Consignee",
+      ${entityNameSql('consignee_name')} as "Consignee",
       product_description as "Product",
-      hs_code as "HS Code",
+      ${hsCodeSql(hsLevel)} as "HS Code",
       COUNT(DISTINCT declaration_id) as "Shipments",
-      SUM(fob_value) as "FOB (USD)",
-      ROUND(SUM(fob_value) * 83.5, 2) as "FOB (INR)",
-      SUM(quantity) as "Quantity",
+      SUM(fob_usd) as "FOB (USD)",
+      ROUND(SUM(fob_inr), 2) as "FOB (INR)",
+      SUM(quantity_kg) as "Quantity (kg)",
+      ${countTotalSql('', { total: '"Count (non-weight units)"', unit: '"Count Unit"' })},
       unit as "Unit",
-      exporter_name as "Current Supplier"
+      ${entityNameSql('exporter_name')} as "Current Supplier"
     FROM exports 
-    WHERE hs_code IN (${placeholders})
-    AND UPPER(exporter_name) NOT LIKE ?
+    WHERE ${hsCodeSql(hsLevel)} IN (${placeholders})
+    AND COALESCE(exporter_entity_id, 0) NOT IN (${companyPlaceholders})
+    AND ${inRange.sql}
     AND consignee_name IS NOT NULL 
     AND consignee_name != ''
-    GROUP BY consignee_name, product_description, hs_code, exporter_name, unit
+    GROUP BY consignee_entity_id, product_description, ${hsCodeSql(hsLevel)}, exporter_entity_id, unit
     ORDER BY "FOB (USD)" DESC
-  `, [...hsCodeList, `%${companyName}%`]);
+  `, [...hsCodeList, ...companyIds, ...inRange.args]);
   
   // Create workbook with multiple sheets
   const wb = XLSX.utils.book_new();
@@ -2294,50 +5388,62 @@ app.get('/api/export/prospective-clients', async (req, res) => {
   // Company products sheet (for reference)
   const companyProductsWs = XLSX.utils.json_to_sheet(companyProducts.map(p => ({
     "HS Code": p.hs_code,
+    "HS Description": p.hs_description,
     "Product": p.product_description,
     "Category": p.data_type
   })));
   XLSX.utils.book_append_sheet(wb, companyProductsWs, 'Your Products');
   
+  await appendMissingRatesSheet(wb, settledRangeSql(range));
   const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
   
-  res.setHeader('Content-Disposition', `attachment; filename=prospective_clients_${Date.now()}.xlsx`);
+  res.setHeader('Content-Disposition', `attachment; filename=prospective_clients_${dateRangeLabel(range)}_${Date.now()}.xlsx`);
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   res.send(buffer);
 });
 
 // Export cross-sell opportunities to Excel
 app.get('/api/export/cross-sell', async (req, res) => {
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const companyName = company?.company_name || 'AGNA';
+  const hsLevel = parseHsLevel(req.query.hsLevel);
+  if (!hsLevel) {
+    return res.status(400).json({ error: `hsLevel must be one of ${HS_LEVELS.join(', ')}` });
+  }
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
+  const { name: companyName, ids: companyIds } = await ownCompany(db);
+  const companyPlaceholders = companyIds.map(() => '?').join(',');
   
   // Get clients that buy from this company
   const companyClients = await all(`
-    SELECT DISTINCT consignee_name
+    SELECT DISTINCT consignee_entity_id, ${entityNameSql('consignee_name')} as consignee_name
     FROM exports 
-    WHERE UPPER(exporter_name) LIKE ?
-    AND consignee_name IS NOT NULL 
-    AND consignee_name != ''
-    AND UPPER(consignee_name) != 'NULL'
-  `, [`%${companyName}%`]);
+    WHERE exporter_entity_id IN (${companyPlaceholders})
+    AND consignee_entity_id IS NOT NULL
+    AND ${realConsignee(req)}
+    AND ${settledRowsSql()}
+  `, companyIds);
 
   if (companyClients.length === 0) {
     return res.status(400).json({ error: 'No clients found for your company' });
   }
 
   const clientNames = companyClients.map(c => c.consignee_name);
-  const clientPlaceholders = clientNames.map(() => '?').join(',');
+  const clientIds = companyClients.map(c => c.consignee_entity_id);
+  const clientPlaceholders = clientIds.map(() => '?').join(',');
   
-  // Get what company sells to these clients (HS codes)
+  // Get what company sells to these clients (HS codes at hsLevel digits)
   const companyHsCodes = await all(`
-    SELECT DISTINCT hs_code
+    SELECT DISTINCT ${hsCodeSql(hsLevel)} as hs_code
     FROM exports 
-    WHERE UPPER(exporter_name) LIKE ?
-    AND UPPER(consignee_name) IN (${clientPlaceholders})
-  `, [`%${companyName}%`, ...clientNames.map(n => n.toUpperCase())]);
+    WHERE exporter_entity_id IN (${companyPlaceholders})
+    AND consignee_entity_id IN (${clientPlaceholders})
+    AND ${settledRowsSql()}
+  `, [...companyIds, ...clientIds]);
   
   const companyHsCodeList = companyHsCodes.map(h => h.hs_code).filter(h => h);
   
+  // What they buy from others within the requested dates
+  const inRange = settledRangeSql(range, 'e.shipment_date');
   let crossSellData = [];
   
   if (companyHsCodeList.length > 0) {
@@ -2345,24 +5451,27 @@ app.get('/api/export/cross-sell', async (req, res) => {
     
     crossSellData = await all(`
       SELECT 
-        e.consignee_name as "Your Client",
-        e.country_of_destination as "Country",
-        e.hs_code as "HS Code",
+        ${entityNameSql('consignee_name', 'e')} as "Your Client",
+        ${countryNameSql('e')} as "Country",
+        ${hsCodeSql(hsLevel, 'e')} as "HS Code",
+        ${hsDescriptionSql(hsLevel, 'e')} as "HS Description",
         e.product_description as "Product",
-        e.exporter_name as "Competitor",
+        ${entityNameSql('exporter_name', 'e')} as "Competitor",
         COUNT(DISTINCT e.declaration_id) as "Shipments",
-        SUM(e.fob_value) as "Total FOB (USD)",
-        ROUND(SUM(e.fob_value) * 83.5, 2) as "Total FOB (INR)",
-        SUM(e.quantity) as "Total Quantity",
+        SUM(e.fob_usd) as "Total FOB (USD)",
+        ROUND(SUM(e.fob_inr), 2) as "Total FOB (INR)",
+        SUM(e.quantity_kg) as "Total Quantity (kg)",
+        ${countTotalSql('e.', { total: '"Total Count (non-weight units)"', unit: '"Count Unit"' })},
         e.unit as "Unit"
       FROM exports e
-      WHERE UPPER(e.consignee_name) IN (${clientPlaceholders})
-      AND UPPER(e.exporter_name) NOT LIKE ?
-      AND e.hs_code NOT IN (${hsPlaceholders})
+      WHERE e.consignee_entity_id IN (${clientPlaceholders})
+      AND COALESCE(e.exporter_entity_id, 0) NOT IN (${companyPlaceholders})
+      AND ${inRange.sql}
+      AND ${hsCodeSql(hsLevel, 'e')} NOT IN (${hsPlaceholders})
       AND e.product_description IS NOT NULL
-      GROUP BY e.consignee_name, e.hs_code, e.product_description, e.exporter_name, e.country_of_destination, e.unit
+      GROUP BY e.consignee_entity_id, ${hsCodeSql(hsLevel, 'e')}, e.product_description, e.exporter_entity_id, ${countryKeySql('e')}, e.unit
       ORDER BY "Total FOB (USD)" DESC
-    `, [...clientNames.map(n => n.toUpperCase()), `%${companyName}%`, ...companyHsCodeList]);
+    `, [...clientIds, ...companyIds, ...inRange.args, ...companyHsCodeList]);
   }
   
   // Create workbook
@@ -2376,72 +5485,77 @@ app.get('/api/export/cross-sell', async (req, res) => {
   const clientsWs = XLSX.utils.json_to_sheet(clientNames.map(c => ({ "Client Name": c })));
   XLSX.utils.book_append_sheet(wb, clientsWs, 'Your Clients');
   
+  await appendMissingRatesSheet(wb, settledRangeSql(range));
   const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
   
-  res.setHeader('Content-Disposition', `attachment; filename=cross_sell_opportunities_${Date.now()}.xlsx`);
+  res.setHeader('Content-Disposition', `attachment; filename=cross_sell_opportunities_${dateRangeLabel(range)}_${Date.now()}.xlsx`);
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   res.send(buffer);
 });
 
 // Export entity details to Excel (for competitor/client detailed export)
 app.get('/api/export/entity-details', async (req, res) => {
-  const { entity, type, month } = req.query;
+  const { entity, type } = req.query;
   
   if (!entity || !type) {
     return res.status(400).json({ error: 'Entity and type required' });
   }
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
 
   const field = type === 'exporter' ? 'exporter_name' : 'consignee_name';
-  const params = [entity.toUpperCase()];
-  let monthFilter = '';
-  if (month) {
-    monthFilter = ' AND month_year = ?';
-    params.push(month);
-  }
+  const match = await entityFilter(entity, field);
+  const inRange = settledRangeSql(range);
+  const params = [...match.args, ...inRange.args];
+  const dateFilter = ` AND ${inRange.sql}`;
 
   // Summary stats
   const summary = await get(`
     SELECT 
       COUNT(DISTINCT declaration_id) as total_shipments,
-      SUM(fob_value) as total_fob,
-      ROUND(SUM(fob_value) * 83.5, 2) as total_fob_inr,
-      SUM(quantity) as total_quantity,
-      COUNT(DISTINCT product_description) as unique_products,
-      COUNT(DISTINCT country_of_destination) as unique_countries,
+      SUM(fob_usd) as total_fob,
+      ROUND(SUM(fob_inr), 2) as total_fob_inr,
+      SUM(quantity_kg) as total_quantity,
+      ${countTotalSql()},
+      COUNT(DISTINCT ${productKeySql()}) as unique_products,
+      COUNT(DISTINCT ${countryKeySql()}) as unique_countries,
       MIN(shipment_date) as first_shipment,
       MAX(shipment_date) as last_shipment
     FROM exports 
-    WHERE UPPER(${field}) = ?${monthFilter}
+    WHERE ${match.sql}${dateFilter}
   `, params);
 
-  // Products breakdown
+  // Products breakdown, by catalogue product
   const products = await all(`
     SELECT 
-      product_description as "Product",
-      hs_code as "HS Code",
+      ${productNameSql()} as "Product",
+      GROUP_CONCAT(DISTINCT hs_code) as "HS Code",
       data_type as "Category",
       COUNT(DISTINCT declaration_id) as "Shipments",
-      SUM(quantity) as "Quantity",
-      unit as "Unit",
-      SUM(fob_value) as "FOB (USD)",
-      ROUND(SUM(fob_value) * 83.5, 2) as "FOB (INR)"
+      SUM(quantity_kg) as "Quantity (kg)",
+      ${countTotalSql('', { total: '"Count (non-weight units)"', unit: '"Count Unit"' })},
+      GROUP_CONCAT(DISTINCT unit) as "Unit",
+      SUM(fob_usd) as "FOB (USD)",
+      ROUND(SUM(fob_inr), 2) as "FOB (INR)"
     FROM exports 
-    WHERE UPPER(${field}) = ?${monthFilter}
-    GROUP BY product_description, hs_code, data_type, unit
+    WHERE ${match.sql}${dateFilter}
+    GROUP BY ${productKeySql()}, data_type
     ORDER BY "FOB (USD)" DESC
   `, params);
 
-  // Countries breakdown
+  // Countries breakdown (?by=region for regions)
+  const countryGroup = countryGroupSql(req.query.by);
   const countries = await all(`
     SELECT 
-      country_of_destination as "Country",
+      ${countryGroup.name} as "${req.query.by === 'region' ? 'Region' : 'Country'}",
       COUNT(DISTINCT declaration_id) as "Shipments",
-      SUM(quantity) as "Quantity",
-      SUM(fob_value) as "FOB (USD)",
-      ROUND(SUM(fob_value) * 83.5, 2) as "FOB (INR)"
-    FROM exports 
-    WHERE UPPER(${field}) = ?${monthFilter}
-    GROUP BY country_of_destination
+      SUM(quantity_kg) as "Quantity (kg)",
+      ${countTotalSql('', { total: '"Count (non-weight units)"', unit: '"Count Unit"' })},
+      SUM(fob_usd) as "FOB (USD)",
+      ROUND(SUM(fob_inr), 2) as "FOB (INR)"
+    FROM exports ${countryGroup.join}
+    WHERE ${match.sql}${dateFilter}
+    GROUP BY ${countryGroup.key}
     ORDER BY "FOB (USD)" DESC
   `, params);
 
@@ -2456,13 +5570,14 @@ app.get('/api/export/entity-details', async (req, res) => {
       hs_code as "HS Code",
       quantity as "Quantity",
       unit as "Unit",
-      fob_value as "FOB (USD)",
-      ROUND(fob_value * 83.5, 2) as "FOB (INR)",
+      quantity_kg as "Quantity (kg)",
+      fob_usd as "FOB (USD)",
+      ROUND(fob_inr, 2) as "FOB (INR)",
       country_of_destination as "Country",
       port_of_loading as "Port of Loading",
       port_of_discharge as "Port of Discharge"
     FROM exports 
-    WHERE UPPER(${field}) = ?${monthFilter}
+    WHERE ${match.sql}${dateFilter}
     ORDER BY shipment_date DESC
   `, params);
 
@@ -2476,7 +5591,10 @@ app.get('/api/export/entity-details', async (req, res) => {
     "Total Shipments": summary?.total_shipments || 0,
     "Total FOB (USD)": summary?.total_fob || 0,
     "Total FOB (INR)": summary?.total_fob_inr || 0,
-    "Total Quantity": summary?.total_quantity || 0,
+    "Total Quantity (kg)": summary?.total_quantity || 0,
+    // Counts in several units aren't added up; the units are listed instead
+    "Total Count (non-weight units)": summary?.total_count ?? (summary?.count_unit ? '' : 0),
+    "Count Unit": summary?.count_unit || '',
     "Unique Products": summary?.unique_products || 0,
     "Unique Countries": summary?.unique_countries || 0,
     "First Shipment": summary?.first_shipment || 'N/A',
@@ -2497,10 +5615,11 @@ app.get('/api/export/entity-details', async (req, res) => {
   const shipmentsWs = XLSX.utils.json_to_sheet(shipments);
   XLSX.utils.book_append_sheet(wb, shipmentsWs, 'All Shipments');
   
+  await appendMissingRatesSheet(wb, { sql: `${match.sql}${dateFilter}`, args: params });
   const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
   
   const safeEntity = entity.replace(/[^a-zA-Z0-9]/g, '_');
-  res.setHeader('Content-Disposition', `attachment; filename=${safeEntity}_report_${month || 'all'}.xlsx`);
+  res.setHeader('Content-Disposition', `attachment; filename=${safeEntity}_report_${dateRangeLabel(range)}.xlsx`);
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   res.send(buffer);
 });
@@ -2509,44 +5628,47 @@ app.get('/api/export/entity-details', async (req, res) => {
 
 // Export competitor report
 app.get('/api/export/competitors', async (req, res) => {
-  const { month } = req.query;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
   const competitors = await all('SELECT name FROM competitors WHERE active = 1');
-  const competitorNames = competitors.map(c => c.name);
 
-  if (competitorNames.length === 0) {
+  if (competitors.length === 0) {
     return res.status(400).json({ error: 'No competitors to export' });
   }
 
-  const placeholders = competitorNames.map(() => '?').join(',');
+  const tracked = await trackedGroupsCte(db, 'competitors');
   
   let query = `
+    WITH ${tracked.cte}
     SELECT 
-      exporter_name as "Exporter",
+      tracked.group_name as "Competitor",
+      ${entityNameSql('exporter_name')} as "Exporter",
       declaration_id as "Declaration ID",
       consignee_name as "Consignee",
       product_description as "Product",
       data_type as "Category",
       quantity as "Quantity",
       unit as "Unit",
+      quantity_kg as "Quantity (kg)",
       fob_value as "FOB Value",
       fob_currency as "Currency",
+      fob_usd as "FOB (USD)",
       port_of_loading as "Port of Loading",
       port_of_discharge as "Port of Discharge",
       country_of_destination as "Country",
       shipment_date as "Shipment Date"
     FROM exports 
-    WHERE UPPER(exporter_name) IN (${placeholders})
+    JOIN tracked ON tracked.entity_id = exports.exporter_entity_id
   `;
   
-  const params = [...competitorNames];
+  const params = [...tracked.args];
   
-  if (month) {
-    query += ' AND month_year = ?';
-    params.push(month);
-  }
+  const inRange = settledRangeSql(range);
+  query += ` WHERE ${inRange.sql}`;
+  params.push(...inRange.args);
   
-  query += ' ORDER BY shipment_date DESC, exporter_name';
+  query += ' ORDER BY shipment_date DESC, "Competitor", "Exporter"';
   
   const data = await all(query, params);
   
@@ -2555,53 +5677,57 @@ app.get('/api/export/competitors', async (req, res) => {
   const wb = XLSX.utils.book_new();
   XLSX.utils.book_append_sheet(wb, ws, 'Competitor Report');
   
+  await appendMissingRatesSheet(wb, settledRangeSql(range));
   const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
   
-  res.setHeader('Content-Disposition', `attachment; filename=competitor_report_${month || 'all'}.xlsx`);
+  res.setHeader('Content-Disposition', `attachment; filename=competitor_report_${dateRangeLabel(range)}.xlsx`);
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   res.send(buffer);
 });
 
 // Export client report
 app.get('/api/export/clients', async (req, res) => {
-  const { month } = req.query;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
   const clients = await all('SELECT name FROM clients WHERE active = 1');
-  const clientNames = clients.map(c => c.name);
 
-  if (clientNames.length === 0) {
+  if (clients.length === 0) {
     return res.status(400).json({ error: 'No clients to export' });
   }
 
-  const placeholders = clientNames.map(() => '?').join(',');
+  const tracked = await trackedGroupsCte(db, 'clients');
   
   let query = `
+    WITH ${tracked.cte}
     SELECT 
-      consignee_name as "Client/Consignee",
-      exporter_name as "Supplier",
+      tracked.group_name as "Client",
+      ${entityNameSql('consignee_name')} as "Client/Consignee",
+      ${entityNameSql('exporter_name')} as "Supplier",
       declaration_id as "Declaration ID",
       product_description as "Product",
       data_type as "Category",
       quantity as "Quantity",
       unit as "Unit",
+      quantity_kg as "Quantity (kg)",
       fob_value as "FOB Value",
       fob_currency as "Currency",
+      fob_usd as "FOB (USD)",
       port_of_loading as "Port of Loading",
       port_of_discharge as "Port of Discharge",
       country_of_destination as "Country",
       shipment_date as "Shipment Date"
     FROM exports 
-    WHERE UPPER(consignee_name) IN (${placeholders})
+    JOIN tracked ON tracked.entity_id = exports.consignee_entity_id
   `;
   
-  const params = [...clientNames];
+  const params = [...tracked.args];
   
-  if (month) {
-    query += ' AND month_year = ?';
-    params.push(month);
-  }
+  const inRange = settledRangeSql(range);
+  query += ` WHERE ${inRange.sql}`;
+  params.push(...inRange.args);
   
-  query += ' ORDER BY shipment_date DESC, consignee_name';
+  query += ' ORDER BY shipment_date DESC, "Client", "Client/Consignee"';
   
   const data = await all(query, params);
   
@@ -2609,50 +5735,51 @@ app.get('/api/export/clients', async (req, res) => {
   const wb = XLSX.utils.book_new();
   XLSX.utils.book_append_sheet(wb, ws, 'Client Report');
   
+  await appendMissingRatesSheet(wb, settledRangeSql(range));
   const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
   
-  res.setHeader('Content-Disposition', `attachment; filename=client_report_${month || 'all'}.xlsx`);
+  res.setHeader('Content-Disposition', `attachment; filename=client_report_${dateRangeLabel(range)}.xlsx`);
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   res.send(buffer);
 });
 
 // Export company comparison report
 app.get('/api/export/company-comparison', async (req, res) => {
-  const { month } = req.query;
-  
-  const company = await get('SELECT company_name FROM company_info LIMIT 1');
-  const competitors = await all('SELECT name FROM competitors WHERE active = 1');
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
-  const companyName = company?.company_name || 'AGNA';
-  const allNames = [companyName, ...competitors.map(c => c.name)];
-  const placeholders = allNames.map(() => '?').join(',');
+  const { name: companyName, ids: companyIds } = await ownCompany(db);
+  const allIds = [...new Set([...companyIds, ...await trackedEntityIds('competitors')])];
+  const companyPlaceholders = companyIds.map(() => '?').join(',');
+  const placeholders = allIds.map(() => '?').join(',');
   
   let query = `
     SELECT 
-      exporter_name as "Company",
-      CASE WHEN UPPER(exporter_name) = ? THEN 'Your Company' ELSE 'Competitor' END as "Type",
+      ${entityNameSql('exporter_name')} as "Company",
+      CASE WHEN exporter_entity_id IN (${companyPlaceholders}) THEN 'Your Company' ELSE 'Competitor' END as "Type",
       declaration_id as "Declaration ID",
       consignee_name as "Client",
       product_description as "Product",
       data_type as "Category",
       quantity as "Quantity",
       unit as "Unit",
+      quantity_kg as "Quantity (kg)",
       fob_value as "FOB Value",
       fob_currency as "Currency",
+      fob_usd as "FOB (USD)",
       country_of_destination as "Country",
       shipment_date as "Shipment Date"
     FROM exports 
-    WHERE UPPER(exporter_name) IN (${placeholders})
+    WHERE exporter_entity_id IN (${placeholders})
   `;
   
-  const params = [companyName, ...allNames];
+  const params = [...companyIds, ...allIds];
   
-  if (month) {
-    query += ' AND month_year = ?';
-    params.push(month);
-  }
+  const inRange = settledRangeSql(range);
+  query += ` AND ${inRange.sql}`;
+  params.push(...inRange.args);
   
-  query += ' ORDER BY exporter_name, shipment_date DESC';
+  query += ' ORDER BY "Company", shipment_date DESC';
   
   const data = await all(query, params);
   
@@ -2660,32 +5787,33 @@ app.get('/api/export/company-comparison', async (req, res) => {
   const wb = XLSX.utils.book_new();
   XLSX.utils.book_append_sheet(wb, ws, 'Company Comparison');
   
+  await appendMissingRatesSheet(wb, settledRangeSql(range));
   const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
   
-  res.setHeader('Content-Disposition', `attachment; filename=company_comparison_${month || 'all'}.xlsx`);
+  res.setHeader('Content-Disposition', `attachment; filename=company_comparison_${dateRangeLabel(range)}.xlsx`);
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   res.send(buffer);
 });
 
 // Export summary report
 app.get('/api/export/summary', async (req, res) => {
-  const { month } = req.query;
+  const range = requestDateRange(req.query, res);
+  if (!range) return;
   
-  let whereClause = month ? 'WHERE month_year = ?' : '';
-  const params = month ? [month] : [];
+  const { sql: inRange, args: params } = settledRangeSql(range);
   
   // Get summary data
   const summary = await all(`
     SELECT 
-      exporter_name as "Exporter",
+      ${entityNameSql('exporter_name')} as "Exporter",
       COUNT(DISTINCT declaration_id) as "Shipments",
-      SUM(fob_value) as "Total FOB",
-      COUNT(DISTINCT product_description) as "Products",
-      COUNT(DISTINCT country_of_destination) as "Countries",
-      COUNT(DISTINCT consignee_name) as "Clients",
+      SUM(fob_usd) as "Total FOB",
+      COUNT(DISTINCT ${productKeySql()}) as "Products",
+      COUNT(DISTINCT ${countryKeySql()}) as "Countries",
+      ${clientCountSql(req)} as "Clients",
       GROUP_CONCAT(DISTINCT data_type) as "Categories"
-    FROM exports ${whereClause}
-    GROUP BY exporter_name
+    FROM exports WHERE ${inRange}
+    GROUP BY exporter_entity_id
     ORDER BY "Total FOB" DESC
   `, params);
   
@@ -2693,9 +5821,10 @@ app.get('/api/export/summary', async (req, res) => {
   const wb = XLSX.utils.book_new();
   XLSX.utils.book_append_sheet(wb, ws, 'Export Summary');
   
+  await appendMissingRatesSheet(wb, settledRangeSql(range));
   const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
   
-  res.setHeader('Content-Disposition', `attachment; filename=export_summary_${month || 'all'}.xlsx`);
+  res.setHeader('Content-Disposition', `attachment; filename=export_summary_${dateRangeLabel(range)}.xlsx`);
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   res.send(buffer);
 });
@@ -0,0 +1,67 @@
+/**
+ * Placeholder consignees
+ *
+ * Shipping bills made out to order name no buyer: the consignee column reads "TO ORDER",
+ * "TO THE ORDER OF XYZ BANK", "SAME AS CONSIGNEE" or "N/A". Those rows are flagged
+ * (exports.consignee_placeholder) from the patterns in name_placeholders, so analytics
+ * that rank or count clients can leave them out while shipment totals keep them.
+ * A pattern is a name as normalised by placeholderKey; `*` stands for any text.
+ */
+
+export const DEFAULT_PLACEHOLDER_PATTERNS = [
+  'TO ORDER*', 'TO THE ORDER*', 'ORDER OF*', 'TO ORDER OF*',
+  'SAME AS CONSIGNEE*', 'SAME AS BUYER*', 'SAME AS ABOVE',
+  'NULL', 'NA', 'N A', 'NIL', 'NONE', 'NOT AVAILABLE', 'NOT APPLICABLE', 'UNKNOWN', 'BANK ORDER*'
+];
+
+// Form names and patterns are compared in: "To The Order of: HSBC" -> "TO THE ORDER OF HSBC"
+export const placeholderKey = (name) =>
+  String(name ?? '').toUpperCase().replace(/[^\p{L}\p{N}*]+/gu, ' ').trim();
+
+const patternRegex = (pattern) => new RegExp(
+  `^${placeholderKey(pattern).split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
+);
+
+// Predicate telling placeholder names apart; a blank or one-letter name always is one
+export const placeholderMatcher = (patterns) => {
+  const regexes = patterns.map(patternRegex);
+  return (name) => {
+    const key = placeholderKey(name).replace(/\*/g, '');
+    return key.length < 2 || regexes.some(regex => regex.test(key));
+  };
+};
+
+export async function placeholderPatterns(db) {
+  const { rows } = await db.execute('SELECT pattern FROM name_placeholders ORDER BY pattern');
+  return rows.map(r => r.pattern);
+}
+
+const CHUNK_SIZE = 500;
+
+/**
+ * (Re)compute consignee_placeholder for the rows matching `where` from the stored
+ * patterns. Returns how many distinct consignee names are placeholders.
+ */
+export async function flagPlaceholders(db, where = '1 = 1', args = []) {
+  const isPlaceholder = placeholderMatcher(await placeholderPatterns(db));
+  const { rows } = await db.execute({
+    sql: `SELECT DISTINCT consignee_name FROM exports WHERE consignee_name IS NOT NULL AND (${where})`,
+    args
+  });
+  const names = rows.map(r => r.consignee_name).filter(isPlaceholder);
+
+  const statements = [{
+    sql: `UPDATE exports SET consignee_placeholder = (consignee_name IS NULL) WHERE (${where})`,
+    args
+  }];
+  for (let i = 0; i < names.length; i += CHUNK_SIZE) {
+    const chunk = names.slice(i, i + CHUNK_SIZE);
+    statements.push({
+      sql: `UPDATE exports SET consignee_placeholder = 1
+            WHERE (${where}) AND consignee_name IN (${chunk.map(() => '?').join(',')})`,
+      args: [...args, ...chunk]
+    });
+  }
+  await db.batch(statements, 'write');
+  return names.length;
+}
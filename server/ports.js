@@ -0,0 +1,148 @@
+/**
+ * Ports
+ *
+ * port_of_loading and port_of_discharge mix ICEGATE / UN/LOCODE codes ("INNSA1"), names
+ * ("JNPT MUMBAI", "NHAVA SHEVA") and airports. ports lists canonical ports with their state,
+ * country and transport mode, and port_aliases every code and spelling of each (compared as
+ * portKey). Rows store the port they resolve to as exports.loading_port_code and
+ * discharge_port_code and keep the values as filed.
+ */
+
+export const PORT_MODES = ['sea', 'air', 'land'];
+
+// [code, name, state, country code, mode, ...aliases]; the code and name are aliases too.
+// Indian codes are ICEGATE's: the digit is 1 for seaports, 4 for air cargo, 6 for ICDs.
+export const DEFAULT_PORTS = [
+  ['INNSA1', 'NHAVA SHEVA (JNPT)', 'MAHARASHTRA', 'IN', 'sea',
+    'NHAVA SHEVA', 'NHAVASHEVA', 'NHAVA SHEVA SEA', 'JNPT', 'JNPT MUMBAI', 'JAWAHARLAL NEHRU PORT', 'JNPA', 'INNSA'],
+  ['INBOM1', 'MUMBAI SEA', 'MAHARASHTRA', 'IN', 'sea', 'MUMBAI', 'MUMBAI PORT', 'BOMBAY', 'BOMBAY SEA'],
+  ['INBOM4', 'MUMBAI AIR', 'MAHARASHTRA', 'IN', 'air',
+    'MUMBAI AIRPORT', 'MUMBAI AIR CARGO', 'SAHAR AIR CARGO', 'SAHAR', 'ACC MUMBAI', 'BOMBAY AIR'],
+  ['INPNQ4', 'PUNE AIR', 'MAHARASHTRA', 'IN', 'air', 'PUNE AIRPORT', 'PUNE'],
+  ['INMUN1', 'MUNDRA', 'GUJARAT', 'IN', 'sea', 'MUNDRA PORT', 'MUNDRA SEA', 'INMUN'],
+  ['INPAV1', 'PIPAVAV', 'GUJARAT', 'IN', 'sea', 'PIPAVAV PORT', 'PIPAVAV VICTOR'],
+  ['INIXY1', 'KANDLA', 'GUJARAT', 'IN', 'sea', 'KANDLA PORT', 'DEENDAYAL PORT'],
+  ['INHZA1', 'HAZIRA', 'GUJARAT', 'IN', 'sea', 'HAZIRA PORT'],
+  ['INAMD4', 'AHMEDABAD AIR', 'GUJARAT', 'IN', 'air', 'AHMEDABAD AIRPORT', 'AHMEDABAD'],
+  ['INDEL4', 'DELHI AIR', 'DELHI', 'IN', 'air', 'DELHI AIRPORT', 'NEW DELHI AIR', 'IGI AIRPORT'],
+  ['INTKD6', 'ICD TUGHLAKABAD', 'DELHI', 'IN', 'sea', 'TUGHLAKABAD', 'ICD TKD', 'TKD'],
+  ['INMAA1', 'CHENNAI SEA', 'TAMIL NADU', 'IN', 'sea', 'CHENNAI', 'CHENNAI PORT', 'MADRAS'],
+  ['INMAA4', 'CHENNAI AIR', 'TAMIL NADU', 'IN', 'air', 'CHENNAI AIRPORT', 'MADRAS AIR'],
+  ['INTUT1', 'TUTICORIN', 'TAMIL NADU', 'IN', 'sea', 'TUTICORIN PORT', 'THOOTHUKUDI', 'VOC PORT'],
+  ['INKAT1', 'KATTUPALLI', 'TAMIL NADU', 'IN', 'sea', 'KATTUPALLI PORT'],
+  ['INCOK1', 'COCHIN SEA', 'KERALA', 'IN', 'sea', 'COCHIN', 'KOCHI', 'COCHIN PORT', 'VALLARPADAM'],
+  ['INCOK4', 'COCHIN AIR', 'KERALA', 'IN', 'air', 'COCHIN AIRPORT', 'KOCHI AIR'],
+  ['INTRV4', 'THIRUVANANTHAPURAM AIR', 'KERALA', 'IN', 'air', 'TRIVANDRUM', 'TRIVANDRUM AIR', 'THIRUVANANTHAPURAM'],
+  ['INCCJ4', 'CALICUT AIR', 'KERALA', 'IN', 'air', 'CALICUT', 'KOZHIKODE'],
+  ['INBLR4', 'BENGALURU AIR', 'KARNATAKA', 'IN', 'air', 'BANGALORE', 'BANGALORE AIR', 'BENGALURU', 'BLR AIRPORT'],
+  ['INNML1', 'NEW MANGALORE', 'KARNATAKA', 'IN', 'sea', 'MANGALORE', 'NEW MANGALORE PORT'],
+  ['INHYD4', 'HYDERABAD AIR', 'TELANGANA', 'IN', 'air', 'HYDERABAD', 'HYDERABAD AIRPORT'],
+  ['INVTZ1', 'VISAKHAPATNAM', 'ANDHRA PRADESH', 'IN', 'sea', 'VIZAG', 'VISAKHAPATNAM PORT'],
+  ['INKRI1', 'KRISHNAPATNAM', 'ANDHRA PRADESH', 'IN', 'sea', 'KRISHNAPATNAM PORT'],
+  ['INCCU1', 'KOLKATA SEA', 'WEST BENGAL', 'IN', 'sea', 'KOLKATA', 'CALCUTTA', 'KOLKATA PORT'],
+  ['INCCU4', 'KOLKATA AIR', 'WEST BENGAL', 'IN', 'air', 'KOLKATA AIRPORT', 'CALCUTTA AIR'],
+  ['INHAL1', 'HALDIA', 'WEST BENGAL', 'IN', 'sea', 'HALDIA PORT'],
+  ['INPBD2', 'PETRAPOLE', 'WEST BENGAL', 'IN', 'land', 'PETRAPOLE LCS', 'PETRAPOLE ROAD'],
+  ['INMRM1', 'MORMUGAO', 'GOA', 'IN', 'sea', 'MORMUGAO PORT', 'MARMAGOA', 'GOA'],
+  ['INATQ4', 'AMRITSAR AIR', 'PUNJAB', 'IN', 'air', 'AMRITSAR', 'AMRITSAR AIRPORT'],
+  ['INLKO4', 'LUCKNOW AIR', 'UTTAR PRADESH', 'IN', 'air', 'LUCKNOW', 'LUCKNOW AIRPORT'],
+  ['AEJEA', 'JEBEL ALI', null, 'AE', 'sea', 'JEBEL ALI PORT', 'JABEL ALI', 'DUBAI SEA'],
+  ['AEDXB', 'DUBAI AIR', null, 'AE', 'air', 'DUBAI AIRPORT', 'DXB'],
+  ['AESHJ', 'SHARJAH', null, 'AE', 'sea', 'SHARJAH PORT'],
+  ['AEKHL', 'KHALIFA PORT', null, 'AE', 'sea', 'ABU DHABI', 'ABU DHABI SEA'],
+  ['SAJED', 'JEDDAH', null, 'SA', 'sea', 'JEDDAH PORT', 'JEDDAH SEA'],
+  ['SADMM', 'DAMMAM', null, 'SA', 'sea', 'DAMMAM PORT', 'KING ABDUL AZIZ PORT'],
+  ['OMSOH', 'SOHAR', null, 'OM', 'sea', 'SOHAR PORT'],
+  ['QAHMD', 'HAMAD', null, 'QA', 'sea', 'HAMAD PORT', 'DOHA SEA'],
+  ['QADOH', 'DOHA AIR', null, 'QA', 'air', 'DOHA', 'DOHA AIRPORT'],
+  ['KWSWK', 'SHUWAIKH', null, 'KW', 'sea', 'SHUWAIKH PORT', 'KUWAIT SEA'],
+  ['BHKBS', 'KHALIFA BIN SALMAN', null, 'BH', 'sea', 'BAHRAIN SEA', 'KBS PORT'],
+  ['LKCMB', 'COLOMBO', null, 'LK', 'sea', 'COLOMBO PORT'],
+  ['BDCGP', 'CHITTAGONG', null, 'BD', 'sea', 'CHATTOGRAM', 'CHITTAGONG PORT'],
+  ['SGSIN', 'SINGAPORE', null, 'SG', 'sea', 'SINGAPORE PORT'],
+  ['MYPKG', 'PORT KLANG', null, 'MY', 'sea', 'KLANG'],
+  ['NLRTM', 'ROTTERDAM', null, 'NL', 'sea', 'ROTTERDAM PORT'],
+  ['BEANR', 'ANTWERP', null, 'BE', 'sea', 'ANTWERPEN'],
+  ['DEHAM', 'HAMBURG', null, 'DE', 'sea', 'HAMBURG PORT'],
+  ['GBFXT', 'FELIXSTOWE', null, 'GB', 'sea'],
+  ['GBLGP', 'LONDON GATEWAY', null, 'GB', 'sea'],
+  ['GBLHR', 'LONDON HEATHROW', null, 'GB', 'air', 'HEATHROW', 'LONDON AIR', 'LHR'],
+  ['USNYC', 'NEW YORK', null, 'US', 'sea', 'NEW YORK NY', 'NEWARK'],
+  ['USJFK', 'NEW YORK JFK AIR', null, 'US', 'air', 'JFK', 'JFK AIRPORT'],
+  ['HKHKG', 'HONG KONG', null, 'HK', 'sea', 'HONGKONG'],
+  ['RULED', 'SAINT PETERSBURG', null, 'RU', 'sea', 'ST PETERSBURG'],
+  ['RUNVS', 'NOVOROSSIYSK', null, 'RU', 'sea']
+];
+
+// Form port codes and names are compared in: "Nhava Sheva (JNPT)" -> "NHAVA SHEVA JNPT"
+export const portKey = (value) =>
+  String(value ?? '').toUpperCase().replace(/[.']/g, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Statements seeding the default ports and aliases
+export const seedPortStatements = () => DEFAULT_PORTS.flatMap(([code, name, state, country, mode, ...aliases]) => [
+  {
+    sql: 'INSERT OR IGNORE INTO ports (code, name, state, country_code, mode) VALUES (?, ?, ?, ?, ?)',
+    args: [code, name, state, country, mode]
+  },
+  ...[...new Set([code, name, ...aliases].map(portKey))].map(alias => ({
+    sql: 'INSERT OR IGNORE INTO port_aliases (alias, code) VALUES (?, ?)',
+    args: [alias, code]
+  }))
+]);
+
+// exports column pairs: value as filed -> resolved port code
+export const PORT_COLUMNS = {
+  loading: { filed: 'port_of_loading', code: 'loading_port_code' },
+  discharge: { filed: 'port_of_discharge', code: 'discharge_port_code' }
+};
+
+// Group key, display name and a port attribute (state, mode...) of a row's loading or discharge port
+export const portKeySql = (side, table = 'exports') =>
+  `COALESCE(${table}.${PORT_COLUMNS[side].code}, ${table}.${PORT_COLUMNS[side].filed})`;
+export const portNameSql = (side, table = 'exports') =>
+  `COALESCE((SELECT p.name FROM ports p WHERE p.code = ${table}.${PORT_COLUMNS[side].code}), ${table}.${PORT_COLUMNS[side].filed})`;
+export const portFieldSql = (side, field, table = 'exports') =>
+  `(SELECT p.${field} FROM ports p WHERE p.code = ${table}.${PORT_COLUMNS[side].code})`;
+
+/**
+ * (Re)resolve both port codes of the rows matching `where` from port_aliases. Returns how
+ * many distinct values as filed are left without a port.
+ */
+export async function assignPorts(db, where = '1 = 1', args = []) {
+  const { rows: aliases } = await db.execute('SELECT alias, code FROM port_aliases');
+  const codeOf = new Map(aliases.map(a => [a.alias, a.code]));
+
+  const statements = [];
+  const unknown = new Set();
+  for (const { filed, code: codeColumn } of Object.values(PORT_COLUMNS)) {
+    const { rows } = await db.execute({
+      sql: `SELECT DISTINCT ${filed} as value FROM exports WHERE ${filed} IS NOT NULL AND (${where})`,
+      args
+    });
+    const byCode = new Map();
+    for (const { value } of rows) {
+      const code = codeOf.get(portKey(value));
+      if (!code) {
+        if (portKey(value)) unknown.add(portKey(value));
+        continue;
+      }
+      if (!byCode.has(code)) byCode.set(code, []);
+      byCode.get(code).push(value);
+    }
+    statements.push({ sql: `UPDATE exports SET ${codeColumn} = NULL WHERE (${where})`, args });
+    for (const [code, values] of byCode) {
+      statements.push({
+        sql: `UPDATE exports SET ${codeColumn} = ?
+              WHERE (${where}) AND ${filed} IN (${values.map(() => '?').join(',')})`,
+        args: [code, ...args, ...values]
+      });
+    }
+  }
+
+  await db.batch(statements, 'write');
+  return unknown.size;
+}
+
+// How a row shipped: the mode of its port of loading, else of its port of discharge
+export const shipmentModeSql = (table = 'exports') =>
+  `COALESCE(${portFieldSql('loading', 'mode', table)}, ${portFieldSql('discharge', 'mode', table)}, 'unknown')`;
@@ -0,0 +1,92 @@
+/**
+ * Product catalogue
+ *
+ * Shipping bills describe one product a hundred ways: "FRESH MANGOES ALPHONSO", "ALPHONSO
+ * MANGO FRESH 4 DOZ". products holds the canonical products and product_rules the keywords
+ * that identify each. A description matches a rule when it has all of the rule's words, in
+ * any order and singular or plural, and its HS code starts with the rule's hs_prefix when
+ * the rule has one. Of the rules that match, the one with the most words (then the longest
+ * prefix) wins. Rows store their product in exports.product_id; descriptions no rule
+ * matches keep product_id NULL and make up the review queue.
+ */
+
+// [product name, ...more keyword rules]; the name is a rule of its own
+export const DEFAULT_PRODUCTS = [
+  ['MANGO'], ['GRAPES'], ['POMEGRANATE'], ['BANANA'], ['GUAVA'], ['PAPAYA'], ['ORANGE'],
+  ['LEMON', 'LIME'], ['WATERMELON', 'WATER MELON'], ['COCONUT'],
+  ['ONION'], ['POTATO'], ['TOMATO'], ['GARLIC'], ['GINGER'], ['DRUMSTICK', 'MORINGA'],
+  ['GREEN CHILLI', 'GREEN CHILLIES', 'GREEN CHILLY'],
+  ['OKRA', 'BHINDI', 'LADY FINGER', 'LADIES FINGER']
+];
+
+const singular = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('IES')) return `${word.slice(0, -3)}Y`;
+  if (word.endsWith('OES')) return word.slice(0, -2);
+  if (word.endsWith('S') && !word.endsWith('SS')) return word.slice(0, -1);
+  return word;
+};
+
+// Words a description or rule is matched on: "Fresh Mangoes (Alphonso)" -> ['FRESH', 'MANGO', 'ALPHONSO']
+export const productWords = (text) =>
+  String(text ?? '').toUpperCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).map(singular);
+
+// Rules as stored, most specific first, each with its words as a Set
+export async function loadProductRules(db) {
+  const { rows } = await db.execute(`
+    SELECT r.id, r.product_id, r.keywords, r.hs_prefix FROM product_rules r
+    JOIN products p ON p.id = r.product_id
+  `);
+  return rows
+    .map(r => ({ ...r, words: new Set(productWords(r.keywords)) }))
+    .filter(r => r.words.size > 0)
+    .sort((a, b) => b.words.size - a.words.size || (b.hs_prefix || '').length - (a.hs_prefix || '').length);
+}
+
+// Product id for a description and HS code, or null when no rule matches
+export const matchProduct = (rules, description, hsCode) => {
+  const words = new Set(productWords(description));
+  const rule = rules.find(r =>
+    (!r.hs_prefix || String(hsCode ?? '').startsWith(r.hs_prefix)) &&
+    [...r.words].every(w => words.has(w))
+  );
+  return rule ? rule.product_id : null;
+};
+
+// Group key and display name of a row's product: the canonical product, else the description as filed
+export const productKeySql = (table = 'exports') =>
+  `COALESCE('#' || ${table}.product_id, ${table}.product_description)`;
+export const productNameSql = (table = 'exports') =>
+  `COALESCE((SELECT p.name FROM products p WHERE p.id = ${table}.product_id), ${table}.product_description)`;
+
+const CHUNK_SIZE = 500;
+
+/**
+ * (Re)assign product_id to the rows matching `where` from the current rules. Returns how
+ * many distinct descriptions matched and how many are left for review.
+ */
+export async function assignProducts(db, where = '1 = 1', args = []) {
+  const rules = await loadProductRules(db);
+  const { rows } = await db.execute({
+    sql: `SELECT DISTINCT product_description, hs_code FROM exports
+          WHERE product_description IS NOT NULL AND (${where})`,
+    args
+  });
+
+  // Every description is set, matched or not, so each batch leaves its rows fully assigned
+  const statements = [{ sql: `UPDATE exports SET product_id = NULL WHERE (${where}) AND product_description IS NULL`, args }];
+  let unmatched = 0;
+  for (const { product_description: description, hs_code: hsCode } of rows) {
+    const productId = matchProduct(rules, description, hsCode);
+    if (productId === null) unmatched++;
+    statements.push({
+      sql: `UPDATE exports SET product_id = ? WHERE (${where}) AND product_description = ? AND hs_code IS ?`,
+      args: [productId, ...args, description, hsCode]
+    });
+  }
+
+  for (let i = 0; i < statements.length; i += CHUNK_SIZE) {
+    await db.batch(statements.slice(i, i + CHUNK_SIZE), 'write');
+  }
+  return { matched: rows.length - unmatched, unmatched };
+}
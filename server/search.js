@@ -0,0 +1,108 @@
+/**
+ * Fuzzy company search
+ *
+ * Company spellings (entity_aliases) are indexed by the trigrams of their distinctive
+ * words in alias_trigrams. Legal forms and words half the trade uses (EXPORTS, TRADING,
+ * FOODS...) are left out, so a search for "SUNRISE EXPORTS" is about SUNRISE and doesn't
+ * match every exporter. A query is scored against each candidate spelling by how many of
+ * its trigrams the spelling has, so typos ("SUNRIS FRESH") still find the company.
+ */
+
+// Words that don't tell companies apart. A name made only of these is indexed by all its words.
+export const STOP_WORDS = new Set([
+  // legal forms, as companyKey spells them
+  'PVT', 'PTE', 'PTY', 'LTD', 'LTDA', 'LLP', 'LLC', 'INC', 'CORP', 'CO', 'GMBH', 'SRL', 'SPA',
+  'SARL', 'SAS', 'SA', 'BV', 'NV', 'AG', 'SDN', 'BHD', 'FZCO', 'FZE', 'WLL',
+  // trade words
+  'EXPORT', 'EXPORTS', 'EXPORTER', 'EXPORTERS', 'IMPORT', 'IMPORTS', 'IMPORTER', 'IMPORTERS',
+  'TRADING', 'TRADERS', 'TRADE', 'INTERNATIONAL', 'INTL', 'ENTERPRISE', 'ENTERPRISES',
+  'INDUSTRIES', 'GLOBAL', 'OVERSEAS', 'GROUP', 'FOODS', 'FOOD', 'AGRO', 'IMPEX', 'INDIA',
+  // joining words
+  'AND', 'THE', 'OF', 'FOR'
+]);
+
+// Lowest score that is a match; a spelling needs at least this share of the query's trigrams
+const MIN_SCORE = 0.35;
+const MAX_CANDIDATES = 500;
+
+// Words of a company key that identify it; all words when none does
+export const distinctiveWords = (key) => {
+  const words = String(key ?? '').split(' ').filter(Boolean);
+  const distinctive = words.filter(w => !STOP_WORDS.has(w));
+  return distinctive.length > 0 ? distinctive : words;
+};
+
+// Trigrams of each word padded like pg_trgm ("  SU", " SUN", ... "SE "), as a Set
+export const trigrams = (words) => {
+  const grams = new Set();
+  for (const word of words) {
+    const padded = `  ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+// Statements (re)indexing one alias; run in the same batch that writes it
+export const indexAliasStatements = (alias) => [
+  { sql: 'DELETE FROM alias_trigrams WHERE alias = ?', args: [alias] },
+  ...[...trigrams(distinctiveWords(alias))].map(trigram => ({
+    sql: 'INSERT OR IGNORE INTO alias_trigrams (trigram, alias) VALUES (?, ?)',
+    args: [trigram, alias]
+  }))
+];
+
+// Mostly how much of the query the spelling covers, some how little else it has
+const score = (queryGrams, aliasGrams) => {
+  let shared = 0;
+  queryGrams.forEach(g => { if (aliasGrams.has(g)) shared++; });
+  const coverage = shared / queryGrams.size;
+  const jaccard = shared / (queryGrams.size + aliasGrams.size - shared);
+  return 0.7 * coverage + 0.3 * jaccard;
+};
+
+/**
+ * Index the aliases that aren't indexed yet: on start, for databases from before the index.
+ * Returns how many were indexed.
+ */
+export async function indexMissingAliases(db) {
+  const { rows } = await db.execute(`
+    SELECT alias FROM entity_aliases a
+    WHERE NOT EXISTS (SELECT 1 FROM alias_trigrams t WHERE t.alias = a.alias)
+  `);
+  for (let i = 0; i < rows.length; i += 200) {
+    await db.batch(rows.slice(i, i + 200).flatMap(r => indexAliasStatements(r.alias)), 'write');
+  }
+  return rows.length;
+}
+
+/**
+ * Companies matching a typed name, best first: [{ entity_id, alias, score }] with the
+ * best-matching spelling of each company. `key` is the companyKey of the query.
+ */
+export async function fuzzyEntityMatches(db, key, { limit = 100 } = {}) {
+  const queryGrams = trigrams(distinctiveWords(key));
+  if (queryGrams.size === 0) return [];
+
+  const grams = [...queryGrams];
+  const { rows } = await db.execute({
+    sql: `
+      SELECT t.alias, a.entity_id, COUNT(*) as shared
+      FROM alias_trigrams t JOIN entity_aliases a ON a.alias = t.alias
+      WHERE t.trigram IN (${grams.map(() => '?').join(',')})
+      GROUP BY t.alias
+      HAVING shared >= ?
+      ORDER BY shared DESC
+      LIMIT ${MAX_CANDIDATES}
+    `,
+    args: [...grams, Math.ceil(grams.length * MIN_SCORE)]
+  });
+
+  const best = new Map();
+  for (const { alias, entity_id } of rows) {
+    const s = score(queryGrams, trigrams(distinctiveWords(alias)));
+    if (s >= MIN_SCORE && !(best.get(entity_id)?.score >= s)) {
+      best.set(entity_id, { entity_id, alias, score: Math.round(s * 1000) / 1000 });
+    }
+  }
+  return [...best.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+}
@@ -0,0 +1,59 @@
+/**
+ * Synthetic declaration IDs
+ *
+ * Rows without a declaration / shipping bill number get an ID derived from their
+ * content, so uploading the same file twice produces the same IDs and the unique
+ * index on `exports` catches the repeats.
+ *
+ * The hash is taken over the values as stored in `exports`, which lets the
+ * maintenance script (scripts/dedupe-synthetic-ids.js) recompute it for old rows.
+ */
+
+import crypto from 'crypto';
+
+export const SYNTHETIC_ID_PREFIX = 'AUTO-';
+
+// Stored columns that identify a shipment when there is no declaration number
+const IDENTITY_FIELDS = [
+  'data_type', 'exporter_name', 'consignee_name', 'product_description', 'hs_code',
+  'quantity', 'unit', 'fob_value', 'port_of_loading', 'port_of_discharge',
+  'country_of_destination', 'shipment_date'
+];
+
+const identityValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  return String(value).trim().toUpperCase();
+};
+
+/**
+ * Build the synthetic ID for a stored (normalized) export record.
+ * Returns '' when the row has nothing to identify it by.
+ */
+export const syntheticDeclarationId = (record) => {
+  const hasContent = record.exporter_name || record.consignee_name || record.product_description ||
+    record.shipment_date || Number(record.fob_value);
+  if (!hasContent) return '';
+
+  const key = IDENTITY_FIELDS.map(field => identityValue(record[field])).join('|');
+  return `${SYNTHETIC_ID_PREFIX}${crypto.createHash('sha1').update(key).digest('hex').slice(0, 20).toUpperCase()}`;
+};
+
+/**
+ * Make synthetic IDs unique on their own. `idx_exports_unique` includes shipment_date, and
+ * SQLite treats NULLs as distinct there, so undated rows would otherwise be imported again
+ * on every re-upload. Copies already stored (same ID, so the same content) are collapsed
+ * to the oldest before the index is first built. Returns the number of rows deleted.
+ */
+export async function indexSyntheticIds(db) {
+  const { rows } = await db.execute(`SELECT 1 FROM sqlite_master WHERE type = 'index' AND name = 'idx_exports_synthetic_id'`);
+  if (rows.length > 0) return 0;
+
+  const synthetic = `declaration_id GLOB '${SYNTHETIC_ID_PREFIX}*'`;
+  const result = await db.execute(`
+    DELETE FROM exports WHERE ${synthetic}
+      AND id NOT IN (SELECT MIN(id) FROM exports WHERE ${synthetic} GROUP BY declaration_id)
+  `);
+  await db.execute(`CREATE UNIQUE INDEX IF NOT EXISTS idx_exports_synthetic_id ON exports(declaration_id) WHERE ${synthetic}`);
+  return result.rowsAffected;
+}
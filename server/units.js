@@ -0,0 +1,95 @@
+/**
+ * Quantity units
+ *
+ * Shipping bills declare quantities in KGS, MTS, TON, LBS... or in pieces and boxes.
+ * `exports.quantity` and `unit` keep what was declared; unit_conversions says how
+ * many kg one unit weighs, and every row stores its weight as `quantity_kg`. Units
+ * that aren't a weight (NOS, BOX...) have no factor: those rows keep their quantity
+ * in `quantity_count` instead, so weights and piece counts are never summed together.
+ * A count unit is counted in its `count_unit` (DOZ in NOS, CTNS in CTN), `count_per_unit`
+ * at a time, and counts in different units are never added up either. Units missing
+ * from unit_conversions are neither weighed nor counted until they are added.
+ */
+
+// [unit, kg per unit]; null marks a count unit
+export const DEFAULT_UNIT_CONVERSIONS = [
+  ['KG', 1], ['KGS', 1], ['KGM', 1], ['KILOGRAM', 1], ['KILOGRAMS', 1],
+  ['G', 0.001], ['GM', 0.001], ['GMS', 0.001], ['GRM', 0.001],
+  ['MT', 1000], ['MTS', 1000], ['MTON', 1000], ['TNE', 1000], ['TON', 1000], ['TONS', 1000], ['TONNE', 1000],
+  ['QTL', 100], ['QUINTAL', 100],
+  ['LB', 0.45359237], ['LBS', 0.45359237],
+  ['NOS', null], ['NO', null], ['PCS', null], ['PC', null], ['UNT', null], ['SET', null], ['SETS', null],
+  ['BOX', null], ['BOXES', null], ['CTN', null], ['CTNS', null], ['CARTON', null], ['CARTONS', null],
+  ['BAG', null], ['BAGS', null], ['DOZ', null], ['PKT', null], ['PKTS', null]
+];
+
+// Count units counted in another unit: [unit, count unit, how many of it one unit is].
+// Any other count unit is counted in itself, one at a time.
+export const DEFAULT_COUNT_UNITS = [
+  ['NO', 'NOS', 1], ['PCS', 'NOS', 1], ['PC', 'NOS', 1], ['UNT', 'NOS', 1], ['DOZ', 'NOS', 12],
+  ['SETS', 'SET', 1], ['BOXES', 'BOX', 1], ['CTNS', 'CTN', 1], ['CARTON', 'CTN', 1], ['CARTONS', 'CTN', 1],
+  ['BAGS', 'BAG', 1], ['PKTS', 'PKT', 1]
+];
+
+// Statements that point the default count units at their count unit, for tables seeded before
+// count units existed. Units given a weight since are left alone.
+export const seedCountUnitStatements = () => DEFAULT_COUNT_UNITS.map(([unit, countUnit, perUnit]) => ({
+  sql: 'UPDATE unit_conversions SET count_unit = ?, count_per_unit = ? WHERE unit = ? AND kg_per_unit IS NULL AND count_unit IS NULL',
+  args: [countUnit, perUnit, unit]
+}));
+
+// Seed rows for an empty unit_conversions table
+export const seedUnitStatements = () => [
+  ...DEFAULT_UNIT_CONVERSIONS.map(([unit, kgPerUnit]) => ({
+    sql: 'INSERT OR IGNORE INTO unit_conversions (unit, kg_per_unit) VALUES (?, ?)',
+    args: [unit, kgPerUnit]
+  })),
+  ...seedCountUnitStatements()
+];
+
+// The form units are matched in: "Kgs." and " kgs" both become "KGS"
+export const unitKey = (value) => String(value ?? '').toUpperCase().replace(/[\s.]/g, '');
+
+// A quantity cell as a number. Separators and unit text are dropped like in FOB cells, so
+// "1,100", "1 100" and "1,100 KGS" are all 1100; NaN when no single number is left ("N/A", "10-20").
+export const parseQuantity = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').replace(/[^0-9.-]/g, '');
+  return /\d/.test(text) ? Number(text) : NaN;
+};
+
+// unitKey() of exports.unit, in SQL
+export const UNIT_KEY_SQL = `REPLACE(REPLACE(UPPER(COALESCE(exports.unit, '')), '.', ''), ' ', '')`;
+
+const conversionSql = (column) => `(SELECT ${column} FROM unit_conversions u WHERE u.unit = ${UNIT_KEY_SQL})`;
+const countSql = (column) => `(SELECT ${column} FROM unit_conversions u WHERE u.unit = ${UNIT_KEY_SQL} AND u.kg_per_unit IS NULL)`;
+
+/**
+ * Statement that (re)computes quantity_kg, quantity_count and count_unit for the rows matching `where`.
+ * Rows in units missing from unit_conversions get none of them (see unknownUnitsSql).
+ */
+export const convertQuantityStatement = (where = '1 = 1', args = []) => ({
+  sql: `UPDATE exports SET
+          quantity_kg = quantity * ${conversionSql('u.kg_per_unit')},
+          quantity_count = quantity * ${countSql('COALESCE(u.count_per_unit, 1)')},
+          count_unit = ${countSql('COALESCE(u.count_unit, u.unit)')}
+        WHERE (${where})`,
+  args
+});
+
+/**
+ * Count total of an aggregate, in SQL: `total` is only summed when the group's counted rows
+ * share one count unit, named in `unit`. Otherwise it is NULL and `unit` lists the units.
+ */
+export const countTotalSql = (prefix = '', { total = 'total_count', unit = 'count_unit' } = {}) =>
+  `CASE WHEN COUNT(DISTINCT ${prefix}count_unit) <= 1 THEN SUM(${prefix}quantity_count) END as ${total},
+      GROUP_CONCAT(DISTINCT ${prefix}count_unit) as ${unit}`;
+
+// Units used by stored rows that unit_conversions doesn't know
+export const unknownUnitsSql = `
+  SELECT ${UNIT_KEY_SQL} as unit, COUNT(*) as row_count, SUM(quantity) as total_quantity
+  FROM exports
+  WHERE ${UNIT_KEY_SQL} NOT IN (SELECT unit FROM unit_conversions)
+  GROUP BY 1
+  ORDER BY row_count DESC
+`;
@@ -0,0 +1,294 @@
+/**
+ * Streaming .xlsx reading
+ *
+ * XLSX.read() builds the whole workbook in memory, which fails on yearly vendor
+ * files. An .xlsx is a zip of XML parts, so we open it with random access,
+ * read the small parts (workbook, relationships, shared strings) up front and
+ * then SAX-parse one worksheet at a time, yielding rows as they complete.
+ *
+ * Rows match XLSX.utils.sheet_to_json's defaults: keyed by the first row's
+ * headers, raw values (dates stay Excel serial numbers), empty cells and blank
+ * rows left out, and a non-enumerable __rowNum__ with the 0-based sheet row.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { StringDecoder } from 'string_decoder';
+import yauzl from 'yauzl';
+import { SaxesParser } from 'saxes';
+import { uniqueHeaders } from './delimited.js';
+
+// ============= ZIP HELPERS =============
+
+/**
+ * Open a zip file and list its entries. Returns { entries, openStream(entry), close() }.
+ */
+export const openZip = (filePath) => new Promise((resolve, reject) => {
+  yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (err, zip) => {
+    if (err) return reject(err);
+    const entries = [];
+    zip.on('entry', (entry) => {
+      entries.push(entry);
+      zip.readEntry();
+    });
+    zip.on('end', () => resolve({
+      entries,
+      openStream: (entry) => new Promise((res, rej) => {
+        zip.openReadStream(entry, (streamErr, stream) => streamErr ? rej(streamErr) : res(stream));
+      }),
+      close: () => zip.close()
+    }));
+    zip.on('error', reject);
+    zip.readEntry();
+  });
+});
+
+/**
+ * Extract the files of a zip upload that have one of `extensions` into destDir (folders
+ * flattened, repeated names numbered). Stops with a 413 error once more than maxBytes
+ * would be unpacked. Returns [{ name, path, size }].
+ */
+export const extractZip = async (zipPath, destDir, { extensions, maxBytes }) => {
+  const zip = await openZip(zipPath);
+  const files = [];
+  const usedNames = new Set();
+  let totalBytes = 0;
+  try {
+    for (const entry of zip.entries) {
+      const name = path.posix.basename(entry.fileName);
+      const extension = path.extname(name).toLowerCase();
+      if (entry.fileName.endsWith('/') || entry.fileName.startsWith('__MACOSX/') || name.startsWith('.')) continue;
+      if (!extensions.includes(extension)) continue;
+
+      totalBytes += entry.uncompressedSize;
+      if (totalBytes > maxBytes) {
+        const err = new Error(`Zip contents are larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+        err.status = 413;
+        throw err;
+      }
+
+      let unique = name;
+      for (let n = 1; usedNames.has(unique.toLowerCase()); n++) {
+        unique = `${path.basename(name, extension)} (${n})${extension}`;
+      }
+      usedNames.add(unique.toLowerCase());
+
+      const target = path.join(destDir, `${files.length}${extension}`);
+      await pipeline(await zip.openStream(entry), fs.createWriteStream(target));
+      files.push({ name: unique, path: target, size: entry.uncompressedSize });
+    }
+  } finally {
+    zip.close();
+  }
+  return files;
+};
+
+// Local part of a (possibly prefixed) XML tag name: "x:row" -> "row"
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Feed a stream through a SAX parser. `handlers` get opentag/text/closetag events;
+ * whatever they push into `output` is yielded after each chunk.
+ */
+async function* parseXmlStream(stream, handlers, output, onBytes = () => {}) {
+  const parser = new SaxesParser();
+  const decoder = new StringDecoder('utf8');
+  if (handlers.opentag) parser.on('opentag', node => handlers.opentag(localName(node.name), node.attributes));
+  if (handlers.text) parser.on('text', handlers.text);
+  if (handlers.closetag) parser.on('closetag', node => handlers.closetag(localName(node.name)));
+
+  try {
+    for await (const chunk of stream) {
+      onBytes(chunk.length);
+      parser.write(decoder.write(chunk));
+      if (output.length > 0) yield* output.splice(0);
+    }
+    parser.write(decoder.end());
+    parser.close();
+    if (output.length > 0) yield* output.splice(0);
+  } finally {
+    stream.destroy();
+  }
+}
+
+const readXml = async (zip, entry, handlers) => {
+  // Small parts - nothing is yielded, we only want the handlers' side effects
+  for await (const _ of parseXmlStream(await zip.openStream(entry), handlers, [])) { /* drain */ }
+};
+
+// ============= WORKBOOK =============
+
+// "C12" -> 2 (0-based column index)
+const columnIndex = (ref) => {
+  let index = 0;
+  for (const char of ref) {
+    const code = char.charCodeAt(0);
+    if (code < 65 || code > 90) break;
+    index = index * 26 + (code - 64);
+  }
+  return index - 1;
+};
+
+// Resolve a relationship target against the folder of the part that references it
+const resolveTarget = (baseDir, target) => target.startsWith('/')
+  ? target.slice(1)
+  : path.posix.normalize(path.posix.join(baseDir, target));
+
+const readRelationships = async (zip, entriesByName, relsPath, baseDir) => {
+  const targets = {};
+  const entry = entriesByName.get(relsPath);
+  if (!entry) return targets;
+  await readXml(zip, entry, {
+    opentag: (name, attrs) => {
+      if (name === 'Relationship') targets[attrs.Id] = { type: attrs.Type || '', path: resolveTarget(baseDir, attrs.Target) };
+    }
+  });
+  return targets;
+};
+
+// Shared strings: <si> holds either one <t> or rich-text runs <r><t>; phonetic hints (<rPh>) are skipped
+const readSharedStrings = async (zip, entry) => {
+  const strings = [];
+  if (!entry) return strings;
+  let current = null;
+  let inText = false;
+  let inPhonetic = false;
+  await readXml(zip, entry, {
+    opentag: (name) => {
+      if (name === 'si') current = '';
+      else if (name === 'rPh') inPhonetic = true;
+      else if (name === 't' && !inPhonetic) inText = true;
+    },
+    text: (text) => {
+      if (inText && current !== null) current += text;
+    },
+    closetag: (name) => {
+      if (name === 't') inText = false;
+      else if (name === 'rPh') inPhonetic = false;
+      else if (name === 'si') {
+        strings.push(current);
+        current = null;
+      }
+    }
+  });
+  return strings;
+};
+
+/**
+ * Open an .xlsx for streaming. Returns { sheets: [{ name, size }], readRows(sheet, onBytes), close() }.
+ * `size` is the uncompressed size of the sheet's XML, which readRows reports progress against.
+ */
+export const openXlsx = async (filePath) => {
+  const zip = await openZip(filePath);
+  try {
+    const entriesByName = new Map(zip.entries.map(e => [e.fileName, e]));
+
+    // _rels/.rels says where the workbook part lives (almost always xl/workbook.xml)
+    const rootRels = await readRelationships(zip, entriesByName, '_rels/.rels', '');
+    const workbookPath = Object.values(rootRels).find(r => r.type.endsWith('/officeDocument'))?.path || 'xl/workbook.xml';
+    const workbookEntry = entriesByName.get(workbookPath);
+    if (!workbookEntry) throw new Error('Not a valid .xlsx file (no workbook)');
+
+    const workbookDir = path.posix.dirname(workbookPath);
+    const rels = await readRelationships(
+      zip, entriesByName, `${workbookDir}/_rels/${path.posix.basename(workbookPath)}.rels`, workbookDir
+    );
+
+    const sheets = [];
+    await readXml(zip, workbookEntry, {
+      opentag: (name, attrs) => {
+        if (name !== 'sheet') return;
+        const relId = attrs['r:id'] || Object.entries(attrs).find(([key]) => key.endsWith(':id'))?.[1];
+        const entry = entriesByName.get(rels[relId]?.path);
+        if (entry) sheets.push({ name: attrs.name, entry, size: entry.uncompressedSize });
+      }
+    });
+
+    const sharedStringsPath = Object.values(rels).find(r => r.type.endsWith('/sharedStrings'))?.path;
+    let sharedStrings = null; // loaded on first read - listing sheets doesn't need them
+
+    const readRows = async function* (sheet, onBytes) {
+      if (!sharedStrings) sharedStrings = await readSharedStrings(zip, entriesByName.get(sharedStringsPath));
+      yield* readSheetRows(await zip.openStream(sheet.entry), sharedStrings, onBytes);
+    };
+
+    return {
+      sheets,
+      readRows,
+      close: () => zip.close()
+    };
+  } catch (err) {
+    zip.close();
+    throw err;
+  }
+};
+
+// Turn one <c> into a raw value the way SheetJS does for its cell types
+const cellValue = (type, text, sharedStrings) => {
+  switch (type) {
+    case 's': return sharedStrings[parseInt(text)];
+    case 'b': return text === '1';
+    case 'e': return undefined;
+    case 'str':
+    case 'inlineStr': return text;
+    case 'd': return text;
+    default: return text === '' ? undefined : Number(text);
+  }
+};
+
+async function* readSheetRows(stream, sharedStrings, onBytes) {
+  const output = [];
+  let headers = null;
+  let rowIndex = -1;
+  let cells = null;
+  let cell = null;
+  let capture = false;
+
+  const handlers = {
+    opentag: (name, attrs) => {
+      if (name === 'row') {
+        rowIndex = attrs.r ? parseInt(attrs.r) - 1 : rowIndex + 1;
+        cells = [];
+      } else if (name === 'c' && cells) {
+        cell = {
+          index: attrs.r ? columnIndex(attrs.r) : cells.length,
+          type: attrs.t || 'n',
+          text: ''
+        };
+      } else if ((name === 'v' || name === 't') && cell) {
+        capture = true;
+      }
+    },
+    text: (text) => {
+      if (capture) cell.text += text;
+    },
+    closetag: (name) => {
+      if (name === 'v' || name === 't') {
+        capture = false;
+      } else if (name === 'c' && cell) {
+        const value = cellValue(cell.type, cell.text, sharedStrings);
+        if (value !== undefined && value !== '') cells[cell.index] = value;
+        cell = null;
+      } else if (name === 'row' && cells) {
+        if (cells.some(v => v !== undefined)) {
+          if (!headers) {
+            headers = uniqueHeaders(Array.from(cells, v => v === undefined ? '' : v));
+          } else {
+            const row = {};
+            cells.forEach((value, i) => {
+              if (value !== undefined && headers[i]) row[headers[i]] = value;
+            });
+            if (Object.keys(row).length > 0) {
+              Object.defineProperty(row, '__rowNum__', { value: rowIndex, enumerable: false });
+              output.push(row);
+            }
+          }
+        }
+        cells = null;
+      }
+    }
+  };
+
+  yield* parseXmlStream(stream, handlers, output, onBytes);
+}